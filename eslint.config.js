@@ -11,6 +11,10 @@ export default defineConfig([
     plugins: { js },
     extends: ['js/recommended'],
     languageOptions: { globals: globals.node },
+    rules: {
+      // Error handlers do Express precisam declarar os 4 parâmetros
+      'no-unused-vars': ['error', { argsIgnorePattern: '^next$' }],
+    },
   },
   {
     files: ['**/*.json'],
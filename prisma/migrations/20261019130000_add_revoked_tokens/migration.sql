@@ -0,0 +1,23 @@
+-- CreateTable
+CREATE TABLE "revoked_tokens" (
+    "id" SERIAL NOT NULL,
+    "jti" TEXT,
+    "user_id" INTEGER NOT NULL,
+    "emitidos_antes_de" TIMESTAMP(3),
+    "expira_em" TIMESTAMP(3) NOT NULL,
+    "data_criacao" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "revoked_tokens_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "revoked_tokens_jti_key" ON "revoked_tokens"("jti");
+
+-- CreateIndex
+CREATE INDEX "revoked_tokens_user_id_idx" ON "revoked_tokens"("user_id");
+
+-- CreateIndex
+CREATE INDEX "revoked_tokens_expira_em_idx" ON "revoked_tokens"("expira_em");
+
+-- AddForeignKey
+ALTER TABLE "revoked_tokens" ADD CONSTRAINT "revoked_tokens_user_id_fkey" FOREIGN KEY ("user_id") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
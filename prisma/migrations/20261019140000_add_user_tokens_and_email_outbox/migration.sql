@@ -0,0 +1,36 @@
+-- CreateTable
+CREATE TABLE "user_tokens" (
+    "id" SERIAL NOT NULL,
+    "user_id" INTEGER NOT NULL,
+    "tipo" TEXT NOT NULL,
+    "token_hash" TEXT NOT NULL,
+    "expira_em" TIMESTAMP(3) NOT NULL,
+    "usado_em" TIMESTAMP(3),
+    "data_criacao" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "user_tokens_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "email_outbox" (
+    "id" SERIAL NOT NULL,
+    "destinatario" TEXT NOT NULL,
+    "assunto" TEXT NOT NULL,
+    "corpo_texto" TEXT NOT NULL,
+    "corpo_html" TEXT,
+    "data_criacao" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "email_outbox_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "user_tokens_token_hash_key" ON "user_tokens"("token_hash");
+
+-- CreateIndex
+CREATE INDEX "user_tokens_user_id_tipo_idx" ON "user_tokens"("user_id", "tipo");
+
+-- CreateIndex
+CREATE INDEX "email_outbox_destinatario_idx" ON "email_outbox"("destinatario");
+
+-- AddForeignKey
+ALTER TABLE "user_tokens" ADD CONSTRAINT "user_tokens_user_id_fkey" FOREIGN KEY ("user_id") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "users" ADD COLUMN     "email_verificado_em" TIMESTAMP(3);
+
+-- Contas existentes foram criadas antes da verificação e são consideradas verificadas
+UPDATE "users" SET "email_verificado_em" = "data_criacao";
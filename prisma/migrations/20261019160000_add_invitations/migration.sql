@@ -0,0 +1,23 @@
+-- CreateTable
+CREATE TABLE "invitations" (
+    "id" SERIAL NOT NULL,
+    "email" TEXT NOT NULL,
+    "papel" TEXT NOT NULL,
+    "token_hash" TEXT NOT NULL,
+    "convidado_por_id" INTEGER,
+    "expira_em" TIMESTAMP(3) NOT NULL,
+    "aceito_em" TIMESTAMP(3),
+    "revogado_em" TIMESTAMP(3),
+    "data_criacao" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "invitations_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "invitations_token_hash_key" ON "invitations"("token_hash");
+
+-- CreateIndex
+CREATE INDEX "invitations_email_idx" ON "invitations"("email");
+
+-- AddForeignKey
+ALTER TABLE "invitations" ADD CONSTRAINT "invitations_convidado_por_id_fkey" FOREIGN KEY ("convidado_por_id") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
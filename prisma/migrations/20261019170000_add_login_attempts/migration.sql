@@ -0,0 +1,16 @@
+-- CreateTable
+CREATE TABLE "login_attempts" (
+    "id" SERIAL NOT NULL,
+    "chave" TEXT NOT NULL,
+    "falhas" INTEGER NOT NULL DEFAULT 0,
+    "bloqueado_ate" TIMESTAMP(3),
+    "ultima_falha_em" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "login_attempts_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "login_attempts_chave_key" ON "login_attempts"("chave");
+
+-- CreateIndex
+CREATE INDEX "login_attempts_ultima_falha_em_idx" ON "login_attempts"("ultima_falha_em");
@@ -0,0 +1,40 @@
+-- AlterTable
+ALTER TABLE "refresh_tokens" ADD COLUMN     "segundo_fator" BOOLEAN NOT NULL DEFAULT false;
+
+-- CreateTable
+CREATE TABLE "two_factor_auth" (
+    "id" SERIAL NOT NULL,
+    "user_id" INTEGER NOT NULL,
+    "segredo" TEXT NOT NULL,
+    "ativado_em" TIMESTAMP(3),
+    "ultimo_passo_usado" INTEGER,
+    "data_criacao" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "two_factor_auth_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "backup_codes" (
+    "id" SERIAL NOT NULL,
+    "user_id" INTEGER NOT NULL,
+    "codigo_hash" TEXT NOT NULL,
+    "usado_em" TIMESTAMP(3),
+    "data_criacao" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "backup_codes_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "two_factor_auth_user_id_key" ON "two_factor_auth"("user_id");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "backup_codes_codigo_hash_key" ON "backup_codes"("codigo_hash");
+
+-- CreateIndex
+CREATE INDEX "backup_codes_user_id_idx" ON "backup_codes"("user_id");
+
+-- AddForeignKey
+ALTER TABLE "two_factor_auth" ADD CONSTRAINT "two_factor_auth_user_id_fkey" FOREIGN KEY ("user_id") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "backup_codes" ADD CONSTRAINT "backup_codes_user_id_fkey" FOREIGN KEY ("user_id") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,25 @@
+-- CreateTable
+CREATE TABLE "api_tokens" (
+    "id" SERIAL NOT NULL,
+    "user_id" INTEGER NOT NULL,
+    "nome" TEXT NOT NULL,
+    "prefixo" TEXT NOT NULL,
+    "token_hash" TEXT NOT NULL,
+    "escopos" TEXT[],
+    "segundo_fator" BOOLEAN NOT NULL DEFAULT false,
+    "expira_em" TIMESTAMP(3) NOT NULL,
+    "ultimo_uso_em" TIMESTAMP(3),
+    "revogado_em" TIMESTAMP(3),
+    "data_criacao" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "api_tokens_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "api_tokens_token_hash_key" ON "api_tokens"("token_hash");
+
+-- CreateIndex
+CREATE INDEX "api_tokens_user_id_idx" ON "api_tokens"("user_id");
+
+-- AddForeignKey
+ALTER TABLE "api_tokens" ADD CONSTRAINT "api_tokens_user_id_fkey" FOREIGN KEY ("user_id") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
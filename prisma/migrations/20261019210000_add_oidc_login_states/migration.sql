@@ -0,0 +1,18 @@
+-- CreateTable
+CREATE TABLE "oidc_login_states" (
+    "id" SERIAL NOT NULL,
+    "state_hash" TEXT NOT NULL,
+    "provedor" TEXT NOT NULL,
+    "code_verifier" TEXT NOT NULL,
+    "nonce" TEXT NOT NULL,
+    "expira_em" TIMESTAMP(3) NOT NULL,
+    "data_criacao" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "oidc_login_states_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "oidc_login_states_state_hash_key" ON "oidc_login_states"("state_hash");
+
+-- CreateIndex
+CREATE INDEX "oidc_login_states_expira_em_idx" ON "oidc_login_states"("expira_em");
@@ -0,0 +1,25 @@
+-- CreateTable
+CREATE TABLE "impersonation_logs" (
+    "id" SERIAL NOT NULL,
+    "ator_id" INTEGER NOT NULL,
+    "usuario_id" INTEGER NOT NULL,
+    "token_id" TEXT NOT NULL,
+    "acao" TEXT NOT NULL,
+    "metodo" TEXT,
+    "caminho" TEXT,
+    "status" INTEGER,
+    "ip" TEXT,
+    "agente_usuario" TEXT,
+    "data_criacao" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "impersonation_logs_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "impersonation_logs_ator_id_idx" ON "impersonation_logs"("ator_id");
+
+-- CreateIndex
+CREATE INDEX "impersonation_logs_usuario_id_idx" ON "impersonation_logs"("usuario_id");
+
+-- CreateIndex
+CREATE INDEX "impersonation_logs_token_id_idx" ON "impersonation_logs"("token_id");
@@ -0,0 +1,18 @@
+-- AlterTable
+ALTER TABLE "users" ADD COLUMN "senha_alterada_em" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP;
+
+-- CreateTable
+CREATE TABLE "password_history" (
+    "id" SERIAL NOT NULL,
+    "user_id" INTEGER NOT NULL,
+    "senha_hash" TEXT NOT NULL,
+    "data_criacao" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "password_history_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "password_history_user_id_idx" ON "password_history"("user_id");
+
+-- AddForeignKey
+ALTER TABLE "password_history" ADD CONSTRAINT "password_history_user_id_fkey" FOREIGN KEY ("user_id") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,84 @@
+-- CreateTable
+CREATE TABLE "roles" (
+    "id" SERIAL NOT NULL,
+    "nome" TEXT NOT NULL,
+    "descricao" TEXT,
+    "sistema" BOOLEAN NOT NULL DEFAULT false,
+    "data_criacao" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "data_atualizacao" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "roles_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "permissions" (
+    "id" SERIAL NOT NULL,
+    "chave" TEXT NOT NULL,
+    "descricao" TEXT NOT NULL,
+
+    CONSTRAINT "permissions_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "role_permissions" (
+    "role_id" INTEGER NOT NULL,
+    "permission_id" INTEGER NOT NULL,
+
+    CONSTRAINT "role_permissions_pkey" PRIMARY KEY ("role_id","permission_id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "roles_nome_key" ON "roles"("nome");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "permissions_chave_key" ON "permissions"("chave");
+
+-- CreateIndex
+CREATE INDEX "role_permissions_permission_id_idx" ON "role_permissions"("permission_id");
+
+-- AddForeignKey
+ALTER TABLE "role_permissions" ADD CONSTRAINT "role_permissions_role_id_fkey" FOREIGN KEY ("role_id") REFERENCES "roles"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "role_permissions" ADD CONSTRAINT "role_permissions_permission_id_fkey" FOREIGN KEY ("permission_id") REFERENCES "permissions"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- Seed: catálogo de permissões
+INSERT INTO "permissions" ("chave", "descricao") VALUES
+    ('users.read', 'Consultar dados de outros usuários'),
+    ('users.create', 'Criar usuários'),
+    ('users.update', 'Alterar dados, papel e senha de outros usuários'),
+    ('users.delete', 'Remover usuários'),
+    ('users.sessions', 'Listar e encerrar sessões de outros usuários'),
+    ('users.impersonate', 'Acessar a API como outro usuário (suporte)'),
+    ('audit.read', 'Consultar logs de auditoria'),
+    ('invitations.manage', 'Enviar, listar e revogar convites'),
+    ('roles.manage', 'Gerenciar papéis e suas permissões'),
+    ('questions.create', 'Criar e editar questões'),
+    ('exams.create', 'Criar e editar provas'),
+    ('exams.publish', 'Publicar provas');
+
+-- Seed: papéis de sistema
+INSERT INTO "roles" ("nome", "descricao", "sistema", "data_atualizacao") VALUES
+    ('ADMIN', 'Administrador: todas as permissões', true, CURRENT_TIMESTAMP),
+    ('PROFESSOR', 'Professor: criação e publicação de provas', true, CURRENT_TIMESTAMP);
+
+INSERT INTO "role_permissions" ("role_id", "permission_id")
+SELECT r."id", p."id"
+FROM "roles" r
+CROSS JOIN "permissions" p
+WHERE r."nome" = 'ADMIN';
+
+INSERT INTO "role_permissions" ("role_id", "permission_id")
+SELECT r."id", p."id"
+FROM "roles" r
+JOIN "permissions" p ON p."chave" IN ('questions.create', 'exams.create', 'exams.publish')
+WHERE r."nome" = 'PROFESSOR';
+
+-- Migrar usuários existentes: papel em maiúsculas e sempre um papel semeado;
+-- tipo_usuario passa a ser o mesmo valor em minúsculas
+UPDATE "users" SET "papel" = UPPER("papel");
+UPDATE "users" SET "papel" = 'PROFESSOR' WHERE "papel" NOT IN ('ADMIN', 'PROFESSOR');
+UPDATE "users" SET "tipo_usuario" = LOWER("papel");
+
+-- AddForeignKey
+ALTER TABLE "users" ADD CONSTRAINT "users_papel_fkey" FOREIGN KEY ("papel") REFERENCES "roles"("nome") ON DELETE RESTRICT ON UPDATE CASCADE;
@@ -0,0 +1,52 @@
+-- CreateTable
+CREATE TABLE "departments" (
+    "id" SERIAL NOT NULL,
+    "nome" TEXT NOT NULL,
+    "descricao" TEXT,
+    "data_criacao" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "data_atualizacao" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "departments_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "departments_nome_key" ON "departments"("nome");
+
+-- AlterTable
+ALTER TABLE "users" ADD COLUMN "departamento_id" INTEGER;
+
+-- CreateIndex
+CREATE INDEX "users_departamento_id_idx" ON "users"("departamento_id");
+
+-- AddForeignKey
+ALTER TABLE "users" ADD CONSTRAINT "users_departamento_id_fkey" FOREIGN KEY ("departamento_id") REFERENCES "departments"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AlterTable: escopo da permissão (ALL ou DEPARTMENT)
+ALTER TABLE "role_permissions" ADD COLUMN "escopo" TEXT NOT NULL DEFAULT 'ALL';
+
+-- Seed: nova permissão (ADMIN tem todas)
+INSERT INTO "permissions" ("chave", "descricao") VALUES
+    ('departments.manage', 'Gerenciar departamentos e seus membros');
+
+INSERT INTO "role_permissions" ("role_id", "permission_id")
+SELECT r."id", p."id"
+FROM "roles" r
+JOIN "permissions" p ON p."chave" = 'departments.manage'
+WHERE r."nome" = 'ADMIN';
+
+-- Seed: coordenador de curso. Gerencia os professores do próprio
+-- departamento (escopo DEPARTMENT) e tem as permissões de professor
+INSERT INTO "roles" ("nome", "descricao", "sistema", "data_atualizacao") VALUES
+    ('COORDENADOR', 'Coordenador: gerencia os professores do próprio departamento', true, CURRENT_TIMESTAMP);
+
+INSERT INTO "role_permissions" ("role_id", "permission_id", "escopo")
+SELECT r."id", p."id", 'DEPARTMENT'
+FROM "roles" r
+JOIN "permissions" p ON p."chave" IN ('users.read', 'users.update', 'users.delete')
+WHERE r."nome" = 'COORDENADOR';
+
+INSERT INTO "role_permissions" ("role_id", "permission_id")
+SELECT r."id", p."id"
+FROM "roles" r
+JOIN "permissions" p ON p."chave" IN ('questions.create', 'exams.create', 'exams.publish')
+WHERE r."nome" = 'COORDENADOR';
@@ -0,0 +1,42 @@
+-- CreateTable
+CREATE TABLE "authz_audit_logs" (
+    "id" SERIAL NOT NULL,
+    "usuario_id" INTEGER,
+    "papel" TEXT,
+    "metodo" TEXT NOT NULL,
+    "recurso" TEXT NOT NULL,
+    "acao" TEXT NOT NULL,
+    "resultado" TEXT NOT NULL,
+    "motivo" TEXT,
+    "ip" TEXT,
+    "request_id" TEXT,
+    "data_criacao" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "authz_audit_logs_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "security_alerts" (
+    "id" SERIAL NOT NULL,
+    "tipo" TEXT NOT NULL,
+    "usuario_id" INTEGER,
+    "detalhes" JSONB,
+    "data_criacao" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "security_alerts_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "authz_audit_logs_usuario_id_data_criacao_idx" ON "authz_audit_logs"("usuario_id", "data_criacao");
+
+-- CreateIndex
+CREATE INDEX "authz_audit_logs_resultado_data_criacao_idx" ON "authz_audit_logs"("resultado", "data_criacao");
+
+-- CreateIndex
+CREATE INDEX "authz_audit_logs_data_criacao_idx" ON "authz_audit_logs"("data_criacao");
+
+-- CreateIndex
+CREATE INDEX "security_alerts_usuario_id_tipo_data_criacao_idx" ON "security_alerts"("usuario_id", "tipo", "data_criacao");
+
+-- CreateIndex
+CREATE INDEX "security_alerts_data_criacao_idx" ON "security_alerts"("data_criacao");
@@ -0,0 +1,15 @@
+-- Busca de usuários sem acentos (GET /v2/users?q=)
+CREATE EXTENSION IF NOT EXISTS "unaccent";
+CREATE EXTENSION IF NOT EXISTS "pg_trgm";
+
+-- Texto pesquisável do usuário: nomes e email, minúsculos e sem acentos.
+-- unaccent() é STABLE e não pode ser usada direto no índice; a função é
+-- IMMUTABLE com o dicionário qualificado, sem depender do search_path.
+CREATE OR REPLACE FUNCTION "user_search_document"(TEXT, TEXT, TEXT, TEXT) RETURNS TEXT
+    LANGUAGE sql IMMUTABLE PARALLEL SAFE
+    AS $$ SELECT public.unaccent('public.unaccent'::regdictionary, lower(concat_ws(' ', $1, $2, $3, $4))) $$;
+
+-- CreateIndex
+CREATE INDEX "users_busca_trgm_idx" ON "users" USING GIN (
+    "user_search_document"("primeiro_nome", "sobrenome", "nome", "email") gin_trgm_ops
+);
@@ -0,0 +1,6 @@
+-- AlterTable
+ALTER TABLE "users" ADD COLUMN "excluido_em" TIMESTAMP(3),
+ADD COLUMN "email_excluido" TEXT;
+
+-- CreateIndex
+CREATE INDEX "users_excluido_em_idx" ON "users"("excluido_em");
@@ -0,0 +1,15 @@
+-- AlterTable
+ALTER TABLE "users" ADD COLUMN "status" TEXT NOT NULL DEFAULT 'ACTIVE',
+ADD COLUMN "status_motivo" TEXT,
+ADD COLUMN "status_alterado_em" TIMESTAMP(3),
+ADD COLUMN "status_alterado_por_id" INTEGER;
+
+-- Seed: nova permissão (ADMIN tem todas)
+INSERT INTO "permissions" ("chave", "descricao") VALUES
+    ('users.suspend', 'Suspender e reativar contas de usuários');
+
+INSERT INTO "role_permissions" ("role_id", "permission_id")
+SELECT r."id", p."id"
+FROM "roles" r
+JOIN "permissions" p ON p."chave" = 'users.suspend'
+WHERE r."nome" = 'ADMIN';
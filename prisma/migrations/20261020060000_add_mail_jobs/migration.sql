@@ -0,0 +1,16 @@
+-- CreateTable
+CREATE TABLE "mail_jobs" (
+    "id" SERIAL NOT NULL,
+    "tipo" TEXT NOT NULL,
+    "destinatario" TEXT NOT NULL,
+    "tentativas" INTEGER NOT NULL DEFAULT 0,
+    "ultimo_erro" TEXT,
+    "bloqueado_em" TIMESTAMP(3),
+    "processado_em" TIMESTAMP(3),
+    "data_criacao" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "mail_jobs_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "mail_jobs_processado_em_tentativas_idx" ON "mail_jobs"("processado_em", "tentativas");
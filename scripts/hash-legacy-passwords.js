@@ -0,0 +1,85 @@
+// scripts/hash-legacy-passwords.js
+import prisma from '../src/config/database.js';
+import { hashPassword, isPasswordHash } from '../src/utils/password.js';
+
+/**
+ * Migração única: converte senhas legadas em texto puro para bcrypt
+ *
+ * Usuários criados por /v1/users ou /v2/users antes do módulo de senhas
+ * tinham a senha gravada em texto puro e não conseguiam fazer login.
+ * Linhas que já contêm um hash bcrypt são ignoradas, então o comando
+ * pode ser executado mais de uma vez.
+ *
+ * Uso:
+ *   npm run db:hash-passwords             # converte
+ *   npm run db:hash-passwords -- --dry-run # apenas lista o que seria convertido
+ */
+
+const BATCH_SIZE = 100;
+
+/**
+ * Converte as senhas legadas
+ * @param {Object} options - Opções
+ * @param {boolean} options.dryRun - Apenas contar, sem gravar
+ * @returns {Promise<{checked: number, hashed: number}>} Totais
+ */
+export const hashLegacyPasswords = async ({ dryRun = false } = {}) => {
+  let cursor;
+  let checked = 0;
+  let hashed = 0;
+
+  for (;;) {
+    const users = await prisma.user.findMany({
+      select: { id: true, email: true, senha: true },
+      orderBy: { id: 'asc' },
+      take: BATCH_SIZE,
+      ...(cursor && { skip: 1, cursor: { id: cursor } }),
+    });
+
+    if (users.length === 0) {
+      break;
+    }
+
+    for (const user of users) {
+      checked++;
+
+      if (isPasswordHash(user.senha)) {
+        continue;
+      }
+
+      hashed++;
+      console.log(`${dryRun ? '🔎' : '🔑'} Senha legada: ${user.email} (ID ${user.id})`);
+
+      if (!dryRun) {
+        // Condição na senha antiga: não sobrescreve uma troca feita nesse meio tempo
+        await prisma.user.updateMany({
+          where: { id: user.id, senha: user.senha },
+          data: { senha: await hashPassword(user.senha) },
+        });
+      }
+    }
+
+    cursor = users[users.length - 1].id;
+  }
+
+  return { checked, hashed };
+};
+
+// Execução via linha de comando
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const dryRun = process.argv.includes('--dry-run');
+
+  hashLegacyPasswords({ dryRun })
+    .then(({ checked, hashed }) => {
+      console.log(
+        dryRun
+          ? `✅ ${checked} usuários verificados, ${hashed} senhas seriam convertidas`
+          : `✅ ${checked} usuários verificados, ${hashed} senhas convertidas`,
+      );
+    })
+    .catch(error => {
+      console.error('❌ Erro ao converter senhas:', error);
+      process.exitCode = 1;
+    })
+    .finally(() => prisma.$disconnect());
+}
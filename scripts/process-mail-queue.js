@@ -0,0 +1,34 @@
+// scripts/process-mail-queue.js
+import prisma from '../src/config/database.js';
+import { processMailJobs } from '../src/api/v2/services/mailQueueService.js';
+
+/**
+ * Entrega os emails pendentes da fila (tabela mail_jobs)
+ *
+ * A API tenta entregar cada email logo após gravá-lo na fila; este script
+ * entrega o que ficou pendente (falha do transporte, função serverless
+ * encerrada antes do envio). Feito para rodar periodicamente (cron,
+ * agendador da hospedagem), a cada poucos minutos: o link de recuperação
+ * de senha só chega quando o job é entregue.
+ *
+ * Uso:
+ *   npm run mail:process-queue
+ */
+
+// Execução via linha de comando
+if (import.meta.url === `file://${process.argv[1]}`) {
+  processMailJobs()
+    .then(({ processed, failed }) => {
+      console.log(
+        `✅ Fila de emails: ${processed} processados, ${failed} com falha`,
+      );
+      if (failed > 0) {
+        process.exitCode = 1;
+      }
+    })
+    .catch(error => {
+      console.error('❌ Erro ao processar a fila de emails:', error);
+      process.exitCode = 1;
+    })
+    .finally(() => prisma.$disconnect());
+}
@@ -0,0 +1,38 @@
+// scripts/purge-deleted-users.js
+import prisma from '../src/config/database.js';
+import {
+  getTrashRetentionDays,
+  purgeDeletedUsers,
+} from '../src/api/v2/services/userTrashService.js';
+
+/**
+ * Esvazia a lixeira de usuários: exclui definitivamente quem está nela há
+ * mais de USER_TRASH_RETENTION_DAYS dias (padrão: 30)
+ *
+ * Feito para rodar periodicamente (cron, agendador da hospedagem). Pode
+ * ser executado mais de uma vez: cada execução só apaga o que já venceu.
+ *
+ * Uso:
+ *   npm run users:purge-trash              # exclui
+ *   npm run users:purge-trash -- --dry-run # apenas conta o que seria excluído
+ */
+
+// Execução via linha de comando
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const dryRun = process.argv.includes('--dry-run');
+
+  purgeDeletedUsers({ dryRun })
+    .then(({ purged, cutoff }) => {
+      const period = `na lixeira há mais de ${getTrashRetentionDays()} dias (antes de ${cutoff.toISOString()})`;
+      console.log(
+        dryRun
+          ? `✅ ${purged} usuários seriam excluídos definitivamente: ${period}`
+          : `✅ ${purged} usuários excluídos definitivamente: ${period}`,
+      );
+    })
+    .catch(error => {
+      console.error('❌ Erro ao esvaziar a lixeira de usuários:', error);
+      process.exitCode = 1;
+    })
+    .finally(() => prisma.$disconnect());
+}
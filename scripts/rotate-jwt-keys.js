@@ -0,0 +1,122 @@
+// scripts/rotate-jwt-keys.js
+import {
+  DEFAULT_KEYS_FILE,
+  JWKS_MAX_AGE_SECONDS,
+  generateSigningKey,
+  readKeyFile,
+  writeKeyFile,
+} from '../src/config/jwtKeys.js';
+import { parseDuration } from '../src/utils/duration.js';
+
+/**
+ * Gera e rotaciona as chaves de assinatura dos JWTs (RS256/ES256)
+ *
+ * A cada execução:
+ * 1. Gera uma nova chave, publicada no JWKS na hora, mas que só passa a
+ *    assinar os tokens depois de JWT_KEY_ACTIVATION_DELAY (padrão: 15m)
+ * 2. Aposenta as chaves ativas anteriores a partir desse mesmo instante
+ *    (até lá continuam assinando; depois, só verificando)
+ * 3. Remove chaves aposentadas há mais tempo que a validade de um
+ *    access token (nenhum token assinado por elas ainda é válido)
+ *
+ * O atraso dá tempo de publicar a nova chave e de expirar o JWKS guardado
+ * em cache (JWKS_MAX_AGE_SECONDS) por quem verifica os tokens: ele precisa
+ * cobrir o tempo de reiniciar/publicar as instâncias da API mais esse
+ * cache, e não pode ser menor que o cache.
+ *
+ * Na primeira execução apenas cria o arquivo com a primeira chave, que
+ * assina na hora. Depois de rotacionar, reinicie/publique as instâncias
+ * da API.
+ *
+ * Uso:
+ *   npm run jwt:rotate-keys                  # RS256 (ou JWT_ALGORITHM)
+ *   npm run jwt:rotate-keys -- --alg ES256
+ *   npm run jwt:rotate-keys -- --file caminho/chaves.json
+ */
+
+/**
+ * Rotaciona as chaves do arquivo
+ * @param {Object} [options] - Opções
+ * @param {string} [options.file] - Arquivo de chaves
+ * @param {string} [options.alg] - Algoritmo da nova chave
+ * @param {number} [options.retentionSeconds] - Tempo que uma chave
+ *   aposentada continua verificando tokens
+ * @param {number} [options.activationDelaySeconds] - Tempo entre publicar
+ *   a nova chave e ela passar a assinar
+ * @param {Date} [options.now] - Instante de referência
+ * @returns {{created: Object, retired: number, removed: number}} Resumo
+ * @throws {Error} Se o atraso for menor que o cache do JWKS
+ */
+export const rotateJwtKeys = ({
+  file = process.env.JWT_KEYS_FILE || DEFAULT_KEYS_FILE,
+  alg = process.env.JWT_ALGORITHM?.toUpperCase() === 'ES256' ? 'ES256' : 'RS256',
+  retentionSeconds = parseDuration(process.env.JWT_EXPIRES_IN || '1h'),
+  activationDelaySeconds = parseDuration(
+    process.env.JWT_KEY_ACTIVATION_DELAY || '15m',
+  ),
+  now = new Date(),
+} = {}) => {
+  if (activationDelaySeconds < JWKS_MAX_AGE_SECONDS) {
+    throw new Error(
+      `JWT_KEY_ACTIVATION_DELAY deve ser de pelo menos ${JWKS_MAX_AGE_SECONDS}s (cache do JWKS)`,
+    );
+  }
+
+  const removeBefore = now.getTime() - retentionSeconds * 1000;
+  const current = readKeyFile(file);
+  let retired = 0;
+  let removed = 0;
+
+  // A primeira chave assina na hora: ainda não há JWKS em cache
+  const activatesAt =
+    current.length > 0
+      ? new Date(now.getTime() + activationDelaySeconds * 1000)
+      : now;
+
+  const keys = current
+    .map(key => {
+      if (key.retiredAt) {
+        return key;
+      }
+
+      retired++;
+      return { ...key, retiredAt: activatesAt.toISOString() };
+    })
+    .filter(key => {
+      if (new Date(key.retiredAt).getTime() < removeBefore) {
+        removed++;
+        return false;
+      }
+
+      return true;
+    });
+
+  const created = generateSigningKey(alg, activatesAt);
+  writeKeyFile([...keys, created], file);
+
+  return { created, retired, removed };
+};
+
+// Execução via linha de comando
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const option = name => {
+    const index = process.argv.indexOf(name);
+    return index === -1 ? undefined : process.argv[index + 1];
+  };
+
+  try {
+    const file = option('--file');
+    const { created, retired, removed } = rotateJwtKeys({
+      ...(file && { file }),
+      ...(option('--alg') && { alg: option('--alg').toUpperCase() }),
+    });
+
+    console.log(
+      `✅ Nova chave ${created.alg} publicada: kid ${created.kid}, assina a partir de ${created.activatesAt}`,
+    );
+    console.log(`🔁 ${retired} chave(s) aposentada(s), ${removed} removida(s)`);
+  } catch (error) {
+    console.error('❌ Erro ao rotacionar chaves JWT:', error);
+    process.exitCode = 1;
+  }
+}
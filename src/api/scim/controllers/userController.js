@@ -0,0 +1,112 @@
+// src/api/scim/controllers/userController.js
+import * as scimUserService from '../services/scimUserService.js';
+import {
+  scimUserSchema,
+  scimPatchSchema,
+  scimListQuerySchema,
+} from '../schemas/scimUserSchema.js';
+import { sendScim } from '../../../middlewares/scim.js';
+
+/**
+ * SCIM User Controller
+ * Responsável pelas requisições de /scim/v2/Users
+ * Erros de validação (ZodError) são convertidos por scimErrorHandler.
+ */
+
+/**
+ * GET /scim/v2/Users
+ * Lista usuários (filter, startIndex, count)
+ */
+export const list = async (req, res, next) => {
+  try {
+    const query = scimListQuerySchema.parse(req.query);
+    const result = await scimUserService.listUsers(query);
+
+    sendScim(res, 200, result);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * GET /scim/v2/Users/:id
+ * Busca um usuário
+ */
+export const getById = async (req, res, next) => {
+  try {
+    const user = await scimUserService.getUser(req.params.id);
+
+    sendScim(res, 200, user);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * POST /scim/v2/Users
+ * Cria um usuário (contratação)
+ */
+export const create = async (req, res, next) => {
+  try {
+    const resource = scimUserSchema.parse(req.body);
+    const user = await scimUserService.createUser(resource);
+
+    res.set('Location', user.meta.location);
+    sendScim(res, 201, user);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * PUT /scim/v2/Users/:id
+ * Substitui os atributos de um usuário
+ */
+export const replace = async (req, res, next) => {
+  try {
+    const resource = scimUserSchema.parse(req.body);
+    const user = await scimUserService.replaceUser(req.params.id, resource);
+
+    sendScim(res, 200, user);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * PATCH /scim/v2/Users/:id
+ * Altera atributos de um usuário (PatchOp)
+ */
+export const patch = async (req, res, next) => {
+  try {
+    const operations = scimPatchSchema.parse(req.body);
+    const user = await scimUserService.patchUser(req.params.id, operations);
+
+    sendScim(res, 200, user);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * DELETE /scim/v2/Users/:id
+ * Remove um usuário (desligamento)
+ */
+export const remove = async (req, res, next) => {
+  try {
+    await scimUserService.deleteUser(req.params.id);
+
+    sendScim(res, 204);
+  } catch (error) {
+    next(error);
+  }
+};
+
+export default {
+  list,
+  getById,
+  create,
+  replace,
+  patch,
+  remove,
+};
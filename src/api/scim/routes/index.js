@@ -0,0 +1,70 @@
+// src/api/scim/routes/index.js
+import express from 'express';
+import userRoutes from './userRoutes.js';
+import {
+  scimAuth,
+  scimErrorHandler,
+  sendScim,
+} from '../../../middlewares/scim.js';
+import { NotFoundError } from '../../../errors/AppError.js';
+import { SCIM_SCHEMAS } from '../schemas/scimUserSchema.js';
+
+const router = express.Router();
+
+/**
+ * Rotas da API SCIM 2.0
+ * Base: /scim/v2
+ *
+ * Autenticação por bearer token dedicado (SCIM_BEARER_TOKEN) e erros no
+ * formato SCIM, inclusive 404 de rotas inexistentes.
+ */
+
+// Clientes SCIM enviam application/scim+json
+router.use(express.json({ type: ['application/json', 'application/scim+json'] }));
+router.use(scimAuth);
+
+/**
+ * @swagger
+ * /scim/v2/ServiceProviderConfig:
+ *   get:
+ *     summary: Recursos SCIM suportados por esta API
+ *     tags:
+ *       - SCIM
+ *     security:
+ *       - scimBearer: []
+ *     responses:
+ *       200:
+ *         description: ServiceProviderConfig (RFC 7643, seção 5)
+ */
+router.get('/ServiceProviderConfig', (req, res) => {
+  sendScim(res, 200, {
+    schemas: [SCIM_SCHEMAS.serviceProviderConfig],
+    patch: { supported: true },
+    bulk: { supported: false, maxOperations: 0, maxPayloadSize: 0 },
+    filter: { supported: true, maxResults: 200 },
+    changePassword: { supported: true },
+    sort: { supported: false },
+    etag: { supported: false },
+    authenticationSchemes: [
+      {
+        type: 'oauthbearertoken',
+        name: 'Bearer token',
+        description: 'Token dedicado definido em SCIM_BEARER_TOKEN',
+        primary: true,
+      },
+    ],
+    meta: { resourceType: 'ServiceProviderConfig' },
+  });
+});
+
+// Rotas de usuários
+router.use('/Users', userRoutes);
+
+// Rotas inexistentes também respondem no formato SCIM
+router.use((req, res, next) => {
+  next(new NotFoundError(`Rota ${req.method} ${req.originalUrl} não encontrada`));
+});
+
+router.use(scimErrorHandler);
+
+export default router;
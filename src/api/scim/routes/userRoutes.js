@@ -0,0 +1,183 @@
+// src/api/scim/routes/userRoutes.js
+import express from 'express';
+import * as userController from '../controllers/userController.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /scim/v2/Users:
+ *   get:
+ *     summary: Lista usuários (SCIM)
+ *     description: |
+ *       Suporta filter (eq, ne, co, sw, ew, gt, ge, lt, le, pr com and/or/not),
+ *       startIndex (base 1) e count (máximo 200).
+ *       Ex.: `filter=userName eq "ana@escola.com"`
+ *     tags:
+ *       - SCIM
+ *     security:
+ *       - scimBearer: []
+ *     parameters:
+ *       - in: query
+ *         name: filter
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: startIndex
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: count
+ *         schema:
+ *           type: integer
+ *           default: 100
+ *     responses:
+ *       200:
+ *         description: ListResponse
+ *       400:
+ *         description: Filtro inválido (scimType invalidFilter)
+ *       401:
+ *         description: Token SCIM ausente ou inválido
+ */
+router.get('/', userController.list);
+
+/**
+ * @swagger
+ * /scim/v2/Users:
+ *   post:
+ *     summary: Cria um usuário (SCIM)
+ *     description: |
+ *       userName/emails → email, name.givenName → primeiro_nome,
+ *       name.familyName → sobrenome, phoneNumbers → telefone,
+ *       userType → tipo_usuario. Sem password, a senha é aleatória.
+ *     tags:
+ *       - SCIM
+ *     security:
+ *       - scimBearer: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/scim+json:
+ *           schema:
+ *             type: object
+ *     responses:
+ *       201:
+ *         description: Usuário criado
+ *       400:
+ *         description: Dados inválidos (scimType invalidValue)
+ *       409:
+ *         description: Email já cadastrado (scimType uniqueness)
+ */
+router.post('/', userController.create);
+
+/**
+ * @swagger
+ * /scim/v2/Users/{id}:
+ *   get:
+ *     summary: Busca um usuário (SCIM)
+ *     tags:
+ *       - SCIM
+ *     security:
+ *       - scimBearer: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Recurso User
+ *       404:
+ *         description: Usuário não encontrado
+ */
+router.get('/:id', userController.getById);
+
+/**
+ * @swagger
+ * /scim/v2/Users/{id}:
+ *   put:
+ *     summary: Substitui um usuário (SCIM)
+ *     tags:
+ *       - SCIM
+ *     security:
+ *       - scimBearer: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/scim+json:
+ *           schema:
+ *             type: object
+ *     responses:
+ *       200:
+ *         description: Usuário atualizado
+ *       404:
+ *         description: Usuário não encontrado
+ */
+router.put('/:id', userController.replace);
+
+/**
+ * @swagger
+ * /scim/v2/Users/{id}:
+ *   patch:
+ *     summary: Altera atributos de um usuário (SCIM PatchOp)
+ *     description: |
+ *       Operações add, replace e remove. active=false desativa a conta
+ *       (sem login, dados mantidos) e active=true a reativa.
+ *     tags:
+ *       - SCIM
+ *     security:
+ *       - scimBearer: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/scim+json:
+ *           schema:
+ *             type: object
+ *     responses:
+ *       200:
+ *         description: Usuário atualizado
+ *       400:
+ *         description: Operação inválida (invalidPath, mutability, invalidValue)
+ *       404:
+ *         description: Usuário não encontrado
+ */
+router.patch('/:id', userController.patch);
+
+/**
+ * @swagger
+ * /scim/v2/Users/{id}:
+ *   delete:
+ *     summary: Remove um usuário (SCIM)
+ *     tags:
+ *       - SCIM
+ *     security:
+ *       - scimBearer: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       204:
+ *         description: Usuário removido
+ *       404:
+ *         description: Usuário não encontrado
+ */
+router.delete('/:id', userController.remove);
+
+export default router;
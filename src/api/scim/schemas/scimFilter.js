@@ -0,0 +1,290 @@
+// src/api/scim/schemas/scimFilter.js
+import { AppError } from '../../../errors/AppError.js';
+
+/**
+ * Filtros SCIM (RFC 7644, seção 3.4.2.2)
+ * Converte o parâmetro "filter" de GET /scim/v2/Users em um "where" do Prisma.
+ *
+ * Suportado:
+ * - operadores eq, ne, co, sw, ew, gt, ge, lt, le e pr
+ * - and, or, not(...) e parênteses
+ * - atributos mapeados em FILTER_ATTRIBUTES (nomes sem diferença de
+ *   maiúsculas, com ou sem o prefixo do schema core de User)
+ *
+ * Comparações de texto não diferenciam maiúsculas (caseExact=false).
+ * Filtros de valor em atributos multivalorados (emails[type eq "work"])
+ * não são suportados.
+ */
+
+const USER_SCHEMA_PREFIX = 'urn:ietf:params:scim:schemas:core:2.0:user:';
+
+// Atributo SCIM (minúsculo) -> campo do model User
+const FILTER_ATTRIBUTES = {
+  id: { field: 'id', type: 'integer' },
+  username: { field: 'email', type: 'string' },
+  emails: { field: 'email', type: 'string' },
+  'emails.value': { field: 'email', type: 'string' },
+  displayname: { field: 'nome', type: 'string' },
+  'name.formatted': { field: 'nome', type: 'string' },
+  'name.givenname': { field: 'primeiro_nome', type: 'string', nullable: true },
+  'name.familyname': { field: 'sobrenome', type: 'string', nullable: true },
+  phonenumbers: { field: 'telefone', type: 'string', nullable: true },
+  'phonenumbers.value': { field: 'telefone', type: 'string', nullable: true },
+  usertype: { field: 'tipo_usuario', type: 'string', nullable: true },
+  'meta.created': { field: 'createdAt', type: 'date' },
+  'meta.lastmodified': { field: 'updatedAt', type: 'date' },
+};
+
+const COMPARISON_OPERATORS = ['eq', 'ne', 'co', 'sw', 'ew', 'gt', 'ge', 'lt', 'le'];
+
+const STRING_OPERATORS = {
+  co: 'contains',
+  sw: 'startsWith',
+  ew: 'endsWith',
+  gt: 'gt',
+  ge: 'gte',
+  lt: 'lt',
+  le: 'lte',
+};
+
+/**
+ * Erro 400 invalidFilter
+ * @param {string} detail - Descrição do problema
+ * @returns {AppError} Erro com scimType nos detalhes
+ */
+const invalidFilter = detail =>
+  new AppError(`Filtro inválido: ${detail}`, 400, 'SCIM_INVALID_FILTER', {
+    scimType: 'invalidFilter',
+  });
+
+/**
+ * Remove os escapes de uma string entre aspas (mesma sintaxe do JSON)
+ * @param {string} raw - Conteúdo entre as aspas
+ * @returns {string} Valor
+ */
+const unquote = raw => {
+  try {
+    return JSON.parse(`"${raw}"`);
+  } catch {
+    throw invalidFilter(`string inválida "${raw}"`);
+  }
+};
+
+/**
+ * Divide o filtro em tokens: parênteses, strings entre aspas e palavras
+ * @param {string} filter - Filtro SCIM
+ * @returns {Object[]} Tokens ({ type: 'paren'|'string'|'word', value })
+ */
+const tokenize = filter => {
+  const tokens = [];
+  const pattern = /\s*(?:([()])|"((?:[^"\\]|\\.)*)"|([^\s()"]+))/gy;
+  let match;
+
+  while (pattern.lastIndex < filter.length) {
+    const start = pattern.lastIndex;
+    match = pattern.exec(filter);
+
+    if (!match || match.index !== start) {
+      if (filter.slice(start).trim() === '') {
+        break;
+      }
+      throw invalidFilter(`texto inesperado em "${filter.slice(start)}"`);
+    }
+
+    if (match[1]) {
+      tokens.push({ type: 'paren', value: match[1] });
+    } else if (match[2] !== undefined) {
+      tokens.push({ type: 'string', value: unquote(match[2]) });
+    } else if (match[3]) {
+      tokens.push({ type: 'word', value: match[3] });
+    }
+  }
+
+  return tokens;
+};
+
+/**
+ * Converte o valor de comparação para o tipo do atributo
+ * @param {Object} attribute - Entrada de FILTER_ATTRIBUTES
+ * @param {Object} token - Token do valor
+ * @returns {*} Valor convertido
+ */
+const parseValue = (attribute, token) => {
+  if (token.type === 'word' && token.value === 'null') {
+    return null;
+  }
+
+  if (attribute.type === 'integer') {
+    const number = Number(token.value);
+    if (!Number.isInteger(number)) {
+      throw invalidFilter(`valor inteiro esperado, recebido "${token.value}"`);
+    }
+    return number;
+  }
+
+  if (token.type !== 'string') {
+    throw invalidFilter(`valor entre aspas esperado, recebido ${token.value}`);
+  }
+
+  if (attribute.type === 'date') {
+    const date = new Date(token.value);
+    if (Number.isNaN(date.getTime())) {
+      throw invalidFilter(`data inválida "${token.value}"`);
+    }
+    return date;
+  }
+
+  return token.value;
+};
+
+/**
+ * Monta a condição de um atributo
+ * @param {Object} attribute - Entrada de FILTER_ATTRIBUTES
+ * @param {string} operator - Operador (minúsculo)
+ * @param {*} value - Valor convertido
+ * @returns {Object} Condição do Prisma
+ */
+const buildCondition = (attribute, operator, value) => {
+  const { field, type, nullable } = attribute;
+
+  if (operator === 'pr') {
+    return nullable ? { [field]: { not: null } } : {};
+  }
+
+  if (value === null) {
+    if (!['eq', 'ne'].includes(operator)) {
+      throw invalidFilter(`operador "${operator}" não aceita null`);
+    }
+    if (!nullable) {
+      return operator === 'eq' ? { id: { in: [] } } : {};
+    }
+    return { [field]: operator === 'eq' ? null : { not: null } };
+  }
+
+  if (type === 'string') {
+    if (operator === 'eq') {
+      return { [field]: { equals: value, mode: 'insensitive' } };
+    }
+    if (operator === 'ne') {
+      return { NOT: { [field]: { equals: value, mode: 'insensitive' } } };
+    }
+    return { [field]: { [STRING_OPERATORS[operator]]: value, mode: 'insensitive' } };
+  }
+
+  // Inteiros e datas: apenas comparações
+  if (['co', 'sw', 'ew'].includes(operator)) {
+    throw invalidFilter(`operador "${operator}" não se aplica a ${field}`);
+  }
+  if (operator === 'eq') {
+    return { [field]: value };
+  }
+  if (operator === 'ne') {
+    return { [field]: { not: value } };
+  }
+  return { [field]: { [STRING_OPERATORS[operator]]: value } };
+};
+
+/**
+ * Converte um filtro SCIM em condição do Prisma
+ * @param {string} filter - Filtro (ex.: 'userName eq "ana@escola.com"')
+ * @returns {Object} Cláusula "where" do Prisma
+ * @throws {AppError} 400 invalidFilter se o filtro não puder ser interpretado
+ */
+export const parseScimFilter = filter => {
+  const tokens = tokenize(filter);
+  let position = 0;
+
+  const peek = () => tokens[position];
+  const isWord = (token, word) =>
+    token?.type === 'word' && token.value.toLowerCase() === word;
+
+  const expect = (type, value) => {
+    const token = tokens[position++];
+    if (!token || token.type !== type || (value && token.value !== value)) {
+      throw invalidFilter(`"${value || type}" esperado`);
+    }
+    return token;
+  };
+
+  let parseOr;
+
+  const parseAttributeExpression = () => {
+    const path = expect('word').value.toLowerCase();
+    const name = path.startsWith(USER_SCHEMA_PREFIX)
+      ? path.slice(USER_SCHEMA_PREFIX.length)
+      : path;
+
+    if (name.includes('[')) {
+      throw invalidFilter('filtros de valor ([...]) não são suportados');
+    }
+
+    const attribute = FILTER_ATTRIBUTES[name];
+    if (!attribute) {
+      throw invalidFilter(`atributo "${path}" não suportado`);
+    }
+
+    const operator = expect('word').value.toLowerCase();
+
+    if (operator === 'pr') {
+      return buildCondition(attribute, operator);
+    }
+
+    if (!COMPARISON_OPERATORS.includes(operator)) {
+      throw invalidFilter(`operador "${operator}" desconhecido`);
+    }
+
+    const token = tokens[position++];
+    if (!token || token.type === 'paren') {
+      throw invalidFilter(`valor esperado após "${operator}"`);
+    }
+
+    return buildCondition(attribute, operator, parseValue(attribute, token));
+  };
+
+  const parseUnary = () => {
+    if (isWord(peek(), 'not')) {
+      position++;
+      expect('paren', '(');
+      const inner = parseOr();
+      expect('paren', ')');
+      return { NOT: inner };
+    }
+
+    if (peek()?.type === 'paren' && peek().value === '(') {
+      position++;
+      const inner = parseOr();
+      expect('paren', ')');
+      return inner;
+    }
+
+    return parseAttributeExpression();
+  };
+
+  const parseAnd = () => {
+    const conditions = [parseUnary()];
+    while (isWord(peek(), 'and')) {
+      position++;
+      conditions.push(parseUnary());
+    }
+    return conditions.length === 1 ? conditions[0] : { AND: conditions };
+  };
+
+  parseOr = () => {
+    const conditions = [parseAnd()];
+    while (isWord(peek(), 'or')) {
+      position++;
+      conditions.push(parseAnd());
+    }
+    return conditions.length === 1 ? conditions[0] : { OR: conditions };
+  };
+
+  const where = parseOr();
+
+  if (position < tokens.length) {
+    throw invalidFilter(`texto inesperado em "${tokens[position].value}"`);
+  }
+
+  return where;
+};
+
+export default parseScimFilter;
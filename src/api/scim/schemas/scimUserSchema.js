@@ -0,0 +1,97 @@
+// src/api/scim/schemas/scimUserSchema.js
+import { z } from 'zod';
+
+/**
+ * Schemas de validação da API SCIM 2.0 (RFC 7643 / RFC 7644)
+ * Apenas a estrutura é validada aqui; as regras dos campos (tamanho do
+ * nome, formato do telefone, tipo de usuário) são as mesmas da v2 e são
+ * aplicadas depois do mapeamento (ver scimUserService).
+ */
+
+export const SCIM_SCHEMAS = {
+  user: 'urn:ietf:params:scim:schemas:core:2.0:User',
+  listResponse: 'urn:ietf:params:scim:api:messages:2.0:ListResponse',
+  patchOp: 'urn:ietf:params:scim:api:messages:2.0:PatchOp',
+  error: 'urn:ietf:params:scim:api:messages:2.0:Error',
+  serviceProviderConfig:
+    'urn:ietf:params:scim:schemas:core:2.0:ServiceProviderConfig',
+};
+
+const multiValuedSchema = z.array(
+  z
+    .object({
+      value: z.string(),
+      type: z.string().optional(),
+      primary: z.boolean().optional(),
+    })
+    .passthrough(),
+);
+
+export const scimUserSchema = z
+  .object({
+    userName: z
+      .string({ required_error: 'userName é obrigatório' })
+      .min(1, 'userName é obrigatório'),
+    name: z
+      .object({
+        givenName: z.string().optional(),
+        familyName: z.string().optional(),
+        formatted: z.string().optional(),
+      })
+      .passthrough()
+      .optional(),
+    displayName: z.string().optional(),
+    emails: multiValuedSchema.optional(),
+    phoneNumbers: multiValuedSchema.optional(),
+    userType: z.string().optional(),
+    active: z.boolean().optional(),
+    password: z.string().optional(),
+  })
+  .passthrough();
+
+export const scimPatchSchema = z.object({
+  schemas: z
+    .array(z.string())
+    .refine(schemas => schemas.includes(SCIM_SCHEMAS.patchOp), {
+      message: `schemas deve conter ${SCIM_SCHEMAS.patchOp}`,
+    }),
+  Operations: z
+    .array(
+      z.object({
+        op: z
+          .string()
+          .transform(op => op.toLowerCase())
+          .pipe(
+            z.enum(['add', 'replace', 'remove'], {
+              errorMap: () => ({ message: 'op deve ser add, replace ou remove' }),
+            }),
+          ),
+        path: z.string().optional(),
+        value: z.any().optional(),
+      }),
+    )
+    .min(1, 'Operations deve ter pelo menos uma operação'),
+});
+
+export const scimListQuerySchema = z.object({
+  filter: z.string().optional(),
+  startIndex: z.coerce
+    .number()
+    .int()
+    .catch(1)
+    .transform(value => Math.max(value, 1))
+    .default(1),
+  count: z.coerce
+    .number()
+    .int()
+    .catch(100)
+    .transform(value => Math.min(Math.max(value, 0), 200))
+    .default(100),
+});
+
+export default {
+  SCIM_SCHEMAS,
+  scimUserSchema,
+  scimPatchSchema,
+  scimListQuerySchema,
+};
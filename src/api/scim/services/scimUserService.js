@@ -0,0 +1,449 @@
+// src/api/scim/services/scimUserService.js
+import prisma from '../../../config/database.js';
+import { AppError, NotFoundError } from '../../../errors/AppError.js';
+import { generateOpaqueToken } from '../../../utils/tokens.js';
+import * as userService from '../../v2/services/userService.js';
+import {
+  USER_STATUSES,
+  setUserStatus,
+} from '../../v2/services/userStatusService.js';
+import {
+  createUserSchema,
+  updateUserSchema,
+} from '../../v2/schemas/userSchema.js';
+import { parseScimFilter } from '../schemas/scimFilter.js';
+import { SCIM_SCHEMAS } from '../schemas/scimUserSchema.js';
+
+/**
+ * SCIM User Service
+ * Provisionamento de usuários por sistemas externos (RH) via SCIM 2.0
+ *
+ * Mapeamento SCIM -> User:
+ * - userName / emails (primary)   -> email
+ * - name.givenName                -> primeiro_nome
+ * - name.familyName               -> sobrenome
+ * - phoneNumbers (primary)        -> telefone (apenas dígitos, sem o +55)
+ * - userType ("professor"/"coordenador"/"admin") -> tipo_usuario
+ * - password                      -> senha (aleatória se não informada)
+ * - active                        -> status (false: DEACTIVATED)
+ *
+ * Criação, alteração e remoção reutilizam o userService da v2, então as
+ * mesmas regras de validação e compatibilidade com a v1 se aplicam.
+ *
+ * active=false desativa a conta (sem login, dados mantidos) e active=true
+ * a reativa. Suspensões feitas por administradores na v2 não são afetadas
+ * pelo RH: a conta suspensa continua active=true no SCIM e só volta com
+ * POST /v2/users/:id/reactivate. A remoção definitiva usa DELETE.
+ */
+
+const USER_SCHEMA_PREFIX = `${SCIM_SCHEMAS.user.toLowerCase()}:`;
+
+/**
+ * Erro SCIM com scimType (RFC 7644, seção 3.12)
+ * @param {string} message - Descrição do erro
+ * @param {string} scimType - invalidValue, invalidPath, mutability...
+ * @returns {AppError} Erro 400
+ */
+const scimBadRequest = (message, scimType) =>
+  new AppError(message, 400, 'SCIM_BAD_REQUEST', { scimType });
+
+/**
+ * Converte o ID da URL; IDs que não são números não existem
+ * @param {string} id - ID recebido
+ * @returns {number} ID numérico
+ * @throws {NotFoundError} Se o ID não for um inteiro positivo
+ */
+const parseId = id => {
+  if (!/^\d+$/.test(id) || Number(id) <= 0) {
+    throw new NotFoundError(`Usuário com ID ${id} não encontrado`, 'User');
+  }
+
+  return Number(id);
+};
+
+/**
+ * URL de um usuário na API SCIM (meta.location)
+ * @param {number} id - ID do usuário
+ * @returns {string} URL absoluta
+ */
+export const userLocation = id =>
+  `${process.env.API_URL || 'http://localhost:3000'}/scim/v2/Users/${id}`;
+
+/**
+ * Converte um usuário do banco para o recurso SCIM User
+ * @param {Object} user - Registro da tabela users
+ * @returns {Object} Recurso SCIM
+ */
+export const toScimUser = user => ({
+  schemas: [SCIM_SCHEMAS.user],
+  id: String(user.id),
+  userName: user.email,
+  name: {
+    givenName: user.primeiro_nome,
+    familyName: user.sobrenome,
+    formatted: user.nome,
+  },
+  displayName: user.nome,
+  emails: [{ value: user.email, type: 'work', primary: true }],
+  phoneNumbers: user.telefone
+    ? [{ value: user.telefone, type: 'work', primary: true }]
+    : [],
+  userType: user.tipo_usuario,
+  active: user.status !== USER_STATUSES.DEACTIVATED,
+  meta: {
+    resourceType: 'User',
+    created: user.createdAt.toISOString(),
+    lastModified: user.updatedAt.toISOString(),
+    location: userLocation(user.id),
+  },
+});
+
+/**
+ * Valor primário (ou o primeiro) de um atributo multivalorado
+ * @param {Array|string} values - Lista SCIM ou valor simples
+ * @returns {string|undefined} Valor
+ */
+const primaryValue = values => {
+  if (!Array.isArray(values)) {
+    return values ?? undefined;
+  }
+
+  return (values.find(item => item.primary) || values[0])?.value;
+};
+
+/**
+ * Normaliza um telefone SCIM para o formato da v2 (10 ou 11 dígitos)
+ * @param {string|null|undefined} phone - Ex.: "+55 (11) 91234-5678"
+ * @returns {string|null|undefined} Dígitos, sem o código do país
+ */
+const normalizePhone = phone => {
+  if (phone === null || phone === undefined) {
+    return phone;
+  }
+
+  const digits = String(phone).replace(/\D/g, '');
+  return digits.length > 11 && digits.startsWith('55') ? digits.slice(2) : digits;
+};
+
+/**
+ * Converte active para booleano
+ * @param {*} active - Valor de active (alguns clientes enviam "False")
+ * @returns {boolean|undefined} undefined se não informado
+ */
+const parseActive = active => {
+  if (active === undefined || active === null) {
+    return undefined;
+  }
+
+  return !(active === false || String(active).toLowerCase() === 'false');
+};
+
+/**
+ * Desativa ou reativa a conta conforme active
+ * Só contas desativadas pelo SCIM são reativadas (suspensões continuam).
+ *
+ * @param {number} userId - ID do usuário
+ * @param {boolean|undefined} active - Valor convertido por parseActive
+ * @returns {Promise<void>}
+ */
+const applyActive = async (userId, active) => {
+  if (active === undefined) {
+    return;
+  }
+
+  const { status } = await findUser(userId);
+
+  if (!active && status !== USER_STATUSES.DEACTIVATED) {
+    await setUserStatus(userId, USER_STATUSES.DEACTIVATED, {
+      reason: 'Desativado pelo provisionamento SCIM',
+    });
+  } else if (active && status === USER_STATUSES.DEACTIVATED) {
+    await setUserStatus(userId, USER_STATUSES.ACTIVE, {
+      reason: 'Reativado pelo provisionamento SCIM',
+    });
+  }
+};
+
+/**
+ * Mapeia um recurso SCIM completo para os campos da v2
+ * @param {Object} resource - Recurso validado por scimUserSchema
+ * @returns {Object} { primeiro_nome, sobrenome, email, telefone,
+ *   tipo_usuario, senha, active }
+ */
+const fromScimUser = resource => {
+  const [firstWord, ...otherWords] = (
+    resource.name?.formatted ||
+    resource.displayName ||
+    ''
+  ).split(' ');
+
+  return {
+    primeiro_nome: resource.name?.givenName || firstWord || undefined,
+    sobrenome:
+      resource.name?.familyName || otherWords.join(' ') || undefined,
+    email: (primaryValue(resource.emails) || resource.userName).toLowerCase(),
+    telefone: normalizePhone(primaryValue(resource.phoneNumbers)) || null,
+    tipo_usuario: resource.userType?.toLowerCase(),
+    senha: resource.password,
+    active: parseActive(resource.active),
+  };
+};
+
+/**
+ * Busca o registro completo de um usuário
+ * @param {number} id - ID do usuário
+ * @returns {Promise<Object>} Registro da tabela users
+ * @throws {NotFoundError} Se não existir ou estiver na lixeira
+ */
+const findUser = async id => {
+  const user = await prisma.user.findUnique({ where: { id, deletedAt: null } });
+
+  if (!user) {
+    throw new NotFoundError(`Usuário com ID ${id} não encontrado`, 'User');
+  }
+
+  return user;
+};
+
+/**
+ * Lista usuários com filtro e paginação SCIM
+ * @param {Object} query - Query validada por scimListQuerySchema
+ * @param {string} [query.filter] - Filtro SCIM
+ * @param {number} query.startIndex - Índice inicial (base 1)
+ * @param {number} query.count - Itens por página
+ * @returns {Promise<Object>} ListResponse
+ * @throws {AppError} 400 invalidFilter
+ */
+export const listUsers = async ({ filter, startIndex, count }) => {
+  // Usuários na lixeira não são listados
+  const where = {
+    AND: [filter ? parseScimFilter(filter) : {}, { deletedAt: null }],
+  };
+
+  const [totalResults, users] = await Promise.all([
+    prisma.user.count({ where }),
+    prisma.user.findMany({
+      where,
+      orderBy: { id: 'asc' },
+      skip: startIndex - 1,
+      take: count,
+    }),
+  ]);
+
+  return {
+    schemas: [SCIM_SCHEMAS.listResponse],
+    totalResults,
+    startIndex,
+    itemsPerPage: users.length,
+    Resources: users.map(toScimUser),
+  };
+};
+
+/**
+ * Busca um usuário
+ * @param {string} id - ID recebido na URL
+ * @returns {Promise<Object>} Recurso SCIM
+ * @throws {NotFoundError} Se não existir
+ */
+export const getUser = async id => toScimUser(await findUser(parseId(id)));
+
+/**
+ * Cria um usuário
+ * Sem password, a conta recebe uma senha aleatória e o usuário define a
+ * sua pelo "esqueci minha senha".
+ *
+ * @param {Object} resource - Recurso validado por scimUserSchema
+ * @returns {Promise<Object>} Recurso SCIM criado
+ * @throws {ConflictError} Se o email já existir (409 uniqueness)
+ */
+export const createUser = async resource => {
+  const { active, ...data } = fromScimUser(resource);
+
+  // A senha aleatória não passa pela política de senhas: ninguém a conhece
+  const schema = data.senha
+    ? createUserSchema
+    : createUserSchema.omit({ senha: true });
+
+  const userData = schema.parse({
+    ...data,
+    tipo_usuario: data.tipo_usuario || 'professor',
+  });
+
+  const created = await userService.createUser({
+    ...userData,
+    senha: userData.senha || generateOpaqueToken(24),
+  });
+
+  await applyActive(created.id, active);
+
+  return toScimUser(await findUser(created.id));
+};
+
+/**
+ * Substitui um usuário (PUT)
+ * Atributos ausentes são apagados, exceto userType (mantido) e password
+ * (só alterado quando informado).
+ *
+ * @param {string} id - ID recebido na URL
+ * @param {Object} resource - Recurso validado por scimUserSchema
+ * @returns {Promise<Object>} Recurso SCIM atualizado
+ */
+export const replaceUser = async (id, resource) => {
+  const userId = parseId(id);
+  await findUser(userId);
+
+  const { active, ...data } = fromScimUser(resource);
+
+  const userData = updateUserSchema.parse(
+    Object.fromEntries(
+      Object.entries(data).filter(([, value]) => value !== undefined),
+    ),
+  );
+
+  await userService.updateUser(userId, userData);
+  await applyActive(userId, active);
+
+  return toScimUser(await findUser(userId));
+};
+
+/**
+ * Aplica uma operação de PATCH em um atributo
+ * @param {Object} changes - Alterações acumuladas (campos da v2)
+ * @param {string} op - add, replace ou remove
+ * @param {string} path - Caminho do atributo (ex.: name.givenName)
+ * @param {*} value - Novo valor
+ */
+const applyPatchOperation = (changes, op, path, value) => {
+  const lowerPath = path.toLowerCase();
+  const attribute = (
+    lowerPath.startsWith(USER_SCHEMA_PREFIX)
+      ? lowerPath.slice(USER_SCHEMA_PREFIX.length)
+      : lowerPath
+  ).replace(/\[.*\]/, '');
+
+  const required = () => {
+    if (op === 'remove') {
+      throw scimBadRequest(`O atributo ${path} é obrigatório`, 'mutability');
+    }
+  };
+
+  switch (attribute) {
+    case 'username':
+    case 'emails':
+    case 'emails.value':
+      required();
+      changes.email = String(primaryValue(value)).toLowerCase();
+      break;
+
+    case 'name':
+      required();
+      for (const [key, nested] of Object.entries(value || {})) {
+        applyPatchOperation(changes, op, `name.${key}`, nested);
+      }
+      break;
+
+    case 'name.givenname':
+      required();
+      changes.primeiro_nome = value;
+      break;
+
+    case 'name.familyname':
+      required();
+      changes.sobrenome = value;
+      break;
+
+    case 'phonenumbers':
+    case 'phonenumbers.value':
+      changes.telefone =
+        op === 'remove' ? null : normalizePhone(primaryValue(value)) || null;
+      break;
+
+    case 'usertype':
+      required();
+      changes.tipo_usuario = String(value).toLowerCase();
+      break;
+
+    case 'password':
+      required();
+      changes.senha = value;
+      break;
+
+    case 'active':
+      if (op !== 'remove') {
+        changes.active = parseActive(value);
+      }
+      break;
+
+    // Derivados do nome ou não armazenados
+    case 'displayname':
+    case 'name.formatted':
+    case 'externalid':
+    case 'schemas':
+      break;
+
+    default:
+      throw scimBadRequest(`Atributo não suportado: ${path}`, 'invalidPath');
+  }
+};
+
+/**
+ * Altera atributos de um usuário (PATCH)
+ * @param {string} id - ID recebido na URL
+ * @param {Object} patch - PatchOp validado por scimPatchSchema
+ * @returns {Promise<Object>} Recurso SCIM atualizado
+ * @throws {AppError} 400 invalidPath / mutability / invalidValue
+ */
+export const patchUser = async (id, patch) => {
+  const userId = parseId(id);
+  await findUser(userId);
+
+  const changes = {};
+
+  for (const { op, path, value } of patch.Operations) {
+    if (path) {
+      applyPatchOperation(changes, op, path, value);
+      continue;
+    }
+
+    // Sem path: value é um objeto com os atributos a alterar
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+      throw scimBadRequest(
+        'Operação sem path exige um objeto em value',
+        'invalidValue',
+      );
+    }
+
+    for (const [attribute, attributeValue] of Object.entries(value)) {
+      applyPatchOperation(changes, op, attribute, attributeValue);
+    }
+  }
+
+  const { active, ...fields } = changes;
+
+  if (Object.keys(fields).length > 0) {
+    await userService.updateUser(userId, updateUserSchema.parse(fields));
+  }
+
+  await applyActive(userId, active);
+
+  return toScimUser(await findUser(userId));
+};
+
+/**
+ * Remove um usuário (desligamento): vai para a lixeira
+ * @param {string} id - ID recebido na URL
+ * @throws {NotFoundError} Se não existir
+ */
+export const deleteUser = async id => {
+  await userService.deleteUser(parseId(id));
+};
+
+export default {
+  toScimUser,
+  listUsers,
+  getUser,
+  createUser,
+  replaceUser,
+  patchUser,
+  deleteUser,
+};
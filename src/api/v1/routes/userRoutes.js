@@ -2,6 +2,12 @@
 import express from 'express';
 import * as userController from '../controllers/userController.js';
 import validate from '../../../middlewares/validate.js';
+import authMiddleware from '../../../middlewares/auth.js';
+import {
+  requirePermission,
+  requireScope,
+} from '../../../middlewares/authorize.js';
+import { requireVerifiedEmail } from '../../../middlewares/emailVerified.js';
 import {
   createUserSchema,
   updateUserSchema,
@@ -38,10 +44,10 @@ const router = express.Router();
  *           example: "joao.silva@escola.com"
  *         senha:
  *           type: string
- *           minLength: 6
+ *           minLength: 8
  *           format: password
- *           description: Senha do usuário (mínimo 6 caracteres)
- *           example: "senha123"
+ *           description: Senha do usuário (política de senhas - mínimo 8 caracteres, com maiúscula, minúscula e número)
+ *           example: "Senha123"
  *         papel:
  *           type: string
  *           enum: [PROFESSOR, ADMIN]
@@ -190,10 +196,16 @@ router.get('/:id', validate(idParamSchema, 'params'), userController.getById);
  * @swagger
  * /v1/users:
  *   post:
- *     summary: Cria um novo usuário
- *     description: Cadastra um novo usuário no sistema com os dados fornecidos
+ *     summary: Cria um novo usuário (permissão users.create)
+ *     description: |
+ *       Cadastra um novo usuário (PROFESSOR) com os dados fornecidos.
+ *       Papéis elevados são atribuídos apenas por convites ou por
+ *       PUT /v2/users/{id}/role.
+ *       **Requer autenticação e a permissão `users.create`**.
  *     tags:
  *       - Usuários v1
+ *     security:
+ *       - bearerAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -218,15 +230,9 @@ router.get('/:id', validate(idParamSchema, 'params'), userController.getById);
  *                 example: "maria.santos@escola.com"
  *               senha:
  *                 type: string
- *                 minLength: 6
- *                 description: Senha do usuário (mínimo 6 caracteres)
- *                 example: "senha123"
- *               papel:
- *                 type: string
- *                 enum: [PROFESSOR, ADMIN]
- *                 default: PROFESSOR
- *                 description: Papel do usuário no sistema
- *                 example: "PROFESSOR"
+ *                 minLength: 8
+ *                 description: Senha do usuário (política de senhas - mínimo 8 caracteres, com maiúscula, minúscula e número)
+ *                 example: "Senha123"
  *               foto:
  *                 type: string
  *                 format: uri
@@ -255,6 +261,18 @@ router.get('/:id', validate(idParamSchema, 'params'), userController.getById);
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         description: Não autenticado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: Sem a permissão ou email não verificado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
  *       409:
  *         description: Email já cadastrado no sistema
  *         content:
@@ -262,15 +280,27 @@ router.get('/:id', validate(idParamSchema, 'params'), userController.getById);
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  */
-router.post('/', validate(createUserSchema, 'body'), userController.create);
+router.post(
+  '/',
+  authMiddleware,         // 🔒 Verifica autenticação
+  requireScope('users:write'), // 🔒 API keys: exige escopo de escrita
+  requirePermission('users.create'), // 🔒 Exige a permissão users.create
+  requireVerifiedEmail,   // 🔒 Exige email confirmado
+  validate(createUserSchema, 'body'),
+  userController.create,
+);
 /**
  * @swagger
  * /v1/users/{id}:
  *   put:
- *     summary: Atualiza um usuário existente
- *     description: Atualiza os dados de um usuário específico. Todos os campos são opcionais.
+ *     summary: Atualiza um usuário existente (permissão users.update)
+ *     description: |
+ *       Atualiza os dados de um usuário específico. Todos os campos são opcionais.
+ *       **Requer autenticação e a permissão `users.update`**.
  *     tags:
  *       - Usuários v1
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -299,12 +329,8 @@ router.post('/', validate(createUserSchema, 'body'), userController.create);
  *                 example: "joao.novo@escola.com"
  *               senha:
  *                 type: string
- *                 minLength: 6
- *                 example: "novasenha123"
- *               papel:
- *                 type: string
- *                 enum: [PROFESSOR, ADMIN]
- *                 example: "ADMIN"
+ *                 minLength: 8
+ *                 example: "NovaSenha123"
  *               foto:
  *                 type: string
  *                 format: uri
@@ -332,6 +358,18 @@ router.post('/', validate(createUserSchema, 'body'), userController.create);
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         description: Não autenticado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: Sem a permissão ou email não verificado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
  *       404:
  *         description: Usuário não encontrado
  *         content:
@@ -348,6 +386,10 @@ router.post('/', validate(createUserSchema, 'body'), userController.create);
 
 router.put(
   '/:id',
+  authMiddleware,         // 🔒 Verifica autenticação
+  requireScope('users:write'), // 🔒 API keys: exige escopo de escrita
+  requirePermission('users.update'), // 🔒 Exige a permissão users.update
+  requireVerifiedEmail,   // 🔒 Exige email confirmado
   validate(idParamSchema, 'params'),
   validate(updateUserSchema, 'body'),
   userController.update,
@@ -356,10 +398,14 @@ router.put(
  * @swagger
  * /v1/users/{id}:
  *   delete:
- *     summary: Remove um usuário do sistema
- *     description: Deleta permanentemente um usuário baseado no ID fornecido
+ *     summary: Remove um usuário do sistema (permissão users.delete)
+ *     description: |
+ *       Move o usuário para a lixeira (ver POST /v2/users/{id}/restore).
+ *       **Requer autenticação e a permissão `users.delete`**.
  *     tags:
  *       - Usuários v1
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -401,6 +447,18 @@ router.put(
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         description: Não autenticado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: Sem a permissão ou email não verificado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
  *       404:
  *         description: Usuário não encontrado
  *         content:
@@ -408,6 +466,14 @@ router.put(
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  */
-router.delete('/:id', validate(idParamSchema, 'params'), userController.remove);
+router.delete(
+  '/:id',
+  authMiddleware,         // 🔒 Verifica autenticação
+  requireScope('users:write'), // 🔒 API keys: exige escopo de escrita
+  requirePermission('users.delete'), // 🔒 Exige a permissão users.delete
+  requireVerifiedEmail,   // 🔒 Exige email confirmado
+  validate(idParamSchema, 'params'),
+  userController.remove,
+);
 
 export default router;
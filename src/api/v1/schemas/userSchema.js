@@ -1,5 +1,6 @@
 // src/schemas/userSchema.js
 import { z } from 'zod';
+import { passwordField } from '../../../utils/passwordPolicy.js';
 
 /**
  * Schemas de validação para operações de usuário
@@ -29,20 +30,10 @@ export const createUserSchema = z.object({
     .toLowerCase()
     .trim(),
 
-  senha: z
-    .string({
-      required_error: 'Senha é obrigatória',
-      invalid_type_error: 'Senha deve ser um texto',
-    })
-    .min(6, 'Senha deve ter pelo menos 6 caracteres')
-    .max(100, 'Senha deve ter no máximo 100 caracteres'),
-
-  papel: z
-    .enum(['PROFESSOR', 'ADMIN'], {
-      errorMap: () => ({ message: 'Papel deve ser PROFESSOR ou ADMIN' }),
-    })
-    .default('PROFESSOR')
-    .optional(),
+  senha: passwordField({
+    required_error: 'Senha é obrigatória',
+    invalid_type_error: 'Senha deve ser um texto',
+  }),
 
   foto: z
     .string()
@@ -76,19 +67,9 @@ export const updateUserSchema = z
       .trim()
       .optional(),
 
-    senha: z
-      .string({
-        invalid_type_error: 'Senha deve ser um texto',
-      })
-      .min(6, 'Senha deve ter pelo menos 6 caracteres')
-      .max(100, 'Senha deve ter no máximo 100 caracteres')
-      .optional(),
-
-    papel: z
-      .enum(['PROFESSOR', 'ADMIN'], {
-        errorMap: () => ({ message: 'Papel deve ser PROFESSOR ou ADMIN' }),
-      })
-      .optional(),
+    senha: passwordField({
+      invalid_type_error: 'Senha deve ser um texto',
+    }).optional(),
 
     foto: z
       .string()
@@ -1,14 +1,21 @@
 // src/services/userService.js
 import prisma from '../../../config/database.js';
+import {
+  assertPasswordNotReused,
+  passwordData,
+  prunePasswordHistory,
+} from '../../../utils/passwordPolicy.js';
 import {
   ValidationError,
   NotFoundError,
   ConflictError,
 } from '../../../errors/AppError.js';
+import { moveUserToTrash } from '../../v2/services/userTrashService.js';
 
 /**
  * User Service
  * Responsável pela lógica de negócio relacionada aos usuários
+ * Usuários na lixeira (deletedAt) ficam de fora das consultas
  */
 
 /**
@@ -17,6 +24,7 @@ import {
  */
 export const getAllUsers = async () => {
   const usuarios = await prisma.user.findMany({
+    where: { deletedAt: null },
     select: {
       id: true,
       nome: true,
@@ -47,7 +55,7 @@ export const getUserById = async userId => {
   }
 
   const usuario = await prisma.user.findUnique({
-    where: { id: parseInt(userId) },
+    where: { id: parseInt(userId), deletedAt: null },
     select: {
       id: true,
       nome: true,
@@ -98,8 +106,10 @@ export const createUser = async userData => {
   const dadosUsuario = {
     nome: userData.nome,
     email: userData.email,
-    senha: userData.senha, // TODO: Hash da senha (faremos na aula de segurança)
-    papel: userData.papel || 'PROFESSOR',
+    ...(await passwordData(userData.senha)),
+    // Papéis elevados só por convite ou PUT /v2/users/:id/role
+    papel: 'PROFESSOR',
+    tipo_usuario: 'professor',
     foto: userData.foto || null,
   };
 
@@ -134,9 +144,9 @@ export const updateUser = async (userId, userData) => {
     throw new ValidationError('ID inválido. Deve ser um número positivo');
   }
 
-  // Verificar se usuário existe
+  // Verificar se usuário existe (e não está na lixeira)
   const usuarioExistente = await prisma.user.findUnique({
-    where: { id: parseInt(userId) },
+    where: { id: parseInt(userId), deletedAt: null },
   });
 
   if (!usuarioExistente) {
@@ -154,12 +164,18 @@ export const updateUser = async (userId, userData) => {
     }
   }
 
+  // Nova senha não pode repetir as últimas (política de senhas)
+  if (userData.senha) {
+    await assertPasswordNotReused(usuarioExistente.id, userData.senha);
+  }
+
   // Preparar dados para atualização
   const dadosAtualizacao = {};
   if (userData.nome) dadosAtualizacao.nome = userData.nome;
   if (userData.email) dadosAtualizacao.email = userData.email;
-  if (userData.senha) dadosAtualizacao.senha = userData.senha; // TODO: Hash
-  if (userData.papel) dadosAtualizacao.papel = userData.papel;
+  if (userData.senha) {
+    Object.assign(dadosAtualizacao, await passwordData(userData.senha));
+  }
   if (userData.foto !== undefined) dadosAtualizacao.foto = userData.foto;
 
   // Atualizar no banco
@@ -177,11 +193,15 @@ export const updateUser = async (userId, userData) => {
     },
   });
 
+  if (userData.senha) {
+    await prunePasswordHistory(usuarioAtualizado.id);
+  }
+
   return usuarioAtualizado;
 };
 
 /**
- * Remove um usuário do sistema
+ * Move um usuário para a lixeira (exclusão lógica)
  * @param {number} userId - ID do usuário
  * @returns {Promise<Object>} Dados do usuário removido
  * @throws {ValidationError} Se ID for inválido
@@ -193,9 +213,9 @@ export const deleteUser = async userId => {
     throw new ValidationError('ID inválido. Deve ser um número positivo');
   }
 
-  // Verificar se usuário existe
+  // Verificar se usuário existe (e não está na lixeira)
   const usuarioExistente = await prisma.user.findUnique({
-    where: { id: parseInt(userId) },
+    where: { id: parseInt(userId), deletedAt: null },
     select: {
       id: true,
       nome: true,
@@ -210,10 +230,7 @@ export const deleteUser = async userId => {
     );
   }
 
-  // Remover do banco
-  await prisma.user.delete({
-    where: { id: parseInt(userId) },
-  });
+  await moveUserToTrash(usuarioExistente);
 
   return usuarioExistente;
 };
@@ -0,0 +1,48 @@
+// src/api/v2/controllers/auditController.js
+import {
+  listAuthzDecisions,
+  listSecurityAlerts,
+} from '../services/authzAuditService.js';
+
+/**
+ * Audit Controller v2
+ * Consultas de auditoria (decisões de autorização e alertas)
+ */
+
+/**
+ * GET /v2/admin/audit/authz
+ * Lista decisões de autorização (filtros: userId, outcome, from, to, limit)
+ */
+export const getAuthzDecisions = async (req, res, next) => {
+  try {
+    const registros = await listAuthzDecisions(req.query);
+
+    res.status(200).json({
+      success: true,
+      data: registros,
+      total: registros.length,
+      version: 'v2',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * GET /v2/admin/audit/alerts
+ * Lista alertas de segurança (filtros: userId, from, to, limit)
+ */
+export const getSecurityAlerts = async (req, res, next) => {
+  try {
+    const alertas = await listSecurityAlerts(req.query);
+
+    res.status(200).json({
+      success: true,
+      data: alertas,
+      total: alertas.length,
+      version: 'v2',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
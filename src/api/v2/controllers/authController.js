@@ -1,7 +1,46 @@
 import authService from '../services/authService.js';
-import { registerSchema, loginSchema } from '../schemas/authValidator.js';
+import {
+  registerSchema,
+  loginSchema,
+  refreshTokenSchema,
+  logoutSchema,
+  forgotPasswordSchema,
+  resetPasswordSchema,
+  verifyEmailSchema,
+  acceptInviteSchema,
+  updateProfileSchema,
+  changePasswordSchema,
+  twoFactorCodeSchema,
+  twoFactorLoginSchema,
+  sessionIdParamSchema,
+  apiTokenIdParamSchema,
+  impersonateParamSchema,
+  oidcCallbackSchema,
+} from '../schemas/authValidator.js';
+import { createApiTokenSchema } from '../schemas/apiTokenSchema.js';
+import { listSessions, revokeSession } from '../services/sessionService.js';
+import {
+  createApiToken,
+  listApiTokens,
+  revokeApiToken,
+} from '../services/apiTokenService.js';
+import {
+  createAuthorizationUrl,
+  oidcError,
+} from '../services/oidcService.js';
+import { startImpersonation } from '../services/impersonationService.js';
 import { AppError } from '../../../errors/AppError.js';
 
+/**
+ * Dados da requisição registrados na sessão criada pelo login
+ * @param {Object} req - Requisição Express
+ * @returns {Object} { ip, userAgent }
+ */
+const requestContext = (req) => ({
+  ip: req.ip,
+  userAgent: req.get('user-agent'),
+});
+
 class AuthController {
 
   async register(req, res, next) {
@@ -10,7 +49,10 @@ class AuthController {
       const validatedData = registerSchema.parse(req.body);
 
       // Registrar usuário
-      const result = await authService.register(validatedData);
+      const result = await authService.register(
+        validatedData,
+        requestContext(req)
+      );
 
       res.status(201).json({
         success: true,
@@ -33,13 +75,417 @@ class AuthController {
     }
   }
 
+  async acceptInvite(req, res, next) {
+    try {
+      const validatedData = acceptInviteSchema.parse(req.body);
+
+      const result = await authService.acceptInvite(
+        validatedData,
+        requestContext(req)
+      );
+
+      res.status(201).json({
+        success: true,
+        message: 'Convite aceito. Conta criada com sucesso',
+        data: result,
+      });
+    } catch (error) {
+      if (error.name === 'ZodError') {
+        return next(
+          new AppError(
+            'Dados de entrada inválidos',
+            400,
+            'VALIDATION_ERROR',
+            error.errors
+          )
+        );
+      }
+      next(error);
+    }
+  }
+
   async login(req, res, next) {
     try {
       // Validar dados de entrada
       const { email, senha } = loginSchema.parse(req.body);
 
       // Realizar login
-      const result = await authService.login(email, senha);
+      const result = await authService.login(
+        email,
+        senha,
+        requestContext(req)
+      );
+
+      res.status(200).json({
+        success: true,
+        message: result.twoFactorRequired
+          ? 'Informe o código de verificação para concluir o login'
+          : 'Login realizado com sucesso',
+        data: result,
+      });
+    } catch (error) {
+      if (error.name === 'ZodError') {
+        return next(
+          new AppError(
+            'Dados de entrada inválidos',
+            400,
+            'VALIDATION_ERROR',
+            error.errors
+          )
+        );
+      }
+      next(error);
+    }
+  }
+
+  async oidcLogin(req, res, next) {
+    try {
+      const url = await createAuthorizationUrl(req.params.provider);
+
+      res.redirect(302, url);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async oidcCallback(req, res, next) {
+    try {
+      // Usuário recusou o acesso ou o provedor retornou erro
+      if (req.query.error) {
+        throw oidcError(req.query.error_description || req.query.error);
+      }
+
+      const params = oidcCallbackSchema.parse(req.query);
+
+      const result = await authService.loginWithOidc(
+        req.params.provider,
+        params,
+        requestContext(req)
+      );
+
+      res.status(200).json({
+        success: true,
+        message: result.twoFactorRequired
+          ? 'Informe o código de verificação para concluir o login'
+          : 'Login realizado com sucesso',
+        data: result,
+      });
+    } catch (error) {
+      if (error.name === 'ZodError') {
+        return next(
+          new AppError(
+            'Dados de entrada inválidos',
+            400,
+            'VALIDATION_ERROR',
+            error.errors
+          )
+        );
+      }
+      next(error);
+    }
+  }
+
+  async refresh(req, res, next) {
+    try {
+      // Validar dados de entrada
+      const { refreshToken } = refreshTokenSchema.parse(req.body);
+
+      // Rotacionar refresh token e gerar novo access token
+      const result = await authService.refresh(refreshToken);
+
+      res.status(200).json({
+        success: true,
+        message: 'Tokens renovados com sucesso',
+        data: result,
+      });
+    } catch (error) {
+      if (error.name === 'ZodError') {
+        return next(
+          new AppError(
+            'Dados de entrada inválidos',
+            400,
+            'VALIDATION_ERROR',
+            error.errors
+          )
+        );
+      }
+      next(error);
+    }
+  }
+
+  async logout(req, res, next) {
+    try {
+      // Corpo é opcional (pode conter o refresh token da sessão)
+      const { refreshToken } = logoutSchema.parse(req.body ?? {});
+
+      await authService.logout(req.tokenPayload, refreshToken);
+
+      res.status(200).json({
+        success: true,
+        message: 'Logout realizado com sucesso',
+      });
+    } catch (error) {
+      if (error.name === 'ZodError') {
+        return next(
+          new AppError(
+            'Dados de entrada inválidos',
+            400,
+            'VALIDATION_ERROR',
+            error.errors
+          )
+        );
+      }
+      next(error);
+    }
+  }
+
+  async logoutAll(req, res, next) {
+    try {
+      await authService.logoutAll(req.user.id);
+
+      res.status(200).json({
+        success: true,
+        message: 'Todas as sessões foram encerradas',
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async impersonate(req, res, next) {
+    try {
+      const { userId } = impersonateParamSchema.parse(req.params);
+
+      const result = await startImpersonation(
+        req.user,
+        userId,
+        requestContext(req)
+      );
+
+      res.status(200).json({
+        success: true,
+        message: 'Personificação iniciada. O token não pode ser renovado',
+        data: result,
+      });
+    } catch (error) {
+      if (error.name === 'ZodError') {
+        return next(
+          new AppError(
+            'Dados de entrada inválidos',
+            400,
+            'VALIDATION_ERROR',
+            error.errors
+          )
+        );
+      }
+      next(error);
+    }
+  }
+
+  async listSessions(req, res, next) {
+    try {
+      const sessions = await listSessions(req.user.id, req.user.sessionId);
+
+      res.status(200).json({
+        success: true,
+        data: { sessions },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async revokeSession(req, res, next) {
+    try {
+      const { id } = sessionIdParamSchema.parse(req.params);
+
+      await revokeSession(req.user.id, id);
+
+      res.status(200).json({
+        success: true,
+        message: 'Sessão encerrada com sucesso',
+      });
+    } catch (error) {
+      if (error.name === 'ZodError') {
+        return next(
+          new AppError(
+            'Dados de entrada inválidos',
+            400,
+            'VALIDATION_ERROR',
+            error.errors
+          )
+        );
+      }
+      next(error);
+    }
+  }
+
+  async listApiTokens(req, res, next) {
+    try {
+      const tokens = await listApiTokens(req.user.id);
+
+      res.status(200).json({
+        success: true,
+        data: { tokens },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async createApiToken(req, res, next) {
+    try {
+      const validatedData = createApiTokenSchema.parse(req.body);
+
+      const apiToken = await createApiToken(req.user.id, validatedData, {
+        mfa: req.user.mfa,
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'API key criada. Guarde o token: ele não será exibido novamente',
+        data: apiToken,
+      });
+    } catch (error) {
+      if (error.name === 'ZodError') {
+        return next(
+          new AppError(
+            'Dados de entrada inválidos',
+            400,
+            'VALIDATION_ERROR',
+            error.errors
+          )
+        );
+      }
+      next(error);
+    }
+  }
+
+  async revokeApiToken(req, res, next) {
+    try {
+      const { id } = apiTokenIdParamSchema.parse(req.params);
+
+      await revokeApiToken(req.user.id, id);
+
+      res.status(200).json({
+        success: true,
+        message: 'API key revogada com sucesso',
+      });
+    } catch (error) {
+      if (error.name === 'ZodError') {
+        return next(
+          new AppError(
+            'Dados de entrada inválidos',
+            400,
+            'VALIDATION_ERROR',
+            error.errors
+          )
+        );
+      }
+      next(error);
+    }
+  }
+
+  async forgotPassword(req, res, next) {
+    try {
+      const { email } = forgotPasswordSchema.parse(req.body);
+
+      await authService.forgotPassword(email);
+
+      // Resposta sempre igual, exista ou não a conta
+      res.status(200).json({
+        success: true,
+        message:
+          'Se o email estiver cadastrado, você receberá um link para redefinir a senha',
+      });
+    } catch (error) {
+      if (error.name === 'ZodError') {
+        return next(
+          new AppError(
+            'Dados de entrada inválidos',
+            400,
+            'VALIDATION_ERROR',
+            error.errors
+          )
+        );
+      }
+      next(error);
+    }
+  }
+
+  async resetPassword(req, res, next) {
+    try {
+      const { token, senha } = resetPasswordSchema.parse(req.body);
+
+      await authService.resetPassword(token, senha);
+
+      res.status(200).json({
+        success: true,
+        message: 'Senha redefinida com sucesso. Faça login com a nova senha',
+      });
+    } catch (error) {
+      if (error.name === 'ZodError') {
+        return next(
+          new AppError(
+            'Dados de entrada inválidos',
+            400,
+            'VALIDATION_ERROR',
+            error.errors
+          )
+        );
+      }
+      next(error);
+    }
+  }
+
+  async verifyEmail(req, res, next) {
+    try {
+      const { token } = verifyEmailSchema.parse(req.query);
+
+      const user = await authService.verifyEmail(token);
+
+      res.status(200).json({
+        success: true,
+        message: 'Email verificado com sucesso',
+        data: { user },
+      });
+    } catch (error) {
+      if (error.name === 'ZodError') {
+        return next(
+          new AppError(
+            'Dados de entrada inválidos',
+            400,
+            'VALIDATION_ERROR',
+            error.errors
+          )
+        );
+      }
+      next(error);
+    }
+  }
+
+  async resendVerification(req, res, next) {
+    try {
+      await authService.resendVerification(req.user.id);
+
+      res.status(200).json({
+        success: true,
+        message: 'Link de confirmação reenviado para o seu email',
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async twoFactorLogin(req, res, next) {
+    try {
+      const { challengeToken, code } = twoFactorLoginSchema.parse(req.body);
+
+      const result = await authService.completeTwoFactorLogin(
+        challengeToken,
+        code,
+        requestContext(req)
+      );
 
       res.status(200).json({
         success: true,
@@ -61,6 +507,106 @@ class AuthController {
     }
   }
 
+  async setupTwoFactor(req, res, next) {
+    try {
+      const result = await authService.setupTwoFactor(req.user.id);
+
+      res.status(200).json({
+        success: true,
+        message:
+          'Cadastre o segredo no aplicativo autenticador e confirme com um código em POST /v2/auth/2fa/verify',
+        data: result,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async verifyTwoFactor(req, res, next) {
+    try {
+      const { code } = twoFactorCodeSchema.parse(req.body);
+
+      const result = await authService.enableTwoFactor(
+        req.user.id,
+        code,
+        requestContext(req)
+      );
+
+      res.status(200).json({
+        success: true,
+        message:
+          'Autenticação em dois fatores ativada. Guarde os códigos de recuperação em local seguro',
+        data: result,
+      });
+    } catch (error) {
+      if (error.name === 'ZodError') {
+        return next(
+          new AppError(
+            'Dados de entrada inválidos',
+            400,
+            'VALIDATION_ERROR',
+            error.errors
+          )
+        );
+      }
+      next(error);
+    }
+  }
+
+  async disableTwoFactor(req, res, next) {
+    try {
+      const { code } = twoFactorCodeSchema.parse(req.body);
+
+      await authService.disableTwoFactor(req.user.id, code);
+
+      res.status(200).json({
+        success: true,
+        message: 'Autenticação em dois fatores desativada',
+      });
+    } catch (error) {
+      if (error.name === 'ZodError') {
+        return next(
+          new AppError(
+            'Dados de entrada inválidos',
+            400,
+            'VALIDATION_ERROR',
+            error.errors
+          )
+        );
+      }
+      next(error);
+    }
+  }
+
+  async regenerateBackupCodes(req, res, next) {
+    try {
+      const { code } = twoFactorCodeSchema.parse(req.body);
+
+      const backupCodes = await authService.regenerateBackupCodes(
+        req.user.id,
+        code
+      );
+
+      res.status(200).json({
+        success: true,
+        message: 'Novos códigos de recuperação gerados',
+        data: { backupCodes },
+      });
+    } catch (error) {
+      if (error.name === 'ZodError') {
+        return next(
+          new AppError(
+            'Dados de entrada inválidos',
+            400,
+            'VALIDATION_ERROR',
+            error.errors
+          )
+        );
+      }
+      next(error);
+    }
+  }
+
   async me(req, res, next) {
     try {
       // O middleware de autenticação já populou req.user
@@ -68,9 +614,73 @@ class AuthController {
 
       res.status(200).json({
         success: true,
+        data: {
+          user,
+          // Em personificação, quem realmente está agindo
+          ...(req.user.actor && { impersonatedBy: req.user.actor }),
+        },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+  async updateMe(req, res, next) {
+    try {
+      const validatedData = updateProfileSchema.parse(req.body);
+
+      const user = await authService.updateProfile(req.user.id, validatedData);
+
+      res.status(200).json({
+        success: true,
+        message: 'Perfil atualizado com sucesso',
         data: { user },
       });
     } catch (error) {
+      if (error.name === 'ZodError') {
+        return next(
+          new AppError(
+            'Dados de entrada inválidos',
+            400,
+            'VALIDATION_ERROR',
+            error.errors
+          )
+        );
+      }
+      next(error);
+    }
+  }
+
+  async changePassword(req, res, next) {
+    try {
+      const { senhaAtual, novaSenha } = changePasswordSchema.parse(req.body);
+
+      const tokens = await authService.changePassword(
+        req.user.id,
+        senhaAtual,
+        novaSenha,
+        {
+          tokenPayload: req.tokenPayload,
+          mfa: req.user.mfa,
+          context: requestContext(req),
+        }
+      );
+
+      res.status(200).json({
+        success: true,
+        message: 'Senha alterada com sucesso. As demais sessões foram encerradas',
+        data: tokens,
+      });
+    } catch (error) {
+      if (error.name === 'ZodError') {
+        return next(
+          new AppError(
+            'Dados de entrada inválidos',
+            400,
+            'VALIDATION_ERROR',
+            error.errors
+          )
+        );
+      }
       next(error);
     }
   }
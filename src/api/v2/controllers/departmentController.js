@@ -0,0 +1,122 @@
+// src/api/v2/controllers/departmentController.js
+import * as departmentService from '../services/departmentService.js';
+
+/**
+ * Department Controller v2
+ * Gerenciamento de departamentos e consulta dos seus membros
+ */
+
+/**
+ * GET /v2/departments
+ * Lista os departamentos
+ */
+export const getAll = async (req, res, next) => {
+  try {
+    const departamentos = await departmentService.listDepartments();
+
+    res.status(200).json({
+      success: true,
+      data: departamentos,
+      total: departamentos.length,
+      version: 'v2',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * GET /v2/departments/:id
+ * Busca um departamento
+ */
+export const getById = async (req, res, next) => {
+  try {
+    const departamento = await departmentService.getDepartment(req.params.id);
+
+    res.status(200).json({
+      success: true,
+      data: departamento,
+      version: 'v2',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * GET /v2/departments/:id/users
+ * Lista os usuários do departamento
+ */
+export const getUsers = async (req, res, next) => {
+  try {
+    const usuarios = await departmentService.listDepartmentUsers(req.params.id);
+
+    res.status(200).json({
+      success: true,
+      data: usuarios,
+      total: usuarios.length,
+      version: 'v2',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * POST /v2/departments
+ * Cria um departamento
+ */
+export const create = async (req, res, next) => {
+  try {
+    const departamento = await departmentService.createDepartment(req.body);
+
+    res.status(201).json({
+      success: true,
+      message: 'Departamento criado com sucesso',
+      data: departamento,
+      version: 'v2',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * PATCH /v2/departments/:id
+ * Altera nome ou descrição de um departamento
+ */
+export const update = async (req, res, next) => {
+  try {
+    const departamento = await departmentService.updateDepartment(
+      req.params.id,
+      req.body,
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Departamento atualizado com sucesso',
+      data: departamento,
+      version: 'v2',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * DELETE /v2/departments/:id
+ * Remove um departamento (os membros ficam sem departamento)
+ */
+export const remove = async (req, res, next) => {
+  try {
+    await departmentService.deleteDepartment(req.params.id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Departamento removido com sucesso',
+      version: 'v2',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,68 @@
+// src/api/v2/controllers/inviteController.js
+import * as invitationService from '../services/invitationService.js';
+
+/**
+ * Invite Controller v2
+ * Gerenciamento de convites pelos administradores
+ */
+
+/**
+ * POST /v2/invites
+ * Cria um convite e envia o link por email
+ */
+export const create = async (req, res, next) => {
+  try {
+    const convite = await invitationService.createInvitation(
+      req.body,
+      req.user,
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'Convite enviado com sucesso',
+      data: convite,
+      version: 'v2',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * GET /v2/invites
+ * Lista convites pendentes
+ */
+export const getPending = async (req, res, next) => {
+  try {
+    const convites = await invitationService.listPendingInvitations();
+
+    res.status(200).json({
+      success: true,
+      data: convites,
+      total: convites.length,
+      version: 'v2',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * DELETE /v2/invites/:id
+ * Revoga um convite pendente
+ */
+export const revoke = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const convite = await invitationService.revokeInvitation(id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Convite revogado com sucesso',
+      data: convite,
+      version: 'v2',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,119 @@
+// src/api/v2/controllers/roleController.js
+import * as roleService from '../services/roleService.js';
+
+/**
+ * Role Controller v2
+ * Gerenciamento de papéis e permissões (RBAC)
+ */
+
+/**
+ * GET /v2/roles
+ * Lista os papéis com suas permissões
+ */
+export const getAll = async (req, res, next) => {
+  try {
+    const papeis = await roleService.listRoles();
+
+    res.status(200).json({
+      success: true,
+      data: papeis,
+      total: papeis.length,
+      version: 'v2',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * GET /v2/roles/permissions
+ * Lista o catálogo de permissões
+ */
+export const getPermissions = async (req, res, next) => {
+  try {
+    const permissoes = await roleService.listPermissions();
+
+    res.status(200).json({
+      success: true,
+      data: permissoes,
+      total: permissoes.length,
+      version: 'v2',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * GET /v2/roles/:id
+ * Busca um papel
+ */
+export const getById = async (req, res, next) => {
+  try {
+    const papel = await roleService.getRole(req.params.id);
+
+    res.status(200).json({
+      success: true,
+      data: papel,
+      version: 'v2',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * POST /v2/roles
+ * Cria um papel
+ */
+export const create = async (req, res, next) => {
+  try {
+    const papel = await roleService.createRole(req.body);
+
+    res.status(201).json({
+      success: true,
+      message: 'Papel criado com sucesso',
+      data: papel,
+      version: 'v2',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * PATCH /v2/roles/:id
+ * Altera nome, descrição ou permissões de um papel
+ */
+export const update = async (req, res, next) => {
+  try {
+    const papel = await roleService.updateRole(req.params.id, req.body);
+
+    res.status(200).json({
+      success: true,
+      message: 'Papel atualizado com sucesso',
+      data: papel,
+      version: 'v2',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * DELETE /v2/roles/:id
+ * Remove um papel sem usuários
+ */
+export const remove = async (req, res, next) => {
+  try {
+    await roleService.deleteRole(req.params.id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Papel removido com sucesso',
+      version: 'v2',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
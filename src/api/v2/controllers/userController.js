@@ -1,5 +1,18 @@
 // src/api/v2/controllers/userController.js
 import * as userService from '../services/userService.js';
+import * as sessionService from '../services/sessionService.js';
+import * as userTrashService from '../services/userTrashService.js';
+import * as userStatusService from '../services/userStatusService.js';
+import { listImpersonationLogs } from '../services/impersonationService.js';
+import {
+  assignRole as assignUserRole,
+  hasPermission,
+} from '../services/roleService.js';
+import { ForbiddenError } from '../../../errors/AppError.js';
+import {
+  setCursorHeaders,
+  setPaginationHeaders,
+} from '../../../utils/pagination.js';
 
 /**
  * User Controller v2
@@ -8,16 +21,40 @@ import * as userService from '../services/userService.js';
 
 /**
  * GET /v2/users
- * Lista todos os usuários (formato v2)
+ * Lista usuários com filtros, ordenação e paginação (formato v2)
+ * - page/per_page: headers X-Total-Count, X-Page, X-Per-Page,
+ *   X-Total-Pages e Link
+ * - cursor/limit: next_cursor e prev_cursor no corpo e header Link
+ * - q: busca por nome/email sem acentos, com rank e highlight por usuário
  */
 export const getAll = async (req, res, next) => {
   try {
-    const usuarios = await userService.getAllUsers();
+    if (req.query.mode === 'cursor') {
+      const { usuarios, nextCursor, prevCursor } =
+        await userService.listUsersByCursor(req.query);
+
+      setCursorHeaders(req, res, { nextCursor, prevCursor });
+
+      return res.status(200).json({
+        success: true,
+        data: usuarios,
+        next_cursor: nextCursor,
+        prev_cursor: prevCursor,
+        version: 'v2',
+      });
+    }
+
+    const { page, per_page: perPage } = req.query;
+    const { usuarios, total } = req.query.q
+      ? await userService.searchUsers(req.query)
+      : await userService.getAllUsers(req.query);
+
+    setPaginationHeaders(req, res, { page, perPage, total });
 
     res.status(200).json({
       success: true,
       data: usuarios,
-      total: usuarios.length,
+      total,
       version: 'v2',
     });
   } catch (error) {
@@ -71,6 +108,32 @@ export const create = async (req, res, next) => {
 export const update = async (req, res, next) => {
   try {
     const { id } = req.params;
+
+    // Papel, departamento e senha exigem permissões próprias (escopo ALL)
+    // nesta rota, inclusive para o próprio usuário, que usa PATCH /v2/auth/me
+    // e POST /v2/auth/me/password. Um coordenador edita os dados cadastrais
+    // dos professores do departamento, mas não os move nem troca a senha.
+    if (
+      req.body.tipo_usuario &&
+      !(await hasPermission(req.user, 'roles.manage'))
+    ) {
+      throw new ForbiddenError(
+        'Alterar tipo_usuario exige a permissão roles.manage',
+      );
+    }
+    if (
+      req.body.departamento_id !== undefined &&
+      !(await hasPermission(req.user, 'departments.manage'))
+    ) {
+      throw new ForbiddenError(
+        'Alterar departamento_id exige a permissão departments.manage',
+      );
+    }
+    if (req.body.senha && !(await hasPermission(req.user, 'users.update'))) {
+      throw new ForbiddenError(
+        'Alterar a senha por esta rota exige a permissão users.update. Para trocar sua senha use POST /v2/auth/me/password',
+      );
+    }
     const usuarioAtualizado = await userService.updateUser(
       id,
       req.body,
@@ -90,7 +153,7 @@ export const update = async (req, res, next) => {
 
 /**
  * DELETE /v2/users/:id
- * Remove um usuário do sistema
+ * Move um usuário para a lixeira
  */
 export const remove = async (req, res, next) => {
   try {
@@ -99,7 +162,7 @@ export const remove = async (req, res, next) => {
 
     res.status(200).json({
       success: true,
-      message: 'Usuário removido com sucesso',
+      message: 'Usuário movido para a lixeira',
       data: usuarioRemovido,
       version: 'v2',
     });
@@ -107,3 +170,181 @@ export const remove = async (req, res, next) => {
     next(error);
   }
 };
+
+/**
+ * GET /v2/users/trash
+ * Lista os usuários na lixeira, com a data da exclusão definitiva
+ */
+export const getTrash = async (req, res, next) => {
+  try {
+    const { page, per_page: perPage } = req.query;
+    const { usuarios, total } = await userTrashService.listDeletedUsers(
+      req.query,
+    );
+
+    setPaginationHeaders(req, res, { page, perPage, total });
+
+    res.status(200).json({
+      success: true,
+      data: usuarios,
+      total,
+      retention_days: userTrashService.getTrashRetentionDays(),
+      version: 'v2',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * POST /v2/users/:id/restore
+ * Restaura um usuário da lixeira
+ */
+export const restore = async (req, res, next) => {
+  try {
+    const usuario = await userTrashService.restoreUser(req.params.id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Usuário restaurado com sucesso',
+      data: usuario,
+      version: 'v2',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * POST /v2/users/:id/suspend
+ * Suspende temporariamente a conta de um usuário
+ */
+export const suspend = async (req, res, next) => {
+  try {
+    const usuario = await userStatusService.suspendUser(
+      req.params.id,
+      req.user,
+      req.body.motivo,
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Conta suspensa com sucesso',
+      data: usuario,
+      version: 'v2',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * POST /v2/users/:id/reactivate
+ * Reativa a conta de um usuário suspenso ou desativado
+ */
+export const reactivate = async (req, res, next) => {
+  try {
+    const usuario = await userStatusService.reactivateUser(
+      req.params.id,
+      req.user,
+      req.body.motivo,
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Conta reativada com sucesso',
+      data: usuario,
+      version: 'v2',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * PUT /v2/users/:id/role
+ * Atribui um papel ao usuário
+ */
+export const assignRole = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const usuario = await assignUserRole(id, req.body.papel);
+
+    res.status(200).json({
+      success: true,
+      message: 'Papel atribuído com sucesso',
+      data: usuario,
+      version: 'v2',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * GET /v2/users/:id/sessions
+ * Lista as sessões ativas de um usuário (apenas ADMIN)
+ */
+export const getSessions = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    // Garante 404 para usuário inexistente
+    await userService.getUserById(id);
+
+    const sessoes = await sessionService.listSessions(id, req.user.sessionId);
+
+    res.status(200).json({
+      success: true,
+      data: sessoes,
+      total: sessoes.length,
+      version: 'v2',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * GET /v2/users/:id/impersonations
+ * Log de personificação do usuário, como ator ou alvo (apenas ADMIN)
+ */
+export const getImpersonations = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    // Garante 404 para usuário inexistente
+    await userService.getUserById(id);
+
+    const registros = await listImpersonationLogs(id);
+
+    res.status(200).json({
+      success: true,
+      data: registros,
+      total: registros.length,
+      version: 'v2',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * DELETE /v2/users/:id/sessions/:sessionId
+ * Encerra uma sessão de um usuário (apenas ADMIN)
+ */
+export const revokeSession = async (req, res, next) => {
+  try {
+    const { id, sessionId } = req.params;
+
+    await sessionService.revokeSession(id, sessionId);
+
+    res.status(200).json({
+      success: true,
+      message: 'Sessão encerrada com sucesso',
+      version: 'v2',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
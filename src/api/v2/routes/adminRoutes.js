@@ -0,0 +1,126 @@
+// src/api/v2/routes/adminRoutes.js
+import express from 'express';
+import * as auditController from '../controllers/auditController.js';
+import validate from '../../../middlewares/validate.js';
+import authMiddleware from '../../../middlewares/auth.js';
+import {
+  requirePermission,
+  requireScope,
+} from '../../../middlewares/authorize.js';
+import {
+  authzAuditQuerySchema,
+  securityAlertQuerySchema,
+} from '../schemas/auditSchema.js';
+
+const router = express.Router();
+
+// ============================================
+// ROTAS ADMINISTRATIVAS (permissão audit.read)
+// ============================================
+
+router.use(authMiddleware, requireScope('users:read'), requirePermission('audit.read'));
+
+/**
+ * @swagger
+ * /v2/admin/audit/authz:
+ *   get:
+ *     summary: Lista decisões de autorização (permissão audit.read)
+ *     description: |
+ *       Cada decisão dos middlewares de autorização, permitida ou negada,
+ *       com usuário, papel, recurso, ação exigida, motivo, IP e request ID
+ *       (header X-Request-Id). Mais recentes primeiro.
+ *     tags:
+ *       - Auditoria
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: userId
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: outcome
+ *         schema:
+ *           type: string
+ *           enum: [ALLOW, DENY]
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 100
+ *           maximum: 500
+ *     responses:
+ *       200:
+ *         description: Decisões de autorização
+ *       400:
+ *         description: Filtros inválidos
+ *       401:
+ *         description: Não autenticado
+ *       403:
+ *         description: Sem a permissão audit.read
+ */
+router.get(
+  '/audit/authz',
+  validate(authzAuditQuerySchema, 'query'),
+  auditController.getAuthzDecisions,
+);
+
+/**
+ * @swagger
+ * /v2/admin/audit/alerts:
+ *   get:
+ *     summary: Lista alertas de segurança (permissão audit.read)
+ *     description: |
+ *       Alertas gerados automaticamente, como REPEATED_AUTHZ_DENIALS
+ *       (negações de acesso repetidas de uma conta; ver
+ *       AUTHZ_DENIAL_ALERT_THRESHOLD). Mais recentes primeiro.
+ *     tags:
+ *       - Auditoria
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: userId
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 100
+ *           maximum: 500
+ *     responses:
+ *       200:
+ *         description: Alertas de segurança
+ *       400:
+ *         description: Filtros inválidos
+ *       403:
+ *         description: Sem a permissão audit.read
+ */
+router.get(
+  '/audit/alerts',
+  validate(securityAlertQuerySchema, 'query'),
+  auditController.getSecurityAlerts,
+);
+
+export default router;
@@ -1,9 +1,22 @@
 import { Router } from "express";
 import authController from "../controllers/authController.js";
 import authMiddleware from "../../../middlewares/auth.js";
+import {
+  denyApiTokens,
+  denyImpersonation,
+  requirePermission,
+} from "../../../middlewares/authorize.js";
+import { requireVerifiedEmail } from "../../../middlewares/emailVerified.js";
 
 const router = Router();
 
+// Rotas da própria conta exigem login com usuário e senha (JWT);
+// API keys só são aceitas em GET /me
+const sessionAuth = [authMiddleware, denyApiTokens];
+
+// Ações sensíveis da conta também são recusadas durante a personificação
+const accountAuth = [...sessionAuth, denyImpersonation];
+
 /**
  * @swagger
  * components:
@@ -33,12 +46,11 @@ const router = Router();
  *         senha:
  *           type: string
  *           format: password
- *           minLength: 6
+ *           minLength: 8
+ *           description: |
+ *             Política de senhas (PASSWORD_*): mínimo 8 caracteres, com
+ *             maiúscula, minúscula e número, fora da lista de senhas comuns
  *           example: "Senha123"
- *         papel:
- *           type: string
- *           enum: [PROFESSOR, ADMIN]
- *           default: PROFESSOR
  *         telefone:
  *           type: string
  *           example: "(11) 98765-4321"
@@ -58,6 +70,16 @@ const router = Router();
  *           format: password
  *           example: "Senha123"
  *
+ *     TwoFactorCodeRequest:
+ *       type: object
+ *       required:
+ *         - code
+ *       properties:
+ *         code:
+ *           type: string
+ *           description: Código TOTP de 6 dígitos ou código de recuperação
+ *           example: "123456"
+ *
  *     AuthResponse:
  *       type: object
  *       properties:
@@ -81,6 +103,18 @@ const router = Router();
  *             token:
  *               type: string
  *               description: JWT token para autenticação
+ *             refreshToken:
+ *               type: string
+ *               description: Token de longa duração para obter novos access tokens
+ *
+ *     RefreshRequest:
+ *       type: object
+ *       required:
+ *         - refreshToken
+ *       properties:
+ *         refreshToken:
+ *           type: string
+ *           description: Refresh token recebido no login, registro ou última renovação
  */
 
 /**
@@ -88,7 +122,9 @@ const router = Router();
  * /v2/auth/register:
  *   post:
  *     summary: Registra um novo usuário
- *     description: Cria uma nova conta de usuário e retorna um token JWT
+ *     description: |
+ *       Cria uma nova conta de PROFESSOR e retorna um token JWT.
+ *       Contas ADMIN só podem ser criadas por convite (POST /v2/auth/accept-invite).
  *     tags:
  *       - Autenticação
  *     security: []
@@ -112,12 +148,72 @@ const router = Router();
  */
 router.post("/register", authController.register.bind(authController));
 
+/**
+ * @swagger
+ * /v2/auth/accept-invite:
+ *   post:
+ *     summary: Aceita um convite e cria a conta
+ *     description: |
+ *       Cria a conta usando o token recebido por email. Email e papel
+ *       são definidos pelo convite. Retorna os tokens como no registro.
+ *     tags:
+ *       - Autenticação
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *               - primeiro_nome
+ *               - sobrenome
+ *               - senha
+ *             properties:
+ *               token:
+ *                 type: string
+ *               primeiro_nome:
+ *                 type: string
+ *                 example: "Maria"
+ *               sobrenome:
+ *                 type: string
+ *                 example: "Souza"
+ *               senha:
+ *                 type: string
+ *                 format: password
+ *                 example: "Senha123"
+ *               telefone:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Conta criada com sucesso
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AuthResponse'
+ *       400:
+ *         description: Dados inválidos ou convite inválido/expirado
+ *       409:
+ *         description: Email já está em uso
+ */
+router.post(
+  "/accept-invite",
+  authController.acceptInvite.bind(authController)
+);
+
 /**
  * @swagger
  * /v2/auth/login:
  *   post:
  *     summary: Realiza login do usuário
- *     description: Autentica o usuário e retorna um token JWT
+ *     description: |
+ *       Autentica o usuário e retorna um token JWT.
+ *       A senha é conferida pelos provedores de AUTH_PROVIDERS, em ordem
+ *       (senha local e/ou diretório LDAP); contas do LDAP são criadas
+ *       como PROFESSOR no primeiro login.
+ *       Falhas consecutivas bloqueiam temporariamente a conta e o IP,
+ *       com tempo de bloqueio crescente a cada nova falha.
  *     tags:
  *       - Autenticação
  *     security: []
@@ -136,9 +232,706 @@ router.post("/register", authController.register.bind(authController));
  *               $ref: '#/components/schemas/AuthResponse'
  *       401:
  *         description: Credenciais inválidas
+ *       429:
+ *         description: Muitas tentativas com falha (conta ou IP bloqueados)
+ *         headers:
+ *           Retry-After:
+ *             description: Segundos até poder tentar novamente
+ *             schema:
+ *               type: integer
+ *       503:
+ *         description: Provedor de autenticação (LDAP) indisponível
  */
 router.post("/login", authController.login.bind(authController));
 
+/**
+ * @swagger
+ * /v2/auth/oidc/{provider}/login:
+ *   get:
+ *     summary: Inicia login com provedor de identidade (OIDC)
+ *     description: |
+ *       Redireciona para o provedor configurado (authorization code + PKCE).
+ *       Provedores são definidos em OIDC_PROVIDERS e OIDC_<NOME>_*.
+ *     tags:
+ *       - Autenticação
+ *     security: []
+ *     parameters:
+ *       - in: path
+ *         name: provider
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: institucional
+ *     responses:
+ *       302:
+ *         description: Redirecionamento para o provedor
+ *       404:
+ *         description: Provedor não configurado
+ *       502:
+ *         description: Provedor indisponível
+ */
+router.get(
+  "/oidc/:provider/login",
+  authController.oidcLogin.bind(authController)
+);
+
+/**
+ * @swagger
+ * /v2/auth/oidc/{provider}/callback:
+ *   get:
+ *     summary: Conclui login com provedor de identidade (OIDC)
+ *     description: |
+ *       Recebe o retorno do provedor, valida o ID token e retorna os
+ *       mesmos dados do login com senha. Se não houver conta com o email
+ *       (verificado pelo provedor), uma conta PROFESSOR é criada.
+ *     tags:
+ *       - Autenticação
+ *     security: []
+ *     parameters:
+ *       - in: path
+ *         name: provider
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: code
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: state
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Login realizado com sucesso
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AuthResponse'
+ *       401:
+ *         description: Login recusado, expirado ou ID token inválido
+ *       403:
+ *         description: Provedor não informou email verificado
+ *       404:
+ *         description: Provedor não configurado
+ */
+router.get(
+  "/oidc/:provider/callback",
+  authController.oidcCallback.bind(authController)
+);
+
+/**
+ * @swagger
+ * /v2/auth/refresh:
+ *   post:
+ *     summary: Renova o access token
+ *     description: |
+ *       Troca um refresh token válido por um novo par access/refresh token.
+ *       O refresh token usado é invalidado (rotação). Se um token já usado
+ *       for reapresentado, todos os tokens daquela sessão são revogados.
+ *     tags:
+ *       - Autenticação
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/RefreshRequest'
+ *     responses:
+ *       200:
+ *         description: Tokens renovados com sucesso
+ *       400:
+ *         description: Dados inválidos
+ *       401:
+ *         description: Refresh token inválido, expirado ou reutilizado
+ */
+router.post("/refresh", authController.refresh.bind(authController));
+
+/**
+ * @swagger
+ * /v2/auth/logout:
+ *   post:
+ *     summary: Encerra a sessão atual
+ *     description: |
+ *       Revoga o access token usado na requisição. Se o refresh token
+ *       da sessão for enviado, ele também é revogado.
+ *       **Requer autenticação**.
+ *     tags:
+ *       - Autenticação
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Logout realizado com sucesso
+ *       401:
+ *         description: Token inválido ou não fornecido
+ */
+router.post(
+  "/logout",
+  sessionAuth,
+  authController.logout.bind(authController)
+);
+
+/**
+ * @swagger
+ * /v2/auth/logout-all:
+ *   post:
+ *     summary: Encerra todas as sessões do usuário
+ *     description: |
+ *       Revoga todos os access tokens e refresh tokens já emitidos para o
+ *       usuário autenticado, em todos os dispositivos.
+ *       **Requer autenticação**.
+ *     tags:
+ *       - Autenticação
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Todas as sessões foram encerradas
+ *       401:
+ *         description: Token inválido ou não fornecido
+ */
+router.post(
+  "/logout-all",
+  accountAuth,
+  authController.logoutAll.bind(authController)
+);
+
+/**
+ * @swagger
+ * /v2/auth/impersonate/{userId}:
+ *   post:
+ *     summary: Acessa a API como outro usuário (suporte)
+ *     description: |
+ *       Emite um token de curta duração (IMPERSONATION_EXPIRES_IN, padrão
+ *       15 minutos) com o `sub` do usuário e o claim `act` identificando o
+ *       administrador. Não há refresh token; encerre antes do prazo com
+ *       POST /v2/auth/logout usando o próprio token.
+ *
+ *       Durante a personificação, ações sensíveis da conta (senha, 2FA,
+ *       sessões, API keys, perfil) respondem 403 IMPERSONATION_NOT_ALLOWED.
+ *       A emissão e cada requisição feita com o token ficam no log de
+ *       auditoria. Administradores não podem ser personificados.
+ *       **Requer a permissão `users.impersonate`**.
+ *     tags:
+ *       - Autenticação
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Token de personificação emitido
+ *       400:
+ *         description: ID inválido ou tentativa de personificar a si mesmo
+ *       401:
+ *         description: Token inválido ou não fornecido
+ *       403:
+ *         description: Sem a permissão, alvo é ADMIN ou tem permissões que você não tem, ou já está personificando
+ *       404:
+ *         description: Usuário não encontrado
+ */
+router.post(
+  "/impersonate/:userId",
+  accountAuth,
+  requirePermission("users.impersonate"),
+  authController.impersonate.bind(authController)
+);
+
+/**
+ * @swagger
+ * /v2/auth/sessions:
+ *   get:
+ *     summary: Lista as sessões ativas do usuário
+ *     description: |
+ *       Retorna um item por login ainda ativo, com user agent, IP,
+ *       criação e último acesso. A sessão da requisição atual vem
+ *       com `current: true`.
+ *       **Requer autenticação**.
+ *     tags:
+ *       - Autenticação
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Lista de sessões
+ *       401:
+ *         description: Token inválido ou não fornecido
+ */
+router.get(
+  "/sessions",
+  accountAuth,
+  authController.listSessions.bind(authController)
+);
+
+/**
+ * @swagger
+ * /v2/auth/sessions/{id}:
+ *   delete:
+ *     summary: Encerra uma sessão do usuário
+ *     description: |
+ *       Revoga os tokens da sessão informada. O dispositivo correspondente
+ *       precisa fazer login novamente.
+ *       **Requer autenticação**.
+ *     tags:
+ *       - Autenticação
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Sessão encerrada
+ *       400:
+ *         description: ID inválido
+ *       401:
+ *         description: Token inválido ou não fornecido
+ *       404:
+ *         description: Sessão não encontrada
+ */
+router.delete(
+  "/sessions/:id",
+  accountAuth,
+  authController.revokeSession.bind(authController)
+);
+
+/**
+ * @swagger
+ * /v2/auth/tokens:
+ *   get:
+ *     summary: Lista as API keys ativas do usuário
+ *     description: |
+ *       Retorna nome, prefixo, escopos, validade e último uso de cada key.
+ *       O valor da key nunca é retornado novamente.
+ *       **Requer login com usuário e senha**.
+ *     tags:
+ *       - Autenticação
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Lista de API keys
+ *       401:
+ *         description: Token inválido ou não fornecido
+ *       403:
+ *         description: Requisição feita com API key
+ *   post:
+ *     summary: Cria uma API key
+ *     description: |
+ *       Gera uma key para scripts e integrações, enviada no header
+ *       `Authorization: Bearer gp_...`. O valor é exibido **apenas nesta
+ *       resposta**. A key age em nome do usuário, limitada aos escopos.
+ *       **Requer login com usuário e senha e email confirmado**.
+ *     tags:
+ *       - Autenticação
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - nome
+ *               - escopos
+ *             properties:
+ *               nome:
+ *                 type: string
+ *                 example: "Relatório noturno"
+ *               escopos:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [users:read, users:write]
+ *               validade_dias:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 365
+ *                 default: 90
+ *     responses:
+ *       201:
+ *         description: API key criada (campo token exibido uma única vez)
+ *       400:
+ *         description: Dados inválidos
+ *       401:
+ *         description: Token inválido ou não fornecido
+ *       403:
+ *         description: Requisição feita com API key ou email não verificado
+ */
+router.get(
+  "/tokens",
+  accountAuth,
+  authController.listApiTokens.bind(authController)
+);
+
+router.post(
+  "/tokens",
+  accountAuth,
+  requireVerifiedEmail,
+  authController.createApiToken.bind(authController)
+);
+
+/**
+ * @swagger
+ * /v2/auth/tokens/{id}:
+ *   delete:
+ *     summary: Revoga uma API key
+ *     tags:
+ *       - Autenticação
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: API key revogada
+ *       401:
+ *         description: Token inválido ou não fornecido
+ *       403:
+ *         description: Requisição feita com API key
+ *       404:
+ *         description: API key não encontrada
+ */
+router.delete(
+  "/tokens/:id",
+  accountAuth,
+  authController.revokeApiToken.bind(authController)
+);
+
+/**
+ * @swagger
+ * /v2/auth/forgot-password:
+ *   post:
+ *     summary: Solicita redefinição de senha
+ *     description: |
+ *       Envia por email um link de uso único para redefinir a senha.
+ *       A resposta é sempre a mesma, exista ou não a conta.
+ *     tags:
+ *       - Autenticação
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *                 example: "joao@escola.com"
+ *     responses:
+ *       200:
+ *         description: Solicitação recebida
+ *       400:
+ *         description: Dados inválidos
+ */
+router.post(
+  "/forgot-password",
+  authController.forgotPassword.bind(authController)
+);
+
+/**
+ * @swagger
+ * /v2/auth/reset-password:
+ *   post:
+ *     summary: Redefine a senha
+ *     description: |
+ *       Define uma nova senha usando o token recebido por email.
+ *       O token só pode ser usado uma vez e todas as sessões abertas são encerradas.
+ *     tags:
+ *       - Autenticação
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *               - senha
+ *             properties:
+ *               token:
+ *                 type: string
+ *               senha:
+ *                 type: string
+ *                 format: password
+ *                 example: "NovaSenha123"
+ *     responses:
+ *       200:
+ *         description: Senha redefinida com sucesso
+ *       400:
+ *         description: Dados inválidos ou token inválido/expirado
+ */
+router.post(
+  "/reset-password",
+  authController.resetPassword.bind(authController)
+);
+
+/**
+ * @swagger
+ * /v2/auth/verify-email:
+ *   get:
+ *     summary: Confirma o email do usuário
+ *     description: Valida o token enviado por email no registro e ativa a conta.
+ *     tags:
+ *       - Autenticação
+ *     security: []
+ *     parameters:
+ *       - in: query
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Email verificado com sucesso
+ *       400:
+ *         description: Token inválido ou expirado
+ */
+router.get("/verify-email", authController.verifyEmail.bind(authController));
+
+/**
+ * @swagger
+ * /v2/auth/resend-verification:
+ *   post:
+ *     summary: Reenvia o link de confirmação de email
+ *     description: |
+ *       Gera um novo link de confirmação (invalidando o anterior) e envia por email.
+ *       **Requer autenticação**.
+ *     tags:
+ *       - Autenticação
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Link reenviado
+ *       401:
+ *         description: Token inválido ou não fornecido
+ *       409:
+ *         description: Email já verificado
+ */
+router.post(
+  "/resend-verification",
+  accountAuth,
+  authController.resendVerification.bind(authController)
+);
+
+/**
+ * @swagger
+ * /v2/auth/2fa/login:
+ *   post:
+ *     summary: Conclui o login com o segundo fator
+ *     description: |
+ *       Quando o usuário tem 2FA ativo, POST /v2/auth/login retorna
+ *       `twoFactorRequired: true` e um `challengeToken` (válido por 5 minutos).
+ *       Envie-o com o código do aplicativo ou um código de recuperação
+ *       para receber os tokens de acesso.
+ *     tags:
+ *       - Autenticação
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - challengeToken
+ *               - code
+ *             properties:
+ *               challengeToken:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *                 example: "123456"
+ *     responses:
+ *       200:
+ *         description: Login realizado com sucesso
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AuthResponse'
+ *       401:
+ *         description: Código ou desafio inválido
+ *       429:
+ *         description: Muitas tentativas com falha
+ */
+router.post(
+  "/2fa/login",
+  authController.twoFactorLogin.bind(authController)
+);
+
+/**
+ * @swagger
+ * /v2/auth/2fa/setup:
+ *   post:
+ *     summary: Inicia a ativação da autenticação em dois fatores
+ *     description: |
+ *       Gera um segredo TOTP e a URI otpauth:// para cadastro no aplicativo
+ *       autenticador (QR code). O 2FA só passa a valer após POST /v2/auth/2fa/verify.
+ *       **Requer autenticação**.
+ *     tags:
+ *       - Autenticação
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Segredo gerado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     secret:
+ *                       type: string
+ *                       example: "JBSWY3DPEHPK3PXP"
+ *                     otpauthUrl:
+ *                       type: string
+ *                       example: "otpauth://totp/Gerador%20de%20Provas%3Ajoao%40escola.com?secret=JBSWY3DPEHPK3PXP&issuer=Gerador+de+Provas"
+ *       401:
+ *         description: Token inválido ou não fornecido
+ *       409:
+ *         description: 2FA já está ativado
+ */
+router.post(
+  "/2fa/setup",
+  accountAuth,
+  authController.setupTwoFactor.bind(authController)
+);
+
+/**
+ * @swagger
+ * /v2/auth/2fa/verify:
+ *   post:
+ *     summary: Confirma e ativa a autenticação em dois fatores
+ *     description: |
+ *       Ativa o 2FA com um código do aplicativo. Retorna os códigos de
+ *       recuperação (exibidos apenas uma vez) e novos tokens já autenticados
+ *       com segundo fator.
+ *       **Requer autenticação**.
+ *     tags:
+ *       - Autenticação
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/TwoFactorCodeRequest'
+ *     responses:
+ *       200:
+ *         description: 2FA ativado
+ *       400:
+ *         description: Nenhuma configuração pendente
+ *       401:
+ *         description: Código inválido
+ */
+router.post(
+  "/2fa/verify",
+  accountAuth,
+  authController.verifyTwoFactor.bind(authController)
+);
+
+/**
+ * @swagger
+ * /v2/auth/2fa/backup-codes:
+ *   post:
+ *     summary: Gera novos códigos de recuperação
+ *     description: |
+ *       Substitui os códigos de recuperação por novos. Exige um código válido.
+ *       **Requer autenticação**.
+ *     tags:
+ *       - Autenticação
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/TwoFactorCodeRequest'
+ *     responses:
+ *       200:
+ *         description: Novos códigos gerados
+ *       400:
+ *         description: 2FA não está ativado
+ *       401:
+ *         description: Código inválido
+ */
+router.post(
+  "/2fa/backup-codes",
+  accountAuth,
+  authController.regenerateBackupCodes.bind(authController)
+);
+
+/**
+ * @swagger
+ * /v2/auth/2fa/disable:
+ *   post:
+ *     summary: Desativa a autenticação em dois fatores
+ *     description: |
+ *       Remove o segredo TOTP e os códigos de recuperação. Exige um código válido.
+ *       **Requer autenticação**.
+ *     tags:
+ *       - Autenticação
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/TwoFactorCodeRequest'
+ *     responses:
+ *       200:
+ *         description: 2FA desativado
+ *       400:
+ *         description: 2FA não está ativado
+ *       401:
+ *         description: Código inválido
+ */
+router.post(
+  "/2fa/disable",
+  accountAuth,
+  authController.disableTwoFactor.bind(authController)
+);
+
 /**
  * @swagger
  * /v2/auth/me:
@@ -172,4 +965,100 @@ router.post("/login", authController.login.bind(authController));
  */
 router.get("/me", authMiddleware, authController.me.bind(authController));
 
+/**
+ * @swagger
+ * /v2/auth/me:
+ *   patch:
+ *     summary: Atualiza o perfil do usuário autenticado
+ *     description: |
+ *       Altera apenas dados de perfil. Papel, email e senha não podem ser
+ *       alterados por aqui (campos desconhecidos são rejeitados).
+ *       **Requer autenticação e email verificado**.
+ *     tags:
+ *       - Autenticação
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             additionalProperties: false
+ *             properties:
+ *               primeiro_nome:
+ *                 type: string
+ *                 example: "João"
+ *               sobrenome:
+ *                 type: string
+ *                 example: "Silva"
+ *               telefone:
+ *                 type: string
+ *                 nullable: true
+ *                 example: "(11) 98765-4321"
+ *               foto:
+ *                 type: string
+ *                 format: uri
+ *                 nullable: true
+ *     responses:
+ *       200:
+ *         description: Perfil atualizado
+ *       400:
+ *         description: Dados inválidos ou campo não permitido
+ *       401:
+ *         description: Token inválido ou não fornecido
+ *       403:
+ *         description: Email não verificado
+ */
+router.patch(
+  "/me",
+  accountAuth,
+  requireVerifiedEmail,
+  authController.updateMe.bind(authController)
+);
+
+/**
+ * @swagger
+ * /v2/auth/me/password:
+ *   post:
+ *     summary: Altera a senha do usuário autenticado
+ *     description: |
+ *       Exige a senha atual. A nova senha deve seguir a política de senhas.
+ *       Todas as sessões são encerradas; a resposta traz novos tokens para
+ *       a sessão atual.
+ *       **Requer autenticação**.
+ *     tags:
+ *       - Autenticação
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - senhaAtual
+ *               - novaSenha
+ *             properties:
+ *               senhaAtual:
+ *                 type: string
+ *                 format: password
+ *               novaSenha:
+ *                 type: string
+ *                 format: password
+ *     responses:
+ *       200:
+ *         description: Senha alterada; novos token e refreshToken
+ *       400:
+ *         description: Senha atual incorreta ou nova senha inválida
+ *       401:
+ *         description: Token inválido ou não fornecido
+ */
+router.post(
+  "/me/password",
+  accountAuth,
+  authController.changePassword.bind(authController)
+);
+
 export default router;
\ No newline at end of file
@@ -0,0 +1,212 @@
+// src/api/v2/routes/departmentRoutes.js
+import express from 'express';
+import * as departmentController from '../controllers/departmentController.js';
+import validate from '../../../middlewares/validate.js';
+import authMiddleware from '../../../middlewares/auth.js';
+import {
+  departmentAccessPolicy,
+  requirePermission,
+  requireScope,
+} from '../../../middlewares/authorize.js';
+import { requireVerifiedEmail } from '../../../middlewares/emailVerified.js';
+import {
+  createDepartmentSchema,
+  updateDepartmentSchema,
+} from '../schemas/departmentSchema.js';
+import { idParamSchema } from '../schemas/userSchema.js';
+
+const router = express.Router();
+
+// ============================================
+// ROTAS DE DEPARTAMENTOS (autenticadas)
+// ============================================
+
+router.use(authMiddleware);
+
+/**
+ * @swagger
+ * /v2/departments:
+ *   get:
+ *     summary: Lista os departamentos
+ *     tags:
+ *       - Departamentos
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Departamentos com a quantidade de usuários
+ *       401:
+ *         description: Não autenticado
+ */
+router.get('/', requireScope('users:read'), departmentController.getAll);
+
+/**
+ * @swagger
+ * /v2/departments/{id}:
+ *   get:
+ *     summary: Busca um departamento
+ *     tags:
+ *       - Departamentos
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Departamento
+ *       404:
+ *         description: Departamento não encontrado
+ */
+router.get(
+  '/:id',
+  requireScope('users:read'),
+  validate(idParamSchema, 'params'),
+  departmentController.getById,
+);
+
+/**
+ * @swagger
+ * /v2/departments/{id}/users:
+ *   get:
+ *     summary: Lista os usuários do departamento (permissão users.read)
+ *     description: |
+ *       Com `users.read`, qualquer departamento; com
+ *       `users.read:department` (COORDENADOR), apenas o próprio.
+ *     tags:
+ *       - Departamentos
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Usuários do departamento
+ *       403:
+ *         description: Sem a permissão para este departamento
+ *       404:
+ *         description: Departamento não encontrado
+ */
+router.get(
+  '/:id/users',
+  requireScope('users:read'),       // 🔒 API keys: exige escopo de leitura
+  validate(idParamSchema, 'params'),
+  departmentAccessPolicy('users.read'), // 🔒 users.read ou o próprio departamento
+  departmentController.getUsers,
+);
+
+/**
+ * @swagger
+ * /v2/departments:
+ *   post:
+ *     summary: Cria um departamento (permissão departments.manage)
+ *     description: |
+ *       Usuários entram no departamento pelo campo `departamento_id`
+ *       (POST /v2/users ou PUT /v2/users/{id}).
+ *     tags:
+ *       - Departamentos
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: "Engenharia de Software"
+ *               description:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Departamento criado
+ *       400:
+ *         description: Dados inválidos
+ *       409:
+ *         description: Já existe um departamento com o nome
+ */
+router.post(
+  '/',
+  requireScope('users:write'),      // 🔒 API keys: exige escopo de escrita
+  requirePermission('departments.manage'), // 🔒 Exige a permissão departments.manage
+  requireVerifiedEmail,             // 🔒 Exige email confirmado
+  validate(createDepartmentSchema, 'body'),
+  departmentController.create,
+);
+
+/**
+ * @swagger
+ * /v2/departments/{id}:
+ *   patch:
+ *     summary: Altera um departamento (permissão departments.manage)
+ *     tags:
+ *       - Departamentos
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Departamento atualizado
+ *       404:
+ *         description: Departamento não encontrado
+ *       409:
+ *         description: Já existe um departamento com o nome
+ */
+router.patch(
+  '/:id',
+  requireScope('users:write'),      // 🔒 API keys: exige escopo de escrita
+  requirePermission('departments.manage'), // 🔒 Exige a permissão departments.manage
+  requireVerifiedEmail,             // 🔒 Exige email confirmado
+  validate(idParamSchema, 'params'),
+  validate(updateDepartmentSchema, 'body'),
+  departmentController.update,
+);
+
+/**
+ * @swagger
+ * /v2/departments/{id}:
+ *   delete:
+ *     summary: Remove um departamento (permissão departments.manage)
+ *     description: Os usuários do departamento ficam sem departamento.
+ *     tags:
+ *       - Departamentos
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Departamento removido
+ *       404:
+ *         description: Departamento não encontrado
+ */
+router.delete(
+  '/:id',
+  requireScope('users:write'),      // 🔒 API keys: exige escopo de escrita
+  requirePermission('departments.manage'), // 🔒 Exige a permissão departments.manage
+  requireVerifiedEmail,             // 🔒 Exige email confirmado
+  validate(idParamSchema, 'params'),
+  departmentController.remove,
+);
+
+export default router;
@@ -2,6 +2,10 @@
 import express from "express";
 import userRoutes from "./userRoutes.js";
 import authRoutes from "./authRoutes.js";
+import inviteRoutes from "./inviteRoutes.js";
+import roleRoutes from "./roleRoutes.js";
+import departmentRoutes from "./departmentRoutes.js";
+import adminRoutes from "./adminRoutes.js";
 
 const router = express.Router();
 
@@ -34,7 +38,12 @@ router.get("/", (req, res) => {
     version: "2.0.0",
     endpoints: {
       users: "/v2/users",
+      users_trash: "/v2/users/trash",
       auth: "/v2/auth",
+      invites: "/v2/invites",
+      roles: "/v2/roles",
+      departments: "/v2/departments",
+      admin: "/v2/admin",
     },
     changes: [
       "Campos primeiro_nome e sobrenome separados",
@@ -46,7 +55,25 @@ router.get("/", (req, res) => {
     authentication: {
       login: "POST /v2/auth/login",
       register: "POST /v2/auth/register",
+      refresh: "POST /v2/auth/refresh",
+      logout: "POST /v2/auth/logout",
+      logout_all: "POST /v2/auth/logout-all",
+      sessions: "GET /v2/auth/sessions",
+      revoke_session: "DELETE /v2/auth/sessions/:id",
+      api_tokens: "GET/POST /v2/auth/tokens",
+      revoke_api_token: "DELETE /v2/auth/tokens/:id",
+      forgot_password: "POST /v2/auth/forgot-password",
+      reset_password: "POST /v2/auth/reset-password",
+      verify_email: "GET /v2/auth/verify-email?token=",
+      update_profile: "PATCH /v2/auth/me",
+      change_password: "POST /v2/auth/me/password",
+      accept_invite: "POST /v2/auth/accept-invite",
+      oidc_login: "GET /v2/auth/oidc/:provider/login",
+      two_factor_login: "POST /v2/auth/2fa/login",
+      two_factor_setup: "POST /v2/auth/2fa/setup",
+      impersonate: "POST /v2/auth/impersonate/:userId",
       protected_routes: 'Requer header "Authorization: Bearer <token>"',
+      api_keys: 'Scripts podem usar "Authorization: Bearer gp_..." (limitado aos escopos da key)',
     },
   });
 });
@@ -57,4 +84,16 @@ router.use("/auth", authRoutes);
 // Rotas de usuários (serão parcialmente protegidas)
 router.use("/users", userRoutes);
 
+// Convites (permissão invitations.manage)
+router.use("/invites", inviteRoutes);
+
+// Papéis e permissões (permissão roles.manage)
+router.use("/roles", roleRoutes);
+
+// Departamentos e escopo dos coordenadores
+router.use("/departments", departmentRoutes);
+
+// Administração: auditoria (permissão audit.read)
+router.use("/admin", adminRoutes);
+
 export default router;
\ No newline at end of file
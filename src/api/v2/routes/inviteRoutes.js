@@ -0,0 +1,129 @@
+// src/api/v2/routes/inviteRoutes.js
+import express from 'express';
+import * as inviteController from '../controllers/inviteController.js';
+import validate from '../../../middlewares/validate.js';
+import authMiddleware from '../../../middlewares/auth.js';
+import {
+  requirePermission,
+  requireScope,
+} from '../../../middlewares/authorize.js';
+import { requireVerifiedEmail } from '../../../middlewares/emailVerified.js';
+import { createInvitationSchema } from '../schemas/invitationSchema.js';
+import { idParamSchema } from '../schemas/userSchema.js';
+
+const router = express.Router();
+
+// ============================================
+// ROTAS DE CONVITES (permissão invitations.manage)
+// ============================================
+
+router.use(authMiddleware, requirePermission('invitations.manage'));
+
+/**
+ * @swagger
+ * /v2/invites:
+ *   post:
+ *     summary: Convida um usuário (permissão invitations.manage)
+ *     description: |
+ *       Envia por email um link de uso único para criação de conta
+ *       com o papel informado. Convites pendentes para o mesmo email
+ *       são revogados. O convidado conclui em POST /v2/auth/accept-invite.
+ *
+ *       O papel pode ser qualquer um de GET /v2/roles; papéis diferentes
+ *       de PROFESSOR exigem também a permissão `roles.manage`.
+ *     tags:
+ *       - Convites
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *               - papel
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *               papel:
+ *                 type: string
+ *                 example: PROFESSOR
+ *               validade_dias:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 30
+ *                 default: 7
+ *     responses:
+ *       201:
+ *         description: Convite enviado
+ *       401:
+ *         description: Não autenticado
+ *       400:
+ *         description: Dados inválidos ou papel desconhecido
+ *       403:
+ *         description: Sem a permissão invitations.manage (ou roles.manage para papéis além de PROFESSOR) ou email não verificado
+ *       409:
+ *         description: Já existe conta com o email
+ */
+router.post(
+  '/',
+  requireScope('users:write'),
+  requireVerifiedEmail,
+  validate(createInvitationSchema, 'body'),
+  inviteController.create,
+);
+
+/**
+ * @swagger
+ * /v2/invites:
+ *   get:
+ *     summary: Lista convites pendentes (permissão invitations.manage)
+ *     tags:
+ *       - Convites
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Lista de convites pendentes
+ *       401:
+ *         description: Não autenticado
+ *       403:
+ *         description: Sem a permissão invitations.manage
+ */
+router.get('/', requireScope('users:read'), inviteController.getPending);
+
+/**
+ * @swagger
+ * /v2/invites/{id}:
+ *   delete:
+ *     summary: Revoga um convite pendente (permissão invitations.manage)
+ *     tags:
+ *       - Convites
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Convite revogado
+ *       400:
+ *         description: Convite já aceito ou revogado
+ *       404:
+ *         description: Convite não encontrado
+ */
+router.delete(
+  '/:id',
+  requireScope('users:write'),
+  requireVerifiedEmail,
+  validate(idParamSchema, 'params'),
+  inviteController.revoke,
+);
+
+export default router;
@@ -0,0 +1,216 @@
+// src/api/v2/routes/roleRoutes.js
+import express from 'express';
+import * as roleController from '../controllers/roleController.js';
+import validate from '../../../middlewares/validate.js';
+import authMiddleware from '../../../middlewares/auth.js';
+import {
+  requirePermission,
+  requireScope,
+} from '../../../middlewares/authorize.js';
+import { requireVerifiedEmail } from '../../../middlewares/emailVerified.js';
+import { createRoleSchema, updateRoleSchema } from '../schemas/roleSchema.js';
+import { idParamSchema } from '../schemas/userSchema.js';
+
+const router = express.Router();
+
+// ============================================
+// ROTAS DE PAPÉIS (permissão roles.manage)
+// ============================================
+
+router.use(authMiddleware, requirePermission('roles.manage'));
+
+/**
+ * @swagger
+ * /v2/roles:
+ *   get:
+ *     summary: Lista os papéis e suas permissões (permissão roles.manage)
+ *     tags:
+ *       - Papéis
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Papéis com permissões e quantidade de usuários
+ *       401:
+ *         description: Não autenticado
+ *       403:
+ *         description: Sem a permissão roles.manage
+ */
+router.get('/', requireScope('users:read'), roleController.getAll);
+
+/**
+ * @swagger
+ * /v2/roles/permissions:
+ *   get:
+ *     summary: Lista o catálogo de permissões (permissão roles.manage)
+ *     description: |
+ *       Permissões que podem ser associadas aos papéis
+ *       (ex.: `users.delete`, `exams.publish`).
+ *     tags:
+ *       - Papéis
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Permissões ({ key, description })
+ *       401:
+ *         description: Não autenticado
+ *       403:
+ *         description: Sem a permissão roles.manage
+ */
+router.get(
+  '/permissions',
+  requireScope('users:read'),
+  roleController.getPermissions,
+);
+
+/**
+ * @swagger
+ * /v2/roles/{id}:
+ *   get:
+ *     summary: Busca um papel (permissão roles.manage)
+ *     tags:
+ *       - Papéis
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Papel com permissões
+ *       404:
+ *         description: Papel não encontrado
+ */
+router.get(
+  '/:id',
+  requireScope('users:read'),
+  validate(idParamSchema, 'params'),
+  roleController.getById,
+);
+
+/**
+ * @swagger
+ * /v2/roles:
+ *   post:
+ *     summary: Cria um papel (permissão roles.manage)
+ *     description: |
+ *       O nome é gravado em maiúsculas e passa a ser aceito como papel
+ *       dos usuários (PUT /v2/users/{id}/role).
+ *     tags:
+ *       - Papéis
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: "SECRETARIA"
+ *               description:
+ *                 type: string
+ *               permissions:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: ["users.read", "exams.publish"]
+ *     responses:
+ *       201:
+ *         description: Papel criado
+ *       400:
+ *         description: Dados inválidos ou permissão desconhecida
+ *       409:
+ *         description: Já existe um papel com o nome
+ */
+router.post(
+  '/',
+  requireScope('users:write'),
+  requireVerifiedEmail,
+  validate(createRoleSchema, 'body'),
+  roleController.create,
+);
+
+/**
+ * @swagger
+ * /v2/roles/{id}:
+ *   patch:
+ *     summary: Altera um papel (permissão roles.manage)
+ *     description: |
+ *       `permissions` substitui a lista inteira; o sufixo `:department`
+ *       limita a permissão aos professores do departamento de quem age
+ *       (ex.: `users.update:department`). Papéis de sistema (ADMIN,
+ *       COORDENADOR, PROFESSOR) não podem ser renomeados e as permissões do
+ *       ADMIN não podem ser alteradas. As alterações valem em até
+ *       PERMISSION_CACHE_TTL_SECONDS em outras instâncias da API.
+ *     tags:
+ *       - Papéis
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Papel atualizado
+ *       400:
+ *         description: Dados inválidos, permissão desconhecida ou papel de sistema
+ *       404:
+ *         description: Papel não encontrado
+ *       409:
+ *         description: Já existe um papel com o nome
+ */
+router.patch(
+  '/:id',
+  requireScope('users:write'),
+  requireVerifiedEmail,
+  validate(idParamSchema, 'params'),
+  validate(updateRoleSchema, 'body'),
+  roleController.update,
+);
+
+/**
+ * @swagger
+ * /v2/roles/{id}:
+ *   delete:
+ *     summary: Remove um papel (permissão roles.manage)
+ *     tags:
+ *       - Papéis
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Papel removido
+ *       400:
+ *         description: Papel de sistema
+ *       404:
+ *         description: Papel não encontrado
+ *       409:
+ *         description: Papel ainda atribuído a usuários
+ */
+router.delete(
+  '/:id',
+  requireScope('users:write'),
+  requireVerifiedEmail,
+  validate(idParamSchema, 'params'),
+  roleController.remove,
+);
+
+export default router;
@@ -3,12 +3,23 @@ import express from 'express';
 import * as userController from '../controllers/userController.js';
 import validate from '../../../middlewares/validate.js';
 import authMiddleware from '../../../middlewares/auth.js';
-import authorize, { isAdmin, isOwnerOrAdmin } from '../../../middlewares/authorize.js';
+import {
+  requirePermission,
+  requireScope,
+  userAccessPolicy,
+} from '../../../middlewares/authorize.js';
+import { requireVerifiedEmail } from '../../../middlewares/emailVerified.js';
 import {
   createUserSchema,
   updateUserSchema,
   idParamSchema,
+  listUsersQuerySchema,
+  sessionParamsSchema,
+  trashQuerySchema,
+  suspendUserSchema,
+  reactivateUserSchema,
 } from '../schemas/userSchema.js';
+import { assignRoleSchema } from '../schemas/roleSchema.js';
 import upload from '../../../config/multer.js';
 
 const router = express.Router();
@@ -32,16 +43,138 @@ const router = express.Router();
  * @swagger
  * /v2/users:
  *   get:
- *     summary: Lista todos os usuários (público)
- *     description: Retorna lista de usuários. Rota pública para consulta.
+ *     summary: Lista os usuários (público)
+ *     description: |
+ *       Retorna uma página de usuários. Rota pública para consulta.
+ *       A paginação vem nos headers `X-Total-Count`, `X-Page`,
+ *       `X-Per-Page`, `X-Total-Pages` e `Link` (first, prev, next, last);
+ *       `total` no corpo é o total de usuários que atendem aos filtros.
+ *
+ *       Para exportações longas, use `cursor`/`limit` no lugar de
+ *       `page`/`per_page`: a resposta traz `next_cursor` e `prev_cursor`
+ *       (também no header `Link`), estáveis mesmo com usuários sendo
+ *       criados durante a leitura. Nesse modo, `sort` aceita apenas
+ *       `createdAt` ou `-createdAt` e `total` não é calculado.
+ *
+ *       Com `q`, busca por nome, sobrenome ou email sem diferenciar acentos
+ *       e maiúsculas ("joao" encontra "João"), ordenando pela relevância.
+ *       Cada usuário traz `rank` (0 a 1) e `highlight`, com os campos
+ *       encontrados e os trechos entre `<mark>`. A busca usa `page`/`per_page`.
  *     tags:
  *       - Usuários v2
  *     security: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: per_page
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *       - in: query
+ *         name: cursor
+ *         description: Cursor opaco de next_cursor/prev_cursor
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: limit
+ *         description: Itens por página no modo cursor
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *       - in: query
+ *         name: q
+ *         description: Busca por nome ou email (mínimo de 2 caracteres)
+ *         schema:
+ *           type: string
+ *           example: "joao silva"
+ *       - in: query
+ *         name: sort
+ *         description: |
+ *           Campos separados por vírgula; prefixo `-` para ordem
+ *           decrescente. Aceita id, primeiro_nome, sobrenome, email,
+ *           tipo_usuario e createdAt; com `q`, também rank.
+ *           Padrão: `-createdAt`, ou `-rank` com `q`.
+ *         schema:
+ *           type: string
+ *           example: "sobrenome,primeiro_nome"
+ *       - in: query
+ *         name: tipo_usuario
+ *         schema:
+ *           type: string
+ *           example: "professor"
+ *       - in: query
+ *         name: email_domain
+ *         schema:
+ *           type: string
+ *           example: "escola.com"
+ *       - in: query
+ *         name: created_from
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: created_to
+ *         description: Datas sem horário incluem o dia inteiro
+ *         schema:
+ *           type: string
+ *           format: date
  *     responses:
  *       200:
- *         description: Lista retornada com sucesso
+ *         description: Página retornada com sucesso
+ *       400:
+ *         description: Parâmetros de consulta inválidos
  */
-router.get('/', userController.getAll);
+router.get('/', validate(listUsersQuerySchema, 'query'), userController.getAll);
+
+/**
+ * @swagger
+ * /v2/users/trash:
+ *   get:
+ *     summary: Lista a lixeira de usuários (permissão users.delete)
+ *     description: |
+ *       Usuários removidos, dos mais recentes para os mais antigos, com o
+ *       email original, `deletedAt` e `purgeAt` (exclusão definitiva,
+ *       após `retention_days` dias). Paginação como em GET /v2/users.
+ *       **Requer autenticação e a permissão `users.delete`**.
+ *     tags:
+ *       - Usuários v2
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: per_page
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Página da lixeira
+ *       401:
+ *         description: Não autenticado
+ *       403:
+ *         description: Sem a permissão users.delete
+ */
+// Registrada antes de /:id, que recusaria "trash" como ID
+router.get(
+  '/trash',
+  authMiddleware,          // 🔒 Verifica autenticação
+  requireScope('users:read'),  // 🔒 API keys: exige escopo de leitura
+  requirePermission('users.delete'), // 🔒 Exige a permissão users.delete
+  validate(trashQuerySchema, 'query'),
+  userController.getTrash,
+);
 
 /**
  * @swagger
@@ -74,10 +207,10 @@ router.get('/:id', validate(idParamSchema, 'params'), userController.getById);
  * @swagger
  * /v2/users:
  *   post:
- *     summary: Cria um novo usuário (apenas ADMIN)
+ *     summary: Cria um novo usuário (permissão users.create)
  *     description: |
  *       Cadastra novo usuário no sistema.
- *       **Requer autenticação e papel ADMIN**.
+ *       **Requer autenticação e a permissão `users.create`**.
  *     tags:
  *       - Usuários v2
  *     security:
@@ -94,14 +227,16 @@ router.get('/:id', validate(idParamSchema, 'params'), userController.getById);
  *       401:
  *         description: Não autenticado
  *       403:
- *         description: Sem permissão (não é ADMIN)
+ *         description: Sem a permissão ou email não verificado
  *       409:
  *         description: Email já cadastrado
  */
 router.post(
   '/',
   authMiddleware,         // 🔒 Primeiro: verifica autenticação
-  isAdmin,                // 🔒 Segundo: verifica se é ADMIN
+  requireScope('users:write'), // 🔒 API keys: exige escopo de escrita
+  requirePermission('users.create'), // 🔒 Exige a permissão users.create
+  requireVerifiedEmail,   // 🔒 Terceiro: exige email confirmado
   upload.single('foto'),
   validate(createUserSchema, 'body'),
   userController.create,
@@ -111,11 +246,19 @@ router.post(
  * @swagger
  * /v2/users/{id}:
  *   put:
- *     summary: Atualiza um usuário (próprio ou ADMIN)
+ *     summary: Atualiza um usuário (próprio ou permissão users.update)
  *     description: |
  *       Atualiza dados do usuário.
  *       - Usuários comuns podem atualizar **apenas seu próprio** perfil
- *       - ADMIN pode atualizar **qualquer** usuário
+ *       - Com a permissão `users.update`, **qualquer** usuário
+ *       - Com `users.update:department` (COORDENADOR), os professores do
+ *         próprio departamento
+ *       - `tipo_usuario` exige `roles.manage`, `departamento_id` exige
+ *         `departments.manage` e `senha` exige `users.update` para qualquer
+ *         usuário (o próprio usuário usa PATCH /v2/auth/me e
+ *         POST /v2/auth/me/password)
+ *       - Alterar `tipo_usuario` ou `senha` encerra todas as sessões do
+ *         usuário (tokens emitidos deixam de valer)
  *     tags:
  *       - Usuários v2
  *     security:
@@ -138,15 +281,17 @@ router.post(
  *       401:
  *         description: Não autenticado
  *       403:
- *         description: Sem permissão
+ *         description: Sem permissão ou email não verificado
  *       404:
  *         description: Usuário não encontrado
  */
 router.put(
   '/:id',
   authMiddleware,           // 🔒 Verifica autenticação
+  requireScope('users:write'), // 🔒 API keys: exige escopo de escrita
   validate(idParamSchema, 'params'),
-  isOwnerOrAdmin('id'),     // 🔒 Verifica se é dono do recurso ou ADMIN
+  userAccessPolicy('users.update', { allowOwner: true }), // 🔒 Dono, users.update ou departamento
+  requireVerifiedEmail,     // 🔒 Exige email confirmado
   upload.single('foto'),
   validate(updateUserSchema, 'body'),
   userController.update,
@@ -156,10 +301,15 @@ router.put(
  * @swagger
  * /v2/users/{id}:
  *   delete:
- *     summary: Remove um usuário (apenas ADMIN)
+ *     summary: Move um usuário para a lixeira (permissão users.delete)
  *     description: |
- *       Deleta permanentemente um usuário.
- *       **Requer autenticação e papel ADMIN**.
+ *       O usuário some das listagens, perde as sessões e API keys e o
+ *       email fica livre para um novo cadastro. Pode ser restaurado em
+ *       POST /v2/users/{id}/restore até a exclusão definitiva, após
+ *       USER_TRASH_RETENTION_DAYS dias.
+ *       **Requer autenticação e a permissão `users.delete`** (com
+ *       `users.delete:department`, apenas professores do próprio
+ *       departamento).
  *     tags:
  *       - Usuários v2
  *     security:
@@ -172,20 +322,345 @@ router.put(
  *           type: integer
  *     responses:
  *       200:
- *         description: Usuário removido
+ *         description: Usuário movido para a lixeira
  *       401:
  *         description: Não autenticado
  *       403:
- *         description: Sem permissão (não é ADMIN)
+ *         description: Sem a permissão ou email não verificado
  *       404:
  *         description: Usuário não encontrado
  */
 router.delete(
   '/:id',
   authMiddleware,          // 🔒 Verifica autenticação
-  isAdmin,                 // 🔒 Verifica se é ADMIN
+  requireScope('users:write'), // 🔒 API keys: exige escopo de escrita
   validate(idParamSchema, 'params'),
+  userAccessPolicy('users.delete'), // 🔒 users.delete ou departamento
+  requireVerifiedEmail,    // 🔒 Exige email confirmado
   userController.remove,
 );
 
+/**
+ * @swagger
+ * /v2/users/{id}/restore:
+ *   post:
+ *     summary: Restaura um usuário da lixeira (permissão users.delete)
+ *     description: |
+ *       Devolve o usuário às listagens com o email original. Sessões e
+ *       API keys revogadas na remoção continuam revogadas.
+ *       **Requer autenticação e a permissão `users.delete`** (com
+ *       `users.delete:department`, apenas professores do próprio
+ *       departamento).
+ *     tags:
+ *       - Usuários v2
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Usuário restaurado
+ *       401:
+ *         description: Não autenticado
+ *       403:
+ *         description: Sem a permissão ou email não verificado
+ *       404:
+ *         description: Usuário não está na lixeira
+ *       409:
+ *         description: O email foi cadastrado por outro usuário
+ */
+router.post(
+  '/:id/restore',
+  authMiddleware,          // 🔒 Verifica autenticação
+  requireScope('users:write'), // 🔒 API keys: exige escopo de escrita
+  validate(idParamSchema, 'params'),
+  userAccessPolicy('users.delete'), // 🔒 users.delete ou departamento
+  requireVerifiedEmail,    // 🔒 Exige email confirmado
+  userController.restore,
+);
+
+/**
+ * @swagger
+ * /v2/users/{id}/suspend:
+ *   post:
+ *     summary: Suspende a conta de um usuário (permissão users.suspend)
+ *     description: |
+ *       Bloqueia a conta temporariamente (ex.: professor de licença) sem
+ *       apagar dados. As sessões são encerradas e login, refresh e tokens
+ *       já emitidos passam a ser recusados com o código `ACCOUNT_SUSPENDED`.
+ *       **Requer autenticação e a permissão `users.suspend`**.
+ *     tags:
+ *       - Usuários v2
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - motivo
+ *             properties:
+ *               motivo:
+ *                 type: string
+ *                 example: "Licença para doutorado até julho"
+ *     responses:
+ *       200:
+ *         description: Conta suspensa
+ *       400:
+ *         description: Motivo inválido ou tentativa de suspender a própria conta
+ *       401:
+ *         description: Não autenticado
+ *       403:
+ *         description: Sem a permissão ou email não verificado
+ *       404:
+ *         description: Usuário não encontrado
+ *       409:
+ *         description: A conta não está ativa
+ */
+router.post(
+  '/:id/suspend',
+  authMiddleware,          // 🔒 Verifica autenticação
+  requireScope('users:write'), // 🔒 API keys: exige escopo de escrita
+  requirePermission('users.suspend'), // 🔒 Exige a permissão users.suspend
+  requireVerifiedEmail,    // 🔒 Exige email confirmado
+  validate(idParamSchema, 'params'),
+  validate(suspendUserSchema, 'body'),
+  userController.suspend,
+);
+
+/**
+ * @swagger
+ * /v2/users/{id}/reactivate:
+ *   post:
+ *     summary: Reativa a conta de um usuário (permissão users.suspend)
+ *     description: |
+ *       Libera uma conta suspensa ou desativada. O usuário precisa fazer
+ *       login novamente.
+ *       **Requer autenticação e a permissão `users.suspend`**.
+ *     tags:
+ *       - Usuários v2
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               motivo:
+ *                 type: string
+ *                 example: "Retorno da licença"
+ *     responses:
+ *       200:
+ *         description: Conta reativada
+ *       401:
+ *         description: Não autenticado
+ *       403:
+ *         description: Sem a permissão ou email não verificado
+ *       404:
+ *         description: Usuário não encontrado
+ *       409:
+ *         description: A conta já está ativa
+ */
+router.post(
+  '/:id/reactivate',
+  authMiddleware,          // 🔒 Verifica autenticação
+  requireScope('users:write'), // 🔒 API keys: exige escopo de escrita
+  requirePermission('users.suspend'), // 🔒 Exige a permissão users.suspend
+  requireVerifiedEmail,    // 🔒 Exige email confirmado
+  validate(idParamSchema, 'params'),
+  validate(reactivateUserSchema, 'body'),
+  userController.reactivate,
+);
+
+/**
+ * @swagger
+ * /v2/users/{id}/role:
+ *   put:
+ *     summary: Atribui um papel ao usuário (permissão roles.manage)
+ *     description: |
+ *       Aceita qualquer papel cadastrado em /v2/roles. Se o papel mudar,
+ *       os tokens do usuário são revogados e as sessões encerradas; o novo
+ *       papel vale a partir do próximo login.
+ *       **Requer autenticação e a permissão `roles.manage`**.
+ *     tags:
+ *       - Usuários v2
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - papel
+ *             properties:
+ *               papel:
+ *                 type: string
+ *                 example: "COORDENADOR"
+ *     responses:
+ *       200:
+ *         description: Papel atribuído
+ *       401:
+ *         description: Não autenticado
+ *       403:
+ *         description: Sem a permissão
+ *       404:
+ *         description: Usuário ou papel não encontrado
+ */
+router.put(
+  '/:id/role',
+  authMiddleware,          // 🔒 Verifica autenticação
+  requireScope('users:write'), // 🔒 API keys: exige escopo de escrita
+  requirePermission('roles.manage'), // 🔒 Exige a permissão roles.manage
+  requireVerifiedEmail,    // 🔒 Exige email confirmado
+  validate(idParamSchema, 'params'),
+  validate(assignRoleSchema, 'body'),
+  userController.assignRole,
+);
+
+/**
+ * @swagger
+ * /v2/users/{id}/sessions:
+ *   get:
+ *     summary: Lista as sessões ativas de um usuário (permissão users.sessions)
+ *     description: |
+ *       Retorna os logins ativos do usuário, com user agent, IP,
+ *       criação e último acesso.
+ *       **Requer autenticação e a permissão `users.sessions`**.
+ *     tags:
+ *       - Usuários v2
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Lista de sessões
+ *       401:
+ *         description: Não autenticado
+ *       403:
+ *         description: Sem a permissão
+ *       404:
+ *         description: Usuário não encontrado
+ */
+router.get(
+  '/:id/sessions',
+  authMiddleware,          // 🔒 Verifica autenticação
+  requireScope('users:read'),  // 🔒 API keys: exige escopo de leitura
+  requirePermission('users.sessions'), // 🔒 Exige a permissão users.sessions
+  validate(idParamSchema, 'params'),
+  userController.getSessions,
+);
+
+/**
+ * @swagger
+ * /v2/users/{id}/sessions/{sessionId}:
+ *   delete:
+ *     summary: Encerra uma sessão de um usuário (permissão users.sessions)
+ *     description: |
+ *       Revoga os tokens da sessão; o dispositivo precisa fazer login novamente.
+ *       **Requer autenticação e a permissão `users.sessions`**.
+ *     tags:
+ *       - Usuários v2
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Sessão encerrada
+ *       401:
+ *         description: Não autenticado
+ *       403:
+ *         description: Sem a permissão
+ *       404:
+ *         description: Sessão não encontrada
+ */
+router.delete(
+  '/:id/sessions/:sessionId',
+  authMiddleware,          // 🔒 Verifica autenticação
+  requireScope('users:write'), // 🔒 API keys: exige escopo de escrita
+  requirePermission('users.sessions'), // 🔒 Exige a permissão users.sessions
+  validate(sessionParamsSchema, 'params'),
+  userController.revokeSession,
+);
+
+/**
+ * @swagger
+ * /v2/users/{id}/impersonations:
+ *   get:
+ *     summary: Log de personificação de um usuário (permissão audit.read)
+ *     description: |
+ *       Emissões de tokens de personificação e requisições feitas com eles,
+ *       com o usuário como ator ou como alvo (as 100 mais recentes).
+ *       **Requer autenticação e a permissão `audit.read`**.
+ *     tags:
+ *       - Usuários v2
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Entradas do log
+ *       401:
+ *         description: Não autenticado
+ *       403:
+ *         description: Sem a permissão
+ *       404:
+ *         description: Usuário não encontrado
+ */
+router.get(
+  '/:id/impersonations',
+  authMiddleware,          // 🔒 Verifica autenticação
+  requireScope('users:read'),  // 🔒 API keys: exige escopo de leitura
+  requirePermission('audit.read'), // 🔒 Exige a permissão audit.read
+  validate(idParamSchema, 'params'),
+  userController.getImpersonations,
+);
+
 export default router;
\ No newline at end of file
@@ -0,0 +1,39 @@
+// src/api/v2/schemas/apiTokenSchema.js
+import { z } from 'zod';
+
+/**
+ * Schemas de validação para API keys pessoais
+ * Escopos seguem o formato "recurso:ação"
+ */
+
+export const API_TOKEN_SCOPES = ['users:read', 'users:write'];
+
+export const createApiTokenSchema = z.object({
+  nome: z
+    .string({
+      required_error: 'Nome é obrigatório',
+      invalid_type_error: 'Nome deve ser um texto',
+    })
+    .trim()
+    .min(1, 'Nome é obrigatório')
+    .max(100, 'Nome deve ter no máximo 100 caracteres'),
+
+  escopos: z
+    .array(
+      z.enum(API_TOKEN_SCOPES, {
+        errorMap: () => ({
+          message: `Escopo deve ser um de: ${API_TOKEN_SCOPES.join(', ')}`,
+        }),
+      }),
+      { required_error: 'Escopos são obrigatórios' },
+    )
+    .min(1, 'Informe pelo menos um escopo')
+    .transform(scopes => [...new Set(scopes)]),
+
+  validade_dias: z
+    .number({ invalid_type_error: 'Validade deve ser um número de dias' })
+    .int('Validade deve ser um número inteiro de dias')
+    .min(1, 'Validade mínima de 1 dia')
+    .max(365, 'Validade máxima de 365 dias')
+    .default(90),
+});
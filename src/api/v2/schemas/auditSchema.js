@@ -0,0 +1,51 @@
+// src/api/v2/schemas/auditSchema.js
+import { z } from 'zod';
+
+/**
+ * Schemas de validação para as consultas de auditoria
+ * Os filtros vêm da query string (sempre texto)
+ */
+
+const dateSchema = label =>
+  z.coerce.date({
+    errorMap: () => ({ message: `${label} deve ser uma data ISO 8601` }),
+  });
+
+const baseQuerySchema = z.object({
+  userId: z
+    .string()
+    .regex(/^\d+$/, 'userId deve ser um número')
+    .transform(Number)
+    .optional(),
+  from: dateSchema('from').optional(),
+  to: dateSchema('to').optional(),
+  limit: z
+    .string()
+    .regex(/^\d+$/, 'limit deve ser um número')
+    .transform(Number)
+    .refine(val => val >= 1 && val <= 500, 'limit deve estar entre 1 e 500')
+    .optional(),
+});
+
+const periodRefinement = [
+  data => !data.from || !data.to || data.from <= data.to,
+  { message: 'from deve ser anterior a to', path: ['from'] },
+];
+
+export const authzAuditQuerySchema = baseQuerySchema
+  .extend({
+    outcome: z
+      .string()
+      .toUpperCase()
+      .pipe(
+        z.enum(['ALLOW', 'DENY'], {
+          errorMap: () => ({ message: 'outcome deve ser ALLOW ou DENY' }),
+        }),
+      )
+      .optional(),
+  })
+  .refine(...periodRefinement);
+
+export const securityAlertQuerySchema = baseQuerySchema.refine(
+  ...periodRefinement,
+);
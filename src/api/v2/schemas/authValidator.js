@@ -1,7 +1,15 @@
 import { z } from 'zod';
+import { passwordField } from '../../../utils/passwordPolicy.js';
+
+/**
+ * Regras de senha (registro, convite, troca e redefinição)
+ * Definidas pela política de senhas (utils/passwordPolicy.js)
+ */
+export const passwordSchema = passwordField();
 
 /**
  * Schema de validação para registro de usuário
+ * Campos desconhecidos (como "papel") são descartados
  */
 export const registerSchema = z
   .object({
@@ -31,24 +39,11 @@ export const registerSchema = z
       .email('Email inválido')
       .max(255, 'Email deve ter no máximo 255 caracteres'),
 
-    senha: z
-      .string()
-      .min(6, 'Senha deve ter no mínimo 6 caracteres')
-      .max(100, 'Senha deve ter no máximo 100 caracteres')
-      .regex(
-        /^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/,
-        'Senha deve conter pelo menos uma letra minúscula, uma maiúscula e um número'
-      ),
+    senha: passwordSchema,
 
     // Campos opcionais
-    papel: z
-      .enum(['PROFESSOR', 'ADMIN'], {
-        errorMap: () => ({
-          message: "Papel deve ser 'PROFESSOR' ou 'ADMIN'",
-        }),
-      })
-      .default('PROFESSOR'),
-
+    // "papel" não é aceito: o registro público sempre cria PROFESSOR.
+    // Papéis elevados são concedidos apenas por convite (POST /v2/invites)
     telefone: z
       .string()
       .regex(/^\+?[\d\s()-]{10,20}$/, 'Telefone inválido')
@@ -70,7 +65,213 @@ export const loginSchema = z.object({
   senha: z.string().min(1, 'Senha é obrigatória'),
 });
 
+/**
+ * Schema de validação para renovação de tokens
+ */
+export const refreshTokenSchema = z.object({
+  refreshToken: z
+    .string({ required_error: 'Refresh token é obrigatório' })
+    .min(1, 'Refresh token é obrigatório'),
+});
+
+/**
+ * Schema de validação para logout
+ * O refresh token é opcional: se enviado, também é revogado
+ */
+export const logoutSchema = z.object({
+  refreshToken: z.string().min(1, 'Refresh token inválido').optional(),
+});
+
+/**
+ * Schema de validação para solicitar redefinição de senha
+ */
+export const forgotPasswordSchema = z.object({
+  email: z.string().email('Email inválido').toLowerCase().trim(),
+});
+
+/**
+ * Schema de validação para redefinir a senha com o token recebido
+ */
+export const resetPasswordSchema = z.object({
+  token: z
+    .string({ required_error: 'Token é obrigatório' })
+    .min(1, 'Token é obrigatório'),
+
+  senha: passwordSchema,
+});
+
+/**
+ * Schema de validação para confirmação de email (query string)
+ */
+export const verifyEmailSchema = z.object({
+  token: z
+    .string({ required_error: 'Token é obrigatório' })
+    .min(1, 'Token é obrigatório'),
+});
+
+/**
+ * Schema de validação para aceitar um convite
+ * Email e papel vêm do convite, não do corpo da requisição
+ */
+export const acceptInviteSchema = z.object({
+  token: z
+    .string({ required_error: 'Token do convite é obrigatório' })
+    .min(1, 'Token do convite é obrigatório'),
+
+  primeiro_nome: z
+    .string({ required_error: 'Primeiro nome é obrigatório' })
+    .min(2, 'Primeiro nome deve ter no mínimo 2 caracteres')
+    .max(50, 'Primeiro nome deve ter no máximo 50 caracteres'),
+
+  sobrenome: z
+    .string({ required_error: 'Sobrenome é obrigatório' })
+    .min(2, 'Sobrenome deve ter no mínimo 2 caracteres')
+    .max(50, 'Sobrenome deve ter no máximo 50 caracteres'),
+
+  senha: passwordSchema,
+
+  telefone: z
+    .string()
+    .regex(/^\+?[\d\s()-]{10,20}$/, 'Telefone inválido')
+    .optional(),
+});
+
+/**
+ * Schema de validação para PATCH /v2/auth/me
+ * Apenas dados de perfil: papel, email e senha têm fluxos próprios
+ * (campos desconhecidos são rejeitados)
+ */
+export const updateProfileSchema = z
+  .object({
+    primeiro_nome: z
+      .string({ invalid_type_error: 'Primeiro nome deve ser um texto' })
+      .trim()
+      .min(2, 'Primeiro nome deve ter no mínimo 2 caracteres')
+      .max(50, 'Primeiro nome deve ter no máximo 50 caracteres')
+      .optional(),
+
+    sobrenome: z
+      .string({ invalid_type_error: 'Sobrenome deve ser um texto' })
+      .trim()
+      .min(2, 'Sobrenome deve ter no mínimo 2 caracteres')
+      .max(50, 'Sobrenome deve ter no máximo 50 caracteres')
+      .optional(),
+
+    telefone: z
+      .string()
+      .regex(/^\+?[\d\s()-]{10,20}$/, 'Telefone inválido')
+      .nullable()
+      .optional(),
+
+    foto: z.string().url('URL da foto inválida').nullable().optional(),
+  })
+  .strict(
+    'Campo não permitido. Apenas primeiro_nome, sobrenome, telefone e foto podem ser alterados'
+  )
+  .refine((data) => Object.keys(data).length > 0, {
+    message: 'Pelo menos um campo deve ser fornecido para atualização',
+  });
+
+/**
+ * Schema de validação para troca de senha do usuário autenticado
+ */
+export const changePasswordSchema = z
+  .object({
+    senhaAtual: z
+      .string({ required_error: 'Senha atual é obrigatória' })
+      .min(1, 'Senha atual é obrigatória'),
+
+    novaSenha: passwordSchema,
+  })
+  .refine((data) => data.senhaAtual !== data.novaSenha, {
+    message: 'A nova senha deve ser diferente da atual',
+    path: ['novaSenha'],
+  });
+
+/**
+ * Código de segundo fator: TOTP (6 dígitos) ou código de recuperação
+ */
+const twoFactorCode = z
+  .string({ required_error: 'Código é obrigatório' })
+  .trim()
+  .min(6, 'Código inválido')
+  .max(20, 'Código inválido');
+
+/**
+ * Schema de validação para ações que exigem um código de 2FA
+ */
+export const twoFactorCodeSchema = z.object({
+  code: twoFactorCode,
+});
+
+/**
+ * Schema de validação para concluir o login com 2FA
+ */
+export const twoFactorLoginSchema = z.object({
+  challengeToken: z
+    .string({ required_error: 'Token de desafio é obrigatório' })
+    .min(1, 'Token de desafio é obrigatório'),
+
+  code: twoFactorCode,
+});
+
+/**
+ * Schema de validação para o ID de uma sessão (parâmetro de rota)
+ */
+export const sessionIdParamSchema = z.object({
+  id: z.string().uuid('ID de sessão inválido'),
+});
+
+/**
+ * Schema de validação para o ID de uma API key (parâmetro de rota)
+ */
+export const apiTokenIdParamSchema = z.object({
+  id: z
+    .string()
+    .regex(/^\d+$/, 'ID deve ser um número')
+    .transform(Number),
+});
+
+/**
+ * Schema de validação para o usuário a personificar (parâmetro de rota)
+ */
+export const impersonateParamSchema = z.object({
+  userId: z
+    .string()
+    .regex(/^\d+$/, 'ID deve ser um número')
+    .transform(Number)
+    .refine(val => val > 0, 'ID deve ser um número positivo'),
+});
+
+/**
+ * Schema de validação para o callback do login OIDC (query string)
+ */
+export const oidcCallbackSchema = z.object({
+  code: z
+    .string({ required_error: 'Código de autorização é obrigatório' })
+    .min(1, 'Código de autorização é obrigatório'),
+
+  state: z
+    .string({ required_error: 'State é obrigatório' })
+    .min(1, 'State é obrigatório'),
+});
+
 export default {
+  passwordSchema,
   registerSchema,
   loginSchema,
+  refreshTokenSchema,
+  logoutSchema,
+  forgotPasswordSchema,
+  resetPasswordSchema,
+  verifyEmailSchema,
+  acceptInviteSchema,
+  updateProfileSchema,
+  changePasswordSchema,
+  twoFactorCodeSchema,
+  twoFactorLoginSchema,
+  sessionIdParamSchema,
+  apiTokenIdParamSchema,
+  impersonateParamSchema,
+  oidcCallbackSchema,
 };
\ No newline at end of file
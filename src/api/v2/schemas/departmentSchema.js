@@ -0,0 +1,35 @@
+// src/api/v2/schemas/departmentSchema.js
+import { z } from 'zod';
+
+/**
+ * Schemas de validação para departamentos
+ */
+
+const nameSchema = z
+  .string({
+    required_error: 'Nome do departamento é obrigatório',
+    invalid_type_error: 'Nome do departamento deve ser um texto',
+  })
+  .trim()
+  .min(2, 'Nome do departamento deve ter pelo menos 2 caracteres')
+  .max(100, 'Nome do departamento deve ter no máximo 100 caracteres');
+
+const descriptionSchema = z
+  .string({ invalid_type_error: 'Descrição deve ser um texto' })
+  .trim()
+  .max(200, 'Descrição deve ter no máximo 200 caracteres');
+
+export const createDepartmentSchema = z.object({
+  name: nameSchema,
+  description: descriptionSchema.optional(),
+});
+
+export const updateDepartmentSchema = z
+  .object({
+    name: nameSchema.optional(),
+    description: descriptionSchema.nullable().optional(),
+  })
+  .strict()
+  .refine(data => Object.values(data).some(v => v !== undefined), {
+    message: 'Pelo menos um campo deve ser fornecido para atualização',
+  });
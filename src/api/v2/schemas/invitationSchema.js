@@ -0,0 +1,29 @@
+// src/api/v2/schemas/invitationSchema.js
+import { z } from 'zod';
+import { roleNameSchema } from './roleSchema.js';
+
+/**
+ * Schemas de validação para convites
+ * Papéis seguem o formato do campo "papel" (uppercase); o invitationService
+ * confere se o papel existe na tabela roles
+ */
+
+export const createInvitationSchema = z.object({
+  email: z
+    .string({
+      required_error: 'Email é obrigatório',
+      invalid_type_error: 'Email deve ser um texto',
+    })
+    .email('Email inválido')
+    .toLowerCase()
+    .trim(),
+
+  papel: roleNameSchema,
+
+  validade_dias: z
+    .number({ invalid_type_error: 'Validade deve ser um número de dias' })
+    .int('Validade deve ser um número inteiro de dias')
+    .min(1, 'Validade mínima de 1 dia')
+    .max(30, 'Validade máxima de 30 dias')
+    .default(7),
+});
@@ -0,0 +1,69 @@
+// src/api/v2/schemas/roleSchema.js
+import { z } from 'zod';
+
+/**
+ * Schemas de validação para papéis e permissões (RBAC)
+ * Nomes de papéis seguem o formato do campo "papel" (maiúsculas)
+ */
+
+export const roleNameSchema = z
+  .string({
+    required_error: 'Nome do papel é obrigatório',
+    invalid_type_error: 'Nome do papel deve ser um texto',
+  })
+  .trim()
+  .toUpperCase()
+  .pipe(
+    z
+      .string()
+      .regex(
+        /^[A-Z][A-Z0-9_]{1,49}$/,
+        'Nome do papel deve ter de 2 a 50 caracteres: letras, números e _',
+      ),
+  );
+
+// Sufixo ":department" limita a permissão ao departamento de quem age
+const permissionsSchema = z
+  .array(
+    z
+      .string()
+      .regex(
+        /^[a-z]+\.[a-z_]+(:department)?$/,
+        'Permissão inválida (ex.: users.delete ou users.update:department)',
+      ),
+    { invalid_type_error: 'Permissões devem ser uma lista' },
+  )
+  .transform(permissions => [...new Set(permissions)])
+  .refine(
+    permissions =>
+      new Set(permissions.map(p => p.replace(/:department$/, ''))).size ===
+      permissions.length,
+    'Cada permissão deve ter um único escopo',
+  );
+
+const descriptionSchema = z
+  .string({ invalid_type_error: 'Descrição deve ser um texto' })
+  .trim()
+  .max(200, 'Descrição deve ter no máximo 200 caracteres');
+
+export const createRoleSchema = z.object({
+  name: roleNameSchema,
+  description: descriptionSchema.optional(),
+  permissions: permissionsSchema.default([]),
+});
+
+export const updateRoleSchema = z
+  .object({
+    name: roleNameSchema.optional(),
+    description: descriptionSchema.nullable().optional(),
+    permissions: permissionsSchema.optional(),
+  })
+  .strict()
+  .refine(data => Object.values(data).some(v => v !== undefined), {
+    message: 'Pelo menos um campo deve ser fornecido para atualização',
+  });
+
+export const assignRoleSchema = z.object({
+  papel: roleNameSchema,
+});
+
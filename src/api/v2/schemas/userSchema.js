@@ -1,15 +1,28 @@
 // src/api/v2/schemas/userSchema.js
 import { z } from 'zod';
+import { passwordField } from '../../../utils/passwordPolicy.js';
 
 /**
  * Schemas de validação para API v2
  * MUDANÇAS DA V2:
  * - primeiro_nome e sobrenome separados (ao invés de "nome")
  * - tipo_usuario ao invés de "papel"
- * - Valores lowercase: "professor", "admin"
+ * - Valores lowercase: "professor", "coordenador", "admin"
  * - Campo telefone adicionado
+ * - departamento_id (departamentos em /v2/departments)
  */
 
+// Aceita número ou texto (multipart/form-data); vazio ou null remove
+const departmentIdSchema = z.preprocess(
+  val => (val === '' ? null : val),
+  z.coerce
+    .number({ invalid_type_error: 'Departamento deve ser um número' })
+    .int('Departamento deve ser um número inteiro')
+    .positive('Departamento deve ser um número positivo')
+    .nullable()
+    .optional(),
+);
+
 export const createUserSchema = z.object({
   primeiro_nome: z
     .string({
@@ -38,18 +51,15 @@ export const createUserSchema = z.object({
     .toLowerCase()
     .trim(),
 
-  senha: z
-    .string({
-      required_error: 'Senha é obrigatória',
-      invalid_type_error: 'Senha deve ser um texto',
-    })
-    .min(6, 'Senha deve ter pelo menos 6 caracteres')
-    .max(100, 'Senha deve ter no máximo 100 caracteres'),
+  senha: passwordField({
+    required_error: 'Senha é obrigatória',
+    invalid_type_error: 'Senha deve ser um texto',
+  }),
 
   tipo_usuario: z
-    .enum(['professor', 'admin'], {
+    .enum(['professor', 'coordenador', 'admin'], {
       errorMap: () => ({
-        message: 'Tipo de usuário deve ser professor ou admin',
+        message: 'Tipo de usuário deve ser professor, coordenador ou admin',
       }),
     })
     .default('professor')
@@ -68,6 +78,8 @@ export const createUserSchema = z.object({
     .optional()
     .nullable()
     .transform(val => val || null),
+
+  departamento_id: departmentIdSchema,
 });
 
 export const updateUserSchema = z
@@ -99,18 +111,14 @@ export const updateUserSchema = z
       .trim()
       .optional(),
 
-    senha: z
-      .string({
-        invalid_type_error: 'Senha deve ser um texto',
-      })
-      .min(6, 'Senha deve ter pelo menos 6 caracteres')
-      .max(100, 'Senha deve ter no máximo 100 caracteres')
-      .optional(),
+    senha: passwordField({
+      invalid_type_error: 'Senha deve ser um texto',
+    }).optional(),
 
     tipo_usuario: z
-      .enum(['professor', 'admin'], {
+      .enum(['professor', 'coordenador', 'admin'], {
         errorMap: () => ({
-          message: 'Tipo de usuário deve ser professor ou admin',
+          message: 'Tipo de usuário deve ser professor, coordenador ou admin',
         }),
       })
       .optional(),
@@ -128,10 +136,16 @@ export const updateUserSchema = z
       .optional()
       .nullable()
       .transform(val => val || null),
+
+    departamento_id: departmentIdSchema,
   })
   .strict()
   .refine(
-    data => Object.values(data).some(v => v !== undefined && v !== null),
+    data =>
+      Object.entries(data).some(
+        ([field, v]) =>
+          v !== undefined && (v !== null || field === 'departamento_id'),
+      ),
     {
       message: 'Pelo menos um campo deve ser fornecido para atualização',
     },
@@ -144,3 +158,264 @@ export const idParamSchema = z.object({
     .transform(Number)
     .refine(val => val > 0, 'ID deve ser um número positivo'),
 });
+
+export const sessionParamsSchema = idParamSchema.extend({
+  sessionId: z.string().uuid('ID de sessão inválido'),
+});
+
+// Motivo da suspensão ou da reativação
+const statusReasonField = z
+  .string({
+    required_error: 'Motivo é obrigatório',
+    invalid_type_error: 'Motivo deve ser um texto',
+  })
+  .trim()
+  .min(3, 'Motivo deve ter pelo menos 3 caracteres')
+  .max(500, 'Motivo deve ter no máximo 500 caracteres');
+
+/**
+ * Body de POST /v2/users/:id/suspend
+ */
+export const suspendUserSchema = z.object({
+  motivo: statusReasonField,
+});
+
+/**
+ * Body de POST /v2/users/:id/reactivate (opcional)
+ */
+export const reactivateUserSchema = z
+  .object({
+    motivo: statusReasonField.optional(),
+  })
+  .default({});
+
+// Campos aceitos em sort (prefixo "-" para ordem decrescente)
+export const USER_SORT_FIELDS = [
+  'id',
+  'primeiro_nome',
+  'sobrenome',
+  'email',
+  'tipo_usuario',
+  'createdAt',
+];
+
+// Ordenação por relevância, disponível apenas na busca (q)
+export const SEARCH_SORT_FIELD = 'rank';
+
+// Data sem horário (ex.: 2026-03-01)
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Inteiro vindo da query string
+ * @param {string} field - Nome do parâmetro
+ * @param {number} min - Mínimo
+ * @param {number} max - Máximo
+ * @returns {z.ZodEffects} Schema
+ */
+const queryInt = (field, min, max) =>
+  z
+    .string({ invalid_type_error: `${field} deve ser informado uma única vez` })
+    .regex(/^\d+$/, `${field} deve ser um número inteiro`)
+    .transform(Number)
+    .refine(
+      val => val >= min && val <= max,
+      `${field} deve estar entre ${min} e ${max}`,
+    );
+
+/**
+ * Data ISO 8601 vinda da query string
+ * @param {string} field - Nome do parâmetro
+ * @param {boolean} [endOfDay=false] - Datas sem horário cobrem o dia inteiro
+ * @returns {z.ZodEffects} Schema
+ */
+const queryDate = (field, endOfDay = false) =>
+  z
+    .string({ invalid_type_error: `${field} deve ser informado uma única vez` })
+    .refine(
+      val => !Number.isNaN(Date.parse(val)),
+      `${field} deve ser uma data ISO 8601 (ex.: 2026-03-01)`,
+    )
+    .transform(val => {
+      const date = new Date(val);
+      if (endOfDay && DATE_ONLY.test(val)) {
+        date.setUTCHours(23, 59, 59, 999);
+      }
+      return date;
+    });
+
+// Itens por página quando page/per_page ou cursor/limit não são informados
+const DEFAULT_PAGE_SIZE = 20;
+
+/**
+ * Query de GET /v2/users
+ * sort: campos separados por vírgula, "-" para decrescente
+ * (ex.: "-createdAt,email"). Vira [{ field, direction }].
+ * Padrão: -createdAt, ou -rank (relevância) quando há busca em q.
+ *
+ * Dois modos de paginação, exclusivos: page/per_page (padrão) ou
+ * cursor/limit (keyset em createdAt e id; sort aceita apenas createdAt;
+ * sem busca). O resultado tem mode: 'page' ou 'cursor'.
+ */
+export const listUsersQuerySchema = z
+  .object({
+    page: queryInt('page', 1, 100000).optional(),
+
+    per_page: queryInt('per_page', 1, 100).optional(),
+
+    cursor: z
+      .string({ invalid_type_error: 'cursor deve ser informado uma única vez' })
+      .min(1, 'cursor não pode ser vazio')
+      .max(1000, 'cursor inválido')
+      .optional(),
+
+    limit: queryInt('limit', 1, 100).optional(),
+
+    q: z
+      .string({ invalid_type_error: 'q deve ser informado uma única vez' })
+      .trim()
+      .min(2, 'q deve ter no mínimo 2 caracteres')
+      .max(100, 'q deve ter no máximo 100 caracteres')
+      .optional(),
+
+    sort: z
+      .string({ invalid_type_error: 'sort deve ser informado uma única vez' })
+      .optional()
+      .transform(val =>
+        val?.split(',').map(item => {
+          const field = item.trim().replace(/^-/, '');
+          return {
+            field,
+            direction: item.trim().startsWith('-') ? 'desc' : 'asc',
+          };
+        }),
+      )
+      .superRefine((items, ctx) => {
+        if (!items) {
+          return;
+        }
+
+        const fields = items.map(item => item.field);
+
+        for (const field of fields) {
+          if (![...USER_SORT_FIELDS, SEARCH_SORT_FIELD].includes(field)) {
+            ctx.addIssue({
+              code: z.ZodIssueCode.custom,
+              message: `Campo de ordenação inválido: "${field}". Use: ${USER_SORT_FIELDS.join(', ')} ou ${SEARCH_SORT_FIELD} (com q)`,
+            });
+          }
+        }
+
+        if (new Set(fields).size !== fields.length) {
+          ctx.addIssue({
+            code: z.ZodIssueCode.custom,
+            message: 'sort não pode repetir campos',
+          });
+        }
+      }),
+
+    tipo_usuario: z
+      .string({
+        invalid_type_error: 'tipo_usuario deve ser informado uma única vez',
+      })
+      .trim()
+      .toLowerCase()
+      .regex(/^[a-z][a-z0-9_]{1,49}$/, 'tipo_usuario inválido')
+      .optional(),
+
+    email_domain: z
+      .string({
+        invalid_type_error: 'email_domain deve ser informado uma única vez',
+      })
+      .trim()
+      .toLowerCase()
+      .regex(
+        /^[a-z0-9-]+(\.[a-z0-9-]+)+$/,
+        'email_domain deve ser um domínio (ex.: escola.com)',
+      )
+      .optional(),
+
+    created_from: queryDate('created_from').optional(),
+
+    created_to: queryDate('created_to', true).optional(),
+  })
+  .refine(
+    data =>
+      !data.created_from ||
+      !data.created_to ||
+      data.created_from <= data.created_to,
+    {
+      message: 'created_from deve ser anterior a created_to',
+      path: ['created_from'],
+    },
+  )
+  .superRefine((data, ctx) => {
+    const cursorMode = data.cursor !== undefined || data.limit !== undefined;
+
+    if (cursorMode && (data.page !== undefined || data.per_page !== undefined)) {
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        message: 'Use page/per_page ou cursor/limit, não ambos',
+        path: ['cursor'],
+      });
+    }
+
+    if (
+      cursorMode &&
+      data.sort &&
+      (data.sort.length !== 1 || data.sort[0].field !== 'createdAt')
+    ) {
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        message: 'Com cursor, sort aceita apenas createdAt ou -createdAt',
+        path: ['sort'],
+      });
+    }
+
+    if (cursorMode && data.q !== undefined) {
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        message: 'A busca (q) usa page/per_page, não cursor/limit',
+        path: ['q'],
+      });
+    }
+
+    if (
+      data.q === undefined &&
+      data.sort?.some(item => item.field === SEARCH_SORT_FIELD)
+    ) {
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        message: `sort por ${SEARCH_SORT_FIELD} exige uma busca em q`,
+        path: ['sort'],
+      });
+    }
+  })
+  .transform(({ page, per_page, cursor, limit, sort, ...filters }) => {
+    const query = {
+      sort: sort ?? [
+        {
+          field: filters.q === undefined ? 'createdAt' : SEARCH_SORT_FIELD,
+          direction: 'desc',
+        },
+      ],
+      ...filters,
+    };
+
+    return cursor !== undefined || limit !== undefined
+      ? { mode: 'cursor', cursor, limit: limit ?? DEFAULT_PAGE_SIZE, ...query }
+      : {
+        mode: 'page',
+        page: page ?? 1,
+        per_page: per_page ?? DEFAULT_PAGE_SIZE,
+        ...query,
+      };
+  });
+
+/**
+ * Query de GET /v2/users/trash
+ */
+export const trashQuerySchema = z.object({
+  page: queryInt('page', 1, 100000).default('1'),
+
+  per_page: queryInt('per_page', 1, 100).default(String(DEFAULT_PAGE_SIZE)),
+});
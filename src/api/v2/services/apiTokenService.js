@@ -0,0 +1,159 @@
+// src/api/v2/services/apiTokenService.js
+import prisma from '../../../config/database.js';
+import { NotFoundError } from '../../../errors/AppError.js';
+import { generateOpaqueToken, hashToken } from '../../../utils/tokens.js';
+
+/**
+ * API Token Service
+ * API keys pessoais para scripts e integrações
+ *
+ * Cada key pertence a um usuário, tem nome, escopos e validade.
+ * O valor é exibido apenas na criação; o banco guarda só o hash SHA-256
+ * e um prefixo curto para o usuário reconhecer a key na listagem.
+ */
+
+// Prefixo que identifica API keys no header Authorization
+export const API_TOKEN_PREFIX = 'gp_';
+
+// Caracteres do token exibidos na listagem (incluindo o prefixo)
+const DISPLAY_PREFIX_LENGTH = 10;
+
+// Intervalo mínimo entre atualizações do último uso (1 minuto)
+const LAST_USED_INTERVAL_MS = 60 * 1000;
+
+// Campos retornados pela API (nunca expor o hash)
+const apiTokenSelect = {
+  id: true,
+  name: true,
+  prefix: true,
+  scopes: true,
+  expiresAt: true,
+  lastUsedAt: true,
+  createdAt: true,
+};
+
+/**
+ * Indica se um valor do header Authorization é uma API key
+ * @param {string} token - Token recebido
+ * @returns {boolean} True se tiver o prefixo de API key
+ */
+export const isApiToken = token => token.startsWith(API_TOKEN_PREFIX);
+
+/**
+ * Cria uma API key para o usuário
+ * @param {number} userId - ID do usuário
+ * @param {Object} data - Dados validados (createApiTokenSchema)
+ * @param {string} data.nome - Nome da key
+ * @param {string[]} data.escopos - Escopos concedidos
+ * @param {number} data.validade_dias - Validade em dias
+ * @param {Object} [options] - Opções
+ * @param {boolean} [options.mfa] - Key criada em sessão com segundo fator
+ * @returns {Promise<Object>} Key criada, com o token em texto puro
+ */
+export const createApiToken = async (userId, data, { mfa = false } = {}) => {
+  const token = `${API_TOKEN_PREFIX}${generateOpaqueToken(32)}`;
+
+  const apiToken = await prisma.apiToken.create({
+    data: {
+      userId,
+      name: data.nome,
+      prefix: token.slice(0, DISPLAY_PREFIX_LENGTH),
+      tokenHash: hashToken(token),
+      scopes: data.escopos,
+      mfa,
+      expiresAt: new Date(Date.now() + data.validade_dias * 24 * 60 * 60 * 1000),
+    },
+    select: apiTokenSelect,
+  });
+
+  console.log('🔑 API key criada:', { userId, id: apiToken.id });
+
+  return { ...apiToken, token };
+};
+
+/**
+ * Lista as API keys ativas do usuário (não revogadas e não expiradas)
+ * @param {number} userId - ID do usuário
+ * @returns {Promise<Array>} API keys (sem o token)
+ */
+export const listApiTokens = async userId => {
+  return prisma.apiToken.findMany({
+    where: { userId, revokedAt: null, expiresAt: { gt: new Date() } },
+    select: apiTokenSelect,
+    orderBy: { createdAt: 'desc' },
+  });
+};
+
+/**
+ * Revoga uma API key do usuário
+ * @param {number} userId - Dono da key
+ * @param {number} tokenId - ID da key
+ * @returns {Promise<void>}
+ * @throws {NotFoundError} Se a key não existir, for de outro usuário
+ *   ou já estiver revogada
+ */
+export const revokeApiToken = async (userId, tokenId) => {
+  const { count } = await prisma.apiToken.updateMany({
+    where: { id: tokenId, userId, revokedAt: null },
+    data: { revokedAt: new Date() },
+  });
+
+  if (count === 0) {
+    throw new NotFoundError(
+      `API key com ID ${tokenId} não encontrada`,
+      'ApiToken',
+    );
+  }
+};
+
+/**
+ * Valida uma API key recebida no header Authorization
+ * O último uso é gravado no máximo uma vez por minuto.
+ *
+ * @param {string} token - API key em texto puro
+ * @returns {Promise<Object|null>} { id, scopes, mfa, user } ou null se a
+ *   key for inválida, expirada ou revogada
+ */
+export const authenticateApiToken = async token => {
+  const apiToken = await prisma.apiToken.findUnique({
+    where: { tokenHash: hashToken(token) },
+    include: {
+      user: { select: { id: true, email: true, papel: true, status: true } },
+    },
+  });
+
+  const now = Date.now();
+
+  if (
+    !apiToken ||
+    apiToken.revokedAt ||
+    apiToken.expiresAt.getTime() <= now
+  ) {
+    return null;
+  }
+
+  if (
+    !apiToken.lastUsedAt ||
+    now - apiToken.lastUsedAt.getTime() >= LAST_USED_INTERVAL_MS
+  ) {
+    await prisma.apiToken.update({
+      where: { id: apiToken.id },
+      data: { lastUsedAt: new Date(now) },
+    });
+  }
+
+  return {
+    id: apiToken.id,
+    scopes: apiToken.scopes,
+    mfa: apiToken.mfa,
+    user: apiToken.user,
+  };
+};
+
+export default {
+  isApiToken,
+  createApiToken,
+  listApiTokens,
+  revokeApiToken,
+  authenticateApiToken,
+};
@@ -0,0 +1,275 @@
+// src/api/v2/services/authProviderService.js
+import { InvalidCredentialsError } from 'ldapts';
+import prisma from '../../../config/database.js';
+import { getLdapConfig, createLdapClient } from '../../../config/ldap.js';
+import { AppError } from '../../../errors/AppError.js';
+import {
+  hashPassword,
+  verifyPassword,
+  needsRehash,
+} from '../../../utils/password.js';
+import { generateOpaqueToken } from '../../../utils/tokens.js';
+
+/**
+ * Auth Provider Service
+ * Cadeia de provedores que conferem email e senha no login
+ *
+ * Todo provedor é um objeto com:
+ * - name: identificador do provedor
+ * - authenticate(email, senha): retorna o usuário (registro do banco) se
+ *   as credenciais conferirem, ou null para passar ao próximo provedor
+ *
+ * Provedores incluídos (ordem definida em AUTH_PROVIDERS, padrão "local"):
+ * - local: senha com hash bcrypt na tabela users
+ * - ldap: bind no diretório configurado em config/ldap.js. No primeiro
+ *   login, o usuário é criado como PROFESSOR com nome e sobrenome
+ *   vindos dos atributos do diretório
+ *
+ * Um provedor que falhar (ex.: diretório fora do ar) é registrado no log
+ * e a cadeia continua; se nenhum outro autenticar, o login responde 503
+ * em vez de "Credenciais inválidas", sem contar como tentativa falha.
+ */
+
+/**
+ * Escapa um valor para uso em filtro LDAP (RFC 4515)
+ * @param {string} value - Valor informado pelo usuário
+ * @returns {string} Valor escapado
+ */
+const escapeFilterValue = value =>
+  value.replace(
+    /[\\*()\0]/g,
+    char => `\\${char.charCodeAt(0).toString(16).padStart(2, '0')}`,
+  );
+
+/**
+ * Primeiro valor de um atributo LDAP (string, lista ou Buffer)
+ * @param {*} value - Valor do atributo
+ * @returns {string} Valor como texto ('' se ausente)
+ */
+const attributeValue = value => {
+  const first = Array.isArray(value) ? value[0] : value;
+  return first === undefined || first === null ? '' : String(first).trim();
+};
+
+/**
+ * Busca um usuário pelo email ou cria um PROFESSOR com email verificado
+ * Usado pelos logins externos (LDAP, OIDC): a conta recebe uma senha
+ * aleatória e pode definir uma senha local via "esqueci minha senha".
+ *
+ * @param {Object} profile - Dados vindos do provedor
+ * @param {string} profile.email - Email (será normalizado)
+ * @param {string} profile.primeiroNome - Primeiro nome
+ * @param {string} [profile.sobrenome] - Sobrenome
+ * @param {string} source - Provedor de origem (para o log)
+ * @returns {Promise<Object>} Usuário (registro do banco)
+ */
+export const findOrProvisionUser = async (profile, source) => {
+  const email = profile.email.toLowerCase();
+
+  const existing = await prisma.user.findUnique({
+    where: { email },
+  });
+
+  if (existing) {
+    return existing;
+  }
+
+  const primeiroNome = profile.primeiroNome || email.split('@')[0];
+  const sobrenome = profile.sobrenome || '';
+
+  const user = await prisma.user.create({
+    data: {
+      nome: [primeiroNome, sobrenome].filter(Boolean).join(' '),
+      primeiro_nome: primeiroNome,
+      sobrenome,
+      email,
+      senha: await hashPassword(generateOpaqueToken(32)),
+      papel: 'PROFESSOR',
+      tipo_usuario: 'professor',
+      emailVerifiedAt: new Date(),
+    },
+  });
+
+  console.log(`✅ Usuário criado via ${source}:`, { id: user.id, email });
+
+  return user;
+};
+
+/**
+ * Provedor local: senha conferida com o hash da tabela users
+ */
+export const localProvider = {
+  name: 'local',
+  async authenticate(email, senha) {
+    const user = await prisma.user.findUnique({
+      where: { email },
+    });
+
+    if (!user || !(await verifyPassword(senha, user.senha))) {
+      return null;
+    }
+
+    // Senha conferida: refazer o hash se BCRYPT_SALT_ROUNDS foi aumentado
+    if (needsRehash(user.senha)) {
+      await prisma.user.update({
+        where: { id: user.id },
+        data: { senha: await hashPassword(senha) },
+      });
+    }
+
+    return user;
+  },
+};
+
+/**
+ * Provedor LDAP: busca a entrada pelo email e faz bind com a senha
+ */
+export const ldapProvider = {
+  name: 'ldap',
+  async authenticate(email, senha) {
+    const config = getLdapConfig();
+
+    // Senha vazia faria um bind anônimo, que o servidor aceita
+    if (!config || !senha) {
+      return null;
+    }
+
+    const { attributes } = config;
+    const client = createLdapClient(config);
+
+    try {
+      if (config.bindDN) {
+        await client.bind(config.bindDN, config.bindPassword);
+      }
+
+      const { searchEntries } = await client.search(config.searchBase, {
+        scope: 'sub',
+        filter: config.searchFilter.replaceAll(
+          '{{email}}',
+          escapeFilterValue(email),
+        ),
+        attributes: [attributes.email, attributes.firstName, attributes.lastName],
+      });
+
+      // Nenhuma ou mais de uma entrada: o email não identifica a conta
+      if (searchEntries.length !== 1) {
+        return null;
+      }
+
+      const [entry] = searchEntries;
+
+      try {
+        await client.bind(entry.dn, senha);
+      } catch (error) {
+        if (error instanceof InvalidCredentialsError) {
+          return null;
+        }
+        throw error;
+      }
+
+      return findOrProvisionUser(
+        {
+          email: attributeValue(entry[attributes.email]) || email,
+          primeiroNome: attributeValue(entry[attributes.firstName]),
+          sobrenome: attributeValue(entry[attributes.lastName]),
+        },
+        'LDAP',
+      );
+    } finally {
+      await Promise.resolve(client.unbind()).catch(() => {});
+    }
+  },
+};
+
+const providers = {
+  local: localProvider,
+  ldap: ldapProvider,
+};
+
+/**
+ * Converte uma lista de nomes nos provedores correspondentes
+ * @param {string[]} names - Nomes dos provedores, na ordem de uso
+ * @returns {Object[]} Provedores
+ * @throws {Error} Se algum nome for desconhecido ou a lista estiver vazia
+ */
+const resolveProviders = names => {
+  if (names.length === 0) {
+    throw new Error('AUTH_PROVIDERS deve ter pelo menos um provedor');
+  }
+
+  return names.map(name => {
+    if (!providers[name]) {
+      throw new Error(
+        `Provedor de autenticação inválido: ${name}. Use: ${Object.keys(providers).join(', ')}`,
+      );
+    }
+
+    return providers[name];
+  });
+};
+
+let chain = resolveProviders(
+  (process.env.AUTH_PROVIDERS || 'local')
+    .split(',')
+    .map(name => name.trim().toLowerCase())
+    .filter(Boolean),
+);
+
+/**
+ * Substitui a cadeia de provedores em uso
+ * @param {string[]} names - Nomes dos provedores, na ordem de uso
+ */
+export const setAuthProviders = names => {
+  chain = resolveProviders(names);
+};
+
+/**
+ * Retorna os nomes dos provedores em uso, na ordem
+ * @returns {string[]} Nomes
+ */
+export const getAuthProviders = () => chain.map(provider => provider.name);
+
+/**
+ * Confere email e senha passando pela cadeia de provedores
+ * @param {string} email - Email informado
+ * @param {string} senha - Senha em texto puro
+ * @returns {Promise<Object|null>} { user, provider } do primeiro provedor
+ *   que autenticar, ou null se nenhum autenticar
+ * @throws {AppError} 503 se nenhum autenticar e algum provedor falhou
+ */
+export const authenticateCredentials = async (email, senha) => {
+  let providerFailed = false;
+
+  for (const provider of chain) {
+    try {
+      const user = await provider.authenticate(email, senha);
+
+      if (user) {
+        return { user, provider: provider.name };
+      }
+    } catch (error) {
+      providerFailed = true;
+      console.error(`❌ Falha no provedor de autenticação "${provider.name}":`, {
+        email,
+        error: error.message,
+      });
+    }
+  }
+
+  if (providerFailed) {
+    throw new AppError(
+      'Serviço de autenticação indisponível. Tente novamente em instantes',
+      503,
+      'AUTH_PROVIDER_UNAVAILABLE',
+    );
+  }
+
+  return null;
+};
+
+export default {
+  authenticateCredentials,
+  findOrProvisionUser,
+  setAuthProviders,
+  getAuthProviders,
+};
@@ -1,9 +1,64 @@
-import bcrypt from 'bcrypt';
 import prisma from '../../../config/database.js';
-import { generateToken } from '../../../config/jwt.js';
+import {
+  generateToken,
+  generateChallengeToken,
+  verifyChallengeToken,
+} from '../../../config/jwt.js';
 import { AppError } from '../../../errors/AppError.js';
+import { verifyPassword } from '../../../utils/password.js';
+import {
+  assertPasswordNotReused,
+  isPasswordExpired,
+  passwordData,
+  prunePasswordHistory,
+} from '../../../utils/passwordPolicy.js';
+import {
+  issueRefreshToken,
+  rotateRefreshToken,
+  revokeByToken,
+  revokeAllForUser,
+  revokeFamily,
+} from './refreshTokenService.js';
+import { createSession, touchSession } from './sessionService.js';
+import { handleCallback } from './oidcService.js';
+import {
+  authenticateCredentials,
+  findOrProvisionUser,
+} from './authProviderService.js';
+import {
+  revokeToken,
+  revokeAllUserTokens,
+} from './tokenRevocationService.js';
+import {
+  TOKEN_TYPES,
+  createUserToken,
+  consumeUserToken,
+} from './userTokenService.js';
+import { sendVerificationEmail } from './mailService.js';
+import {
+  MAIL_JOB_TYPES,
+  enqueueMailJob,
+  processMailJob,
+} from './mailQueueService.js';
+import { consumeInvitation } from './invitationService.js';
+import {
+  assertLoginAllowed,
+  registerLoginFailure,
+  registerLoginSuccess,
+} from './loginThrottleService.js';
+import {
+  isTwoFactorEnabled,
+  isTwoFactorRequired,
+  setupTwoFactor,
+  enableTwoFactor,
+  verifySecondFactor,
+  disableTwoFactor,
+  regenerateBackupCodes,
+} from './twoFactorService.js';
+import { assertAccountActive } from './userStatusService.js';
 
-const SALT_ROUNDS = parseInt(process.env.BCRYPT_SALT_ROUNDS) || 10;
+const EMAIL_VERIFICATION_EXPIRES_IN_HOURS =
+  parseInt(process.env.EMAIL_VERIFICATION_EXPIRES_IN_HOURS) || 48;
 
 /**
  * Serviço de Autenticação
@@ -12,6 +67,7 @@ const SALT_ROUNDS = parseInt(process.env.BCRYPT_SALT_ROUNDS) || 10;
 class AuthService {
   /**
    * Registra um novo usuário
+   * O registro público sempre cria um PROFESSOR (papéis elevados exigem convite)
    *
    * @param {Object} userData - Dados do usuário
    * @param {string} userData.nome - Nome completo (v1)
@@ -19,10 +75,10 @@ class AuthService {
    * @param {string} userData.sobrenome - Sobrenome (v2)
    * @param {string} userData.email - Email único
    * @param {string} userData.senha - Senha em texto puro
-   * @param {string} userData.papel - Papel do usuário (PROFESSOR, ADMIN)
-   * @returns {Object} Usuário criado (sem senha) e token
+   * @param {Object} [context] - Dados da requisição ({ ip, userAgent })
+   * @returns {Object} Usuário criado (sem senha), token e refreshToken
    */
-  async register(userData) {
+  async register(userData, context = {}) {
     // 1. Verificar se email já existe
     const existingUser = await prisma.user.findUnique({
       where: { email: userData.email },
@@ -32,8 +88,8 @@ class AuthService {
       throw new AppError('Email já está em uso', 409, 'EMAIL_IN_USE');
     }
 
-    // 2. Gerar hash da senha
-    const hashedPassword = await bcrypt.hash(userData.senha, SALT_ROUNDS);
+    // 2. Gerar hash da senha (e registrar no histórico)
+    const passwordFields = await passwordData(userData.senha);
 
     // 3. Criar usuário no banco
     const user = await prisma.user.create({
@@ -44,44 +100,111 @@ class AuthService {
         primeiro_nome: userData.primeiro_nome,
         sobrenome: userData.sobrenome,
         email: userData.email,
-        senha: hashedPassword,
-        papel: userData.papel || 'PROFESSOR',
-        tipo_usuario: (userData.papel || 'PROFESSOR').toLowerCase(),
+        ...passwordFields,
+        papel: 'PROFESSOR',
+        tipo_usuario: 'professor',
         telefone: userData.telefone,
         foto: userData.foto,
       },
     });
 
-    // 4. Gerar token JWT
-    const token = generateToken({
-      id: user.id,
-      email: user.email,
-      papel: user.papel,
-    });
+    // 4. Enviar link de confirmação de email
+    await this.sendVerification(user);
 
-    // 5. Retornar usuário sem a senha
+    // 5. Gerar tokens (access + refresh)
+    const tokens = await this.issueTokens(user, context);
+
+    // 6. Retornar usuário sem a senha
     const { senha: _, ...userWithoutPassword } = user;
 
     return {
       user: userWithoutPassword,
-      token,
+      ...tokens,
+    };
+  }
+
+  /**
+   * Cria a conta de um usuário convidado
+   * Email e papel vêm do convite; o email é considerado verificado,
+   * pois o convidado comprovou acesso a ele ao usar o link.
+   *
+   * @param {Object} data - Dados do convidado
+   * @param {string} data.token - Token do convite
+   * @param {string} data.primeiro_nome - Primeiro nome
+   * @param {string} data.sobrenome - Sobrenome
+   * @param {string} data.senha - Senha em texto puro
+   * @param {Object} [context] - Dados da requisição ({ ip, userAgent })
+   * @returns {Object} Usuário criado (sem senha), token e refreshToken
+   */
+  async acceptInvite(data, context = {}) {
+    const passwordFields = await passwordData(data.senha);
+
+    // Consumir convite e criar usuário na mesma transação:
+    // se a criação falhar, o convite continua válido
+    const user = await prisma.$transaction(async (tx) => {
+      const invitation = await consumeInvitation(data.token, tx);
+
+      const existingUser = await tx.user.findUnique({
+        where: { email: invitation.email },
+      });
+
+      if (existingUser) {
+        throw new AppError('Email já está em uso', 409, 'EMAIL_IN_USE');
+      }
+
+      return tx.user.create({
+        data: {
+          nome: `${data.primeiro_nome} ${data.sobrenome}`,
+          primeiro_nome: data.primeiro_nome,
+          sobrenome: data.sobrenome,
+          email: invitation.email,
+          ...passwordFields,
+          papel: invitation.papel,
+          tipo_usuario: invitation.papel.toLowerCase(),
+          telefone: data.telefone,
+          emailVerifiedAt: new Date(),
+        },
+      });
+    });
+
+    const tokens = await this.issueTokens(user, context);
+
+    return {
+      user: await this.findById(user.id),
+      ...tokens,
     };
   }
 
   /**
    * Realiza login do usuário
    *
+   * As credenciais são conferidas pela cadeia de provedores configurada
+   * em AUTH_PROVIDERS (ver authProviderService). Falhas consecutivas
+   * bloqueiam temporariamente a conta e o IP (ver loginThrottleService).
+   *
    * @param {string} email - Email do usuário
    * @param {string} senha - Senha em texto puro
-   * @returns {Object} Usuário (sem senha) e token
+   * @param {Object} [context] - Dados da requisição
+   * @param {string} [context.ip] - IP do cliente
+   * @param {string} [context.userAgent] - User agent do cliente
+   * @returns {Object} Usuário (sem senha), token e refreshToken; com 2FA
+   *   ativo, apenas { twoFactorRequired, challengeToken }
+   * @throws {TooManyRequestsError} Se a conta ou o IP estiverem bloqueados
+   * @throws {AppError} 403 ACCOUNT_SUSPENDED / ACCOUNT_DEACTIVATED
+   * @throws {AppError} 503 se um provedor (ex.: LDAP) estiver indisponível
    */
-  async login(email, senha) {
-    // 1. Buscar usuário por email
-    const user = await prisma.user.findUnique({
-      where: { email },
-    });
+  async login(email, senha, context = {}) {
+    const attempt = { email, ip: context.ip };
+
+    // 1. Recusar tentativas enquanto a conta ou o IP estiverem bloqueados
+    await assertLoginAllowed(attempt);
+
+    // 2. Conferir as credenciais nos provedores (local, LDAP...)
+    const authenticated = await authenticateCredentials(email, senha);
+
+    if (!authenticated) {
+      await registerLoginFailure(attempt);
 
-    if (!user) {
       // Mensagem genérica para não revelar se email existe
       throw new AppError(
         'Credenciais inválidas',
@@ -90,33 +213,523 @@ class AuthService {
       );
     }
 
-    // 2. Verificar senha
-    const isPasswordValid = await bcrypt.compare(senha, user.senha);
+    const { user, provider } = authenticated;
 
-    if (!isPasswordValid) {
+    // Conta suspensa ou desativada: informada só a quem acertou a senha
+    assertAccountActive(user);
+
+    // Senha local vencida (PASSWORD_MAX_AGE_DAYS): a troca é feita pelo
+    // "esqueci minha senha". Senhas do LDAP seguem a política do diretório
+    if (provider === 'local' && isPasswordExpired(user)) {
       throw new AppError(
-        'Credenciais inválidas',
-        401,
-        'INVALID_CREDENTIALS'
+        'Senha expirada. Redefina a senha pelo "esqueci minha senha"',
+        403,
+        'PASSWORD_EXPIRED'
       );
     }
 
-    // 3. Gerar token JWT
-    const token = generateToken({
-      id: user.id,
-      email: user.email,
-      papel: user.papel,
-    });
+    // 3. Com 2FA ativo, os tokens só são emitidos após o código
+    // (o contador de falhas só é zerado quando o segundo fator é validado)
+    if (await isTwoFactorEnabled(user.id)) {
+      return {
+        twoFactorRequired: true,
+        challengeToken: generateChallengeToken(user.id),
+      };
+    }
+
+    await registerLoginSuccess(attempt);
+
+    // 4. Gerar tokens (access + refresh)
+    const tokens = await this.issueTokens(user, context);
 
-    // 4. Retornar usuário sem a senha
+    // 5. Retornar usuário sem a senha
     const { senha: _, ...userWithoutPassword } = user;
 
     return {
       user: userWithoutPassword,
+      ...tokens,
+      // Política exige 2FA para o papel, mas o usuário ainda não ativou
+      ...(isTwoFactorRequired(user.papel) && { twoFactorSetupRequired: true }),
+    };
+  }
+
+  /**
+   * Realiza login com um provedor de identidade externo (OIDC)
+   * O usuário é encontrado pelo email do ID token; se não existir, é criado
+   * como PROFESSOR (ver findOrProvisionUser).
+   *
+   * @param {string} providerName - Nome do provedor (config/oidc.js)
+   * @param {Object} params - Parâmetros do callback ({ code, state })
+   * @param {Object} [context] - Dados da requisição ({ ip, userAgent })
+   * @returns {Object} Mesmo retorno de login()
+   * @throws {AppError} Se o provedor não informar um email verificado
+   */
+  async loginWithOidc(providerName, params, context = {}) {
+    const claims = await handleCallback(providerName, params);
+
+    // Sem email verificado pelo provedor, o email não comprova a identidade
+    if (!claims.email || claims.email_verified !== true) {
+      throw new AppError(
+        'O provedor de identidade não informou um email verificado',
+        403,
+        'OIDC_EMAIL_NOT_VERIFIED'
+      );
+    }
+
+    const user = await findOrProvisionUser(
+      {
+        email: claims.email,
+        primeiroNome: claims.given_name || claims.name?.split(' ')[0],
+        sobrenome:
+          claims.family_name || claims.name?.split(' ').slice(1).join(' '),
+      },
+      `OIDC (${providerName})`
+    );
+
+    assertAccountActive(user);
+
+    // Mesmo comportamento do login com senha: 2FA ativo exige o código
+    if (await isTwoFactorEnabled(user.id)) {
+      return {
+        twoFactorRequired: true,
+        challengeToken: generateChallengeToken(user.id),
+      };
+    }
+
+    const tokens = await this.issueTokens(user, context);
+
+    return {
+      user: await this.findById(user.id),
+      ...tokens,
+      ...(isTwoFactorRequired(user.papel) && { twoFactorSetupRequired: true }),
+    };
+  }
+
+  /**
+   * Conclui o login de um usuário com 2FA ativo
+   * Falhas contam para o bloqueio de login da conta e do IP.
+   *
+   * @param {string} challengeToken - Token recebido em login()
+   * @param {string} code - Código TOTP ou de recuperação
+   * @param {Object} [context] - Dados da requisição ({ ip, userAgent })
+   * @returns {Object} Usuário (sem senha), token e refreshToken
+   */
+  async completeTwoFactorLogin(challengeToken, code, context = {}) {
+    let challenge;
+
+    try {
+      challenge = verifyChallengeToken(challengeToken);
+    } catch {
+      throw new AppError(
+        'Desafio de login inválido ou expirado. Faça login novamente',
+        401,
+        'INVALID_CHALLENGE_TOKEN'
+      );
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { id: challenge.sub },
+    });
+
+    if (!user) {
+      throw new AppError(
+        'Desafio de login inválido ou expirado. Faça login novamente',
+        401,
+        'INVALID_CHALLENGE_TOKEN'
+      );
+    }
+
+    assertAccountActive(user);
+
+    const attempt = { email: user.email, ip: context.ip };
+
+    await assertLoginAllowed(attempt);
+
+    try {
+      await verifySecondFactor(user.id, code);
+    } catch (error) {
+      await registerLoginFailure(attempt);
+      throw error;
+    }
+
+    await registerLoginSuccess(attempt);
+
+    const tokens = await this.issueTokens(user, { ...context, mfa: true });
+
+    return {
+      user: await this.findById(user.id),
+      ...tokens,
+    };
+  }
+
+  /**
+   * Inicia a configuração do 2FA do usuário
+   * @param {number} userId - ID do usuário
+   * @returns {Object} { secret, otpauthUrl }
+   */
+  async setupTwoFactor(userId) {
+    const user = await this.findById(userId);
+    return setupTwoFactor(user);
+  }
+
+  /**
+   * Ativa o 2FA confirmando o primeiro código do aplicativo
+   * Retorna novos tokens já marcados como autenticados com segundo fator.
+   *
+   * @param {number} userId - ID do usuário
+   * @param {string} code - Código TOTP
+   * @param {Object} [context] - Dados da requisição ({ ip, userAgent })
+   * @returns {Object} { backupCodes, token, refreshToken }
+   */
+  async enableTwoFactor(userId, code, context = {}) {
+    const backupCodes = await enableTwoFactor(userId, code);
+    const user = await this.findById(userId);
+    const tokens = await this.issueTokens(user, { ...context, mfa: true });
+
+    return { backupCodes, ...tokens };
+  }
+
+  /**
+   * Desativa o 2FA do usuário
+   * @param {number} userId - ID do usuário
+   * @param {string} code - Código TOTP ou de recuperação
+   */
+  async disableTwoFactor(userId, code) {
+    await disableTwoFactor(userId, code);
+  }
+
+  /**
+   * Gera novos códigos de recuperação do 2FA
+   * @param {number} userId - ID do usuário
+   * @param {string} code - Código TOTP ou de recuperação
+   * @returns {string[]} Novos códigos
+   */
+  async regenerateBackupCodes(userId, code) {
+    return regenerateBackupCodes(userId, code);
+  }
+
+  /**
+   * Troca um refresh token por um novo par access/refresh
+   * O refresh token apresentado é invalidado (rotação)
+   *
+   * @param {string} refreshToken - Refresh token recebido no login/registro
+   * @returns {Object} Novo token e refreshToken
+   */
+  async refresh(refreshToken) {
+    // 1. Rotacionar (valida, marca como usado e emite um novo)
+    const rotated = await rotateRefreshToken(refreshToken);
+
+    // 2. Buscar dados atualizados do usuário para o novo access token
+    const user = await prisma.user.findUnique({
+      where: { id: rotated.userId },
+    });
+
+    if (!user) {
+      throw new AppError(
+        'Refresh token inválido',
+        401,
+        'INVALID_REFRESH_TOKEN'
+      );
+    }
+
+    assertAccountActive(user);
+
+    // 3. Registrar o acesso na sessão. Refresh tokens emitidos antes
+    // das sessões existirem não têm sessão e seguem sem o claim "sid"
+    const hasSession = await touchSession(rotated.sessionId);
+
+    // 4. Gerar novo access token (mantendo o segundo fator do login)
+    const token = generateToken(
+      {
+        id: user.id,
+        email: user.email,
+        papel: user.papel,
+      },
+      {
+        mfa: rotated.mfa,
+        sessionId: hasSession ? rotated.sessionId : undefined,
+      }
+    );
+
+    return {
       token,
+      refreshToken: rotated.refreshToken,
     };
   }
 
+  /**
+   * Atualiza os dados de perfil do próprio usuário
+   * Mantém o campo v1 "nome" sincronizado com primeiro_nome/sobrenome
+   *
+   * @param {number} userId - ID do usuário
+   * @param {Object} data - Campos de perfil validados (updateProfileSchema)
+   * @returns {Object} Usuário atualizado (sem senha)
+   */
+  async updateProfile(userId, data) {
+    const current = await this.findById(userId);
+    const updateData = { ...data };
+
+    if (data.primeiro_nome || data.sobrenome) {
+      const primeiroNome = data.primeiro_nome || current.primeiro_nome;
+      const sobrenome = data.sobrenome || current.sobrenome;
+      updateData.nome = [primeiroNome, sobrenome].filter(Boolean).join(' ');
+    }
+
+    await prisma.user.update({
+      where: { id: userId },
+      data: updateData,
+    });
+
+    return this.findById(userId);
+  }
+
+  /**
+   * Troca a senha do usuário autenticado
+   * Encerra todas as sessões e retorna tokens novos para a sessão atual
+   *
+   * @param {number} userId - ID do usuário
+   * @param {string} senhaAtual - Senha atual em texto puro
+   * @param {string} novaSenha - Nova senha (já validada pela política)
+   * @param {Object} [options] - Opções
+   * @param {Object} [options.tokenPayload] - Payload do access token atual
+   * @param {boolean} [options.mfa] - Sessão atual autenticada com segundo fator
+   * @param {Object} [options.context] - Dados da requisição ({ ip, userAgent })
+   * @returns {Object} Novo token e refreshToken
+   */
+  async changePassword(userId, senhaAtual, novaSenha, options = {}) {
+    const user = await prisma.user.findUnique({
+      where: { id: userId },
+    });
+
+    if (!user) {
+      throw new AppError('Usuário não encontrado', 404, 'USER_NOT_FOUND');
+    }
+
+    const isPasswordValid = await verifyPassword(senhaAtual, user.senha);
+
+    if (!isPasswordValid) {
+      throw new AppError(
+        'Senha atual incorreta',
+        400,
+        'INVALID_CURRENT_PASSWORD'
+      );
+    }
+
+    await assertPasswordNotReused(userId, novaSenha, 'novaSenha');
+
+    await prisma.user.update({
+      where: { id: userId },
+      data: await passwordData(novaSenha),
+    });
+    await prunePasswordHistory(userId);
+
+    // Invalidar as demais sessões (inclusive a atual, que recebe tokens novos).
+    // O token atual é revogado também pelo jti, pois o corte de logoutAll
+    // tem precisão de segundos
+    await this.logoutAll(userId);
+
+    if (options.tokenPayload) {
+      await revokeToken(options.tokenPayload);
+    }
+
+    console.log('🔑 Senha alterada pelo usuário:', { userId });
+
+    return this.issueTokens(user, { ...options.context, mfa: options.mfa });
+  }
+
+  /**
+   * Encerra a sessão atual
+   * Revoga o access token usado na requisição, a sessão do login
+   * (claim "sid") e, se informado, o refresh token e sua família
+   *
+   * @param {Object} tokenPayload - Payload do access token atual
+   * @param {string} [refreshToken] - Refresh token da sessão (opcional)
+   */
+  async logout(tokenPayload, refreshToken) {
+    await revokeToken(tokenPayload);
+
+    if (tokenPayload.sid) {
+      await revokeFamily(tokenPayload.sid);
+    }
+
+    if (refreshToken) {
+      await revokeByToken(refreshToken, tokenPayload.sub);
+    }
+  }
+
+  /**
+   * Encerra todas as sessões do usuário
+   * Revoga todos os access tokens já emitidos e todos os refresh tokens
+   *
+   * @param {number} userId - ID do usuário
+   */
+  async logoutAll(userId) {
+    await revokeAllUserTokens(userId);
+    await revokeAllForUser(userId);
+  }
+
+  /**
+   * Inicia a recuperação de senha
+   * Grava o pedido na fila de emails (mailQueueService) e retorna: a busca
+   * da conta, o token de uso único e o envio do link acontecem na entrega.
+   * Não informa se o email existe (evita enumeração de contas): a
+   * requisição faz o mesmo trabalho para qualquer email, então nem o tempo
+   * nem uma falha do transporte diferenciam contas existentes.
+   *
+   * @param {string} email - Email da conta
+   */
+  async forgotPassword(email) {
+    const job = await enqueueMailJob(MAIL_JOB_TYPES.PASSWORD_RESET, email);
+
+    // Entrega imediata, sem esperar; se não concluir (ex.: função
+    // serverless encerrada), o job segue pendente para mail:process-queue
+    processMailJob(job).catch(error => {
+      console.error('❌ Falha ao processar email da fila:', {
+        jobId: job.id,
+        error: error.message
+      });
+    });
+  }
+
+  /**
+   * Redefine a senha usando o token recebido por email
+   * Todas as sessões existentes são encerradas.
+   *
+   * @param {string} token - Token de redefinição
+   * @param {string} senha - Nova senha em texto puro
+   */
+  async resetPassword(token, senha) {
+    const passwordFields = await passwordData(senha);
+
+    // 1. Validar e consumir o token (uso único) e gravar a nova senha
+    // na mesma transação: se a senha for recusada, o token continua válido
+    const userId = await prisma.$transaction(async (tx) => {
+      const tokenUserId = await consumeUserToken(
+        token,
+        TOKEN_TYPES.PASSWORD_RESET,
+        tx
+      );
+
+      // 2. Nova senha não pode repetir as últimas
+      await assertPasswordNotReused(tokenUserId, senha);
+
+      await tx.user.update({
+        where: { id: tokenUserId },
+        data: passwordFields,
+      });
+
+      return tokenUserId;
+    });
+
+    await prunePasswordHistory(userId);
+
+    // 3. Encerrar sessões abertas com a senha antiga
+    await this.logoutAll(userId);
+  }
+
+  /**
+   * Confirma o email do usuário usando o token recebido por email
+   *
+   * @param {string} token - Token de verificação
+   * @returns {Object} Usuário com email verificado (sem senha)
+   */
+  async verifyEmail(token) {
+    const userId = await consumeUserToken(
+      token,
+      TOKEN_TYPES.EMAIL_VERIFICATION
+    );
+
+    await prisma.user.update({
+      where: { id: userId },
+      data: { emailVerifiedAt: new Date() },
+    });
+
+    return this.findById(userId);
+  }
+
+  /**
+   * Reenvia o link de confirmação de email
+   *
+   * @param {number} userId - ID do usuário autenticado
+   */
+  async resendVerification(userId) {
+    const user = await prisma.user.findUnique({
+      where: { id: userId },
+    });
+
+    if (!user) {
+      throw new AppError(
+        'Usuário não encontrado',
+        404,
+        'USER_NOT_FOUND'
+      );
+    }
+
+    if (user.emailVerifiedAt) {
+      throw new AppError(
+        'Email já foi verificado',
+        409,
+        'EMAIL_ALREADY_VERIFIED'
+      );
+    }
+
+    await this.sendVerification(user);
+  }
+
+  /**
+   * Gera um token de verificação e envia o link por email
+   * Falhas no envio não impedem o registro: o usuário pode pedir reenvio.
+   *
+   * @param {Object} user - Usuário destinatário
+   */
+  async sendVerification(user) {
+    const token = await createUserToken(
+      user.id,
+      TOKEN_TYPES.EMAIL_VERIFICATION,
+      EMAIL_VERIFICATION_EXPIRES_IN_HOURS * 60
+    );
+
+    try {
+      await sendVerificationEmail(
+        user,
+        token,
+        EMAIL_VERIFICATION_EXPIRES_IN_HOURS
+      );
+    } catch (error) {
+      console.error('❌ Erro ao enviar email de verificação:', error);
+    }
+  }
+
+  /**
+   * Gera o par de tokens de uma nova sessão
+   * A sessão registra o dispositivo e é a família do refresh token.
+   *
+   * @param {Object} user - Usuário autenticado
+   * @param {Object} [options] - Opções
+   * @param {boolean} [options.mfa] - Login concluído com segundo fator
+   * @param {string} [options.ip] - IP do cliente
+   * @param {string} [options.userAgent] - User agent do cliente
+   * @returns {Object} token (JWT de curta duração) e refreshToken (opaco)
+   */
+  async issueTokens(user, options = {}) {
+    const session = await createSession(user.id, options);
+
+    const token = generateToken(
+      {
+        id: user.id,
+        email: user.email,
+        papel: user.papel,
+      },
+      { mfa: options.mfa, sessionId: session.id }
+    );
+
+    const refreshToken = await issueRefreshToken(user.id, session.id, {
+      mfa: options.mfa,
+    });
+
+    return { token, refreshToken };
+  }
+
   /**
    * Busca usuário por ID (para uso interno)
    *
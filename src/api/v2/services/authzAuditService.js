@@ -0,0 +1,215 @@
+// src/api/v2/services/authzAuditService.js
+import { EventEmitter } from 'events';
+import prisma from '../../../config/database.js';
+
+/**
+ * Authz Audit Service
+ * Auditoria das decisões de autorização e alertas de segurança
+ *
+ * Cada decisão dos middlewares de authorize.js (permitido ou negado) é
+ * gravada em authz_audit_logs com usuário, papel, recurso, ação exigida,
+ * resultado, motivo, IP e request ID. A gravação não atrasa a resposta:
+ * falhas ao gravar são apenas registradas no console.
+ *
+ * Quando uma conta acumula AUTHZ_DENIAL_ALERT_THRESHOLD negações (padrão:
+ * 10) em AUTHZ_DENIAL_ALERT_WINDOW_MINUTES (padrão: 15), é criado um
+ * alerta REPEATED_AUTHZ_DENIALS em security_alerts (no máximo um por conta
+ * por janela) e emitido o evento "alert" em securityEvents, para
+ * integrações (email, Slack etc.). 0 desativa os alertas.
+ */
+
+export const AUTHZ_OUTCOMES = Object.freeze({
+  ALLOW: 'ALLOW',
+  DENY: 'DENY',
+});
+
+export const REPEATED_DENIALS_ALERT = 'REPEATED_AUTHZ_DENIALS';
+
+// Eventos de segurança: securityEvents.on('alert', alert => ...)
+export const securityEvents = new EventEmitter();
+
+// Tamanho máximo do caminho armazenado
+const RESOURCE_MAX_LENGTH = 512;
+
+/**
+ * Configuração dos alertas (lida a cada chamada)
+ * @returns {Object} { threshold, windowMs }
+ */
+const getAlertPolicy = () => {
+  const threshold = parseInt(process.env.AUTHZ_DENIAL_ALERT_THRESHOLD);
+  const minutes = parseInt(process.env.AUTHZ_DENIAL_ALERT_WINDOW_MINUTES);
+
+  return {
+    threshold: Number.isNaN(threshold) || threshold < 0 ? 10 : threshold,
+    windowMs: (Number.isNaN(minutes) || minutes <= 0 ? 15 : minutes) * 60 * 1000,
+  };
+};
+
+/**
+ * Cria um alerta se a conta acumulou negações na janela configurada
+ * @param {Object} entry - Negação recém-gravada
+ * @returns {Promise<Object|null>} Alerta criado ou null
+ */
+const checkRepeatedDenials = async entry => {
+  const { threshold, windowMs } = getAlertPolicy();
+
+  if (threshold === 0) {
+    return null;
+  }
+
+  const since = new Date(Date.now() - windowMs);
+
+  const denials = await prisma.authzAuditLog.count({
+    where: {
+      userId: entry.userId,
+      outcome: AUTHZ_OUTCOMES.DENY,
+      createdAt: { gte: since },
+    },
+  });
+
+  if (denials < threshold) {
+    return null;
+  }
+
+  const existing = await prisma.securityAlert.findFirst({
+    where: {
+      userId: entry.userId,
+      type: REPEATED_DENIALS_ALERT,
+      createdAt: { gte: since },
+    },
+  });
+
+  if (existing) {
+    return null;
+  }
+
+  const alert = await prisma.securityAlert.create({
+    data: {
+      type: REPEATED_DENIALS_ALERT,
+      userId: entry.userId,
+      details: {
+        denials,
+        windowMinutes: windowMs / 60000,
+        lastResource: entry.resource,
+        lastAction: entry.action,
+        ip: entry.ip,
+        requestId: entry.requestId,
+      },
+    },
+  });
+
+  console.warn('🚨 Alerta de segurança: negações de acesso repetidas', {
+    alertId: alert.id,
+    userId: entry.userId,
+    denials,
+  });
+
+  securityEvents.emit('alert', alert);
+
+  return alert;
+};
+
+/**
+ * Registra uma decisão de autorização
+ * A gravação roda em segundo plano; o middleware não precisa aguardar.
+ *
+ * @param {Object} req - Request do Express (req.user, req.id)
+ * @param {Object} decision - Decisão
+ * @param {string} decision.action - Permissão, papéis ou escopo exigido
+ * @param {string} decision.outcome - AUTHZ_OUTCOMES.ALLOW ou DENY
+ * @param {string} [decision.reason] - Motivo (ex.: MISSING_PERMISSION)
+ * @returns {Promise<void>} Conclusão da gravação (nunca rejeita)
+ */
+export const recordAuthzDecision = (req, { action, outcome, reason }) => {
+  const entry = {
+    userId: req.user?.id ?? null,
+    role: req.user?.role ?? null,
+    method: req.method,
+    resource: req.originalUrl.split('?')[0].slice(0, RESOURCE_MAX_LENGTH),
+    action,
+    outcome,
+    reason: reason || null,
+    ip: req.ip || null,
+    requestId: req.id || null,
+  };
+
+  return prisma.authzAuditLog
+    .create({ data: entry })
+    .then(() => {
+      if (outcome === AUTHZ_OUTCOMES.DENY && entry.userId) {
+        return checkRepeatedDenials(entry);
+      }
+    })
+    .then(() => undefined)
+    .catch(error => {
+      console.error('❌ Falha ao registrar decisão de autorização:', {
+        requestId: entry.requestId,
+        resource: entry.resource,
+        error: error.message,
+      });
+    });
+};
+
+/**
+ * Filtro de período por data de criação
+ * @param {Date} [from] - Início (inclusive)
+ * @param {Date} [to] - Fim (inclusive)
+ * @returns {Object|undefined} Condição do Prisma
+ */
+const periodFilter = (from, to) =>
+  from || to ? { gte: from, lte: to } : undefined;
+
+/**
+ * Lista decisões de autorização
+ * @param {Object} [filters] - Filtros validados por authzAuditQuerySchema
+ * @param {number} [filters.userId] - Usuário
+ * @param {string} [filters.outcome] - ALLOW ou DENY
+ * @param {Date} [filters.from] - A partir de
+ * @param {Date} [filters.to] - Até
+ * @param {number} [filters.limit] - Máximo de registros (padrão: 100)
+ * @returns {Promise<Array>} Decisões, das mais recentes para as mais antigas
+ */
+export const listAuthzDecisions = async ({
+  userId,
+  outcome,
+  from,
+  to,
+  limit = 100,
+} = {}) => {
+  return prisma.authzAuditLog.findMany({
+    where: { userId, outcome, createdAt: periodFilter(from, to) },
+    orderBy: { id: 'desc' },
+    take: limit,
+  });
+};
+
+/**
+ * Lista alertas de segurança
+ * @param {Object} [filters] - Filtros validados por securityAlertQuerySchema
+ * @param {number} [filters.userId] - Usuário
+ * @param {Date} [filters.from] - A partir de
+ * @param {Date} [filters.to] - Até
+ * @param {number} [filters.limit] - Máximo de registros (padrão: 100)
+ * @returns {Promise<Array>} Alertas, dos mais recentes para os mais antigos
+ */
+export const listSecurityAlerts = async ({
+  userId,
+  from,
+  to,
+  limit = 100,
+} = {}) => {
+  return prisma.securityAlert.findMany({
+    where: { userId, createdAt: periodFilter(from, to) },
+    orderBy: { id: 'desc' },
+    take: limit,
+  });
+};
+
+export default {
+  AUTHZ_OUTCOMES,
+  REPEATED_DENIALS_ALERT,
+  securityEvents,
+  recordAuthzDecision,
+  listAuthzDecisions,
+  listSecurityAlerts,
+};
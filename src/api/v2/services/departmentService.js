@@ -0,0 +1,225 @@
+// src/api/v2/services/departmentService.js
+import prisma from '../../../config/database.js';
+import { ConflictError, NotFoundError } from '../../../errors/AppError.js';
+
+/**
+ * Department Service
+ * Departamentos (cursos) e o escopo dos coordenadores
+ *
+ * Cada usuário pertence a no máximo um departamento (users.departamento_id).
+ * Permissões com escopo DEPARTMENT (ver roleService) valem apenas para os
+ * usuários com papel PROFESSOR do mesmo departamento de quem age: um
+ * coordenador não gerencia outros coordenadores nem administradores.
+ */
+
+// Papel dos usuários gerenciados dentro do escopo do departamento
+const MANAGED_ROLE = 'PROFESSOR';
+
+// Campos retornados pela API
+const departmentSelect = {
+  id: true,
+  name: true,
+  description: true,
+  createdAt: true,
+  updatedAt: true,
+  _count: { select: { users: true } },
+};
+
+/**
+ * Formata um departamento para a resposta
+ * @param {Object} department - Departamento selecionado com departmentSelect
+ * @returns {Object} Departamento com a quantidade de usuários
+ */
+const formatDepartment = ({ _count, ...department }) => ({
+  ...department,
+  users: _count.users,
+});
+
+/**
+ * Busca um departamento pelo ID
+ * @param {number} departmentId - ID do departamento
+ * @returns {Promise<Object>} Departamento formatado
+ * @throws {NotFoundError} Se não existir
+ */
+export const getDepartment = async departmentId => {
+  const department = await prisma.department.findUnique({
+    where: { id: departmentId },
+    select: departmentSelect,
+  });
+
+  if (!department) {
+    throw new NotFoundError(
+      `Departamento com ID ${departmentId} não encontrado`,
+      'Department',
+    );
+  }
+
+  return formatDepartment(department);
+};
+
+/**
+ * Lista os departamentos
+ * @returns {Promise<Array>} Departamentos com a quantidade de usuários
+ */
+export const listDepartments = async () => {
+  const departments = await prisma.department.findMany({
+    select: departmentSelect,
+    orderBy: { name: 'asc' },
+  });
+
+  return departments.map(formatDepartment);
+};
+
+/**
+ * Garante que o nome não está em uso por outro departamento
+ * @param {string} name - Nome informado
+ * @param {number} [ignoreId] - ID do departamento sendo alterado
+ * @throws {ConflictError} Se o nome já existir
+ */
+const assertNameAvailable = async (name, ignoreId) => {
+  const existing = await prisma.department.findUnique({ where: { name } });
+
+  if (existing && existing.id !== ignoreId) {
+    throw new ConflictError('Já existe um departamento com este nome', 'name');
+  }
+};
+
+/**
+ * Cria um departamento
+ * @param {Object} data - Dados validados por createDepartmentSchema
+ * @returns {Promise<Object>} Departamento criado
+ * @throws {ConflictError} Se o nome já existir
+ */
+export const createDepartment = async data => {
+  await assertNameAvailable(data.name);
+
+  const department = await prisma.department.create({
+    data: { name: data.name, description: data.description },
+    select: departmentSelect,
+  });
+
+  console.log('✅ Departamento criado:', {
+    id: department.id,
+    name: department.name,
+  });
+
+  return formatDepartment(department);
+};
+
+/**
+ * Altera um departamento
+ * @param {number} departmentId - ID do departamento
+ * @param {Object} data - Dados validados por updateDepartmentSchema
+ * @returns {Promise<Object>} Departamento atualizado
+ * @throws {NotFoundError} Se não existir
+ * @throws {ConflictError} Se o novo nome já existir
+ */
+export const updateDepartment = async (departmentId, data) => {
+  await getDepartment(departmentId);
+
+  if (data.name) {
+    await assertNameAvailable(data.name, departmentId);
+  }
+
+  const department = await prisma.department.update({
+    where: { id: departmentId },
+    data: { name: data.name, description: data.description },
+    select: departmentSelect,
+  });
+
+  console.log('✅ Departamento atualizado:', { id: departmentId });
+
+  return formatDepartment(department);
+};
+
+/**
+ * Remove um departamento
+ * Os usuários do departamento ficam sem departamento (ON DELETE SET NULL).
+ *
+ * @param {number} departmentId - ID do departamento
+ * @throws {NotFoundError} Se não existir
+ */
+export const deleteDepartment = async departmentId => {
+  await getDepartment(departmentId);
+
+  await prisma.department.delete({ where: { id: departmentId } });
+
+  console.log('🗑️  Departamento removido:', { id: departmentId });
+};
+
+/**
+ * Lista os usuários de um departamento
+ * @param {number} departmentId - ID do departamento
+ * @returns {Promise<Array>} Usuários (formato v2)
+ * @throws {NotFoundError} Se o departamento não existir
+ */
+export const listDepartmentUsers = async departmentId => {
+  await getDepartment(departmentId);
+
+  return prisma.user.findMany({
+    where: { departmentId, deletedAt: null },
+    select: {
+      id: true,
+      primeiro_nome: true,
+      sobrenome: true,
+      email: true,
+      telefone: true,
+      tipo_usuario: true,
+      foto: true,
+      departmentId: true,
+      createdAt: true,
+      updatedAt: true,
+    },
+    orderBy: { id: 'asc' },
+  });
+};
+
+/**
+ * Departamento de um usuário
+ * @param {number} userId - ID do usuário
+ * @returns {Promise<number|null>} ID do departamento ou null
+ */
+export const getUserDepartmentId = async userId => {
+  const user = await prisma.user.findUnique({
+    where: { id: userId },
+    select: { departmentId: true },
+  });
+
+  return user?.departmentId ?? null;
+};
+
+/**
+ * Verifica se um usuário está no escopo de departamento de outro
+ * (mesmo departamento e papel PROFESSOR)
+ *
+ * @param {number} actorId - ID de quem age
+ * @param {number} targetId - ID do usuário alvo
+ * @returns {Promise<boolean>} True se o alvo estiver no escopo
+ */
+export const isInDepartmentScope = async (actorId, targetId) => {
+  const [actorDepartmentId, target] = await Promise.all([
+    getUserDepartmentId(actorId),
+    prisma.user.findUnique({
+      where: { id: targetId },
+      select: { departmentId: true, papel: true },
+    }),
+  ]);
+
+  return Boolean(
+    actorDepartmentId &&
+      target &&
+      target.departmentId === actorDepartmentId &&
+      target.papel === MANAGED_ROLE,
+  );
+};
+
+export default {
+  getDepartment,
+  listDepartments,
+  createDepartment,
+  updateDepartment,
+  deleteDepartment,
+  listDepartmentUsers,
+  getUserDepartmentId,
+  isInDepartmentScope,
+};
@@ -0,0 +1,198 @@
+// src/api/v2/services/impersonationService.js
+import prisma from '../../../config/database.js';
+import { generateToken, decodeToken } from '../../../config/jwt.js';
+import {
+  AppError,
+  ForbiddenError,
+  NotFoundError,
+} from '../../../errors/AppError.js';
+import { PERMISSION_SCOPES, getRolePermissions } from './roleService.js';
+
+/**
+ * Impersonation Service
+ * Permite que um ADMIN (suporte) acesse a API como outro usuário
+ *
+ * Não é possível personificar outro ADMIN nem um usuário cujo papel tenha
+ * permissões que o papel de quem age não tem.
+ *
+ * O token emitido tem o "sub" do usuário personificado e o claim "act"
+ * (RFC 8693) com quem realmente está agindo. Ele é de curta duração, não
+ * tem refresh token nem sessão, e não serve para ações sensíveis da conta
+ * (ver denyImpersonation). Para encerrar antes do prazo, use
+ * POST /v2/auth/logout com o próprio token.
+ *
+ * Toda emissão e toda requisição feita com o token ficam registradas em
+ * impersonation_logs.
+ */
+
+const IMPERSONATION_EXPIRES_IN = process.env.IMPERSONATION_EXPIRES_IN || '15m';
+
+// Tamanho máximo do user agent armazenado
+const USER_AGENT_MAX_LENGTH = 512;
+
+/**
+ * Grava uma entrada no log de personificação
+ * @param {Object} entry - Dados da entrada
+ * @returns {Promise<Object>} Entrada criada
+ */
+const writeLog = entry =>
+  prisma.impersonationLog.create({
+    data: {
+      ...entry,
+      userAgent: entry.userAgent
+        ? entry.userAgent.slice(0, USER_AGENT_MAX_LENGTH)
+        : null,
+    },
+  });
+
+/**
+ * Permissões do papel do alvo que o papel de quem age não tem (ou tem
+ * apenas no escopo do departamento)
+ * Personificar esse alvo daria ao ator poderes que ele não tem.
+ *
+ * @param {string} actorRole - Papel de quem age
+ * @param {string} targetRole - Papel do usuário a personificar
+ * @returns {Promise<string[]>} Chaves das permissões excedentes
+ */
+const exceedingPermissions = async (actorRole, targetRole) => {
+  const actorPermissions = await getRolePermissions(actorRole);
+  const targetPermissions = await getRolePermissions(targetRole);
+
+  return [...targetPermissions]
+    .filter(
+      ([key, scope]) =>
+        !actorPermissions.has(key) ||
+        (scope === PERMISSION_SCOPES.ALL &&
+          actorPermissions.get(key) !== PERMISSION_SCOPES.ALL),
+    )
+    .map(([key]) => key);
+};
+
+/**
+ * Emite um token de personificação
+ * @param {Object} actor - Administrador autenticado (req.user)
+ * @param {number} userId - ID do usuário a personificar
+ * @param {Object} [context] - Dados da requisição ({ ip, userAgent })
+ * @returns {Promise<Object>} { token, expiresAt, user }
+ * @throws {NotFoundError} Se o usuário não existir
+ * @throws {AppError} Se o alvo for o próprio ator, outro ADMIN ou tiver
+ *   permissões que o ator não tem
+ */
+export const startImpersonation = async (actor, userId, context = {}) => {
+  if (userId === actor.id) {
+    throw new AppError(
+      'Não é possível personificar a si mesmo',
+      400,
+      'INVALID_IMPERSONATION',
+    );
+  }
+
+  const user = await prisma.user.findUnique({
+    where: { id: userId, deletedAt: null },
+    select: {
+      id: true,
+      email: true,
+      papel: true,
+      primeiro_nome: true,
+      sobrenome: true,
+      tipo_usuario: true,
+    },
+  });
+
+  if (!user) {
+    throw new NotFoundError(`Usuário com ID ${userId} não encontrado`, 'User');
+  }
+
+  // Personificar outro ADMIN daria a um administrador os poderes de outro
+  if (user.papel.toUpperCase() === 'ADMIN') {
+    throw new ForbiddenError('Não é permitido personificar um administrador');
+  }
+
+  // Nem um papel com permissões além das de quem age (ex.: roles.manage)
+  const exceeding = await exceedingPermissions(actor.role, user.papel);
+
+  if (exceeding.length > 0) {
+    throw new ForbiddenError(
+      `Não é permitido personificar um usuário com permissões que você não tem: ${exceeding.join(', ')}`,
+    );
+  }
+
+  const token = generateToken(user, {
+    actor: { id: actor.id, email: actor.email },
+    expiresIn: IMPERSONATION_EXPIRES_IN,
+  });
+
+  const { jti, exp } = decodeToken(token);
+
+  await writeLog({
+    actorId: actor.id,
+    userId: user.id,
+    tokenId: jti,
+    action: 'START',
+    ip: context.ip || null,
+    userAgent: context.userAgent,
+  });
+
+  console.log('🎭 Personificação iniciada:', {
+    actorId: actor.id,
+    userId: user.id,
+    tokenId: jti,
+  });
+
+  return {
+    token,
+    expiresAt: new Date(exp * 1000).toISOString(),
+    user,
+  };
+};
+
+/**
+ * Registra no log uma requisição feita com token de personificação
+ * A entrada é gravada quando a resposta termina, com o status HTTP.
+ * Falhas ao gravar são apenas registradas no console.
+ *
+ * @param {Object} req - Request do Express (req.user com actor)
+ * @param {Object} res - Response do Express
+ */
+export const recordImpersonatedRequest = (req, res) => {
+  const { id: userId, actor, tokenId } = req.user;
+
+  res.on('finish', () => {
+    writeLog({
+      actorId: actor.id,
+      userId,
+      tokenId,
+      action: 'REQUEST',
+      method: req.method,
+      path: req.originalUrl,
+      statusCode: res.statusCode,
+      ip: req.ip || null,
+      userAgent: req.get('user-agent'),
+    }).catch(error => {
+      console.error('❌ Falha ao registrar requisição personificada:', {
+        tokenId,
+        path: req.originalUrl,
+        error: error.message,
+      });
+    });
+  });
+};
+
+/**
+ * Lista o log de personificação de um usuário (como ator ou alvo)
+ * @param {number} userId - ID do usuário
+ * @returns {Promise<Array>} Entradas, das mais recentes para as mais antigas
+ */
+export const listImpersonationLogs = async userId => {
+  return prisma.impersonationLog.findMany({
+    where: { OR: [{ actorId: userId }, { userId }] },
+    orderBy: { id: 'desc' },
+    take: 100,
+  });
+};
+
+export default {
+  startImpersonation,
+  recordImpersonatedRequest,
+  listImpersonationLogs,
+};
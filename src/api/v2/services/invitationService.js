@@ -0,0 +1,218 @@
+// src/api/v2/services/invitationService.js
+import prisma from '../../../config/database.js';
+import {
+  AppError,
+  ConflictError,
+  ForbiddenError,
+  NotFoundError,
+  ValidationError,
+} from '../../../errors/AppError.js';
+import { generateOpaqueToken, hashToken } from '../../../utils/tokens.js';
+import { sendInvitationEmail } from './mailService.js';
+import { hasPermission } from './roleService.js';
+
+/**
+ * Invitation Service
+ * Convites criados por administradores para contas com papel definido
+ *
+ * O convite é enviado por email com um token de uso único.
+ * Ao aceitar, a conta é criada com o papel do convite.
+ *
+ * O papel pode ser qualquer um da tabela roles. Convidar com papel
+ * diferente de PROFESSOR (o do cadastro público) exige também a permissão
+ * roles.manage: invitations.manage sozinha não concede papéis elevados.
+ */
+
+// Papel que qualquer pessoa com invitations.manage pode conceder
+const DEFAULT_ROLE = 'PROFESSOR';
+
+// Campos retornados pela API (nunca expor o hash do token)
+const invitationSelect = {
+  id: true,
+  email: true,
+  papel: true,
+  expiresAt: true,
+  acceptedAt: true,
+  revokedAt: true,
+  createdAt: true,
+  invitedBy: {
+    select: { id: true, nome: true, email: true },
+  },
+};
+
+/**
+ * Confere se o papel existe e se quem convida pode concedê-lo
+ * @param {string} papel - Papel do convite
+ * @param {Object} invitedBy - Usuário autenticado que convida (req.user)
+ * @throws {ValidationError} Se o papel não existir
+ * @throws {ForbiddenError} Se o papel exigir roles.manage
+ */
+const assertCanInviteAs = async (papel, invitedBy) => {
+  const role = await prisma.role.findUnique({ where: { name: papel } });
+
+  if (!role) {
+    const roles = await prisma.role.findMany({
+      select: { name: true },
+      orderBy: { name: 'asc' },
+    });
+
+    throw new ValidationError('Papel desconhecido', [
+      {
+        field: 'papel',
+        message: `Papel deve ser um de: ${roles.map(r => r.name).join(', ')}`,
+        code: 'UNKNOWN_ROLE',
+      },
+    ]);
+  }
+
+  if (
+    role.name !== DEFAULT_ROLE &&
+    !(await hasPermission(invitedBy, 'roles.manage'))
+  ) {
+    throw new ForbiddenError(
+      `Convidar com o papel ${role.name} exige a permissão roles.manage`,
+    );
+  }
+};
+
+/**
+ * Cria um convite e envia o link por email
+ * Convites pendentes anteriores para o mesmo email são revogados.
+ *
+ * @param {Object} data - Dados do convite
+ * @param {string} data.email - Email do convidado
+ * @param {string} data.papel - Papel da conta (um dos papéis cadastrados)
+ * @param {number} data.validade_dias - Validade do convite em dias
+ * @param {Object} invitedBy - Usuário autenticado que convida (req.user)
+ * @returns {Promise<Object>} Convite criado
+ * @throws {ValidationError} Se o papel não existir
+ * @throws {ForbiddenError} Se o papel exigir roles.manage
+ * @throws {ConflictError} Se já existir conta com o email
+ */
+export const createInvitation = async (data, invitedBy) => {
+  await assertCanInviteAs(data.papel, invitedBy);
+
+  const existingUser = await prisma.user.findUnique({
+    where: { email: data.email },
+  });
+
+  if (existingUser) {
+    throw new ConflictError('Já existe uma conta com este email', 'email');
+  }
+
+  await prisma.invitation.updateMany({
+    where: { email: data.email, acceptedAt: null, revokedAt: null },
+    data: { revokedAt: new Date() },
+  });
+
+  const token = generateOpaqueToken(32);
+
+  const invitation = await prisma.invitation.create({
+    data: {
+      email: data.email,
+      papel: data.papel,
+      tokenHash: hashToken(token),
+      invitedById: invitedBy.id,
+      expiresAt: new Date(Date.now() + data.validade_dias * 24 * 60 * 60 * 1000),
+    },
+    select: invitationSelect,
+  });
+
+  await sendInvitationEmail(invitation, token);
+
+  console.log('✅ Convite criado:', {
+    id: invitation.id,
+    email: invitation.email,
+    papel: invitation.papel,
+  });
+
+  return invitation;
+};
+
+/**
+ * Lista convites pendentes (não aceitos, não revogados e não expirados)
+ * @returns {Promise<Array>} Convites pendentes
+ */
+export const listPendingInvitations = async () => {
+  return prisma.invitation.findMany({
+    where: {
+      acceptedAt: null,
+      revokedAt: null,
+      expiresAt: { gt: new Date() },
+    },
+    select: invitationSelect,
+    orderBy: { createdAt: 'desc' },
+  });
+};
+
+/**
+ * Revoga um convite pendente
+ * @param {number} invitationId - ID do convite
+ * @returns {Promise<Object>} Convite revogado
+ * @throws {NotFoundError} Se o convite não existir
+ * @throws {ValidationError} Se o convite já tiver sido aceito ou revogado
+ */
+export const revokeInvitation = async invitationId => {
+  const invitation = await prisma.invitation.findUnique({
+    where: { id: invitationId },
+  });
+
+  if (!invitation) {
+    throw new NotFoundError(
+      `Convite com ID ${invitationId} não encontrado`,
+      'Invitation',
+    );
+  }
+
+  if (invitation.acceptedAt || invitation.revokedAt) {
+    throw new ValidationError('Convite já foi aceito ou revogado');
+  }
+
+  return prisma.invitation.update({
+    where: { id: invitationId },
+    data: { revokedAt: new Date() },
+    select: invitationSelect,
+  });
+};
+
+/**
+ * Consome um convite (uso único)
+ * @param {string} token - Token recebido por email
+ * @param {Object} db - Cliente Prisma (permite uso dentro de uma transação)
+ * @returns {Promise<Object>} Convite aceito ({ email, papel })
+ * @throws {AppError} Se o convite for inválido, expirado, revogado ou já usado
+ */
+export const consumeInvitation = async (token, db = prisma) => {
+  const now = new Date();
+  const tokenHash = hashToken(token);
+
+  const { count } = await db.invitation.updateMany({
+    where: {
+      tokenHash,
+      acceptedAt: null,
+      revokedAt: null,
+      expiresAt: { gt: now },
+    },
+    data: { acceptedAt: now },
+  });
+
+  if (count === 0) {
+    throw new AppError(
+      'Convite inválido ou expirado',
+      400,
+      'INVALID_INVITATION',
+    );
+  }
+
+  return db.invitation.findUnique({
+    where: { tokenHash },
+    select: { id: true, email: true, papel: true },
+  });
+};
+
+export default {
+  createInvitation,
+  listPendingInvitations,
+  revokeInvitation,
+  consumeInvitation,
+};
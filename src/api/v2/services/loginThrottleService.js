@@ -0,0 +1,164 @@
+// src/api/v2/services/loginThrottleService.js
+import { getRateLimitStore } from '../../../config/rateLimit.js';
+import { TooManyRequestsError } from '../../../errors/AppError.js';
+
+/**
+ * Login Throttle Service
+ * Limita tentativas de login com falha por conta e por IP
+ *
+ * Ao atingir o limite de falhas, a chave (conta ou IP) fica bloqueada
+ * temporariamente. Cada falha adicional dobra o tempo de bloqueio
+ * (backoff exponencial), até o máximo configurado. Sem falhas durante a
+ * janela de observação, o contador volta a zero.
+ *
+ * Falhas para emails inexistentes também contam, para não revelar
+ * quais contas existem.
+ */
+
+const ACCOUNT_MAX_ATTEMPTS = parseInt(process.env.LOGIN_MAX_ATTEMPTS) || 5;
+const IP_MAX_ATTEMPTS = parseInt(process.env.LOGIN_IP_MAX_ATTEMPTS) || 20;
+const LOCKOUT_SECONDS = parseInt(process.env.LOGIN_LOCKOUT_SECONDS) || 60;
+const LOCKOUT_MAX_SECONDS = parseInt(process.env.LOGIN_LOCKOUT_MAX_SECONDS) || 3600;
+const WINDOW_MS =
+  (parseInt(process.env.LOGIN_ATTEMPT_WINDOW_MINUTES) || 15) * 60 * 1000;
+
+// Intervalo mínimo entre limpezas de entradas antigas (10 minutos)
+const CLEANUP_INTERVAL_MS = 10 * 60 * 1000;
+let lastCleanupAt = 0;
+
+/**
+ * Monta as chaves monitoradas para uma tentativa de login
+ * @param {Object} attempt - Tentativa de login
+ * @param {string} attempt.email - Email informado
+ * @param {string} [attempt.ip] - IP do cliente
+ * @returns {Array<{key: string, maxAttempts: number}>} Chaves e limites
+ */
+const keysFor = ({ email, ip }) => {
+  const keys = [
+    { key: `account:${email.trim().toLowerCase()}`, maxAttempts: ACCOUNT_MAX_ATTEMPTS },
+  ];
+
+  if (ip) {
+    keys.push({ key: `ip:${ip}`, maxAttempts: IP_MAX_ATTEMPTS });
+  }
+
+  return keys;
+};
+
+/**
+ * Calcula a duração do bloqueio para a quantidade de falhas
+ * @param {number} failures - Falhas acumuladas
+ * @param {number} maxAttempts - Limite de falhas da chave
+ * @returns {number} Segundos de bloqueio
+ */
+export const lockoutDuration = (failures, maxAttempts) => {
+  const exponent = Math.min(failures - maxAttempts, 30);
+  return Math.min(LOCKOUT_SECONDS * 2 ** exponent, LOCKOUT_MAX_SECONDS);
+};
+
+/**
+ * Remove entradas sem falhas recentes
+ * @returns {Promise<number>} Quantidade de entradas removidas
+ */
+export const cleanupLoginAttempts = async () => {
+  lastCleanupAt = Date.now();
+  return getRateLimitStore().cleanup(new Date(Date.now() - WINDOW_MS));
+};
+
+/**
+ * Dispara a limpeza em segundo plano, no máximo uma vez por intervalo
+ */
+const scheduleCleanup = () => {
+  if (Date.now() - lastCleanupAt < CLEANUP_INTERVAL_MS) {
+    return;
+  }
+
+  cleanupLoginAttempts().catch(error => {
+    console.error('❌ Erro ao limpar tentativas de login:', error);
+  });
+};
+
+/**
+ * Verifica se a tentativa de login pode prosseguir
+ * @param {Object} attempt - { email, ip }
+ * @returns {Promise<void>}
+ * @throws {TooManyRequestsError} Se a conta ou o IP estiverem bloqueados
+ */
+export const assertLoginAllowed = async attempt => {
+  scheduleCleanup();
+
+  const store = getRateLimitStore();
+  const now = Date.now();
+  let retryAfter = 0;
+
+  for (const { key } of keysFor(attempt)) {
+    const entry = await store.get(key);
+
+    if (entry?.lockedUntil && entry.lockedUntil.getTime() > now) {
+      const seconds = Math.ceil((entry.lockedUntil.getTime() - now) / 1000);
+      retryAfter = Math.max(retryAfter, seconds);
+    }
+  }
+
+  if (retryAfter > 0) {
+    throw new TooManyRequestsError(
+      `Muitas tentativas de login. Tente novamente em ${retryAfter} segundos`,
+      retryAfter,
+    );
+  }
+};
+
+/**
+ * Registra uma tentativa de login com falha
+ * Bloqueia a conta/IP quando o limite é atingido
+ *
+ * @param {Object} attempt - { email, ip }
+ * @returns {Promise<void>}
+ */
+export const registerLoginFailure = async attempt => {
+  const store = getRateLimitStore();
+  const now = new Date();
+
+  for (const { key, maxAttempts } of keysFor(attempt)) {
+    const previous = await store.get(key);
+
+    // Janela expirada: recomeçar a contagem
+    const expired =
+      previous &&
+      now - previous.lastFailureAt > WINDOW_MS &&
+      !(previous.lockedUntil && previous.lockedUntil > now);
+
+    if (expired) {
+      await store.reset(key);
+    }
+
+    const entry = await store.increment(key, now);
+
+    if (entry.failures >= maxAttempts) {
+      const seconds = lockoutDuration(entry.failures, maxAttempts);
+      await store.lock(key, new Date(now.getTime() + seconds * 1000));
+
+      console.warn('🔒 Login bloqueado temporariamente:', { key, seconds });
+    }
+  }
+};
+
+/**
+ * Registra um login bem-sucedido
+ * Zera o contador da conta (o contador do IP é mantido)
+ *
+ * @param {Object} attempt - { email }
+ * @returns {Promise<void>}
+ */
+export const registerLoginSuccess = async ({ email }) => {
+  const [account] = keysFor({ email });
+  await getRateLimitStore().reset(account.key);
+};
+
+export default {
+  assertLoginAllowed,
+  registerLoginFailure,
+  registerLoginSuccess,
+  cleanupLoginAttempts,
+  lockoutDuration,
+};
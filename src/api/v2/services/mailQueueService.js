@@ -0,0 +1,166 @@
+// src/api/v2/services/mailQueueService.js
+import prisma from '../../../config/database.js';
+import { TOKEN_TYPES, createUserToken } from './userTokenService.js';
+import { sendPasswordResetEmail } from './mailService.js';
+
+/**
+ * Mail Queue Service
+ * Fila de emails gravada no banco (tabela mail_jobs)
+ *
+ * A requisição só grava o pedido (enqueueMailJob) e responde; a entrega
+ * é feita por processMailJob logo em seguida e, para o que ficar pendente
+ * (falha do transporte, processo encerrado antes do envio, como em
+ * funções serverless), por processMailJobs, executado periodicamente com
+ * npm run mail:process-queue.
+ *
+ * Cada job é tentado até MAIL_QUEUE_MAX_ATTEMPTS vezes (padrão: 5).
+ */
+
+export const MAIL_JOB_TYPES = Object.freeze({
+  PASSWORD_RESET: 'PASSWORD_RESET',
+});
+
+const PASSWORD_RESET_EXPIRES_IN_MINUTES =
+  parseInt(process.env.PASSWORD_RESET_EXPIRES_IN_MINUTES) || 60;
+const MAX_ATTEMPTS = parseInt(process.env.MAIL_QUEUE_MAX_ATTEMPTS) || 5;
+
+// Job reservado há mais tempo que isso é considerado abandonado
+const LOCK_TIMEOUT_MS = 5 * 60 * 1000;
+
+/**
+ * Entrega de cada tipo de job
+ * Recebem o job e enviam o email (ou não fazem nada, se não houver o que
+ * enviar). Erros contam como tentativa falha.
+ */
+const handlers = {
+  // O job guarda só o email informado: a conta é buscada aqui, fora da
+  // requisição, para que a resposta não dependa de ela existir
+  async [MAIL_JOB_TYPES.PASSWORD_RESET](job) {
+    const user = await prisma.user.findUnique({
+      where: { email: job.to },
+    });
+
+    if (!user) {
+      console.log('⚠️  Recuperação de senha para email inexistente:', {
+        jobId: job.id,
+      });
+      return;
+    }
+
+    const token = await createUserToken(
+      user.id,
+      TOKEN_TYPES.PASSWORD_RESET,
+      PASSWORD_RESET_EXPIRES_IN_MINUTES,
+    );
+    await sendPasswordResetEmail(
+      user,
+      token,
+      PASSWORD_RESET_EXPIRES_IN_MINUTES,
+    );
+  },
+};
+
+/**
+ * Grava um email na fila
+ * @param {string} type - Tipo do job (MAIL_JOB_TYPES)
+ * @param {string} to - Email do destinatário
+ * @returns {Promise<Object>} Job criado
+ */
+export const enqueueMailJob = (type, to) =>
+  prisma.mailJob.create({ data: { type, to } });
+
+/**
+ * Processa um job da fila
+ * O job é reservado antes da entrega, então execuções simultâneas não
+ * enviam o mesmo email duas vezes. Falhas ficam registradas no job
+ * (tentativas e último erro) para uma nova tentativa.
+ *
+ * @param {Object} job - Job (como retornado por enqueueMailJob)
+ * @returns {Promise<boolean|null>} true se processado, false se falhou,
+ *   null se outra execução já o reservou
+ */
+export const processMailJob = async job => {
+  const { count } = await prisma.mailJob.updateMany({
+    where: { id: job.id, processedAt: null, lockedAt: job.lockedAt },
+    data: { lockedAt: new Date() },
+  });
+
+  if (count === 0) {
+    return null;
+  }
+
+  try {
+    const handler = handlers[job.type];
+    if (!handler) {
+      throw new Error(`Tipo de email desconhecido: ${job.type}`);
+    }
+
+    await handler(job);
+
+    await prisma.mailJob.update({
+      where: { id: job.id },
+      data: { processedAt: new Date(), lockedAt: null },
+    });
+    return true;
+  } catch (error) {
+    console.error('❌ Falha ao processar email da fila:', {
+      jobId: job.id,
+      type: job.type,
+      error: error.message,
+    });
+
+    await prisma.mailJob.update({
+      where: { id: job.id },
+      data: {
+        attempts: { increment: 1 },
+        lastError: error.message,
+        lockedAt: null,
+      },
+    });
+    return false;
+  }
+};
+
+/**
+ * Processa os jobs pendentes da fila, do mais antigo para o mais novo
+ * Ignora jobs que esgotaram as tentativas e jobs reservados há menos de
+ * 5 minutos (em processamento por outra execução).
+ *
+ * @param {Object} [options] - Opções
+ * @param {number} [options.limit] - Máximo de jobs processados (padrão: 100)
+ * @returns {Promise<Object>} { processed, failed } (failed: falharam nesta
+ *   execução)
+ */
+export const processMailJobs = async ({ limit = 100 } = {}) => {
+  const jobs = await prisma.mailJob.findMany({
+    where: {
+      processedAt: null,
+      attempts: { lt: MAX_ATTEMPTS },
+      OR: [
+        { lockedAt: null },
+        { lockedAt: { lt: new Date(Date.now() - LOCK_TIMEOUT_MS) } },
+      ],
+    },
+    orderBy: { id: 'asc' },
+    take: limit,
+  });
+
+  let processed = 0;
+  let failed = 0;
+
+  for (const job of jobs) {
+    const result = await processMailJob(job);
+
+    if (result === true) processed++;
+    if (result === false) failed++;
+  }
+
+  return { processed, failed };
+};
+
+export default {
+  MAIL_JOB_TYPES,
+  enqueueMailJob,
+  processMailJob,
+  processMailJobs,
+};
@@ -0,0 +1,111 @@
+// src/api/v2/services/mailService.js
+import { MAIL_FROM, getMailTransport } from '../../../config/mail.js';
+
+/**
+ * Mail Service
+ * Monta as mensagens da aplicação e as entrega ao transporte configurado
+ */
+
+const APP_URL = process.env.FRONTEND_URL || 'http://localhost:5173';
+const API_URL = process.env.API_URL || 'http://localhost:3000';
+
+/**
+ * Envia um email pelo transporte configurado
+ * @param {Object} message - Mensagem
+ * @param {string} message.to - Destinatário
+ * @param {string} message.subject - Assunto
+ * @param {string} message.text - Corpo em texto puro
+ * @param {string} [message.html] - Corpo em HTML (opcional)
+ * @returns {Promise<void>}
+ */
+export const sendMail = async message => {
+  const transport = getMailTransport();
+
+  await transport.send({ from: MAIL_FROM, ...message });
+
+  console.log(`📧 Email enviado via ${transport.name}:`, {
+    to: message.to,
+    subject: message.subject,
+  });
+};
+
+/**
+ * Envia o link de redefinição de senha
+ * @param {Object} user - Usuário destinatário
+ * @param {string} token - Token de redefinição em texto puro
+ * @param {number} expiresInMinutes - Validade do link
+ * @returns {Promise<void>}
+ */
+export const sendPasswordResetEmail = async (user, token, expiresInMinutes) => {
+  const link = `${APP_URL}/reset-password?token=${token}`;
+
+  await sendMail({
+    to: user.email,
+    subject: 'Redefinição de senha - Gerador de Provas',
+    text: [
+      `Olá, ${user.primeiro_nome || user.nome}!`,
+      '',
+      'Recebemos uma solicitação para redefinir a sua senha.',
+      `Para criar uma nova senha, acesse: ${link}`,
+      '',
+      `O link expira em ${expiresInMinutes} minutos e só pode ser usado uma vez.`,
+      'Se você não fez esta solicitação, ignore este email.',
+    ].join('\n'),
+  });
+};
+
+/**
+ * Envia o link de confirmação de email
+ * @param {Object} user - Usuário destinatário
+ * @param {string} token - Token de verificação em texto puro
+ * @param {number} expiresInHours - Validade do link
+ * @returns {Promise<void>}
+ */
+export const sendVerificationEmail = async (user, token, expiresInHours) => {
+  const link = `${API_URL}/v2/auth/verify-email?token=${token}`;
+
+  await sendMail({
+    to: user.email,
+    subject: 'Confirme seu email - Gerador de Provas',
+    text: [
+      `Olá, ${user.primeiro_nome || user.nome}!`,
+      '',
+      'Para ativar sua conta no Gerador de Provas, confirme seu email acessando:',
+      link,
+      '',
+      `O link expira em ${expiresInHours} horas.`,
+      'Se você não criou esta conta, ignore este email.',
+    ].join('\n'),
+  });
+};
+
+/**
+ * Envia o convite para criação de conta
+ * @param {Object} invitation - Convite (email, papel, expiresAt, invitedBy)
+ * @param {string} token - Token do convite em texto puro
+ * @returns {Promise<void>}
+ */
+export const sendInvitationEmail = async (invitation, token) => {
+  const link = `${APP_URL}/accept-invite?token=${token}`;
+  const invitedBy = invitation.invitedBy?.nome || 'Um administrador';
+
+  await sendMail({
+    to: invitation.email,
+    subject: 'Convite para o Gerador de Provas',
+    text: [
+      'Olá!',
+      '',
+      `${invitedBy} convidou você para o Gerador de Provas como ${invitation.papel}.`,
+      `Para criar sua conta, acesse: ${link}`,
+      '',
+      `O convite expira em ${invitation.expiresAt.toLocaleDateString('pt-BR')}.`,
+    ].join('\n'),
+  });
+};
+
+export default {
+  sendMail,
+  sendPasswordResetEmail,
+  sendVerificationEmail,
+  sendInvitationEmail,
+};
@@ -0,0 +1,292 @@
+// src/api/v2/services/oidcService.js
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import prisma from '../../../config/database.js';
+import { getOidcProvider } from '../../../config/oidc.js';
+import { AppError, NotFoundError } from '../../../errors/AppError.js';
+import { generateOpaqueToken, hashToken } from '../../../utils/tokens.js';
+
+/**
+ * OIDC Service
+ * Login com um provedor de identidade externo (OpenID Connect)
+ *
+ * Fluxo authorization code + PKCE:
+ * 1. login: gera state, nonce e code_verifier, guarda no banco e
+ *    redireciona para o authorization_endpoint do provedor
+ * 2. callback: consome o state (uso único), troca o code por tokens no
+ *    token_endpoint (enviando o code_verifier) e valida o ID token
+ *    (assinatura pelo JWKS do provedor, issuer, audience e nonce)
+ *
+ * Documento de discovery e JWKS ficam em cache por uma hora; um "kid"
+ * desconhecido força nova busca do JWKS (rotação de chaves do provedor).
+ */
+
+// Validade de um login iniciado e não concluído (10 minutos)
+const LOGIN_STATE_TTL_MS = 10 * 60 * 1000;
+
+// Validade dos caches de discovery e JWKS (1 hora)
+const CACHE_TTL_MS = 60 * 60 * 1000;
+
+// Algoritmos aceitos na assinatura do ID token
+const ID_TOKEN_ALGORITHMS = ['RS256', 'ES256'];
+
+const discoveryCache = new Map();
+const jwksCache = new Map();
+
+/**
+ * Erro padrão para falhas no login com o provedor
+ * @param {string} message - Detalhe do erro
+ * @returns {AppError} Erro 401 OIDC_LOGIN_FAILED
+ */
+export const oidcError = message =>
+  new AppError(`Falha no login externo: ${message}`, 401, 'OIDC_LOGIN_FAILED');
+
+/**
+ * Busca a configuração de um provedor ou lança 404
+ * @param {string} name - Nome do provedor
+ * @returns {Object} Configuração (ver config/oidc.js)
+ * @throws {NotFoundError} Se o provedor não estiver configurado
+ */
+const requireProvider = name => {
+  const provider = getOidcProvider(name);
+
+  if (!provider) {
+    throw new NotFoundError(
+      `Provedor de identidade "${name}" não configurado`,
+      'OidcProvider',
+    );
+  }
+
+  return provider;
+};
+
+/**
+ * Busca JSON de um endpoint do provedor
+ * @param {string} url - URL
+ * @param {Object} [options] - Opções do fetch
+ * @returns {Promise<Object>} Corpo da resposta
+ * @throws {AppError} Se o provedor estiver indisponível ou responder com erro
+ */
+const fetchJson = async (url, options) => {
+  let response;
+
+  try {
+    response = await fetch(url, options);
+  } catch (error) {
+    console.error('❌ Provedor OIDC indisponível:', { url, error: error.message });
+    throw new AppError(
+      'Provedor de identidade indisponível',
+      502,
+      'OIDC_PROVIDER_UNAVAILABLE',
+    );
+  }
+
+  const body = await response.json().catch(() => ({}));
+
+  if (!response.ok) {
+    throw oidcError(body.error_description || body.error || `HTTP ${response.status}`);
+  }
+
+  return body;
+};
+
+/**
+ * Obtém o documento de discovery do provedor (com cache)
+ * @param {Object} provider - Configuração do provedor
+ * @returns {Promise<Object>} Metadados OIDC (endpoints, jwks_uri, issuer)
+ */
+const getDiscovery = async provider => {
+  const cached = discoveryCache.get(provider.issuer);
+
+  if (cached && Date.now() - cached.fetchedAt < CACHE_TTL_MS) {
+    return cached.metadata;
+  }
+
+  const metadata = await fetchJson(
+    `${provider.issuer}/.well-known/openid-configuration`,
+  );
+
+  discoveryCache.set(provider.issuer, { metadata, fetchedAt: Date.now() });
+  return metadata;
+};
+
+/**
+ * Busca a chave pública que assinou o ID token
+ * @param {string} jwksUri - URL do JWKS do provedor
+ * @param {Object} header - Header do ID token ({ kid, alg })
+ * @returns {Promise<Object>} { key, alg }
+ * @throws {AppError} Se nenhuma chave corresponder
+ */
+const getSigningKey = async (jwksUri, header) => {
+  const findKey = keys =>
+    keys.find(jwk => (header.kid ? jwk.kid === header.kid : true));
+
+  let cached = jwksCache.get(jwksUri);
+  let jwk =
+    cached && Date.now() - cached.fetchedAt < CACHE_TTL_MS
+      ? findKey(cached.keys)
+      : undefined;
+
+  if (!jwk) {
+    const { keys = [] } = await fetchJson(jwksUri);
+    cached = { keys, fetchedAt: Date.now() };
+    jwksCache.set(jwksUri, cached);
+    jwk = findKey(keys);
+  }
+
+  if (!jwk) {
+    throw oidcError('chave de assinatura do ID token desconhecida');
+  }
+
+  return {
+    key: crypto.createPublicKey({ key: jwk, format: 'jwk' }),
+    alg: jwk.alg || header.alg,
+  };
+};
+
+/**
+ * Valida o ID token recebido do provedor
+ * @param {string} idToken - ID token (JWT)
+ * @param {Object} provider - Configuração do provedor
+ * @param {Object} metadata - Documento de discovery
+ * @param {string} nonce - Nonce gerado no início do login
+ * @returns {Promise<Object>} Claims do ID token
+ * @throws {AppError} Se o token for inválido
+ */
+const verifyIdToken = async (idToken, provider, metadata, nonce) => {
+  const decoded = jwt.decode(idToken, { complete: true });
+
+  if (!decoded) {
+    throw oidcError('ID token inválido');
+  }
+
+  const { key, alg } = await getSigningKey(metadata.jwks_uri, decoded.header);
+
+  if (!ID_TOKEN_ALGORITHMS.includes(alg)) {
+    throw oidcError(`algoritmo do ID token não suportado (${alg})`);
+  }
+
+  try {
+    return jwt.verify(idToken, key, {
+      algorithms: [alg],
+      issuer: metadata.issuer,
+      audience: provider.clientId,
+      nonce,
+    });
+  } catch (error) {
+    throw oidcError(`ID token inválido (${error.message})`);
+  }
+};
+
+/**
+ * Inicia o login: registra o state e monta a URL de autorização
+ * @param {string} providerName - Nome do provedor
+ * @returns {Promise<string>} URL para redirecionar o navegador
+ * @throws {NotFoundError} Se o provedor não estiver configurado
+ */
+export const createAuthorizationUrl = async providerName => {
+  const provider = requireProvider(providerName);
+  const metadata = await getDiscovery(provider);
+
+  const state = generateOpaqueToken(32);
+  const nonce = generateOpaqueToken(16);
+  const codeVerifier = generateOpaqueToken(48);
+  const codeChallenge = crypto
+    .createHash('sha256')
+    .update(codeVerifier)
+    .digest('base64url');
+
+  // Remove logins abandonados antes de registrar o novo
+  await prisma.oidcLoginState.deleteMany({
+    where: { expiresAt: { lt: new Date() } },
+  });
+
+  await prisma.oidcLoginState.create({
+    data: {
+      stateHash: hashToken(state),
+      provider: provider.name,
+      codeVerifier,
+      nonce,
+      expiresAt: new Date(Date.now() + LOGIN_STATE_TTL_MS),
+    },
+  });
+
+  const params = new URLSearchParams({
+    response_type: 'code',
+    client_id: provider.clientId,
+    redirect_uri: provider.redirectUri,
+    scope: provider.scopes,
+    state,
+    nonce,
+    code_challenge: codeChallenge,
+    code_challenge_method: 'S256',
+  });
+
+  return `${metadata.authorization_endpoint}?${params.toString()}`;
+};
+
+/**
+ * Conclui o login: valida o state, troca o code e valida o ID token
+ * @param {string} providerName - Nome do provedor
+ * @param {Object} params - Parâmetros do callback
+ * @param {string} params.code - Authorization code
+ * @param {string} params.state - State gerado em createAuthorizationUrl
+ * @returns {Promise<Object>} Claims do ID token (sub, email, email_verified...)
+ * @throws {AppError} Se o state, o code ou o ID token forem inválidos
+ */
+export const handleCallback = async (providerName, { code, state }) => {
+  const provider = requireProvider(providerName);
+  const stateHash = hashToken(state);
+
+  const loginState = await prisma.oidcLoginState.findUnique({
+    where: { stateHash },
+  });
+
+  // Consumir o state de forma atômica (uso único)
+  const { count } = await prisma.oidcLoginState.deleteMany({
+    where: {
+      stateHash,
+      provider: provider.name,
+      expiresAt: { gt: new Date() },
+    },
+  });
+
+  if (!loginState || count === 0) {
+    throw oidcError('login expirado ou inválido. Tente novamente');
+  }
+
+  const metadata = await getDiscovery(provider);
+
+  const body = new URLSearchParams({
+    grant_type: 'authorization_code',
+    code,
+    redirect_uri: provider.redirectUri,
+    code_verifier: loginState.codeVerifier,
+  });
+  const headers = { 'Content-Type': 'application/x-www-form-urlencoded' };
+
+  // Cliente confidencial: client_secret_basic; cliente público: só client_id
+  if (provider.clientSecret) {
+    const credentials = `${encodeURIComponent(provider.clientId)}:${encodeURIComponent(provider.clientSecret)}`;
+    headers.Authorization = `Basic ${Buffer.from(credentials).toString('base64')}`;
+  } else {
+    body.set('client_id', provider.clientId);
+  }
+
+  const tokens = await fetchJson(metadata.token_endpoint, {
+    method: 'POST',
+    headers,
+    body,
+  });
+
+  if (!tokens.id_token) {
+    throw oidcError('o provedor não retornou um ID token');
+  }
+
+  return verifyIdToken(tokens.id_token, provider, metadata, loginState.nonce);
+};
+
+export default {
+  createAuthorizationUrl,
+  handleCallback,
+};
@@ -0,0 +1,213 @@
+// src/api/v2/services/refreshTokenService.js
+import crypto from 'crypto';
+import prisma from '../../../config/database.js';
+import { AppError } from '../../../errors/AppError.js';
+import { generateOpaqueToken, hashToken } from '../../../utils/tokens.js';
+
+/**
+ * Refresh Token Service
+ * Emite, rotaciona e revoga refresh tokens
+ *
+ * Regras:
+ * - Cada login inicia uma nova "família" de tokens, identificada pelo id
+ *   da sessão (ver sessionService)
+ * - Cada uso de um refresh token o marca como usado e emite um novo (rotação)
+ * - Se um token já usado for apresentado novamente (replay), a família
+ *   inteira é revogada, pois indica que o token pode ter sido roubado
+ */
+
+const REFRESH_TOKEN_EXPIRES_IN_DAYS =
+  parseInt(process.env.REFRESH_TOKEN_EXPIRES_IN_DAYS) || 30;
+
+/**
+ * Calcula a data de expiração de um novo refresh token
+ * @returns {Date} Data de expiração
+ */
+const getExpirationDate = () =>
+  new Date(Date.now() + REFRESH_TOKEN_EXPIRES_IN_DAYS * 24 * 60 * 60 * 1000);
+
+/**
+ * Emite um novo refresh token para o usuário
+ * @param {number} userId - ID do usuário
+ * @param {string} familyId - Família do token (novo login gera uma nova)
+ * @param {Object} [options] - Opções
+ * @param {boolean} [options.mfa] - Login concluído com segundo fator
+ * @returns {Promise<string>} Refresh token em texto puro
+ */
+export const issueRefreshToken = async (
+  userId,
+  familyId = crypto.randomUUID(),
+  { mfa = false } = {},
+) => {
+  const refreshToken = generateOpaqueToken();
+
+  await prisma.refreshToken.create({
+    data: {
+      tokenHash: hashToken(refreshToken),
+      familyId,
+      userId,
+      mfa,
+      expiresAt: getExpirationDate(),
+    },
+  });
+
+  return refreshToken;
+};
+
+/**
+ * Revoga todos os tokens ativos de uma família e encerra a sessão
+ * correspondente
+ * @param {string} familyId - ID da família
+ * @returns {Promise<number>} Quantidade de tokens revogados
+ */
+export const revokeFamily = async familyId => {
+  const now = new Date();
+
+  const [{ count }] = await prisma.$transaction([
+    prisma.refreshToken.updateMany({
+      where: { familyId, revokedAt: null },
+      data: { revokedAt: now },
+    }),
+    prisma.session.updateMany({
+      where: { id: familyId, revokedAt: null },
+      data: { revokedAt: now },
+    }),
+  ]);
+
+  return count;
+};
+
+/**
+ * Revoga todos os refresh tokens ativos de um usuário e encerra
+ * todas as suas sessões
+ * @param {number} userId - ID do usuário
+ * @returns {Promise<number>} Quantidade de tokens revogados
+ */
+export const revokeAllForUser = async userId => {
+  const now = new Date();
+
+  const [{ count }] = await prisma.$transaction([
+    prisma.refreshToken.updateMany({
+      where: { userId, revokedAt: null },
+      data: { revokedAt: now },
+    }),
+    prisma.session.updateMany({
+      where: { userId, revokedAt: null },
+      data: { revokedAt: now },
+    }),
+  ]);
+
+  return count;
+};
+
+/**
+ * Revoga a família de um refresh token apresentado pelo próprio usuário
+ * Tokens de outros usuários ou inexistentes são ignorados silenciosamente
+ *
+ * @param {string} refreshToken - Refresh token em texto puro
+ * @param {number} userId - ID do usuário autenticado
+ * @returns {Promise<number>} Quantidade de tokens revogados
+ */
+export const revokeByToken = async (refreshToken, userId) => {
+  const stored = await prisma.refreshToken.findUnique({
+    where: { tokenHash: hashToken(refreshToken) },
+  });
+
+  if (!stored || stored.userId !== userId) {
+    return 0;
+  }
+
+  return revokeFamily(stored.familyId);
+};
+
+/**
+ * Troca um refresh token por um novo (rotação)
+ * @param {string} refreshToken - Refresh token apresentado pelo cliente
+ * @returns {Promise<Object>} { userId, sessionId, refreshToken, mfa } com o
+ *   novo token
+ * @throws {AppError} Se o token for inválido, expirado ou reutilizado
+ */
+export const rotateRefreshToken = async refreshToken => {
+  const stored = await prisma.refreshToken.findUnique({
+    where: { tokenHash: hashToken(refreshToken) },
+  });
+
+  if (!stored) {
+    throw new AppError(
+      'Refresh token inválido',
+      401,
+      'INVALID_REFRESH_TOKEN',
+    );
+  }
+
+  // Token revogado (logout): apenas recusar
+  if (stored.revokedAt && !stored.usedAt) {
+    throw new AppError(
+      'Refresh token revogado. Por favor, faça login novamente',
+      401,
+      'REFRESH_TOKEN_REVOKED',
+    );
+  }
+
+  // Token já usado: possível roubo, revogar a família inteira
+  if (stored.usedAt) {
+    await revokeFamily(stored.familyId);
+
+    console.log('🚨 Reuso de refresh token detectado:', {
+      userId: stored.userId,
+      familyId: stored.familyId,
+    });
+
+    throw new AppError(
+      'Refresh token já utilizado. Por segurança, faça login novamente',
+      401,
+      'REFRESH_TOKEN_REUSED',
+    );
+  }
+
+  if (stored.expiresAt < new Date()) {
+    throw new AppError(
+      'Refresh token expirado. Por favor, faça login novamente',
+      401,
+      'REFRESH_TOKEN_EXPIRED',
+    );
+  }
+
+  // Marcar como usado de forma atômica (evita duas rotações concorrentes)
+  const { count } = await prisma.refreshToken.updateMany({
+    where: { id: stored.id, usedAt: null, revokedAt: null },
+    data: { usedAt: new Date() },
+  });
+
+  if (count === 0) {
+    await revokeFamily(stored.familyId);
+
+    throw new AppError(
+      'Refresh token já utilizado. Por segurança, faça login novamente',
+      401,
+      'REFRESH_TOKEN_REUSED',
+    );
+  }
+
+  // O novo token herda o fator de autenticação do login original
+  const newRefreshToken = await issueRefreshToken(
+    stored.userId,
+    stored.familyId,
+    { mfa: stored.mfa },
+  );
+
+  return {
+    userId: stored.userId,
+    sessionId: stored.familyId,
+    refreshToken: newRefreshToken,
+    mfa: stored.mfa,
+  };
+};
+
+export default {
+  issueRefreshToken,
+  rotateRefreshToken,
+  revokeFamily,
+  revokeByToken,
+  revokeAllForUser,
+};
@@ -0,0 +1,446 @@
+// src/api/v2/services/roleService.js
+import prisma from '../../../config/database.js';
+import {
+  AppError,
+  ConflictError,
+  NotFoundError,
+  ValidationError,
+} from '../../../errors/AppError.js';
+import { revokeAllUserTokens } from './tokenRevocationService.js';
+import { revokeAllForUser } from './refreshTokenService.js';
+
+/**
+ * Role Service
+ * Papéis e permissões (RBAC)
+ *
+ * Cada usuário tem um papel (users.papel = roles.nome) e cada papel tem
+ * um conjunto de permissões (ex.: users.delete, exams.publish). As rotas
+ * exigem permissões com requirePermission(), não papéis.
+ *
+ * O catálogo de permissões é criado pelas migrations: a API apenas
+ * associa permissões existentes aos papéis.
+ *
+ * Cada associação tem um escopo: ALL (vale para qualquer usuário) ou
+ * DEPARTMENT (vale apenas para os professores do departamento de quem age,
+ * ex.: o COORDENADOR). Na API, o escopo DEPARTMENT aparece como sufixo da
+ * chave: "users.update:department". requirePermission e hasPermission só
+ * consideram o escopo ALL; rotas sobre um usuário específico usam
+ * userAccessPolicy, que também aceita o escopo DEPARTMENT.
+ *
+ * O papel vem do access token (claim "role"), por isso assignRole revoga
+ * os tokens e encerra as sessões do usuário; as permissões de cada papel
+ * ficam em cache em memória por PERMISSION_CACHE_TTL_SECONDS (padrão: 60)
+ * e o cache é limpo a cada alteração de papel feita por esta API. Em
+ * várias instâncias, uma alteração leva até o TTL para valer em todas.
+ */
+
+// Papel com todas as permissões; suas permissões não podem ser alteradas
+const ADMIN_ROLE = 'ADMIN';
+
+// Escopos de uma permissão concedida a um papel
+export const PERMISSION_SCOPES = Object.freeze({
+  ALL: 'ALL',
+  DEPARTMENT: 'DEPARTMENT',
+});
+
+// Sufixo das chaves com escopo DEPARTMENT na API
+const DEPARTMENT_SUFFIX = ':department';
+
+const permissionCache = new Map();
+
+// Campos retornados pela API
+const roleSelect = {
+  id: true,
+  name: true,
+  description: true,
+  system: true,
+  createdAt: true,
+  updatedAt: true,
+  permissions: {
+    select: { scope: true, permission: { select: { key: true } } },
+    orderBy: { permission: { key: 'asc' } },
+  },
+  _count: { select: { users: true } },
+};
+
+/**
+ * Formata um papel para a resposta (permissões como lista de chaves)
+ * @param {Object} role - Papel selecionado com roleSelect
+ * @returns {Object} Papel formatado
+ */
+const formatRole = ({ permissions, _count, ...role }) => ({
+  ...role,
+  permissions: permissions.map(({ scope, permission }) =>
+    scope === PERMISSION_SCOPES.DEPARTMENT
+      ? `${permission.key}${DEPARTMENT_SUFFIX}`
+      : permission.key,
+  ),
+  users: _count.users,
+});
+
+/**
+ * Tempo de vida do cache de permissões (lido a cada chamada)
+ * @returns {number} TTL em milissegundos
+ */
+const getCacheTtl = () => {
+  const seconds = parseInt(process.env.PERMISSION_CACHE_TTL_SECONDS);
+  return (Number.isNaN(seconds) ? 60 : seconds) * 1000;
+};
+
+/**
+ * Limpa o cache de permissões (após alterar papéis)
+ */
+export const clearPermissionCache = () => {
+  permissionCache.clear();
+};
+
+/**
+ * Permissões de um papel
+ * @param {string} roleName - Nome do papel (claim "role" do token)
+ * @returns {Promise<Map<string, string>>} Chave da permissão → escopo
+ *   (PERMISSION_SCOPES); vazio se o papel não existir
+ */
+export const getRolePermissions = async roleName => {
+  const name = roleName?.toUpperCase();
+
+  if (!name) {
+    return new Map();
+  }
+
+  const cached = permissionCache.get(name);
+
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.permissions;
+  }
+
+  const rows = await prisma.rolePermission.findMany({
+    where: { role: { name } },
+    select: { scope: true, permission: { select: { key: true } } },
+  });
+
+  const permissions = new Map(
+    rows.map(({ scope, permission }) => [permission.key, scope]),
+  );
+
+  permissionCache.set(name, {
+    permissions,
+    expiresAt: Date.now() + getCacheTtl(),
+  });
+
+  return permissions;
+};
+
+/**
+ * Escopo com que o usuário autenticado tem uma permissão
+ * @param {Object} user - Usuário autenticado (req.user)
+ * @param {string} permission - Chave da permissão
+ * @returns {Promise<string|null>} PERMISSION_SCOPES.ALL,
+ *   PERMISSION_SCOPES.DEPARTMENT ou null se não tiver a permissão
+ */
+export const getPermissionScope = async (user, permission) =>
+  (await getRolePermissions(user?.role)).get(permission) || null;
+
+/**
+ * Verifica se o usuário autenticado tem uma permissão com escopo ALL
+ * @param {Object} user - Usuário autenticado (req.user)
+ * @param {string} permission - Chave da permissão
+ * @returns {Promise<boolean>} True se o papel do usuário tiver a permissão
+ *   para qualquer usuário
+ */
+export const hasPermission = async (user, permission) =>
+  (await getPermissionScope(user, permission)) === PERMISSION_SCOPES.ALL;
+
+/**
+ * Lista o catálogo de permissões
+ * @returns {Promise<Array>} Permissões ({ key, description })
+ */
+export const listPermissions = async () => {
+  return prisma.permission.findMany({
+    select: { key: true, description: true },
+    orderBy: { key: 'asc' },
+  });
+};
+
+/**
+ * Converte as permissões informadas na API em associações do papel
+ * @param {string[]} entries - Chaves, opcionalmente com o sufixo
+ *   ":department" (ex.: "users.update:department")
+ * @returns {Promise<Array<Object>>} Associações ({ permissionId, scope })
+ * @throws {ValidationError} Se alguma chave não existir no catálogo
+ */
+const resolvePermissions = async entries => {
+  const scopes = new Map(
+    entries.map(entry =>
+      entry.endsWith(DEPARTMENT_SUFFIX)
+        ? [entry.slice(0, -DEPARTMENT_SUFFIX.length), PERMISSION_SCOPES.DEPARTMENT]
+        : [entry, PERMISSION_SCOPES.ALL],
+    ),
+  );
+  const keys = [...scopes.keys()];
+
+  const permissions = await prisma.permission.findMany({
+    where: { key: { in: keys } },
+    select: { id: true, key: true },
+  });
+
+  const known = new Set(permissions.map(permission => permission.key));
+  const unknown = keys.filter(key => !known.has(key));
+
+  if (unknown.length > 0) {
+    throw new ValidationError(
+      'Permissões desconhecidas',
+      unknown.map(key => ({
+        field: 'permissions',
+        message: `Permissão desconhecida: ${key}`,
+        code: 'UNKNOWN_PERMISSION',
+      })),
+    );
+  }
+
+  return permissions.map(permission => ({
+    permissionId: permission.id,
+    scope: scopes.get(permission.key),
+  }));
+};
+
+/**
+ * Busca um papel pelo ID
+ * @param {number} roleId - ID do papel
+ * @returns {Promise<Object>} Registro do papel
+ * @throws {NotFoundError} Se não existir
+ */
+const findRole = async roleId => {
+  const role = await prisma.role.findUnique({ where: { id: roleId } });
+
+  if (!role) {
+    throw new NotFoundError(`Papel com ID ${roleId} não encontrado`, 'Role');
+  }
+
+  return role;
+};
+
+/**
+ * Lista os papéis com suas permissões e quantidade de usuários
+ * @returns {Promise<Array>} Papéis
+ */
+export const listRoles = async () => {
+  const roles = await prisma.role.findMany({
+    select: roleSelect,
+    orderBy: { name: 'asc' },
+  });
+
+  return roles.map(formatRole);
+};
+
+/**
+ * Busca um papel
+ * @param {number} roleId - ID do papel
+ * @returns {Promise<Object>} Papel com permissões
+ * @throws {NotFoundError} Se não existir
+ */
+export const getRole = async roleId => {
+  await findRole(roleId);
+
+  return formatRole(
+    await prisma.role.findUnique({ where: { id: roleId }, select: roleSelect }),
+  );
+};
+
+/**
+ * Cria um papel
+ * @param {Object} data - Dados validados por createRoleSchema
+ * @param {string} data.name - Nome (maiúsculas)
+ * @param {string} [data.description] - Descrição
+ * @param {string[]} data.permissions - Chaves das permissões (sufixo
+ *   ":department" para o escopo DEPARTMENT)
+ * @returns {Promise<Object>} Papel criado
+ * @throws {ConflictError} Se o nome já existir
+ * @throws {ValidationError} Se alguma permissão não existir
+ */
+export const createRole = async data => {
+  const existing = await prisma.role.findUnique({
+    where: { name: data.name },
+  });
+
+  if (existing) {
+    throw new ConflictError('Já existe um papel com este nome', 'name');
+  }
+
+  const permissions = await resolvePermissions(data.permissions);
+
+  const role = await prisma.role.create({
+    data: {
+      name: data.name,
+      description: data.description,
+      permissions: { create: permissions },
+    },
+  });
+
+  console.log('✅ Papel criado:', { id: role.id, name: role.name });
+
+  return getRole(role.id);
+};
+
+/**
+ * Altera um papel
+ * Papéis de sistema não podem ser renomeados e as permissões do ADMIN não
+ * podem ser alteradas (evita que a administração perca o acesso).
+ * Informar permissions substitui a lista inteira.
+ *
+ * @param {number} roleId - ID do papel
+ * @param {Object} data - Dados validados por updateRoleSchema
+ * @returns {Promise<Object>} Papel atualizado
+ * @throws {AppError} 400 SYSTEM_ROLE para alterações proibidas
+ */
+export const updateRole = async (roleId, data) => {
+  const role = await findRole(roleId);
+
+  if (role.system && data.name && data.name !== role.name) {
+    throw new AppError(
+      'Papéis de sistema não podem ser renomeados',
+      400,
+      'SYSTEM_ROLE',
+    );
+  }
+
+  if (role.name === ADMIN_ROLE && data.permissions) {
+    throw new AppError(
+      'As permissões do papel ADMIN não podem ser alteradas',
+      400,
+      'SYSTEM_ROLE',
+    );
+  }
+
+  if (data.name && data.name !== role.name) {
+    const existing = await prisma.role.findUnique({
+      where: { name: data.name },
+    });
+
+    if (existing) {
+      throw new ConflictError('Já existe um papel com este nome', 'name');
+    }
+  }
+
+  const permissions = data.permissions
+    ? await resolvePermissions(data.permissions)
+    : null;
+
+  await prisma.$transaction(async tx => {
+    await tx.role.update({
+      where: { id: roleId },
+      data: {
+        name: data.name,
+        description: data.description,
+      },
+    });
+
+    if (permissions) {
+      await tx.rolePermission.deleteMany({ where: { roleId } });
+      await tx.rolePermission.createMany({
+        data: permissions.map(permission => ({ roleId, ...permission })),
+      });
+    }
+
+    // Renomear o papel atualiza users.papel (ON UPDATE CASCADE);
+    // tipo_usuario acompanha
+    if (data.name && data.name !== role.name) {
+      await tx.user.updateMany({
+        where: { papel: data.name },
+        data: { tipo_usuario: data.name.toLowerCase() },
+      });
+    }
+  });
+
+  clearPermissionCache();
+
+  console.log('✅ Papel atualizado:', { id: roleId, name: data.name || role.name });
+
+  return getRole(roleId);
+};
+
+/**
+ * Remove um papel
+ * @param {number} roleId - ID do papel
+ * @throws {AppError} 400 SYSTEM_ROLE para papéis de sistema
+ * @throws {ConflictError} Se houver usuários com o papel
+ */
+export const deleteRole = async roleId => {
+  const role = await findRole(roleId);
+
+  if (role.system) {
+    throw new AppError(
+      'Papéis de sistema não podem ser removidos',
+      400,
+      'SYSTEM_ROLE',
+    );
+  }
+
+  const users = await prisma.user.count({ where: { papel: role.name } });
+
+  if (users > 0) {
+    throw new ConflictError(
+      `Papel atribuído a ${users} usuário(s). Altere o papel deles antes de remover`,
+      'role',
+    );
+  }
+
+  await prisma.role.delete({ where: { id: roleId } });
+
+  clearPermissionCache();
+
+  console.log('🗑️  Papel removido:', { id: roleId, name: role.name });
+};
+
+/**
+ * Atribui um papel a um usuário
+ * Quando o papel muda, os access tokens do usuário são revogados e as
+ * sessões encerradas: o papel antigo (claim "role") deixa de valer na
+ * hora e o novo vale a partir do próximo login.
+ *
+ * @param {number} userId - ID do usuário
+ * @param {string} roleName - Nome do papel
+ * @returns {Promise<Object>} Usuário ({ id, email, papel, tipo_usuario })
+ * @throws {NotFoundError} Se o usuário ou o papel não existirem
+ */
+export const assignRole = async (userId, roleName) => {
+  const role = await prisma.role.findUnique({ where: { name: roleName } });
+
+  if (!role) {
+    throw new NotFoundError(`Papel ${roleName} não encontrado`, 'Role');
+  }
+
+  const user = await prisma.user.findUnique({ where: { id: userId } });
+
+  if (!user) {
+    throw new NotFoundError(`Usuário com ID ${userId} não encontrado`, 'User');
+  }
+
+  const updated = await prisma.user.update({
+    where: { id: userId },
+    data: { papel: role.name, tipo_usuario: role.name.toLowerCase() },
+    select: { id: true, email: true, papel: true, tipo_usuario: true },
+  });
+
+  if (user.papel !== role.name) {
+    await revokeAllUserTokens(userId);
+    await revokeAllForUser(userId);
+  }
+
+  console.log('✅ Papel atribuído:', { userId, papel: role.name });
+
+  return updated;
+};
+
+export default {
+  clearPermissionCache,
+  getRolePermissions,
+  getPermissionScope,
+  hasPermission,
+  listPermissions,
+  listRoles,
+  getRole,
+  createRole,
+  updateRole,
+  deleteRole,
+  assignRole,
+};
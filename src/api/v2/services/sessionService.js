@@ -0,0 +1,144 @@
+// src/api/v2/services/sessionService.js
+import prisma from '../../../config/database.js';
+import { NotFoundError } from '../../../errors/AppError.js';
+import { revokeFamily } from './refreshTokenService.js';
+
+/**
+ * Session Service
+ * Sessões de login por dispositivo (user agent, IP, último acesso)
+ *
+ * Cada login cria uma sessão. O id da sessão é usado como família dos
+ * refresh tokens e vai no claim "sid" dos access tokens, de modo que
+ * revogar a sessão invalida os dois tipos de token.
+ */
+
+const REFRESH_TOKEN_EXPIRES_IN_DAYS =
+  parseInt(process.env.REFRESH_TOKEN_EXPIRES_IN_DAYS) || 30;
+
+// Intervalo mínimo entre atualizações do último acesso (1 minuto)
+const LAST_SEEN_INTERVAL_MS = 60 * 1000;
+
+// Tamanho máximo do user agent armazenado
+const USER_AGENT_MAX_LENGTH = 512;
+
+// Campos retornados pela API
+const sessionSelect = {
+  id: true,
+  userAgent: true,
+  ip: true,
+  createdAt: true,
+  lastSeenAt: true,
+};
+
+/**
+ * Cria a sessão de um novo login
+ * @param {number} userId - ID do usuário
+ * @param {Object} [context] - Dados da requisição
+ * @param {string} [context.ip] - IP do cliente
+ * @param {string} [context.userAgent] - Header User-Agent
+ * @returns {Promise<Object>} Sessão criada
+ */
+export const createSession = async (userId, { ip, userAgent } = {}) => {
+  return prisma.session.create({
+    data: {
+      userId,
+      ip: ip || null,
+      userAgent: userAgent ? userAgent.slice(0, USER_AGENT_MAX_LENGTH) : null,
+    },
+    select: sessionSelect,
+  });
+};
+
+/**
+ * Verifica se uma sessão continua ativa e registra o acesso
+ * O último acesso é gravado no máximo uma vez por minuto.
+ *
+ * @param {string} sessionId - ID da sessão (claim "sid")
+ * @returns {Promise<boolean>} True se a sessão existir e não foi revogada
+ */
+export const touchSession = async sessionId => {
+  const session = await prisma.session.findUnique({
+    where: { id: sessionId },
+    select: { revokedAt: true, lastSeenAt: true },
+  });
+
+  if (!session || session.revokedAt) {
+    return false;
+  }
+
+  const now = Date.now();
+
+  if (now - session.lastSeenAt.getTime() >= LAST_SEEN_INTERVAL_MS) {
+    await prisma.session.updateMany({
+      where: {
+        id: sessionId,
+        lastSeenAt: { lt: new Date(now - LAST_SEEN_INTERVAL_MS) },
+      },
+      data: { lastSeenAt: new Date(now) },
+    });
+  }
+
+  return true;
+};
+
+/**
+ * Lista as sessões ativas de um usuário (mais recentes primeiro)
+ * Sessões sem uso há mais tempo que a validade do refresh token
+ * já não podem ser renovadas e não são listadas.
+ *
+ * @param {number} userId - ID do usuário
+ * @param {string} [currentSessionId] - Sessão da requisição atual
+ * @returns {Promise<Array>} Sessões, com "current" indicando a atual
+ */
+export const listSessions = async (userId, currentSessionId) => {
+  const activeSince = new Date(
+    Date.now() - REFRESH_TOKEN_EXPIRES_IN_DAYS * 24 * 60 * 60 * 1000,
+  );
+
+  const sessions = await prisma.session.findMany({
+    where: { userId, revokedAt: null, lastSeenAt: { gt: activeSince } },
+    select: sessionSelect,
+    orderBy: { lastSeenAt: 'desc' },
+  });
+
+  return sessions.map(session => ({
+    ...session,
+    current: session.id === currentSessionId,
+  }));
+};
+
+/**
+ * Revoga uma sessão ativa do usuário
+ * Os refresh tokens da sessão são revogados e os access tokens com
+ * o mesmo "sid" deixam de ser aceitos pelo authMiddleware.
+ *
+ * @param {number} userId - Dono da sessão
+ * @param {string} sessionId - ID da sessão
+ * @returns {Promise<void>}
+ * @throws {NotFoundError} Se a sessão não existir, for de outro usuário
+ *   ou já estiver revogada
+ */
+export const revokeSession = async (userId, sessionId) => {
+  const session = await prisma.session.findFirst({
+    where: { id: sessionId, userId, revokedAt: null },
+    select: { id: true },
+  });
+
+  if (!session) {
+    throw new NotFoundError(
+      `Sessão ${sessionId} não encontrada`,
+      'Session',
+    );
+  }
+
+  await revokeFamily(sessionId);
+
+  console.log('🔒 Sessão revogada:', { userId, sessionId });
+};
+
+export default {
+  createSession,
+  touchSession,
+  listSessions,
+  revokeSession,
+};
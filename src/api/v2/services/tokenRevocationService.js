@@ -0,0 +1,121 @@
+// src/api/v2/services/tokenRevocationService.js
+import prisma from '../../../config/database.js';
+import { getAccessTokenLifetime } from '../../../config/jwt.js';
+
+/**
+ * Token Revocation Service
+ * Mantém a lista de access tokens (JWT) revogados antes de expirarem
+ *
+ * JWTs são válidos até expirar. Para invalidar um token antes disso
+ * (logout, token roubado, administrador desligado), registramos a
+ * revogação no banco e o authMiddleware consulta essa lista.
+ */
+
+// Intervalo mínimo entre limpezas de entradas expiradas (10 minutos)
+const CLEANUP_INTERVAL_MS = 10 * 60 * 1000;
+let lastCleanupAt = 0;
+
+/**
+ * Remove entradas cujo token já teria expirado de qualquer forma
+ * @returns {Promise<number>} Quantidade de entradas removidas
+ */
+export const cleanupExpiredRevocations = async () => {
+  lastCleanupAt = Date.now();
+
+  const { count } = await prisma.revokedToken.deleteMany({
+    where: { expiresAt: { lt: new Date() } },
+  });
+
+  return count;
+};
+
+/**
+ * Dispara a limpeza em segundo plano, no máximo uma vez por intervalo
+ * Não bloqueia a requisição atual e não propaga erros
+ */
+const scheduleCleanup = () => {
+  if (Date.now() - lastCleanupAt < CLEANUP_INTERVAL_MS) {
+    return;
+  }
+
+  cleanupExpiredRevocations().catch(error => {
+    console.error('❌ Erro ao limpar tokens revogados:', error);
+  });
+};
+
+/**
+ * Revoga um access token específico
+ * @param {Object} payload - Payload decodificado do JWT
+ * @param {string} payload.jti - ID único do token
+ * @param {number} payload.sub - ID do usuário
+ * @param {number} payload.exp - Expiração do token (segundos desde epoch)
+ * @returns {Promise<void>}
+ */
+export const revokeToken = async ({ jti, sub, exp }) => {
+  if (!jti) {
+    return;
+  }
+
+  await prisma.revokedToken.upsert({
+    where: { jti },
+    update: {},
+    create: {
+      jti,
+      userId: sub,
+      expiresAt: new Date(exp * 1000),
+    },
+  });
+};
+
+/**
+ * Revoga todos os access tokens emitidos até agora para o usuário
+ *
+ * A data de corte é arredondada para o segundo (precisão do claim "iat"),
+ * de forma que tokens emitidos logo após a revogação continuem válidos.
+ *
+ * @param {number} userId - ID do usuário
+ * @returns {Promise<void>}
+ */
+export const revokeAllUserTokens = async userId => {
+  const now = Date.now();
+  const issuedBefore = new Date(Math.floor(now / 1000) * 1000);
+
+  await prisma.revokedToken.create({
+    data: {
+      userId,
+      issuedBefore,
+      expiresAt: new Date(now + getAccessTokenLifetime() * 1000),
+    },
+  });
+};
+
+/**
+ * Verifica se um access token foi revogado
+ * @param {Object} payload - Payload decodificado do JWT
+ * @returns {Promise<boolean>} True se o token não deve mais ser aceito
+ */
+export const isTokenRevoked = async ({ jti, sub, iat }) => {
+  scheduleCleanup();
+
+  const conditions = [
+    { userId: sub, issuedBefore: { gt: new Date(iat * 1000) } },
+  ];
+
+  if (jti) {
+    conditions.push({ jti });
+  }
+
+  const revoked = await prisma.revokedToken.findFirst({
+    where: { OR: conditions },
+    select: { id: true },
+  });
+
+  return !!revoked;
+};
+
+export default {
+  revokeToken,
+  revokeAllUserTokens,
+  isTokenRevoked,
+  cleanupExpiredRevocations,
+};
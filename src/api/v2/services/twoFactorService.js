@@ -0,0 +1,270 @@
+// src/api/v2/services/twoFactorService.js
+import crypto from 'crypto';
+import prisma from '../../../config/database.js';
+import { AppError } from '../../../errors/AppError.js';
+import { hashToken } from '../../../utils/tokens.js';
+import {
+  buildOtpauthUri,
+  generateTotpSecret,
+  verifyTotp,
+} from '../../../utils/totp.js';
+
+/**
+ * Two Factor Service
+ * Autenticação em dois fatores com TOTP e códigos de recuperação
+ *
+ * Fluxo de ativação:
+ * 1. setup: gera um segredo pendente e a URI otpauth:// para o QR code
+ * 2. enable: o usuário confirma com um código do aplicativo; o 2FA passa
+ *    a valer e são gerados os códigos de recuperação (exibidos uma vez)
+ *
+ * Cada código TOTP só é aceito uma vez (o último intervalo usado é salvo).
+ */
+
+const TOTP_ISSUER = process.env.TOTP_ISSUER || 'Gerador de Provas';
+const BACKUP_CODES_COUNT = 10;
+
+// Alfabeto dos códigos de recuperação (sem 0/O, 1/I/L para evitar confusão)
+const BACKUP_CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+
+/**
+ * Normaliza um código de recuperação digitado pelo usuário
+ * @param {string} code - Código informado
+ * @returns {string} Código sem espaços/hífens, em maiúsculas
+ */
+const normalizeBackupCode = code => code.toUpperCase().replace(/[\s-]/g, '');
+
+/**
+ * Gera um código de recuperação no formato XXXXX-XXXXX
+ * @returns {string} Código em texto puro
+ */
+const generateBackupCode = () => {
+  const chars = Array.from(
+    { length: 10 },
+    () => BACKUP_CODE_ALPHABET[crypto.randomInt(BACKUP_CODE_ALPHABET.length)],
+  ).join('');
+
+  return `${chars.slice(0, 5)}-${chars.slice(5)}`;
+};
+
+/**
+ * Substitui os códigos de recuperação do usuário por novos
+ * @param {number} userId - ID do usuário
+ * @returns {Promise<string[]>} Códigos em texto puro (exibir apenas uma vez)
+ */
+const replaceBackupCodes = async userId => {
+  const codes = Array.from({ length: BACKUP_CODES_COUNT }, generateBackupCode);
+
+  await prisma.$transaction([
+    prisma.backupCode.deleteMany({ where: { userId } }),
+    prisma.backupCode.createMany({
+      data: codes.map(code => ({
+        userId,
+        codeHash: hashToken(normalizeBackupCode(code)),
+      })),
+    }),
+  ]);
+
+  return codes;
+};
+
+/**
+ * Erro padrão para código de segundo fator inválido
+ * @returns {AppError} Erro 401 INVALID_TWO_FACTOR_CODE
+ */
+const invalidCodeError = () =>
+  new AppError(
+    'Código de verificação inválido',
+    401,
+    'INVALID_TWO_FACTOR_CODE',
+  );
+
+/**
+ * Indica se a política da organização exige 2FA para o papel
+ * Controlado por REQUIRE_2FA_FOR_ADMINS (lido a cada chamada)
+ *
+ * @param {string} role - Papel do usuário
+ * @returns {boolean} True se o papel precisa de segundo fator
+ */
+export const isTwoFactorRequired = role =>
+  process.env.REQUIRE_2FA_FOR_ADMINS === 'true' &&
+  role?.toUpperCase() === 'ADMIN';
+
+/**
+ * Verifica se o usuário tem 2FA ativo
+ * @param {number} userId - ID do usuário
+ * @returns {Promise<boolean>} True se o 2FA estiver ativado
+ */
+export const isTwoFactorEnabled = async userId => {
+  const twoFactor = await prisma.twoFactorAuth.findUnique({
+    where: { userId },
+    select: { enabledAt: true },
+  });
+
+  return !!twoFactor?.enabledAt;
+};
+
+/**
+ * Inicia a ativação do 2FA gerando um novo segredo
+ * Um setup anterior não confirmado é substituído.
+ *
+ * @param {Object} user - Usuário ({ id, email })
+ * @returns {Promise<Object>} { secret, otpauthUrl }
+ * @throws {AppError} Se o 2FA já estiver ativado
+ */
+export const setupTwoFactor = async user => {
+  if (await isTwoFactorEnabled(user.id)) {
+    throw new AppError(
+      'Autenticação em dois fatores já está ativada',
+      409,
+      'TWO_FACTOR_ALREADY_ENABLED',
+    );
+  }
+
+  const secret = generateTotpSecret();
+
+  await prisma.twoFactorAuth.upsert({
+    where: { userId: user.id },
+    create: { userId: user.id, secret },
+    update: { secret, lastUsedStep: null },
+  });
+
+  return {
+    secret,
+    otpauthUrl: buildOtpauthUri({
+      secret,
+      account: user.email,
+      issuer: TOTP_ISSUER,
+    }),
+  };
+};
+
+/**
+ * Confirma o setup com um código do aplicativo e ativa o 2FA
+ * @param {number} userId - ID do usuário
+ * @param {string} code - Código TOTP atual
+ * @returns {Promise<string[]>} Códigos de recuperação (exibir apenas uma vez)
+ * @throws {AppError} Se não houver setup pendente ou o código for inválido
+ */
+export const enableTwoFactor = async (userId, code) => {
+  const twoFactor = await prisma.twoFactorAuth.findUnique({
+    where: { userId },
+  });
+
+  if (!twoFactor || twoFactor.enabledAt) {
+    throw new AppError(
+      'Nenhuma configuração de dois fatores pendente. Use POST /v2/auth/2fa/setup',
+      400,
+      'TWO_FACTOR_NOT_PENDING',
+    );
+  }
+
+  const step = verifyTotp(twoFactor.secret, code);
+
+  if (step === null) {
+    throw invalidCodeError();
+  }
+
+  await prisma.twoFactorAuth.update({
+    where: { userId },
+    data: { enabledAt: new Date(), lastUsedStep: step },
+  });
+
+  return replaceBackupCodes(userId);
+};
+
+/**
+ * Valida o segundo fator: código TOTP ou código de recuperação
+ * Códigos aceitos são consumidos (não podem ser reutilizados).
+ *
+ * @param {number} userId - ID do usuário
+ * @param {string} code - Código TOTP ou de recuperação
+ * @returns {Promise<void>}
+ * @throws {AppError} Se o 2FA não estiver ativo ou o código for inválido
+ */
+export const verifySecondFactor = async (userId, code) => {
+  const twoFactor = await prisma.twoFactorAuth.findUnique({
+    where: { userId },
+  });
+
+  if (!twoFactor?.enabledAt) {
+    throw new AppError(
+      'Autenticação em dois fatores não está ativada',
+      400,
+      'TWO_FACTOR_NOT_ENABLED',
+    );
+  }
+
+  const step = verifyTotp(twoFactor.secret, code);
+
+  if (step !== null) {
+    // Marca o intervalo como usado de forma atômica (impede replay do código)
+    const { count } = await prisma.twoFactorAuth.updateMany({
+      where: {
+        userId,
+        OR: [{ lastUsedStep: null }, { lastUsedStep: { lt: step } }],
+      },
+      data: { lastUsedStep: step },
+    });
+
+    if (count === 0) {
+      throw invalidCodeError();
+    }
+
+    return;
+  }
+
+  // Não é um TOTP válido: tentar como código de recuperação
+  const { count } = await prisma.backupCode.updateMany({
+    where: {
+      userId,
+      codeHash: hashToken(normalizeBackupCode(code)),
+      usedAt: null,
+    },
+    data: { usedAt: new Date() },
+  });
+
+  if (count === 0) {
+    throw invalidCodeError();
+  }
+
+  console.log('🔑 Código de recuperação 2FA utilizado:', { userId });
+};
+
+/**
+ * Desativa o 2FA (exige um código válido)
+ * @param {number} userId - ID do usuário
+ * @param {string} code - Código TOTP ou de recuperação
+ * @returns {Promise<void>}
+ */
+export const disableTwoFactor = async (userId, code) => {
+  await verifySecondFactor(userId, code);
+
+  await prisma.$transaction([
+    prisma.backupCode.deleteMany({ where: { userId } }),
+    prisma.twoFactorAuth.delete({ where: { userId } }),
+  ]);
+};
+
+/**
+ * Gera novos códigos de recuperação (exige um código válido)
+ * Os códigos anteriores deixam de valer.
+ *
+ * @param {number} userId - ID do usuário
+ * @param {string} code - Código TOTP ou de recuperação
+ * @returns {Promise<string[]>} Novos códigos (exibir apenas uma vez)
+ */
+export const regenerateBackupCodes = async (userId, code) => {
+  await verifySecondFactor(userId, code);
+  return replaceBackupCodes(userId);
+};
+
+export default {
+  isTwoFactorRequired,
+  isTwoFactorEnabled,
+  setupTwoFactor,
+  enableTwoFactor,
+  verifySecondFactor,
+  disableTwoFactor,
+  regenerateBackupCodes,
+};
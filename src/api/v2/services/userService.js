@@ -1,43 +1,256 @@
 // src/api/v2/services/userService.js
+import { Prisma } from '@prisma/client';
 import prisma from '../../../config/database.js';
+import {
+  assertPasswordNotReused,
+  passwordData,
+  prunePasswordHistory,
+} from '../../../utils/passwordPolicy.js';
 import {
   ValidationError,
   NotFoundError,
   ConflictError,
 } from '../../../errors/AppError.js';
 import { uploadToUploadcare } from './uploadService.js';
+import { getDepartment } from './departmentService.js';
+import { paginateByCursor } from '../../../utils/cursor.js';
+import { moveUserToTrash } from './userTrashService.js';
+import { revokeAllUserTokens } from './tokenRevocationService.js';
+import { revokeAllForUser } from './refreshTokenService.js';
+import {
+  escapeLike,
+  highlightMatches,
+  searchTerms,
+} from '../../../utils/search.js';
 
 /**
  * User Service v2
  * MUDANÇAS DA V2:
  * - Usa primeiro_nome e sobrenome separados
  * - Usa tipo_usuario (lowercase) ao invés de papel
- * - Adiciona campo telefone
+ * - Adiciona campo telefone e o departamento (departmentId)
  * - Mantém compatibilidade com banco (popula campos v1 também)
+ * - Exclusão lógica: usuários na lixeira (deletedAt) ficam de fora das
+ *   listagens e consultas (ver userTrashService.js)
  */
 
+// Campos retornados nas listagens
+const listSelect = {
+  id: true,
+  primeiro_nome: true,
+  sobrenome: true,
+  email: true,
+  tipo_usuario: true,
+  departmentId: true,
+  telefone: true,
+  foto: true,
+  status: true,
+  createdAt: true,
+};
+
 /**
- * Busca todos os usuários (formato v2)
- * @returns {Promise<Array>} Lista de usuários no formato v2
+ * Monta os filtros das listagens de usuários (sem os da lixeira)
+ * @param {Object} filters - Filtros validados por listUsersQuerySchema
+ * @returns {Object} Condição do Prisma
  */
-export const getAllUsers = async () => {
-  const usuarios = await prisma.user.findMany({
-    select: {
-      id: true,
-      primeiro_nome: true,
-      sobrenome: true,
-      email: true,
-      tipo_usuario: true,
-      telefone: true,
-      foto: true,
-      createdAt: true,
-    },
-    orderBy: {
-      createdAt: 'desc',
+const listWhere = ({ tipo_usuario, email_domain, created_from, created_to }) => ({
+  deletedAt: null,
+  tipo_usuario,
+  email: email_domain ? { endsWith: `@${email_domain}` } : undefined,
+  createdAt:
+    created_from || created_to
+      ? { gte: created_from, lte: created_to }
+      : undefined,
+});
+
+/**
+ * Lista usuários com filtros, ordenação e paginação (formato v2)
+ * @param {Object} [options] - Opções validadas por listUsersQuerySchema
+ * @param {number} [options.page=1] - Página (a partir de 1)
+ * @param {number} [options.per_page=20] - Itens por página
+ * @param {Array<Object>} [options.sort] - Ordenação ([{ field, direction }]);
+ *   padrão: mais recentes primeiro
+ * @param {string} [options.tipo_usuario] - Filtra pelo tipo de usuário
+ * @param {string} [options.email_domain] - Filtra pelo domínio do email
+ * @param {Date} [options.created_from] - Criados a partir de
+ * @param {Date} [options.created_to] - Criados até
+ * @returns {Promise<Object>} { usuarios, total } (total sem paginação)
+ */
+export const getAllUsers = async ({
+  page = 1,
+  per_page = 20,
+  sort = [{ field: 'createdAt', direction: 'desc' }],
+  ...filters
+} = {}) => {
+  const where = listWhere(filters);
+
+  // ID desempata a ordenação para as páginas serem estáveis
+  const orderBy = sort.map(({ field, direction }) => ({ [field]: direction }));
+  if (!sort.some(({ field }) => field === 'id')) {
+    orderBy.push({ id: 'desc' });
+  }
+
+  const [usuarios, total] = await prisma.$transaction([
+    prisma.user.findMany({
+      where,
+      select: listSelect,
+      orderBy,
+      skip: (page - 1) * per_page,
+      take: per_page,
+    }),
+    prisma.user.count({ where }),
+  ]);
+
+  return { usuarios, total };
+};
+
+/**
+ * Lista usuários por cursor (keyset em createdAt e id), para exportações
+ * longas: linhas criadas durante a leitura não deslocam as páginas
+ *
+ * @param {Object} options - Opções validadas por listUsersQuerySchema
+ *   (mode: 'cursor')
+ * @param {number} options.limit - Itens por página
+ * @param {string} [options.cursor] - Cursor recebido (ausente: 1ª página)
+ * @param {Array<Object>} [options.sort] - createdAt crescente ou
+ *   decrescente (padrão)
+ * @returns {Promise<Object>} { usuarios, nextCursor, prevCursor }
+ * @throws {ValidationError} INVALID_CURSOR
+ */
+export const listUsersByCursor = async ({
+  limit,
+  cursor,
+  sort = [{ field: 'createdAt', direction: 'desc' }],
+  ...filters
+}) => {
+  const { items, nextCursor, prevCursor } = await paginateByCursor(
+    prisma.user,
+    {
+      where: listWhere(filters),
+      select: listSelect,
+      limit,
+      cursor,
+      order: sort[0].direction,
+      context: filters,
     },
+  );
+
+  return { usuarios: items, nextCursor, prevCursor };
+};
+
+// Colunas da busca textual (campo v2 → coluna), na ordem do SELECT
+const searchColumns = {
+  id: Prisma.sql`u."id"`,
+  primeiro_nome: Prisma.sql`u."primeiro_nome"`,
+  sobrenome: Prisma.sql`u."sobrenome"`,
+  email: Prisma.sql`u."email"`,
+  tipo_usuario: Prisma.sql`u."tipo_usuario"`,
+  departmentId: Prisma.sql`u."departamento_id"`,
+  telefone: Prisma.sql`u."telefone"`,
+  foto: Prisma.sql`u."foto"`,
+  status: Prisma.sql`u."status"`,
+  createdAt: Prisma.sql`u."data_criacao"`,
+};
+
+// Mesma expressão do índice users_busca_trgm_idx (ver migração)
+const searchDocument = Prisma.sql`user_search_document(u."primeiro_nome", u."sobrenome", u."nome", u."email")`;
+
+// Campos em que os termos encontrados são destacados
+const HIGHLIGHT_FIELDS = ['primeiro_nome', 'sobrenome', 'email'];
+
+/**
+ * Busca usuários por nome ou email, sem diferenciar acentos e maiúsculas
+ * ("joao" encontra "João"). Cada termo de q precisa aparecer (mesmo que
+ * parcialmente) no nome, sobrenome ou email; o índice de trigramas
+ * users_busca_trgm_idx atende a consulta.
+ *
+ * @param {Object} options - Opções validadas por listUsersQuerySchema
+ * @param {string} options.q - Busca
+ * @param {number} [options.page=1] - Página (a partir de 1)
+ * @param {number} [options.per_page=20] - Itens por página
+ * @param {Array<Object>} [options.sort] - Ordenação; padrão: relevância
+ *   (rank) decrescente
+ * @param {string} [options.tipo_usuario] - Filtra pelo tipo de usuário
+ * @param {string} [options.email_domain] - Filtra pelo domínio do email
+ * @param {Date} [options.created_from] - Criados a partir de
+ * @param {Date} [options.created_to] - Criados até
+ * @returns {Promise<Object>} { usuarios, total }; cada usuário traz rank
+ *   (0 a 1) e highlight ({ campo: texto com <mark> }, só campos encontrados)
+ */
+export const searchUsers = async ({
+  q,
+  page = 1,
+  per_page = 20,
+  sort = [{ field: 'rank', direction: 'desc' }],
+  tipo_usuario,
+  email_domain,
+  created_from,
+  created_to,
+}) => {
+  const terms = searchTerms(q);
+
+  const conditions = terms.map(
+    term => Prisma.sql`${searchDocument} LIKE ${`%${escapeLike(term)}%`}`,
+  );
+  conditions.push(Prisma.sql`u."excluido_em" IS NULL`);
+  if (tipo_usuario) {
+    conditions.push(Prisma.sql`u."tipo_usuario" = ${tipo_usuario}`);
+  }
+  if (email_domain) {
+    conditions.push(
+      Prisma.sql`u."email" LIKE ${`%@${escapeLike(email_domain)}`}`,
+    );
+  }
+  if (created_from) {
+    conditions.push(Prisma.sql`u."data_criacao" >= ${created_from}`);
+  }
+  if (created_to) {
+    conditions.push(Prisma.sql`u."data_criacao" <= ${created_to}`);
+  }
+  const where = Prisma.join(conditions, ' AND ');
+
+  const rank = Prisma.sql`strict_word_similarity(${terms.join(' ')}, ${searchDocument})`;
+
+  // Campos validados pelo schema; ID desempata a ordenação
+  const orderBy = sort.map(({ field, direction }) => {
+    const column = field === 'rank' ? Prisma.sql`"rank"` : searchColumns[field];
+    return Prisma.sql`${column} ${Prisma.raw(direction === 'asc' ? 'ASC' : 'DESC')}`;
   });
+  if (!sort.some(({ field }) => field === 'id')) {
+    orderBy.push(Prisma.sql`u."id" DESC`);
+  }
 
-  return usuarios;
+  const columns = Prisma.join(
+    Object.entries(searchColumns).map(
+      ([field, column]) => Prisma.sql`${column} AS ${Prisma.raw(`"${field}"`)}`,
+    ),
+  );
+
+  const [rows, [{ total }]] = await prisma.$transaction([
+    prisma.$queryRaw`
+      SELECT ${columns}, ${rank} AS "rank"
+      FROM "users" u
+      WHERE ${where}
+      ORDER BY ${Prisma.join(orderBy)}
+      LIMIT ${per_page} OFFSET ${(page - 1) * per_page}
+    `,
+    prisma.$queryRaw`
+      SELECT COUNT(*)::int AS "total" FROM "users" u WHERE ${where}
+    `,
+  ]);
+
+  const usuarios = rows.map(row => ({
+    ...row,
+    rank: Number(row.rank),
+    highlight: Object.fromEntries(
+      HIGHLIGHT_FIELDS.map(field => [
+        field,
+        highlightMatches(row[field], terms),
+      ]).filter(([, value]) => value !== null),
+    ),
+  }));
+
+  return { usuarios, total };
 };
 
 /**
@@ -53,15 +266,17 @@ export const getUserById = async userId => {
   }
 
   const usuario = await prisma.user.findUnique({
-    where: { id: parseInt(userId) },
+    where: { id: parseInt(userId), deletedAt: null },
     select: {
       id: true,
       primeiro_nome: true,
       sobrenome: true,
       email: true,
       tipo_usuario: true,
+      departmentId: true,
       telefone: true,
       foto: true,
+      status: true,
       createdAt: true,
     },
   });
@@ -100,6 +315,11 @@ export const createUser = async (userData, file = null) => {
     throw new ConflictError('Email já cadastrado no sistema', 'email');
   }
 
+  // Departamento informado precisa existir
+  if (userData.departamento_id) {
+    await getDepartment(userData.departamento_id);
+  }
+
   // Se tem arquivo, faz upload para Uploadcare
   let fotoUrl = null;
   if (file) {
@@ -119,14 +339,15 @@ export const createUser = async (userData, file = null) => {
     sobrenome: userData.sobrenome,
     tipo_usuario: userData.tipo_usuario || 'professor',
     telefone: userData.telefone || null,
+    departmentId: userData.departamento_id || null,
 
     // Campos v1 (mantidos para compatibilidade)
     nome: `${userData.primeiro_nome} ${userData.sobrenome}`.trim(),
-    papel: userData.tipo_usuario === 'admin' ? 'ADMIN' : 'PROFESSOR',
+    papel: (userData.tipo_usuario || 'professor').toUpperCase(),
 
     // Campos comuns
     email: userData.email,
-    senha: userData.senha, // TODO: Hash da senha
+    ...(await passwordData(userData.senha)),
     foto: fotoUrl || userData.foto || null, // Prioriza arquivo enviado
   };
 
@@ -139,6 +360,7 @@ export const createUser = async (userData, file = null) => {
       sobrenome: true,
       email: true,
       tipo_usuario: true,
+      departmentId: true,
       telefone: true,
       foto: true,
       createdAt: true,
@@ -152,6 +374,9 @@ export const createUser = async (userData, file = null) => {
 
 /**
  * Atualiza um usuário existente (formato v2)
+ * Trocar a senha ou o papel (tipo_usuario) revoga todos os tokens e sessões
+ * do usuário.
+ *
  * @param {number} userId - ID do usuário
  * @param {Object} userData - Dados para atualizar
  * @param {Object} file - Arquivo de foto (opcional, vem do Multer)
@@ -166,9 +391,9 @@ export const updateUser = async (userId, userData, file = null) => {
     throw new ValidationError('ID inválido. Deve ser um número positivo');
   }
 
-  // Verificar se usuário existe
+  // Verificar se usuário existe (e não está na lixeira)
   const usuarioExistente = await prisma.user.findUnique({
-    where: { id: parseInt(userId) },
+    where: { id: parseInt(userId), deletedAt: null },
   });
 
   if (!usuarioExistente) {
@@ -186,6 +411,16 @@ export const updateUser = async (userId, userData, file = null) => {
     }
   }
 
+  // Nova senha não pode repetir as últimas (política de senhas)
+  if (userData.senha) {
+    await assertPasswordNotReused(usuarioExistente.id, userData.senha);
+  }
+
+  // Departamento informado precisa existir (null remove o usuário dele)
+  if (userData.departamento_id) {
+    await getDepartment(userData.departamento_id);
+  }
+
   // Se tem arquivo, faz upload para Uploadcare
   let fotoUrl = null;
   if (file) {
@@ -214,6 +449,9 @@ export const updateUser = async (userId, userData, file = null) => {
   if (userData.telefone !== undefined) {
     dadosAtualizacao.telefone = userData.telefone;
   }
+  if (userData.departamento_id !== undefined) {
+    dadosAtualizacao.departmentId = userData.departamento_id;
+  }
 
   // Atualizar campos v1 para manter compatibilidade
   if (userData.primeiro_nome || userData.sobrenome) {
@@ -223,13 +461,14 @@ export const updateUser = async (userId, userData, file = null) => {
     dadosAtualizacao.nome = `${primeiroNome} ${sobrenome}`.trim();
   }
   if (userData.tipo_usuario) {
-    dadosAtualizacao.papel =
-      userData.tipo_usuario === 'admin' ? 'ADMIN' : 'PROFESSOR';
+    dadosAtualizacao.papel = userData.tipo_usuario.toUpperCase();
   }
 
   // Campos comuns
   if (userData.email) dadosAtualizacao.email = userData.email;
-  if (userData.senha) dadosAtualizacao.senha = userData.senha; // TODO: Hash
+  if (userData.senha) {
+    Object.assign(dadosAtualizacao, await passwordData(userData.senha));
+  }
 
   // Foto: prioriza arquivo enviado > URL manual > mantém existente
   if (file) {
@@ -248,6 +487,7 @@ export const updateUser = async (userId, userData, file = null) => {
       sobrenome: true,
       email: true,
       tipo_usuario: true,
+      departmentId: true,
       telefone: true,
       foto: true,
       createdAt: true,
@@ -255,6 +495,21 @@ export const updateUser = async (userId, userData, file = null) => {
     },
   });
 
+  if (userData.senha) {
+    await prunePasswordHistory(usuarioAtualizado.id);
+  }
+
+  // Nova senha ou novo papel encerram as sessões: os tokens emitidos
+  // carregam o papel antigo e foram obtidos com a senha antiga
+  if (
+    userData.senha ||
+    (dadosAtualizacao.papel &&
+      dadosAtualizacao.papel !== usuarioExistente.papel)
+  ) {
+    await revokeAllUserTokens(usuarioAtualizado.id);
+    await revokeAllForUser(usuarioAtualizado.id);
+  }
+
   console.log(
     '✅ [v2 UPDATE] Usuário atualizado com sucesso:',
     usuarioAtualizado.id,
@@ -264,7 +519,9 @@ export const updateUser = async (userId, userData, file = null) => {
 };
 
 /**
- * Remove um usuário do sistema
+ * Move um usuário para a lixeira (exclusão lógica)
+ * A exclusão definitiva acontece após o prazo de retenção da lixeira.
+ *
  * @param {number} userId - ID do usuário
  * @returns {Promise<Object>} Dados do usuário removido (formato v2)
  * @throws {ValidationError} Se ID for inválido
@@ -276,9 +533,9 @@ export const deleteUser = async userId => {
     throw new ValidationError('ID inválido. Deve ser um número positivo');
   }
 
-  // Verificar se usuário existe
+  // Verificar se usuário existe (e não está na lixeira)
   const usuarioExistente = await prisma.user.findUnique({
-    where: { id: parseInt(userId) },
+    where: { id: parseInt(userId), deletedAt: null },
     select: {
       id: true,
       primeiro_nome: true,
@@ -291,16 +548,15 @@ export const deleteUser = async userId => {
     throw new NotFoundError(`Usuário com ID ${userId} não encontrado`, 'User');
   }
 
-  // Remover do banco
-  await prisma.user.delete({
-    where: { id: parseInt(userId) },
-  });
+  await moveUserToTrash(usuarioExistente);
 
   return usuarioExistente;
 };
 
 export default {
   getAllUsers,
+  listUsersByCursor,
+  searchUsers,
   getUserById,
   createUser,
   updateUser,
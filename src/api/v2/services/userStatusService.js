@@ -0,0 +1,201 @@
+// src/api/v2/services/userStatusService.js
+import prisma from '../../../config/database.js';
+import { AppError, NotFoundError } from '../../../errors/AppError.js';
+import { revokeAllForUser } from './refreshTokenService.js';
+
+/**
+ * User Status Service
+ * Situação da conta: ativa, suspensa ou desativada
+ *
+ * - SUSPENDED: bloqueio temporário decidido por um administrador (ex.:
+ *   professor de licença), via POST /v2/users/:id/suspend e /reactivate
+ * - DEACTIVATED: desligamento informado pelo RH via SCIM (active=false)
+ *
+ * Contas que não estão ACTIVE não fazem login, não renovam tokens e têm
+ * os tokens já emitidos recusados pelo authMiddleware, com os códigos
+ * ACCOUNT_SUSPENDED ou ACCOUNT_DEACTIVATED. Ao suspender ou desativar,
+ * as sessões são encerradas; os dados e as API keys são mantidos.
+ */
+
+export const USER_STATUSES = Object.freeze({
+  ACTIVE: 'ACTIVE',
+  SUSPENDED: 'SUSPENDED',
+  DEACTIVATED: 'DEACTIVATED',
+});
+
+// Erros para contas bloqueadas: [mensagem, código]
+const STATUS_ERRORS = {
+  [USER_STATUSES.SUSPENDED]: [
+    'Conta suspensa. Procure a administração da instituição',
+    'ACCOUNT_SUSPENDED',
+  ],
+  [USER_STATUSES.DEACTIVATED]: [
+    'Conta desativada. Procure a administração da instituição',
+    'ACCOUNT_DEACTIVATED',
+  ],
+};
+
+// Campos retornados após mudar a situação (formato v2)
+const statusSelect = {
+  id: true,
+  primeiro_nome: true,
+  sobrenome: true,
+  email: true,
+  tipo_usuario: true,
+  status: true,
+  statusReason: true,
+  statusChangedAt: true,
+  statusChangedById: true,
+};
+
+/**
+ * Recusa contas que não estão ativas
+ * @param {Object} user - Usuário com o campo status
+ * @throws {AppError} 403 ACCOUNT_SUSPENDED ou ACCOUNT_DEACTIVATED
+ */
+export const assertAccountActive = user => {
+  const error = STATUS_ERRORS[user.status];
+
+  if (error) {
+    throw new AppError(error[0], 403, error[1]);
+  }
+};
+
+/**
+ * Verifica se a conta de um usuário está ativa
+ * @param {number} userId - ID do usuário
+ * @returns {Promise<boolean>} True se existir e estiver ACTIVE
+ */
+export const isUserActive = async userId => {
+  const user = await prisma.user.findUnique({
+    where: { id: userId },
+    select: { status: true },
+  });
+
+  return user?.status === USER_STATUSES.ACTIVE;
+};
+
+/**
+ * Recusa um usuário cuja conta não está ativa (busca a situação no banco)
+ * Usuários inexistentes são ignorados: quem chama trata esse caso.
+ *
+ * @param {number} userId - ID do usuário
+ * @returns {Promise<void>}
+ * @throws {AppError} 403 ACCOUNT_SUSPENDED ou ACCOUNT_DEACTIVATED
+ */
+export const assertUserActive = async userId => {
+  const user = await prisma.user.findUnique({
+    where: { id: userId },
+    select: { status: true },
+  });
+
+  if (user) {
+    assertAccountActive(user);
+  }
+};
+
+/**
+ * Altera a situação de um usuário
+ * @param {number} userId - ID do usuário
+ * @param {string} status - Nova situação (USER_STATUSES)
+ * @param {Object} [options] - Opções
+ * @param {string} [options.reason] - Motivo
+ * @param {number} [options.actorId] - Quem alterou (null: integração)
+ * @param {Array<string>} [options.from] - Situações de origem aceitas
+ * @returns {Promise<Object>} Usuário com a situação atualizada
+ * @throws {NotFoundError} Se o usuário não existir ou estiver na lixeira
+ * @throws {AppError} 409 INVALID_STATUS_TRANSITION
+ */
+export const setUserStatus = async (
+  userId,
+  status,
+  { reason = null, actorId = null, from = Object.values(USER_STATUSES) } = {},
+) => {
+  const user = await prisma.user.findUnique({
+    where: { id: userId, deletedAt: null },
+    select: { status: true },
+  });
+
+  if (!user) {
+    throw new NotFoundError(`Usuário com ID ${userId} não encontrado`, 'User');
+  }
+
+  if (user.status === status || !from.includes(user.status)) {
+    throw new AppError(
+      `Não é possível alterar a situação de ${user.status} para ${status}`,
+      409,
+      'INVALID_STATUS_TRANSITION',
+    );
+  }
+
+  const updated = await prisma.user.update({
+    where: { id: userId },
+    data: {
+      status,
+      statusReason: reason,
+      statusChangedAt: new Date(),
+      statusChangedById: actorId,
+    },
+    select: statusSelect,
+  });
+
+  if (status !== USER_STATUSES.ACTIVE) {
+    await revokeAllForUser(userId);
+  }
+
+  console.log(`🔒 Situação da conta alterada para ${status}:`, {
+    userId,
+    actorId,
+  });
+
+  return updated;
+};
+
+/**
+ * Suspende temporariamente a conta de um usuário
+ * @param {number} userId - ID do usuário
+ * @param {Object} actor - Administrador autenticado (req.user)
+ * @param {string} reason - Motivo (ex.: licença)
+ * @returns {Promise<Object>} Usuário suspenso
+ * @throws {AppError} 400 se o alvo for o próprio administrador
+ * @throws {AppError} 409 se a conta não estiver ativa
+ */
+export const suspendUser = async (userId, actor, reason) => {
+  if (userId === actor.id) {
+    throw new AppError(
+      'Não é possível suspender a própria conta',
+      400,
+      'INVALID_SUSPENSION',
+    );
+  }
+
+  return setUserStatus(userId, USER_STATUSES.SUSPENDED, {
+    reason,
+    actorId: actor.id,
+    from: [USER_STATUSES.ACTIVE],
+  });
+};
+
+/**
+ * Reativa a conta de um usuário suspenso ou desativado
+ * @param {number} userId - ID do usuário
+ * @param {Object} actor - Administrador autenticado (req.user)
+ * @param {string} [reason] - Motivo
+ * @returns {Promise<Object>} Usuário ativo
+ * @throws {AppError} 409 se a conta já estiver ativa
+ */
+export const reactivateUser = async (userId, actor, reason) =>
+  setUserStatus(userId, USER_STATUSES.ACTIVE, {
+    reason,
+    actorId: actor.id,
+  });
+
+export default {
+  USER_STATUSES,
+  assertAccountActive,
+  isUserActive,
+  assertUserActive,
+  setUserStatus,
+  suspendUser,
+  reactivateUser,
+};
@@ -0,0 +1,89 @@
+// src/api/v2/services/userTokenService.js
+import prisma from '../../../config/database.js';
+import { AppError } from '../../../errors/AppError.js';
+import { generateOpaqueToken, hashToken } from '../../../utils/tokens.js';
+
+/**
+ * User Token Service
+ * Tokens de uso único enviados por email (links de ação)
+ *
+ * Cada token tem um tipo, expira e só pode ser consumido uma vez.
+ * Gerar um novo token invalida os tokens pendentes do mesmo tipo.
+ */
+
+export const TOKEN_TYPES = {
+  PASSWORD_RESET: 'PASSWORD_RESET',
+  EMAIL_VERIFICATION: 'EMAIL_VERIFICATION',
+};
+
+/**
+ * Cria um token de uso único para o usuário
+ * @param {number} userId - ID do usuário
+ * @param {string} type - Tipo do token (TOKEN_TYPES)
+ * @param {number} expiresInMinutes - Validade em minutos
+ * @returns {Promise<string>} Token em texto puro (enviar por email)
+ */
+export const createUserToken = async (userId, type, expiresInMinutes) => {
+  const token = generateOpaqueToken(32);
+
+  // Invalidar tokens pendentes do mesmo tipo
+  await prisma.userToken.updateMany({
+    where: { userId, type, usedAt: null },
+    data: { usedAt: new Date() },
+  });
+
+  await prisma.userToken.create({
+    data: {
+      userId,
+      type,
+      tokenHash: hashToken(token),
+      expiresAt: new Date(Date.now() + expiresInMinutes * 60 * 1000),
+    },
+  });
+
+  return token;
+};
+
+/**
+ * Consome um token de uso único
+ * @param {string} token - Token em texto puro
+ * @param {string} type - Tipo esperado (TOKEN_TYPES)
+ * @param {Object} db - Cliente Prisma (permite uso dentro de uma transação)
+ * @returns {Promise<number>} ID do usuário dono do token
+ * @throws {AppError} Se o token for inválido, expirado ou já usado
+ */
+export const consumeUserToken = async (token, type, db = prisma) => {
+  const now = new Date();
+
+  // Marca como usado apenas se ainda estiver válido (operação atômica)
+  const { count } = await db.userToken.updateMany({
+    where: {
+      tokenHash: hashToken(token),
+      type,
+      usedAt: null,
+      expiresAt: { gt: now },
+    },
+    data: { usedAt: now },
+  });
+
+  if (count === 0) {
+    throw new AppError(
+      'Token inválido ou expirado',
+      400,
+      'INVALID_TOKEN',
+    );
+  }
+
+  const stored = await db.userToken.findUnique({
+    where: { tokenHash: hashToken(token) },
+    select: { userId: true },
+  });
+
+  return stored.userId;
+};
+
+export default {
+  TOKEN_TYPES,
+  createUserToken,
+  consumeUserToken,
+};
@@ -0,0 +1,209 @@
+// src/api/v2/services/userTrashService.js
+import prisma from '../../../config/database.js';
+import { ConflictError, NotFoundError } from '../../../errors/AppError.js';
+import { revokeAllUserTokens } from './tokenRevocationService.js';
+import { revokeAllForUser } from './refreshTokenService.js';
+
+/**
+ * User Trash Service
+ * Lixeira de usuários (exclusão lógica)
+ *
+ * DELETE em /v1/users, /v2/users e SCIM não apaga a linha: preenche
+ * deletedAt e libera o email, trocado por um endereço reservado
+ * (RFC 2606) enquanto o original fica em deletedEmail. Assim o email
+ * pode ser cadastrado de novo e, como o login é pelo email, a conta
+ * excluída não entra mais; sessões, tokens e API keys são revogados.
+ *
+ * Usuários na lixeira somem das listagens e buscas e podem ser
+ * restaurados até a exclusão definitiva, feita por purgeDeletedUsers
+ * após USER_TRASH_RETENTION_DAYS (padrão: 30) dias
+ * (npm run users:purge-trash).
+ */
+
+const DEFAULT_RETENTION_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Campos retornados na lixeira (email vem de deletedEmail)
+const trashSelect = {
+  id: true,
+  primeiro_nome: true,
+  sobrenome: true,
+  deletedEmail: true,
+  tipo_usuario: true,
+  departmentId: true,
+  createdAt: true,
+  deletedAt: true,
+};
+
+/**
+ * Dias que um usuário fica na lixeira antes da exclusão definitiva
+ * @returns {number} Dias (USER_TRASH_RETENTION_DAYS)
+ */
+export const getTrashRetentionDays = () => {
+  const days = parseInt(process.env.USER_TRASH_RETENTION_DAYS);
+  return Number.isNaN(days) || days < 0 ? DEFAULT_RETENTION_DAYS : days;
+};
+
+/**
+ * Email reservado que ocupa o lugar do original enquanto o usuário está
+ * na lixeira (o domínio .invalid nunca recebe mensagens)
+ *
+ * @param {number} userId - ID do usuário
+ * @returns {string} Email reservado
+ */
+const trashEmail = userId => `excluido-${userId}@usuarios.invalid`;
+
+/**
+ * Formata um usuário da lixeira
+ * @param {Object} user - Registro selecionado com trashSelect
+ * @returns {Object} Usuário (formato v2) com deletedAt e purgeAt
+ */
+const toTrashEntry = ({ deletedEmail, deletedAt, ...user }) => ({
+  ...user,
+  email: deletedEmail,
+  deletedAt,
+  purgeAt: new Date(deletedAt.getTime() + getTrashRetentionDays() * DAY_MS),
+});
+
+/**
+ * Move um usuário para a lixeira
+ * Quem chama já conferiu que o usuário existe e não está na lixeira.
+ *
+ * @param {Object} user - Usuário
+ * @param {number} user.id - ID
+ * @param {string} user.email - Email atual (guardado para a restauração)
+ * @returns {Promise<void>}
+ */
+export const moveUserToTrash = async ({ id, email }) => {
+  const now = new Date();
+
+  await prisma.$transaction([
+    prisma.user.update({
+      where: { id, deletedAt: null },
+      data: { deletedAt: now, deletedEmail: email, email: trashEmail(id) },
+    }),
+    prisma.apiToken.updateMany({
+      where: { userId: id, revokedAt: null },
+      data: { revokedAt: now },
+    }),
+  ]);
+
+  await revokeAllUserTokens(id);
+  await revokeAllForUser(id);
+};
+
+/**
+ * Lista a lixeira, dos excluídos mais recentemente para os mais antigos
+ * @param {Object} [options] - Opções validadas por trashQuerySchema
+ * @param {number} [options.page=1] - Página (a partir de 1)
+ * @param {number} [options.per_page=20] - Itens por página
+ * @returns {Promise<Object>} { usuarios, total }
+ */
+export const listDeletedUsers = async ({ page = 1, per_page = 20 } = {}) => {
+  const where = { deletedAt: { not: null } };
+
+  const [usuarios, total] = await prisma.$transaction([
+    prisma.user.findMany({
+      where,
+      select: trashSelect,
+      orderBy: [{ deletedAt: 'desc' }, { id: 'desc' }],
+      skip: (page - 1) * per_page,
+      take: per_page,
+    }),
+    prisma.user.count({ where }),
+  ]);
+
+  return { usuarios: usuarios.map(toTrashEntry), total };
+};
+
+/**
+ * Restaura um usuário da lixeira, devolvendo o email original
+ * Sessões e API keys revogadas na exclusão continuam revogadas.
+ *
+ * @param {number} userId - ID do usuário
+ * @returns {Promise<Object>} Usuário restaurado (formato v2)
+ * @throws {NotFoundError} Se o usuário não estiver na lixeira
+ * @throws {ConflictError} Se o email foi cadastrado por outro usuário
+ */
+export const restoreUser = async userId => {
+  const user = await prisma.user.findUnique({
+    where: { id: userId, deletedAt: { not: null } },
+    select: { deletedEmail: true },
+  });
+
+  if (!user) {
+    throw new NotFoundError(
+      `Usuário com ID ${userId} não está na lixeira`,
+      'User',
+    );
+  }
+
+  const emailInUse = () =>
+    new ConflictError(
+      `O email ${user.deletedEmail} foi cadastrado por outro usuário. Altere o email do outro cadastro antes de restaurar`,
+      'email',
+    );
+
+  const owner = await prisma.user.findUnique({
+    where: { email: user.deletedEmail },
+    select: { id: true },
+  });
+
+  if (owner) {
+    throw emailInUse();
+  }
+
+  try {
+    return await prisma.user.update({
+      where: { id: userId },
+      data: { deletedAt: null, deletedEmail: null, email: user.deletedEmail },
+      select: {
+        id: true,
+        primeiro_nome: true,
+        sobrenome: true,
+        email: true,
+        tipo_usuario: true,
+        departmentId: true,
+        telefone: true,
+        foto: true,
+        createdAt: true,
+      },
+    });
+  } catch (error) {
+    // Email cadastrado entre a verificação e a restauração
+    if (error.code === 'P2002') {
+      throw emailInUse();
+    }
+    throw error;
+  }
+};
+
+/**
+ * Exclui definitivamente os usuários que passaram do prazo na lixeira
+ * @param {Object} [options] - Opções
+ * @param {boolean} [options.dryRun=false] - Apenas contar, sem excluir
+ * @param {Date} [options.now] - Data de referência (padrão: agora)
+ * @returns {Promise<Object>} { purged, cutoff } (purged: excluídos, ou
+ *   que seriam excluídos no dry run)
+ */
+export const purgeDeletedUsers = async ({
+  dryRun = false,
+  now = new Date(),
+} = {}) => {
+  const cutoff = new Date(now.getTime() - getTrashRetentionDays() * DAY_MS);
+  const where = { deletedAt: { lte: cutoff } };
+
+  const { count: purged } = dryRun
+    ? { count: await prisma.user.count({ where }) }
+    : await prisma.user.deleteMany({ where });
+
+  return { purged, cutoff };
+};
+
+export default {
+  getTrashRetentionDays,
+  moveUserToTrash,
+  listDeletedUsers,
+  restoreUser,
+  purgeDeletedUsers,
+};
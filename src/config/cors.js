@@ -73,6 +73,7 @@ const corsConfig = cors({
     'X-Requested-With',
     'Accept',
     'Origin',
+    'X-Request-Id',
   ],
 
   // Headers que o cliente pode acessar na resposta
@@ -81,6 +82,8 @@ const corsConfig = cors({
     'X-Page',             // Página atual
     'X-Per-Page',         // Itens por página
     'X-Total-Pages',      // Total de páginas
+    'Link',               // Links de paginação (first, prev, next, last)
+    'X-Request-Id',       // Identificador da requisição (auditoria)
   ],
 
   // Permite envio de cookies/credenciais
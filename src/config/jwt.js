@@ -1,4 +1,11 @@
+import crypto from "crypto";
 import jwt from "jsonwebtoken";
+import { parseDuration } from "../utils/duration.js";
+import {
+  getSigningKey,
+  getVerificationKey,
+  loadJwtKeysFromEnv,
+} from "./jwtKeys.js";
 
 /**
  * Configuração e utilitários para JSON Web Tokens
@@ -6,23 +13,90 @@ import jwt from "jsonwebtoken";
  * O JWT é uma forma de transmitir informações de forma segura entre partes
  * como um objeto JSON. A informação pode ser verificada e confiável porque
  * é digitalmente assinada.
+ *
+ * O algoritmo e as chaves de assinatura são configurados em jwtKeys.js
+ * (HS256 com JWT_SECRET ou RS256/ES256 com "kid" e JWKS público).
  */
 
 // Carregar configurações do ambiente
 const JWT_SECRET = process.env.JWT_SECRET;
 const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || "1h";
+const TWO_FACTOR_CHALLENGE_EXPIRES_IN =
+  process.env.TWO_FACTOR_CHALLENGE_EXPIRES_IN || "5m";
 
-// Validação de configuração no startup
-if (!JWT_SECRET) {
-  throw new Error("JWT_SECRET não está definido nas variáveis de ambiente!");
-}
+// Audiência dos tokens intermediários do login em dois fatores.
+// Diferente da audiência dos access tokens, para que nunca sejam aceitos
+// pelo authMiddleware.
+const TWO_FACTOR_CHALLENGE_AUDIENCE = "api-gerador-provas-2fa";
+
+// Validação de configuração no startup: carrega as chaves e falha se
+// faltar JWT_SECRET (HS256) ou uma chave ativa (RS256/ES256)
+loadJwtKeysFromEnv();
 
-if (JWT_SECRET.length < 32) {
+if (JWT_SECRET && JWT_SECRET.length < 32) {
   console.warn(
     "⚠️  AVISO: JWT_SECRET deve ter no mínimo 32 caracteres para segurança adequada"
   );
 }
 
+export { parseDuration };
+
+/**
+ * Assina um payload com a chave ativa
+ * Em RS256/ES256 o header leva o "kid" da chave usada.
+ *
+ * @param {Object} payload - Claims do token
+ * @param {Object} options - Opções do jsonwebtoken (expiresIn, audience...)
+ * @returns {string} Token JWT assinado
+ */
+function sign(payload, options) {
+  const { alg, key, kid } = getSigningKey();
+
+  return jwt.sign(payload, key, {
+    ...options,
+    algorithm: alg,
+    ...(kid && { keyid: kid }),
+  });
+}
+
+/**
+ * Verifica um token com a chave indicada no header
+ * Só aceita o algoritmo da chave encontrada (evita troca de algoritmo).
+ *
+ * @param {string} token - Token JWT
+ * @param {Object} options - Opções do jsonwebtoken (issuer, audience)
+ * @returns {Object} Payload decodificado
+ * @throws {JsonWebTokenError} Se o token for inválido ou a chave desconhecida
+ */
+function verify(token, options) {
+  const decoded = jwt.decode(token, { complete: true });
+
+  if (!decoded) {
+    throw new jwt.JsonWebTokenError("jwt malformed");
+  }
+
+  const verificationKey = getVerificationKey(decoded.header);
+
+  if (!verificationKey) {
+    throw new jwt.JsonWebTokenError("chave de assinatura desconhecida");
+  }
+
+  return jwt.verify(token, verificationKey.key, {
+    ...options,
+    algorithms: [verificationKey.alg],
+  });
+}
+
+/**
+ * Tempo de vida de um access token, em segundos
+ * Usado para saber até quando uma revogação precisa ser mantida
+ *
+ * @returns {number} Segundos até a expiração de um token recém-emitido
+ */
+export function getAccessTokenLifetime() {
+  return parseDuration(JWT_EXPIRES_IN);
+}
+
 /**
  * Gera um token JWT para o usuário
  *
@@ -30,20 +104,31 @@ if (JWT_SECRET.length < 32) {
  * @param {number} payload.id - ID do usuário
  * @param {string} payload.email - Email do usuário
  * @param {string} payload.papel - Papel/role do usuário
+ * @param {Object} [options] - Opções
+ * @param {boolean} [options.mfa] - Login concluído com segundo fator
+ * @param {string} [options.sessionId] - Sessão (dispositivo) do login
+ * @param {Object} [options.actor] - Quem realmente age, na personificação
+ *   ({ id, email }); vira o claim "act" (RFC 8693)
+ * @param {string} [options.expiresIn] - Validade (padrão: JWT_EXPIRES_IN)
  * @returns {string} Token JWT assinado
  */
-export function generateToken(payload) {
-  return jwt.sign(
+export function generateToken(payload, options = {}) {
+  return sign(
     {
       sub: payload.id, // Subject - ID único do usuário
       email: payload.email, // Email para identificação
       role: payload.papel || payload.tipo_usuario, // Papel para autorização
+      ...(options.mfa && { mfa: true }), // Autenticado com segundo fator
+      ...(options.sessionId && { sid: options.sessionId }), // Sessão do login
+      ...(options.actor && {
+        act: { sub: options.actor.id, email: options.actor.email }, // Personificação
+      }),
     },
-    JWT_SECRET,
     {
-      expiresIn: JWT_EXPIRES_IN, // Quando expira
+      expiresIn: options.expiresIn || JWT_EXPIRES_IN, // Quando expira
       issuer: "api-gerador-provas", // Quem emitiu
       audience: "api-gerador-provas-client", // Para quem foi emitido
+      jwtid: crypto.randomUUID(), // ID único do token (permite revogação)
     }
   );
 }
@@ -57,12 +142,42 @@ export function generateToken(payload) {
  * @throws {TokenExpiredError} Se o token estiver expirado
  */
 export function verifyToken(token) {
-  return jwt.verify(token, JWT_SECRET, {
+  return verify(token, {
     issuer: "api-gerador-provas",
     audience: "api-gerador-provas-client",
   });
 }
 
+/**
+ * Gera o token intermediário do login em dois fatores
+ * Prova que a senha foi validada; só serve para POST /v2/auth/2fa/login
+ *
+ * @param {number} userId - ID do usuário
+ * @returns {string} Token JWT de curta duração
+ */
+export function generateChallengeToken(userId) {
+  return sign({ sub: userId }, {
+    expiresIn: TWO_FACTOR_CHALLENGE_EXPIRES_IN,
+    issuer: "api-gerador-provas",
+    audience: TWO_FACTOR_CHALLENGE_AUDIENCE,
+  });
+}
+
+/**
+ * Verifica o token intermediário do login em dois fatores
+ *
+ * @param {string} token - Token recebido no login
+ * @returns {Object} Payload decodificado
+ * @throws {JsonWebTokenError} Se o token for inválido
+ * @throws {TokenExpiredError} Se o token estiver expirado
+ */
+export function verifyChallengeToken(token) {
+  return verify(token, {
+    issuer: "api-gerador-provas",
+    audience: TWO_FACTOR_CHALLENGE_AUDIENCE,
+  });
+}
+
 /**
  * Decodifica um token sem verificar a assinatura
  * ⚠️  APENAS para debugging, NUNCA usar para autenticação!
@@ -75,7 +190,11 @@ export function decodeToken(token) {
 }
 
 export default {
+  parseDuration,
+  getAccessTokenLifetime,
   generateToken,
   verifyToken,
+  generateChallengeToken,
+  verifyChallengeToken,
   decodeToken,
 };
\ No newline at end of file
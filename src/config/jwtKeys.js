@@ -0,0 +1,264 @@
+// src/config/jwtKeys.js
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Chaves de assinatura dos JWTs
+ *
+ * Algoritmos (JWT_ALGORITHM):
+ * - HS256: segredo compartilhado JWT_SECRET (padrão). Quem verifica
+ *   precisa do mesmo segredo, então só serve para esta API.
+ * - RS256 / ES256: par de chaves. Os tokens levam o "kid" da chave no
+ *   header e qualquer serviço pode verificá-los com as chaves públicas
+ *   de GET /.well-known/jwks.json.
+ *
+ * As chaves assimétricas ficam em um arquivo JSON (JWT_KEYS_FILE, padrão
+ * keys/jwt-keys.json) ou no conteúdo da variável JWT_KEYS, no formato:
+ *   { "keys": [{ "kid", "alg", "createdAt", "activatesAt", "retiredAt",
+ *                "privateKey" }] }
+ *
+ * Todas as chaves são publicadas no JWKS, mas só assinam entre activatesAt
+ * (ausente: createdAt) e retiredAt; entre as que podem assinar, vale a
+ * ativada mais recentemente. Na rotação a nova chave é publicada antes de
+ * assinar: quem guardou o JWKS em cache (JWKS_MAX_AGE_SECONDS) já a
+ * conhece quando o primeiro token com o novo "kid" chegar. Chaves
+ * aposentadas continuam verificando tokens já emitidos até serem
+ * removidas: assim a rotação não desloga ninguém.
+ * Gere e rotacione com: npm run jwt:rotate-keys
+ *
+ * Com JWT_SECRET definido, tokens HS256 sem "kid" continuam aceitos
+ * mesmo com algoritmo assimétrico (fallback para a migração). Remova
+ * JWT_SECRET depois que os tokens antigos expirarem.
+ */
+
+export const SUPPORTED_ALGORITHMS = ['HS256', 'RS256', 'ES256'];
+export const ASYMMETRIC_ALGORITHMS = ['RS256', 'ES256'];
+export const DEFAULT_KEYS_FILE = 'keys/jwt-keys.json';
+
+// Tempo de cache do JWKS (Cache-Control de GET /.well-known/jwks.json)
+export const JWKS_MAX_AGE_SECONDS = 300;
+
+// Membros obrigatórios do JWK usados no thumbprint (RFC 7638)
+const THUMBPRINT_MEMBERS = {
+  RSA: ['e', 'kty', 'n'],
+  EC: ['crv', 'kty', 'x', 'y'],
+};
+
+/**
+ * Calcula o thumbprint (RFC 7638) de uma chave pública, usado como "kid"
+ * @param {crypto.KeyObject} publicKey - Chave pública
+ * @returns {string} Thumbprint SHA-256 em base64url
+ */
+const thumbprint = publicKey => {
+  const jwk = publicKey.export({ format: 'jwk' });
+  const canonical = Object.fromEntries(
+    THUMBPRINT_MEMBERS[jwk.kty].map(member => [member, jwk[member]]),
+  );
+
+  return crypto
+    .createHash('sha256')
+    .update(JSON.stringify(canonical))
+    .digest('base64url');
+};
+
+/**
+ * Gera uma nova chave de assinatura
+ * @param {string} [alg='RS256'] - RS256 (RSA 2048) ou ES256 (P-256)
+ * @param {Date} [activatesAt] - Início da assinatura (padrão: agora)
+ * @returns {Object} Entrada do arquivo de chaves ({ kid, alg, createdAt,
+ *   activatesAt, retiredAt, privateKey })
+ * @throws {Error} Se o algoritmo não for assimétrico
+ */
+export const generateSigningKey = (alg = 'RS256', activatesAt = new Date()) => {
+  if (!ASYMMETRIC_ALGORITHMS.includes(alg)) {
+    throw new Error(
+      `Algoritmo de chave inválido: ${alg}. Use ${ASYMMETRIC_ALGORITHMS.join(' ou ')}`,
+    );
+  }
+
+  const { privateKey, publicKey } =
+    alg === 'RS256'
+      ? crypto.generateKeyPairSync('rsa', { modulusLength: 2048 })
+      : crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+
+  return {
+    kid: thumbprint(publicKey),
+    alg,
+    createdAt: new Date().toISOString(),
+    activatesAt: activatesAt.toISOString(),
+    retiredAt: null,
+    privateKey: privateKey.export({ type: 'pkcs8', format: 'pem' }),
+  };
+};
+
+/**
+ * Lê as chaves do arquivo de chaves
+ * @param {string} [file] - Caminho do arquivo (padrão: JWT_KEYS_FILE)
+ * @returns {Object[]} Entradas do arquivo (vazio se não existir)
+ */
+export const readKeyFile = (
+  file = process.env.JWT_KEYS_FILE || DEFAULT_KEYS_FILE,
+) => {
+  if (!fs.existsSync(file)) {
+    return [];
+  }
+
+  return JSON.parse(fs.readFileSync(file, 'utf8')).keys || [];
+};
+
+/**
+ * Grava as chaves no arquivo (legível apenas pelo dono)
+ * @param {Object[]} keys - Entradas do arquivo
+ * @param {string} [file] - Caminho do arquivo (padrão: JWT_KEYS_FILE)
+ */
+export const writeKeyFile = (
+  keys,
+  file = process.env.JWT_KEYS_FILE || DEFAULT_KEYS_FILE,
+) => {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, `${JSON.stringify({ keys }, null, 2)}\n`, {
+    mode: 0o600,
+  });
+};
+
+let algorithm;
+let secret;
+let keys = [];
+
+/**
+ * Verifica se a chave assina tokens do algoritmo no instante informado
+ * @param {Object} key - Chave carregada por setJwtKeys
+ * @param {string} alg - Algoritmo em uso
+ * @param {Date} [now] - Instante de referência
+ * @returns {boolean} True se for do algoritmo e estiver ativa
+ */
+const canSign = (key, alg, now = new Date()) =>
+  key.alg === alg &&
+  key.activatesAt <= now &&
+  (!key.retiredAt || key.retiredAt > now);
+
+/**
+ * Configura o algoritmo e as chaves em uso
+ * Chamado no startup (loadJwtKeysFromEnv); em testes permite trocar as chaves.
+ *
+ * @param {Object} config - Configuração
+ * @param {string} config.algorithm - HS256, RS256 ou ES256
+ * @param {string} [config.secret] - Segredo HS256 (JWT_SECRET)
+ * @param {Object[]} [config.keys] - Entradas do arquivo de chaves
+ * @throws {Error} Se faltar segredo ou chave ativa para o algoritmo
+ */
+export const setJwtKeys = config => {
+  const alg = config.algorithm.toUpperCase();
+
+  if (!SUPPORTED_ALGORITHMS.includes(alg)) {
+    throw new Error(
+      `JWT_ALGORITHM inválido: "${config.algorithm}". Use ${SUPPORTED_ALGORITHMS.join(', ')}`,
+    );
+  }
+
+  const loaded = (config.keys || []).map(entry => {
+    const privateKey = crypto.createPrivateKey(entry.privateKey);
+
+    return {
+      kid: entry.kid,
+      alg: entry.alg,
+      createdAt: new Date(entry.createdAt),
+      activatesAt: new Date(entry.activatesAt || entry.createdAt),
+      retiredAt: entry.retiredAt ? new Date(entry.retiredAt) : null,
+      privateKey,
+      publicKey: crypto.createPublicKey(privateKey),
+    };
+  });
+
+  if (alg === 'HS256' && !config.secret) {
+    throw new Error('JWT_SECRET não está definido nas variáveis de ambiente!');
+  }
+
+  if (alg !== 'HS256' && !loaded.some(key => canSign(key, alg))) {
+    throw new Error(
+      `Nenhuma chave ${alg} ativa encontrada. Gere uma com: npm run jwt:rotate-keys -- --alg ${alg}`,
+    );
+  }
+
+  algorithm = alg;
+  secret = config.secret;
+  keys = loaded;
+};
+
+/**
+ * Retorna a chave que assina novos tokens
+ * @returns {Object} { alg, key, kid } (kid ausente em HS256)
+ */
+export const getSigningKey = () => {
+  if (algorithm === 'HS256') {
+    return { alg: 'HS256', key: secret };
+  }
+
+  const now = new Date();
+  const [current] = keys
+    .filter(key => canSign(key, algorithm, now))
+    .sort((a, b) => b.activatesAt - a.activatesAt);
+
+  return { alg: current.alg, key: current.privateKey, kid: current.kid };
+};
+
+/**
+ * Retorna a chave que verifica um token a partir do header
+ * @param {Object} header - Header do JWT ({ alg, kid })
+ * @returns {Object|null} { alg, key } ou null se não houver chave
+ */
+export const getVerificationKey = header => {
+  if (header.kid) {
+    const match = keys.find(key => key.kid === header.kid);
+    return match ? { alg: match.alg, key: match.publicKey } : null;
+  }
+
+  // Tokens sem "kid": HS256 com o segredo compartilhado (fallback)
+  return secret ? { alg: 'HS256', key: secret } : null;
+};
+
+/**
+ * Chaves públicas no formato JWKS (RFC 7517)
+ * Inclui as chaves que ainda vão assinar (rotação em andamento) e as
+ * aposentadas, que ainda verificam tokens emitidos.
+ *
+ * @returns {Object} { keys: [...] }
+ */
+export const getPublicJwks = () => ({
+  keys: keys.map(key => ({
+    ...key.publicKey.export({ format: 'jwk' }),
+    kid: key.kid,
+    alg: key.alg,
+    use: 'sig',
+  })),
+});
+
+/**
+ * Configura as chaves a partir do ambiente (JWT_ALGORITHM, JWT_SECRET e
+ * JWT_KEYS ou JWT_KEYS_FILE). Chamado por jwt.js no startup.
+ *
+ * @throws {Error} Se a configuração estiver incompleta
+ */
+export const loadJwtKeysFromEnv = () => {
+  setJwtKeys({
+    algorithm: process.env.JWT_ALGORITHM || 'HS256',
+    secret: process.env.JWT_SECRET,
+    keys: process.env.JWT_KEYS
+      ? JSON.parse(process.env.JWT_KEYS).keys || []
+      : readKeyFile(),
+  });
+};
+
+export default {
+  SUPPORTED_ALGORITHMS,
+  JWKS_MAX_AGE_SECONDS,
+  generateSigningKey,
+  readKeyFile,
+  writeKeyFile,
+  setJwtKeys,
+  loadJwtKeysFromEnv,
+  getSigningKey,
+  getVerificationKey,
+  getPublicJwks,
+};
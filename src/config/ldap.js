@@ -0,0 +1,89 @@
+// src/config/ldap.js
+import { Client } from 'ldapts';
+
+/**
+ * Configuração do diretório LDAP (provedor de autenticação "ldap")
+ *
+ *   LDAP_URL="ldaps://ldap.campus.edu.br"
+ *   LDAP_BIND_DN="cn=gerador-provas,ou=servicos,dc=campus,dc=edu,dc=br"
+ *   LDAP_BIND_PASSWORD="..."
+ *   LDAP_SEARCH_BASE="ou=professores,dc=campus,dc=edu,dc=br"
+ *   LDAP_SEARCH_FILTER="(mail={{email}})"           # opcional
+ *   LDAP_ATTR_EMAIL / LDAP_ATTR_FIRST_NAME / LDAP_ATTR_LAST_NAME
+ *                                                  # opcionais (mail, givenName, sn)
+ *   LDAP_TIMEOUT_MS="5000"                          # opcional
+ *
+ * O login busca a entrada do usuário com a conta de serviço (ou de forma
+ * anônima, sem LDAP_BIND_DN) e então faz bind com o DN encontrado e a
+ * senha informada.
+ *
+ * A conexão é criada por uma "fábrica" plugável; em testes, registre um
+ * diretório em memória com setLdapClientFactory(). Todo cliente é um
+ * objeto com bind(dn, password), search(base, options) e unbind().
+ */
+
+/**
+ * Retorna a configuração do diretório
+ * As variáveis são lidas a cada chamada.
+ *
+ * @returns {Object|null} Configuração ou null se LDAP_URL/LDAP_SEARCH_BASE
+ *   não estiverem definidos
+ */
+export const getLdapConfig = () => {
+  if (!process.env.LDAP_URL || !process.env.LDAP_SEARCH_BASE) {
+    return null;
+  }
+
+  return {
+    url: process.env.LDAP_URL,
+    bindDN: process.env.LDAP_BIND_DN || null,
+    bindPassword: process.env.LDAP_BIND_PASSWORD || '',
+    searchBase: process.env.LDAP_SEARCH_BASE,
+    searchFilter: process.env.LDAP_SEARCH_FILTER || '(mail={{email}})',
+    attributes: {
+      email: process.env.LDAP_ATTR_EMAIL || 'mail',
+      firstName: process.env.LDAP_ATTR_FIRST_NAME || 'givenName',
+      lastName: process.env.LDAP_ATTR_LAST_NAME || 'sn',
+    },
+    timeout: parseInt(process.env.LDAP_TIMEOUT_MS) || 5000,
+  };
+};
+
+/**
+ * Fábrica padrão: conexão real com o servidor (ldapts)
+ * @param {Object} config - Configuração (getLdapConfig)
+ * @returns {Client} Cliente LDAP
+ */
+const defaultClientFactory = config =>
+  new Client({
+    url: config.url,
+    timeout: config.timeout,
+    connectTimeout: config.timeout,
+  });
+
+let clientFactory = defaultClientFactory;
+
+/**
+ * Substitui a fábrica de clientes LDAP
+ * @param {Function|null} factory - (config) => cliente; null restaura a padrão
+ */
+export const setLdapClientFactory = factory => {
+  if (factory !== null && typeof factory !== 'function') {
+    throw new Error('Fábrica de clientes LDAP deve ser uma função');
+  }
+
+  clientFactory = factory || defaultClientFactory;
+};
+
+/**
+ * Cria um cliente para o diretório configurado
+ * @param {Object} config - Configuração (getLdapConfig)
+ * @returns {Object} Cliente com bind, search e unbind
+ */
+export const createLdapClient = config => clientFactory(config);
+
+export default {
+  getLdapConfig,
+  setLdapClientFactory,
+  createLdapClient,
+};
@@ -0,0 +1,108 @@
+// src/config/mail.js
+import fs from 'fs/promises';
+import path from 'path';
+import prisma from './database.js';
+
+/**
+ * Configuração de envio de emails
+ *
+ * O envio é feito através de um "transporte" plugável. Todo transporte
+ * é um objeto com:
+ * - name: identificador do transporte
+ * - send(message): envia { from, to, subject, text, html }
+ *
+ * Transportes incluídos (escolhidos via MAIL_TRANSPORT):
+ * - outbox (padrão): grava na tabela email_outbox (desenvolvimento e testes)
+ * - file: grava cada email como JSON em MAIL_OUTBOX_DIR
+ * - console: apenas exibe o email no log
+ *
+ * Em produção, registre um transporte real (SMTP, API de email)
+ * com setMailTransport() na inicialização da aplicação.
+ */
+
+const MAIL_FROM =
+  process.env.MAIL_FROM || 'Gerador de Provas <nao-responda@geradorprovas.com>';
+const MAIL_OUTBOX_DIR = process.env.MAIL_OUTBOX_DIR || '.outbox';
+
+/**
+ * Transporte que grava emails na tabela email_outbox
+ */
+export const outboxTransport = {
+  name: 'outbox',
+  async send(message) {
+    await prisma.outboxEmail.create({
+      data: {
+        to: message.to,
+        subject: message.subject,
+        text: message.text,
+        html: message.html || null,
+      },
+    });
+  },
+};
+
+/**
+ * Transporte que grava cada email como um arquivo JSON
+ */
+export const fileTransport = {
+  name: 'file',
+  async send(message) {
+    await fs.mkdir(MAIL_OUTBOX_DIR, { recursive: true });
+
+    const fileName = `${Date.now()}-${message.to.replace(/[^\w.@-]/g, '_')}.json`;
+    await fs.writeFile(
+      path.join(MAIL_OUTBOX_DIR, fileName),
+      JSON.stringify({ ...message, date: new Date().toISOString() }, null, 2),
+    );
+  },
+};
+
+/**
+ * Transporte que apenas exibe o email no console
+ */
+export const consoleTransport = {
+  name: 'console',
+  async send(message) {
+    console.log('📧 Email:', message);
+  },
+};
+
+const transports = {
+  outbox: outboxTransport,
+  file: fileTransport,
+  console: consoleTransport,
+};
+
+let currentTransport = transports[process.env.MAIL_TRANSPORT || 'outbox'];
+
+if (!currentTransport) {
+  throw new Error(
+    `MAIL_TRANSPORT inválido: ${process.env.MAIL_TRANSPORT}. Use: ${Object.keys(transports).join(', ')}`,
+  );
+}
+
+/**
+ * Substitui o transporte de email em uso
+ * @param {Object} transport - Objeto com name e send(message)
+ */
+export const setMailTransport = transport => {
+  if (!transport || typeof transport.send !== 'function') {
+    throw new Error('Transporte de email deve implementar send(message)');
+  }
+
+  currentTransport = transport;
+};
+
+/**
+ * Retorna o transporte de email em uso
+ * @returns {Object} Transporte atual
+ */
+export const getMailTransport = () => currentTransport;
+
+export { MAIL_FROM };
+
+export default {
+  MAIL_FROM,
+  getMailTransport,
+  setMailTransport,
+};
@@ -0,0 +1,71 @@
+// src/config/oidc.js
+
+/**
+ * Configuração dos provedores de identidade (OpenID Connect)
+ *
+ * Os provedores são listados em OIDC_PROVIDERS (separados por vírgula) e
+ * cada um é configurado com variáveis prefixadas pelo nome em maiúsculas:
+ *
+ *   OIDC_PROVIDERS="institucional"
+ *   OIDC_INSTITUCIONAL_ISSUER="https://sso.escola.edu.br/realms/escola"
+ *   OIDC_INSTITUCIONAL_CLIENT_ID="gerador-provas"
+ *   OIDC_INSTITUCIONAL_CLIENT_SECRET="..."            # opcional (cliente público)
+ *   OIDC_INSTITUCIONAL_REDIRECT_URI="https://..."     # opcional
+ *   OIDC_INSTITUCIONAL_SCOPES="openid email profile"  # opcional
+ *
+ * O redirect URI padrão é API_URL + /v2/auth/oidc/<nome>/callback e
+ * precisa estar cadastrado no provedor.
+ *
+ * As variáveis são lidas a cada chamada, então novos provedores valem
+ * sem alterar o código.
+ */
+
+const DEFAULT_SCOPES = 'openid email profile';
+
+/**
+ * Lista os nomes dos provedores configurados
+ * @returns {string[]} Nomes em minúsculas
+ */
+export const listOidcProviders = () =>
+  (process.env.OIDC_PROVIDERS || '')
+    .split(',')
+    .map(name => name.trim().toLowerCase())
+    .filter(Boolean);
+
+/**
+ * Retorna a configuração de um provedor
+ * @param {string} name - Nome do provedor (parâmetro da rota)
+ * @returns {Object|null} { name, issuer, clientId, clientSecret,
+ *   redirectUri, scopes } ou null se não estiver configurado
+ */
+export const getOidcProvider = name => {
+  const normalized = String(name).toLowerCase();
+
+  if (!listOidcProviders().includes(normalized)) {
+    return null;
+  }
+
+  const prefix = `OIDC_${normalized.toUpperCase().replace(/[^A-Z0-9]/g, '_')}_`;
+  const env = key => process.env[`${prefix}${key}`];
+
+  if (!env('ISSUER') || !env('CLIENT_ID')) {
+    return null;
+  }
+
+  const apiUrl = process.env.API_URL || 'http://localhost:3000';
+
+  return {
+    name: normalized,
+    issuer: env('ISSUER').replace(/\/$/, ''),
+    clientId: env('CLIENT_ID'),
+    clientSecret: env('CLIENT_SECRET') || null,
+    redirectUri:
+      env('REDIRECT_URI') || `${apiUrl}/v2/auth/oidc/${normalized}/callback`,
+    scopes: env('SCOPES') || DEFAULT_SCOPES,
+  };
+};
+
+export default {
+  listOidcProviders,
+  getOidcProvider,
+};
@@ -0,0 +1,162 @@
+// src/config/rateLimit.js
+import prisma from './database.js';
+
+/**
+ * Configuração do armazenamento de tentativas de login
+ *
+ * O bloqueio de login guarda as falhas em um "store" plugável. Todo store
+ * é um objeto com:
+ * - name: identificador do store
+ * - get(key): retorna { failures, lockedUntil, lastFailureAt } ou null
+ * - increment(key, now): soma uma falha e retorna a entrada atualizada
+ * - lock(key, until): bloqueia a chave até a data informada
+ * - reset(key): remove a entrada
+ * - cleanup(before): remove entradas sem falhas desde a data informada
+ *
+ * Stores incluídos (escolhidos via RATE_LIMIT_STORE):
+ * - memory: mantém as entradas no processo (padrão em testes)
+ * - database: tabela login_attempts (padrão; compartilhado entre instâncias)
+ *
+ * Em deploys com várias instâncias (ex: Vercel) use sempre "database":
+ * com "memory" cada instância teria seus próprios contadores.
+ */
+
+/**
+ * Cria um store em memória
+ * @returns {Object} Store com entradas em um Map
+ */
+export const createMemoryStore = () => {
+  const entries = new Map();
+
+  return {
+    name: 'memory',
+
+    async get(key) {
+      return entries.get(key) || null;
+    },
+
+    async increment(key, now) {
+      const entry = entries.get(key) || { failures: 0, lockedUntil: null };
+      const updated = { ...entry, failures: entry.failures + 1, lastFailureAt: now };
+
+      entries.set(key, updated);
+      return updated;
+    },
+
+    async lock(key, until) {
+      const entry = entries.get(key);
+
+      if (entry) {
+        entries.set(key, { ...entry, lockedUntil: until });
+      }
+    },
+
+    async reset(key) {
+      entries.delete(key);
+    },
+
+    async cleanup(before) {
+      let count = 0;
+
+      for (const [key, entry] of entries) {
+        const locked = entry.lockedUntil && entry.lockedUntil > before;
+
+        if (entry.lastFailureAt < before && !locked) {
+          entries.delete(key);
+          count++;
+        }
+      }
+
+      return count;
+    },
+  };
+};
+
+/**
+ * Store que usa a tabela login_attempts
+ */
+export const databaseStore = {
+  name: 'database',
+
+  async get(key) {
+    return prisma.loginAttempt.findUnique({
+      where: { key },
+      select: { failures: true, lockedUntil: true, lastFailureAt: true },
+    });
+  },
+
+  async increment(key, now) {
+    // upsert com increment é atômico: requisições simultâneas não perdem falhas
+    return prisma.loginAttempt.upsert({
+      where: { key },
+      create: { key, failures: 1, lastFailureAt: now },
+      update: { failures: { increment: 1 }, lastFailureAt: now },
+      select: { failures: true, lockedUntil: true, lastFailureAt: true },
+    });
+  },
+
+  async lock(key, until) {
+    await prisma.loginAttempt.updateMany({
+      where: { key },
+      data: { lockedUntil: until },
+    });
+  },
+
+  async reset(key) {
+    await prisma.loginAttempt.deleteMany({ where: { key } });
+  },
+
+  async cleanup(before) {
+    const { count } = await prisma.loginAttempt.deleteMany({
+      where: {
+        lastFailureAt: { lt: before },
+        OR: [{ lockedUntil: null }, { lockedUntil: { lt: before } }],
+      },
+    });
+
+    return count;
+  },
+};
+
+const stores = {
+  memory: createMemoryStore,
+  database: () => databaseStore,
+};
+
+const defaultStore = process.env.NODE_ENV === 'test' ? 'memory' : 'database';
+const storeName = process.env.RATE_LIMIT_STORE || defaultStore;
+
+if (!stores[storeName]) {
+  throw new Error(
+    `RATE_LIMIT_STORE inválido: ${storeName}. Use: ${Object.keys(stores).join(', ')}`,
+  );
+}
+
+let currentStore = stores[storeName]();
+
+/**
+ * Substitui o store de tentativas de login em uso
+ * @param {Object} store - Objeto que implementa a interface de store
+ */
+export const setRateLimitStore = store => {
+  const methods = ['get', 'increment', 'lock', 'reset', 'cleanup'];
+
+  if (!store || methods.some(method => typeof store[method] !== 'function')) {
+    throw new Error(
+      `Store de tentativas deve implementar: ${methods.join(', ')}`,
+    );
+  }
+
+  currentStore = store;
+};
+
+/**
+ * Retorna o store de tentativas de login em uso
+ * @returns {Object} Store atual
+ */
+export const getRateLimitStore = () => currentStore;
+
+export default {
+  getRateLimitStore,
+  setRateLimitStore,
+};
@@ -63,6 +63,11 @@ const swaggerDefinition = {
         bearerFormat: 'JWT',
         description: 'Insira o token JWT obtido no login (sem o prefixo "Bearer")',
       },
+      scimBearer: {
+        type: 'http',
+        scheme: 'bearer',
+        description: 'Token dedicado da API SCIM (SCIM_BEARER_TOKEN)',
+      },
     },
   },
   // Não aplicar segurança global - cada rota define sua própria segurança
@@ -83,6 +88,22 @@ const swaggerDefinition = {
       name: 'Usuários v2',
       description: 'Gerenciamento de usuários com upload de fotos (API v2) e autenticação JWT',
     },
+    {
+      name: 'Papéis',
+      description: 'Papéis e permissões (RBAC)',
+    },
+    {
+      name: 'Departamentos',
+      description: 'Departamentos e escopo dos coordenadores',
+    },
+    {
+      name: 'Auditoria',
+      description: 'Decisões de autorização e alertas de segurança',
+    },
+    {
+      name: 'SCIM',
+      description: 'Provisionamento de usuários por sistemas de RH (SCIM 2.0)',
+    },
   ],
 };
 
@@ -94,6 +115,7 @@ const options = {
     './src/server.js', // Rota de health check geral
     './src/api/v1/routes/*.js', // Rotas da v1
     './src/api/v2/routes/*.js', // Rotas da v2
+    './src/api/scim/routes/*.js', // Rotas SCIM
     './src/errors/AppError.js', // Schemas de erro
   ],
 };
@@ -73,6 +73,21 @@ class ForbiddenError extends AppError {
   }
 }
 
+/**
+ * Erro de excesso de requisições (429)
+ * Usado quando o cliente deve aguardar antes de tentar novamente
+ */
+class TooManyRequestsError extends AppError {
+  /**
+   * @param {string} message - Mensagem de erro
+   * @param {number} retryAfter - Segundos até poder tentar novamente
+   */
+  constructor(message = 'Muitas tentativas. Tente novamente mais tarde', retryAfter = 60) {
+    super(message, 429, 'TOO_MANY_REQUESTS', [{ retryAfter }]);
+    this.retryAfter = retryAfter;
+  }
+}
+
 export {
   AppError,
   ValidationError,
@@ -80,4 +95,5 @@ export {
   ConflictError,
   UnauthorizedError,
   ForbiddenError,
+  TooManyRequestsError,
 };
\ No newline at end of file
@@ -1,6 +1,87 @@
 // src/middlewares/auth.js
 import { verifyToken } from "../config/jwt.js";
 import { UnauthorizedError } from "../errors/AppError.js";
+import { isTokenRevoked } from "../api/v2/services/tokenRevocationService.js";
+import { touchSession } from "../api/v2/services/sessionService.js";
+import {
+  isApiToken,
+  authenticateApiToken,
+} from "../api/v2/services/apiTokenService.js";
+import { recordImpersonatedRequest } from "../api/v2/services/impersonationService.js";
+import {
+  assertAccountActive,
+  assertUserActive,
+  isUserActive,
+} from "../api/v2/services/userStatusService.js";
+
+/**
+ * Verifica o token e traduz os erros da biblioteca JWT
+ *
+ * @param {string} token - Token JWT recebido no header
+ * @returns {Object} Payload decodificado
+ * @throws {UnauthorizedError} Se o token for inválido ou expirado
+ */
+const verifyAccessToken = (token) => {
+  try {
+    return verifyToken(token);
+  } catch (jwtError) {
+    // Tratar erros específicos do JWT
+    if (jwtError.name === "TokenExpiredError") {
+      throw new UnauthorizedError(
+        "Token expirado. Por favor, faça login novamente"
+      );
+    }
+
+    if (jwtError.name === "JsonWebTokenError") {
+      throw new UnauthorizedError(
+        "Token inválido. Por favor, faça login novamente"
+      );
+    }
+
+    if (jwtError.name === "NotBeforeError") {
+      throw new UnauthorizedError("Token ainda não é válido");
+    }
+
+    // Erro desconhecido
+    throw new UnauthorizedError("Falha na autenticação do token");
+  }
+};
+
+/**
+ * Monta o req.user de uma requisição autenticada por API key
+ * O papel vem do banco (a key não carrega claims) e os escopos
+ * ficam em req.user.apiToken para o middleware requireScope.
+ *
+ * @param {Object} apiToken - Resultado de authenticateApiToken
+ * @returns {Object} Dados do usuário autenticado
+ */
+const apiTokenUser = (apiToken) => ({
+  id: apiToken.user.id,
+  email: apiToken.user.email,
+  role: apiToken.user.papel,
+  mfa: apiToken.mfa,
+  apiToken: { id: apiToken.id, scopes: apiToken.scopes },
+});
+
+/**
+ * Monta o req.user de uma requisição autenticada por JWT
+ * Em tokens de personificação, "sub" é o usuário personificado e
+ * req.user.actor identifica quem realmente está agindo (claim "act").
+ *
+ * @param {Object} decoded - Payload do token
+ * @returns {Object} Dados do usuário autenticado
+ */
+const tokenUser = (decoded) => ({
+  id: decoded.sub, // ID do usuário (do claim 'sub')
+  email: decoded.email, // Email do usuário
+  role: decoded.role, // Papel/role do usuário
+  mfa: decoded.mfa === true, // Login concluído com segundo fator (2FA)
+  sessionId: decoded.sid, // Sessão (dispositivo) do login
+  tokenId: decoded.jti, // ID do token (revogação e auditoria)
+  ...(decoded.act && {
+    actor: { id: decoded.act.sub, email: decoded.act.email }, // Personificação
+  }),
+});
 
 /**
  * Middleware de Autenticação JWT
@@ -11,10 +92,21 @@ import { UnauthorizedError } from "../errors/AppError.js";
  * Fluxo:
  * 1. Extrai o token do header Authorization
  * 2. Verifica se o token é válido e não expirou
- * 3. Decodifica o payload e anexa ao objeto request
- * 4. Passa para o próximo middleware/controller
+ * 3. Verifica se a conta não está suspensa ou desativada
+ * 4. Verifica se o token não foi revogado (logout)
+ * 5. Verifica se a sessão do login não foi encerrada
+ * 6. Decodifica o payload e anexa ao objeto request
+ * 7. Passa para o próximo middleware/controller
+ *
+ * API keys pessoais (prefixo "gp_") também são aceitas no mesmo header;
+ * nesse caso o acesso fica limitado aos escopos da key (ver requireScope).
  *
- * Se qualquer verificação falhar, retorna 401 Unauthorized
+ * Requisições com token de personificação são registradas no log de
+ * auditoria (ver impersonationService).
+ *
+ * Se qualquer verificação falhar, retorna 401 Unauthorized; contas
+ * suspensas ou desativadas recebem 403 (ACCOUNT_SUSPENDED ou
+ * ACCOUNT_DEACTIVATED, ver userStatusService)
  */
 
 const authMiddleware = async (req, res, next) => {
@@ -46,48 +138,62 @@ const authMiddleware = async (req, res, next) => {
       );
     }
 
-    // 3. Verificar e decodificar o token
-    try {
-      const decoded = verifyToken(token);
-
-      // 4. Anexar dados do usuário ao request
-      // Isso permite que controllers acessem o usuário autenticado via req.user
-      req.user = {
-        id: decoded.sub, // ID do usuário (do claim 'sub')
-        email: decoded.email, // Email do usuário
-        role: decoded.role, // Papel/role do usuário
-      };
-
-      // Log para debugging (remover em produção)
-      console.log("✅ Usuário autenticado:", {
-        id: req.user.id,
-        email: req.user.email,
-        role: req.user.role,
-      });
-
-      // 5. Passar para o próximo middleware/controller
-      return next();
-    } catch (jwtError) {
-      // Tratar erros específicos do JWT
-      if (jwtError.name === "TokenExpiredError") {
-        throw new UnauthorizedError(
-          "Token expirado. Por favor, faça login novamente"
-        );
-      }
+    // API key pessoal: validada no banco, sem JWT
+    if (isApiToken(token)) {
+      const apiToken = await authenticateApiToken(token);
 
-      if (jwtError.name === "JsonWebTokenError") {
-        throw new UnauthorizedError(
-          "Token inválido. Por favor, faça login novamente"
-        );
+      if (!apiToken) {
+        throw new UnauthorizedError("API key inválida, expirada ou revogada");
       }
 
-      if (jwtError.name === "NotBeforeError") {
-        throw new UnauthorizedError("Token ainda não é válido");
-      }
+      assertAccountActive(apiToken.user);
+
+      req.user = apiTokenUser(apiToken);
+      return next();
+    }
+
+    // 3. Verificar e decodificar o token
+    const decoded = verifyAccessToken(token);
+
+    // 4. Recusar contas suspensas ou desativadas (antes da revogação:
+    // a suspensão encerra as sessões, mas o erro deve indicar o motivo)
+    await assertUserActive(decoded.sub);
+
+    // 5. Verificar se o token foi revogado (logout / logout-all)
+    if (await isTokenRevoked(decoded)) {
+      throw new UnauthorizedError(
+        "Token revogado. Por favor, faça login novamente"
+      );
+    }
 
-      // Erro desconhecido
-      throw new UnauthorizedError("Falha na autenticação do token");
+    // 6. Verificar se a sessão do login continua ativa
+    // (tokens emitidos antes das sessões existirem não têm "sid")
+    if (decoded.sid && !(await touchSession(decoded.sid))) {
+      throw new UnauthorizedError(
+        "Sessão encerrada. Por favor, faça login novamente"
+      );
     }
+
+    // 7. Anexar dados do usuário ao request
+    // Isso permite que controllers acessem o usuário autenticado via req.user
+    req.user = tokenUser(decoded);
+
+    // Payload completo do token (usado no logout para revogar este token)
+    req.tokenPayload = decoded;
+
+    if (req.user.actor) {
+      recordImpersonatedRequest(req, res);
+    }
+
+    // Log para debugging (remover em produção)
+    console.log("✅ Usuário autenticado:", {
+      id: req.user.id,
+      email: req.user.email,
+      role: req.user.role,
+    });
+
+    // 8. Passar para o próximo middleware/controller
+    return next();
   } catch (error) {
     // Passar erro para o middleware de tratamento de erros
     next(error);
@@ -122,16 +228,40 @@ export const optionalAuth = async (req, res, next) => {
 
     const [, token] = parts;
 
+    if (isApiToken(token)) {
+      const apiToken = await authenticateApiToken(token);
+      req.user =
+        apiToken && apiToken.user.status === "ACTIVE"
+          ? apiTokenUser(apiToken)
+          : null;
+      return next();
+    }
+
+    let decoded;
     try {
-      const decoded = verifyToken(token);
-      req.user = {
-        id: decoded.sub,
-        email: decoded.email,
-        role: decoded.role,
-      };
+      decoded = verifyToken(token);
     } catch {
       // Token inválido, mas continua sem autenticar
       req.user = null;
+      return next();
+    }
+
+    // Token revogado, de sessão encerrada ou de conta suspensa também é
+    // tratado como ausente
+    if (
+      (await isTokenRevoked(decoded)) ||
+      (decoded.sid && !(await touchSession(decoded.sid))) ||
+      !(await isUserActive(decoded.sub))
+    ) {
+      req.user = null;
+      return next();
+    }
+
+    req.user = tokenUser(decoded);
+    req.tokenPayload = decoded;
+
+    if (req.user.actor) {
+      recordImpersonatedRequest(req, res);
     }
 
     return next();
@@ -1,5 +1,83 @@
 // src/middlewares/authorize.js
-import { ForbiddenError, UnauthorizedError } from '../errors/AppError.js';
+import {
+  AppError,
+  ForbiddenError,
+  UnauthorizedError,
+} from '../errors/AppError.js';
+import { isTwoFactorRequired } from '../api/v2/services/twoFactorService.js';
+import {
+  PERMISSION_SCOPES,
+  getPermissionScope,
+  getRolePermissions,
+} from '../api/v2/services/roleService.js';
+import {
+  getUserDepartmentId,
+  isInDepartmentScope,
+} from '../api/v2/services/departmentService.js';
+import {
+  AUTHZ_OUTCOMES,
+  recordAuthzDecision,
+} from '../api/v2/services/authzAuditService.js';
+
+/**
+ * Exige segundo fator quando a política da organização o requer para o papel
+ * (REQUIRE_2FA_FOR_ADMINS). Rotas de /v2/auth não passam por aqui, então o
+ * usuário ainda consegue ativar o 2FA.
+ *
+ * @param {Object} user - Usuário autenticado (req.user)
+ * @throws {AppError} 403 TWO_FACTOR_REQUIRED
+ */
+const assertTwoFactorPolicy = user => {
+  if (isTwoFactorRequired(user.role) && !user.mfa) {
+    throw new AppError(
+      'Esta ação exige autenticação em dois fatores. Ative o 2FA em POST /v2/auth/2fa/setup e faça login novamente',
+      403,
+      'TWO_FACTOR_REQUIRED',
+    );
+  }
+};
+
+/**
+ * Registra a decisão em authz_audit_logs, sem aguardar a gravação
+ * @param {Object} req - Request do Express
+ * @param {string} action - Permissão, papéis ou escopo exigido
+ * @param {string} outcome - AUTHZ_OUTCOMES.ALLOW ou DENY
+ * @param {string} reason - Motivo da decisão (ex.: MISSING_PERMISSION)
+ */
+const audit = (req, action, outcome, reason) => {
+  recordAuthzDecision(req, { action, outcome, reason });
+};
+
+/**
+ * Libera o acesso: aplica a política de 2FA e registra a decisão
+ * @param {Object} req - Request do Express
+ * @param {string} action - Permissão, papéis ou escopo exigido
+ * @param {string} reason - Motivo da liberação (ex.: SCOPE_ALL)
+ * @throws {AppError} 403 TWO_FACTOR_REQUIRED (registrado como negação)
+ */
+const allow = (req, action, reason) => {
+  try {
+    assertTwoFactorPolicy(req.user);
+  } catch (error) {
+    audit(req, action, AUTHZ_OUTCOMES.DENY, 'TWO_FACTOR_REQUIRED');
+    throw error;
+  }
+
+  audit(req, action, AUTHZ_OUTCOMES.ALLOW, reason);
+};
+
+/**
+ * Nega o acesso: registra a decisão
+ * @param {Object} req - Request do Express
+ * @param {string} action - Permissão, papéis ou escopo exigido
+ * @param {string} reason - Motivo da negação (ex.: MISSING_PERMISSION)
+ * @param {Error} error - Erro a ser lançado
+ * @returns {Error} O próprio erro
+ */
+const deny = (req, action, reason, error) => {
+  audit(req, action, AUTHZ_OUTCOMES.DENY, reason);
+  return error;
+};
 
 /**
  * Middleware de Autorização baseado em Roles (RBAC)
@@ -32,26 +110,29 @@ const authorize = (allowedRoles = []) => {
         );
       }
 
-      // 2. Se não há roles requeridas, permitir acesso
+      // 2. Normalizar para comparação (case-insensitive)
+      const normalizedAllowedRoles = allowedRoles.map(role =>
+        role.toUpperCase()
+      );
+      const action = `roles:${normalizedAllowedRoles.join(',')}`;
+
+      // 3. Se não há roles requeridas, permitir acesso
       // (útil para rotas que só requerem autenticação)
       if (allowedRoles.length === 0) {
+        audit(req, action, AUTHZ_OUTCOMES.ALLOW, 'AUTHENTICATED');
         return next();
       }
 
-      // 3. Obter o papel do usuário
+      // 4. Obter o papel do usuário
       const userRole = req.user.role;
 
       if (!userRole) {
-        throw new ForbiddenError(
+        throw deny(req, action, 'ROLE_MISSING', new ForbiddenError(
           'Papel do usuário não definido. Entre em contato com o administrador.'
-        );
+        ));
       }
 
-      // 4. Normalizar para comparação (case-insensitive)
       const normalizedUserRole = userRole.toUpperCase();
-      const normalizedAllowedRoles = allowedRoles.map(role =>
-        role.toUpperCase()
-      );
 
       // 5. Verificar se o papel do usuário está na lista de permitidos
       if (!normalizedAllowedRoles.includes(normalizedUserRole)) {
@@ -63,12 +144,15 @@ const authorize = (allowedRoles = []) => {
           method: req.method,
         });
 
-        throw new ForbiddenError(
+        throw deny(req, action, 'ROLE_NOT_ALLOWED', new ForbiddenError(
           `Acesso negado. Esta ação requer um dos seguintes papéis: ${allowedRoles.join(', ')}`
-        );
+        ));
       }
 
-      // 6. Usuário autorizado - prosseguir
+      // 6. Verificar política de segundo fator do papel e registrar
+      allow(req, action, 'ROLE_ALLOWED');
+
+      // 7. Usuário autorizado - prosseguir
       console.log('✅ Acesso autorizado:', {
         userId: req.user.id,
         userRole: normalizedUserRole,
@@ -83,6 +167,144 @@ const authorize = (allowedRoles = []) => {
   };
 };
 
+/**
+ * Middleware de Autorização baseado em Permissões
+ *
+ * Verifica se o papel do usuário autenticado tem todas as permissões
+ * informadas (tabelas roles/permissions, ver roleService). Preferível a
+ * authorize([...]): novos papéis passam a ter acesso sem mudar as rotas.
+ * Só conta o escopo ALL; permissões limitadas ao departamento valem apenas
+ * em userAccessPolicy e departmentAccessPolicy.
+ *
+ * IMPORTANTE: deve ser usado APÓS o authMiddleware.
+ *
+ * @param {...string} permissions - Permissões exigidas (ex: 'users.delete')
+ * @returns {Function} Middleware Express
+ *
+ * @example
+ * router.delete('/users/:id', authMiddleware, requirePermission('users.delete'), controller);
+ */
+export const requirePermission = (...permissions) => {
+  return async (req, res, next) => {
+    try {
+      if (!req.user) {
+        throw new UnauthorizedError(
+          'Usuário não autenticado. Faça login para continuar.'
+        );
+      }
+
+      const granted = await getRolePermissions(req.user.role);
+      const missing = permissions.filter(
+        permission => granted.get(permission) !== PERMISSION_SCOPES.ALL,
+      );
+      const action = permissions.join(',');
+
+      if (missing.length > 0) {
+        console.log('❌ Acesso negado:', {
+          userId: req.user.id,
+          userRole: req.user.role,
+          missingPermissions: missing,
+          path: req.path,
+          method: req.method,
+        });
+
+        throw deny(req, action, 'MISSING_PERMISSION', new ForbiddenError(
+          `Acesso negado. Esta ação requer as permissões: ${missing.join(', ')}`
+        ));
+      }
+
+      allow(req, action, 'SCOPE_ALL');
+
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+};
+
+/**
+ * Middleware que exige escopos de API key
+ *
+ * Requisições autenticadas por API key só passam se a key tiver todos os
+ * escopos informados. Logins com usuário e senha (JWT) não são limitados
+ * por escopo; o papel continua sendo verificado por authorize().
+ *
+ * @param {...string} scopes - Escopos exigidos (ex: 'users:write')
+ * @returns {Function} Middleware Express
+ *
+ * @example
+ * router.delete('/users/:id', authMiddleware, requireScope('users:write'), isAdmin, controller);
+ */
+export const requireScope = (...scopes) => {
+  return (req, res, next) => {
+    try {
+      if (!req.user) {
+        throw new UnauthorizedError('Usuário não autenticado');
+      }
+
+      const apiToken = req.user.apiToken;
+
+      if (apiToken) {
+        const action = `scope:${scopes.join(',')}`;
+        const missing = scopes.filter(scope => !apiToken.scopes.includes(scope));
+
+        if (missing.length > 0) {
+          throw deny(req, action, 'INSUFFICIENT_SCOPE', new AppError(
+            `API key sem permissão para esta ação. Escopos necessários: ${missing.join(', ')}`,
+            403,
+            'INSUFFICIENT_SCOPE',
+          ));
+        }
+
+        audit(req, action, AUTHZ_OUTCOMES.ALLOW, 'API_TOKEN_SCOPE');
+      }
+
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+};
+
+/**
+ * Middleware que recusa requisições autenticadas por API key
+ * Usado nas rotas da própria conta (sessões, senha, 2FA, API keys),
+ * que exigem login com usuário e senha.
+ */
+export const denyApiTokens = (req, res, next) => {
+  if (req.user?.apiToken) {
+    return next(
+      deny(req, 'password-login', 'API_TOKEN_NOT_ALLOWED', new AppError(
+        'Esta ação exige login com usuário e senha; API keys não são aceitas',
+        403,
+        'API_TOKEN_NOT_ALLOWED',
+      )),
+    );
+  }
+
+  next();
+};
+
+/**
+ * Middleware que recusa requisições feitas com token de personificação
+ * Usado nas ações sensíveis da conta (senha, 2FA, sessões, API keys) e
+ * na própria personificação: o suporte vê o que o usuário vê, mas não
+ * altera as credenciais dele.
+ */
+export const denyImpersonation = (req, res, next) => {
+  if (req.user?.actor) {
+    return next(
+      deny(req, 'no-impersonation', 'IMPERSONATION_NOT_ALLOWED', new AppError(
+        'Ação não permitida durante a personificação de um usuário',
+        403,
+        'IMPERSONATION_NOT_ALLOWED',
+      )),
+    );
+  }
+
+  next();
+};
+
 /**
  * Middleware que verifica se o usuário é ADMIN
  * Atalho para authorize(['ADMIN'])
@@ -96,54 +318,147 @@ export const isAdmin = authorize(['ADMIN']);
 export const isProfessorOrAdmin = authorize(['PROFESSOR', 'ADMIN']);
 
 /**
- * Middleware que verifica se o usuário está acessando seu próprio recurso
- * ou se é ADMIN (que pode acessar qualquer recurso)
+ * Política de acesso a um usuário específico (dono / escopo / global)
  *
- * @param {string} paramName - Nome do parâmetro de rota que contém o ID do recurso
+ * Libera a requisição, nesta ordem, quando:
+ * 1. allowOwner e o usuário acessa o próprio recurso
+ * 2. o papel tem a permissão com escopo ALL (ex.: ADMIN)
+ * 3. o papel tem a permissão com escopo DEPARTMENT e o alvo é um professor
+ *    do departamento de quem age (ex.: COORDENADOR)
+ *
+ * IMPORTANTE: deve ser usado APÓS o authMiddleware e após validar o ID.
+ *
+ * @param {string} permission - Permissão para acessar outros usuários
+ * @param {Object} [options] - Opções
+ * @param {boolean} [options.allowOwner=false] - Libera o próprio usuário
+ * @param {string} [options.paramName='id'] - Parâmetro de rota com o ID do
+ *   usuário alvo
  * @returns {Function} Middleware Express
  *
  * @example
- * // Usuário pode editar apenas seu próprio perfil, ADMIN pode editar qualquer um
- * router.put('/users/:id', authMiddleware, isOwnerOrAdmin('id'), controller);
+ * router.put('/users/:id', authMiddleware, userAccessPolicy('users.update', { allowOwner: true }), controller);
  */
-export const isOwnerOrAdmin = (paramName = 'id') => {
-  return (req, res, next) => {
+export const userAccessPolicy = (
+  permission,
+  { allowOwner = false, paramName = 'id' } = {},
+) => {
+  return async (req, res, next) => {
     try {
       if (!req.user) {
         throw new UnauthorizedError('Usuário não autenticado');
       }
 
-      const resourceId = parseInt(req.params[paramName]);
-      const userId = req.user.id;
-      const userRole = req.user.role?.toUpperCase();
+      const targetId = parseInt(req.params[paramName]);
 
-      // ADMIN pode acessar qualquer recurso
-      if (userRole === 'ADMIN') {
-        console.log('✅ Acesso ADMIN permitido');
+      // 1. Próprio recurso
+      if (allowOwner && targetId === req.user.id) {
+        allow(req, permission, 'OWNER');
+        console.log('✅ Acesso ao próprio recurso permitido');
         return next();
       }
 
-      // Usuário comum só pode acessar seu próprio recurso
-      if (resourceId === userId) {
-        console.log('✅ Acesso ao próprio recurso permitido');
+      const scope = await getPermissionScope(req.user, permission);
+
+      // 2. Permissão para qualquer usuário
+      if (scope === PERMISSION_SCOPES.ALL) {
+        allow(req, permission, 'SCOPE_ALL');
+        return next();
+      }
+
+      // 3. Permissão limitada ao departamento
+      if (
+        scope === PERMISSION_SCOPES.DEPARTMENT &&
+        (await isInDepartmentScope(req.user.id, targetId))
+      ) {
+        allow(req, permission, 'SCOPE_DEPARTMENT');
+        console.log('✅ Acesso no escopo do departamento permitido');
         return next();
       }
 
-      // Tentando acessar recurso de outro usuário
       console.log('❌ Tentativa de acesso a recurso de outro usuário:', {
-        userId,
-        resourceId,
-        userRole,
+        userId: req.user.id,
+        resourceId: targetId,
+        userRole: req.user.role,
+        permission,
       });
 
-      throw new ForbiddenError(
-        'Você não tem permissão para acessar este recurso'
+      throw deny(
+        req,
+        permission,
+        scope ? 'OUT_OF_SCOPE' : 'MISSING_PERMISSION',
+        new ForbiddenError('Você não tem permissão para acessar este recurso'),
+      );
+    } catch (error) {
+      next(error);
+    }
+  };
+};
+
+/**
+ * Política de acesso aos dados de um departamento
+ * Libera quem tem a permissão com escopo ALL ou, com escopo DEPARTMENT,
+ * quem pertence ao departamento.
+ *
+ * @param {string} permission - Permissão exigida (ex.: 'users.read')
+ * @param {string} [paramName='id'] - Parâmetro de rota com o ID do
+ *   departamento
+ * @returns {Function} Middleware Express
+ *
+ * @example
+ * router.get('/departments/:id/users', authMiddleware, departmentAccessPolicy('users.read'), controller);
+ */
+export const departmentAccessPolicy = (permission, paramName = 'id') => {
+  return async (req, res, next) => {
+    try {
+      if (!req.user) {
+        throw new UnauthorizedError('Usuário não autenticado');
+      }
+
+      const scope = await getPermissionScope(req.user, permission);
+      const allowed =
+        scope === PERMISSION_SCOPES.ALL ||
+        (scope === PERMISSION_SCOPES.DEPARTMENT &&
+          (await getUserDepartmentId(req.user.id)) ===
+            parseInt(req.params[paramName]));
+
+      if (!allowed) {
+        throw deny(
+          req,
+          permission,
+          scope ? 'OUT_OF_SCOPE' : 'MISSING_PERMISSION',
+          new ForbiddenError(
+            `Acesso negado. Esta ação requer a permissão ${permission} para este departamento`
+          ),
+        );
+      }
+
+      allow(
+        req,
+        permission,
+        scope === PERMISSION_SCOPES.ALL ? 'SCOPE_ALL' : 'SCOPE_DEPARTMENT',
       );
 
+      next();
     } catch (error) {
       next(error);
     }
   };
 };
 
+/**
+ * Middleware que verifica se o usuário está acessando seu próprio recurso
+ * ou se pode alterar outros usuários (ADMIN, ou COORDENADOR para os
+ * professores do seu departamento)
+ * Atalho para userAccessPolicy('users.update', { allowOwner: true })
+ *
+ * @param {string} paramName - Nome do parâmetro de rota que contém o ID do recurso
+ * @returns {Function} Middleware Express
+ *
+ * @example
+ * // Usuário pode editar apenas seu próprio perfil, ADMIN pode editar qualquer um
+ * router.put('/users/:id', authMiddleware, isOwnerOrAdmin('id'), controller);
+ */
+export const isOwnerOrAdmin = (paramName = 'id') =>
+  userAccessPolicy('users.update', { allowOwner: true, paramName });
+
 export default authorize;
\ No newline at end of file
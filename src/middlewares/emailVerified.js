@@ -0,0 +1,42 @@
+// src/middlewares/emailVerified.js
+import prisma from '../config/database.js';
+import { AppError, UnauthorizedError } from '../errors/AppError.js';
+
+/**
+ * Middleware que exige email verificado
+ *
+ * Usuários com email não confirmado podem fazer login e consultar dados,
+ * mas não podem executar ações que alteram recursos.
+ *
+ * IMPORTANTE: Este middleware DEVE ser usado APÓS o authMiddleware.
+ *
+ * @example
+ * router.post('/users', authMiddleware, isAdmin, requireVerifiedEmail, controller);
+ */
+export const requireVerifiedEmail = async (req, res, next) => {
+  try {
+    if (!req.user) {
+      throw new UnauthorizedError('Usuário não autenticado');
+    }
+
+    // Consulta o banco: a verificação pode ter ocorrido após a emissão do token
+    const user = await prisma.user.findUnique({
+      where: { id: req.user.id },
+      select: { emailVerifiedAt: true },
+    });
+
+    if (!user?.emailVerifiedAt) {
+      throw new AppError(
+        'Confirme seu email para realizar esta ação. Use POST /v2/auth/resend-verification para receber um novo link',
+        403,
+        'EMAIL_NOT_VERIFIED',
+      );
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+export default requireVerifiedEmail;
@@ -19,6 +19,11 @@ const errorHandler = (error, req, res, next) => {
 
   // Se é um erro operacional (esperado), trata adequadamente
   if (error instanceof AppError && error.isOperational) {
+    // Informar ao cliente quando pode tentar novamente (429)
+    if (error.retryAfter) {
+      res.set('Retry-After', String(error.retryAfter));
+    }
+
     return res.status(error.statusCode).json({
       success: false,
       error: {
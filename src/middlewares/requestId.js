@@ -0,0 +1,28 @@
+// src/middlewares/requestId.js
+import crypto from 'crypto';
+
+/**
+ * Middleware de Request ID
+ *
+ * Identifica cada requisição em req.id e no header de resposta
+ * X-Request-Id, para correlacionar logs e registros de auditoria.
+ * Reaproveita o X-Request-Id recebido (ex.: gerado pelo proxy) quando ele
+ * tem um formato seguro; caso contrário, gera um UUID.
+ */
+
+// Caracteres aceitos no X-Request-Id recebido
+const REQUEST_ID_PATTERN = /^[\w.-]{1,128}$/;
+
+const requestId = (req, res, next) => {
+  const received = req.get('x-request-id');
+
+  req.id = received && REQUEST_ID_PATTERN.test(received)
+    ? received
+    : crypto.randomUUID();
+
+  res.setHeader('X-Request-Id', req.id);
+
+  next();
+};
+
+export default requestId;
@@ -0,0 +1,123 @@
+// src/middlewares/scim.js
+import crypto from 'crypto';
+import { AppError, UnauthorizedError } from '../errors/AppError.js';
+import { hashToken } from '../utils/tokens.js';
+import { SCIM_SCHEMAS } from '../api/scim/schemas/scimUserSchema.js';
+
+/**
+ * Middlewares da API SCIM (/scim/v2)
+ *
+ * A API SCIM é usada por sistemas de RH, não por usuários: a autenticação
+ * é um bearer token dedicado (SCIM_BEARER_TOKEN), sem relação com os JWTs
+ * e API keys da v2. Sem a variável definida, a API SCIM fica desativada.
+ *
+ * Erros seguem o formato da RFC 7644 (seção 3.12):
+ *   { schemas: [...Error], status: "400", scimType: "invalidFilter", detail }
+ */
+
+// scimType para erros de validação e conflito (RFC 7644, tabela 9)
+const SCIM_TYPES = {
+  VALIDATION_ERROR: 'invalidValue',
+  CONFLICT: 'uniqueness',
+};
+
+/**
+ * Envia uma resposta com o content type SCIM
+ * @param {Object} res - Response do Express
+ * @param {number} status - Status HTTP
+ * @param {Object} [body] - Corpo (omitido em 204)
+ */
+export const sendScim = (res, status, body) => {
+  res.status(status).type('application/scim+json');
+
+  if (body === undefined) {
+    return res.end();
+  }
+
+  return res.send(JSON.stringify(body));
+};
+
+/**
+ * Autentica a requisição com o bearer token do SCIM
+ * A comparação é feita sobre os hashes, em tempo constante.
+ */
+export const scimAuth = (req, res, next) => {
+  const expected = process.env.SCIM_BEARER_TOKEN;
+  const [scheme, token] = (req.headers.authorization || '').split(' ');
+
+  if (!expected) {
+    return next(new UnauthorizedError('API SCIM não configurada'));
+  }
+
+  const valid =
+    scheme === 'Bearer' &&
+    !!token &&
+    crypto.timingSafeEqual(
+      Buffer.from(hashToken(token)),
+      Buffer.from(hashToken(expected)),
+    );
+
+  if (!valid) {
+    return next(new UnauthorizedError('Token SCIM inválido'));
+  }
+
+  next();
+};
+
+/**
+ * Tratamento de erros da API SCIM
+ * Converte AppError, ZodError e erros do Prisma para o formato SCIM.
+ */
+export const scimErrorHandler = (error, req, res, next) => {
+  let status = 500;
+  let scimType;
+  let detail = 'Erro interno do servidor';
+
+  if (error instanceof AppError) {
+    status = error.statusCode;
+    scimType = error.details?.scimType || SCIM_TYPES[error.code];
+    detail = error.message;
+  } else if (error.name === 'ZodError') {
+    status = 400;
+    scimType = 'invalidValue';
+    detail = error.errors
+      .map(err => (err.path.length ? `${err.path.join('.')}: ${err.message}` : err.message))
+      .join('; ');
+  } else if (error.code === 'P2002') {
+    status = 409;
+    scimType = 'uniqueness';
+    detail = 'Registro duplicado. Este valor já existe no sistema.';
+  } else if (error.code === 'P2025') {
+    status = 404;
+    detail = 'Registro não encontrado.';
+  } else if (error.type === 'entity.parse.failed') {
+    status = 400;
+    scimType = 'invalidSyntax';
+    detail = 'JSON inválido no corpo da requisição';
+  }
+
+  if (status >= 500) {
+    console.error('❌ Erro na API SCIM:', {
+      message: error.message,
+      path: req.path,
+      method: req.method,
+    });
+  }
+
+  if (status === 401) {
+    res.set('WWW-Authenticate', 'Bearer realm="scim"');
+  }
+
+  return sendScim(res, status, {
+    schemas: [SCIM_SCHEMAS.error],
+    status: String(status),
+    ...(scimType && { scimType }),
+    detail,
+  });
+};
+
+export default {
+  sendScim,
+  scimAuth,
+  scimErrorHandler,
+};
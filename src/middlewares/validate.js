@@ -20,10 +20,12 @@ const validate = (schema, source = 'body') => {
 
       if (!result.success) {
         // Formata erros do Zod
+        // Regras customizadas (ex.: política de senhas) informam o próprio
+        // código em params.code
         const details = result.error.errors.map(err => ({
           field: err.path.join('.'),
           message: err.message,
-          code: err.code,
+          code: err.params?.code || err.code,
         }));
 
         throw new ValidationError('Dados de entrada inválidos', details);
@@ -31,7 +33,18 @@ const validate = (schema, source = 'body') => {
 
       // Substitui dados originais pelos validados e transformados
       // Zod pode ter aplicado transformações (trim, toLowerCase, etc.)
-      req[source] = result.data;
+      // No Express 5, req.query é somente leitura (getter): redefine a
+      // propriedade na própria requisição
+      if (source === 'query') {
+        Object.defineProperty(req, 'query', {
+          value: result.data,
+          writable: true,
+          configurable: true,
+          enumerable: true,
+        });
+      } else {
+        req[source] = result.data;
+      }
 
       next();
     } catch (error) {
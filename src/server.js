@@ -4,18 +4,32 @@ import swaggerUi from 'swagger-ui-express';
 import swaggerSpec from './config/swagger.js';
 import v1Routes from './api/v1/routes/index.js';
 import v2Routes from './api/v2/routes/index.js';
+import scimRoutes from './api/scim/routes/index.js';
 import errorHandler from './middlewares/errorHandler.js';
 import { deprecateV1 } from './middlewares/deprecation.js';
+import requestId from './middlewares/requestId.js';
 import helmetConfig from './config/helmet.js';
 import corsConfig from './config/cors.js'; // NOVO
+import { JWKS_MAX_AGE_SECONDS, getPublicJwks } from './config/jwtKeys.js';
 
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Atrás de proxy/CDN (ex: Vercel), o IP real vem em X-Forwarded-For.
+// TRUST_PROXY aceita "true", número de proxies ou lista de IPs/sub-redes.
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  app.set(
+    'trust proxy',
+    trustProxy === 'true' ? true : /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy,
+  );
+}
+
 // ============================================
 // MIDDLEWARES DE SEGURANÇA (devem vir primeiro!)
 // ============================================
+app.use(requestId);    // Identifica a requisição (X-Request-Id)
 app.use(helmetConfig); // NOVO - Headers de segurança
 // Middleware para parsing JSON
 
@@ -135,12 +149,39 @@ app.get('/health', async (req, res) => {
   });
 });
 
+/**
+ * @swagger
+ * /.well-known/jwks.json:
+ *   get:
+ *     summary: Chaves públicas de verificação dos JWTs (JWKS)
+ *     description: |
+ *       Permite que outros serviços verifiquem os access tokens emitidos
+ *       com RS256/ES256, escolhendo a chave pelo "kid" do header.
+ *       Inclui chaves já aposentadas que ainda verificam tokens válidos e,
+ *       durante uma rotação, a nova chave antes de ela começar a assinar
+ *       (o atraso de ativação é maior que o cache desta resposta, de 5
+ *       minutos). Com HS256 a lista é vazia.
+ *     tags:
+ *       - Health
+ *     security: []
+ *     responses:
+ *       200:
+ *         description: JSON Web Key Set (RFC 7517)
+ */
+app.get('/.well-known/jwks.json', (req, res) => {
+  res.set('Cache-Control', `public, max-age=${JWKS_MAX_AGE_SECONDS}`);
+  res.json(getPublicJwks());
+});
+
 // Rotas da API v1 (com middleware de deprecação - atualmente desabilitado)
 app.use('/v1', deprecateV1, v1Routes);
 
 // Rotas da API v2
 app.use('/v2', v2Routes);
 
+// Provisionamento de usuários por sistemas de RH (SCIM 2.0)
+app.use('/scim/v2', scimRoutes);
+
 // Middleware de 404
 app.use((req, res) => {
   res.status(404).json({
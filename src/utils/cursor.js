@@ -0,0 +1,224 @@
+// src/utils/cursor.js
+import crypto from 'crypto';
+import { ValidationError } from '../errors/AppError.js';
+
+/**
+ * Paginação por cursor (keyset) em (createdAt, id)
+ *
+ * Ao contrário de page/per_page, o cursor aponta para a última linha vista:
+ * a consulta continua a partir dela pelo índice, sem OFFSET, e linhas
+ * criadas durante a exportação não deslocam as páginas seguintes.
+ *
+ * O cursor é opaco para o cliente: JSON em base64url assinado com HMAC
+ * (CURSOR_SECRET, ou JWT_SECRET se ausente). Ele também carrega um hash dos
+ * filtros da consulta, então não pode ser reutilizado com outros filtros.
+ *
+ * Para usar em outra listagem (questões, provas...), o model precisa das
+ * colunas createdAt e id:
+ *
+ * @example
+ * const { items, nextCursor, prevCursor } = await paginateByCursor(
+ *   prisma.question,
+ *   { where, select, limit: 20, cursor: req.query.cursor, context: filtros },
+ * );
+ * setCursorHeaders(req, res, { nextCursor, prevCursor });
+ */
+
+let fallbackSecret = null;
+
+/**
+ * Segredo de assinatura dos cursores
+ * Sem CURSOR_SECRET nem JWT_SECRET, usa um segredo aleatório por processo:
+ * os cursores deixam de valer ao reiniciar e entre instâncias.
+ *
+ * @returns {string|Buffer} Segredo
+ */
+const getCursorSecret = () => {
+  const secret = process.env.CURSOR_SECRET || process.env.JWT_SECRET;
+
+  if (secret) {
+    return secret;
+  }
+
+  if (!fallbackSecret) {
+    fallbackSecret = crypto.randomBytes(32);
+    console.warn(
+      '⚠️  CURSOR_SECRET não definido: cursores de paginação valem apenas nesta instância',
+    );
+  }
+
+  return fallbackSecret;
+};
+
+/**
+ * Assina o conteúdo de um cursor
+ * @param {string} data - Conteúdo em base64url
+ * @returns {string} Assinatura em base64url
+ */
+const sign = data =>
+  crypto.createHmac('sha256', getCursorSecret()).update(data).digest('base64url');
+
+/**
+ * Hash dos filtros da consulta, gravado no cursor
+ * @param {*} context - Filtros (serializáveis em JSON)
+ * @returns {string} Hash curto
+ */
+const hashContext = context =>
+  crypto
+    .createHash('sha256')
+    .update(JSON.stringify(context ?? null))
+    .digest('base64url')
+    .slice(0, 16);
+
+/**
+ * Erro para cursores inválidos, adulterados ou de outra consulta
+ * @returns {ValidationError} Erro 400 com código INVALID_CURSOR
+ */
+const invalidCursor = () =>
+  new ValidationError('Cursor inválido', [
+    {
+      field: 'cursor',
+      message: 'Cursor inválido, adulterado ou de outra consulta',
+      code: 'INVALID_CURSOR',
+    },
+  ]);
+
+/**
+ * Gera um cursor assinado
+ * @param {Object} payload - Conteúdo do cursor
+ * @returns {string} Cursor opaco
+ */
+export const encodeCursor = payload => {
+  const data = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  return `${data}.${sign(data)}`;
+};
+
+/**
+ * Confere a assinatura e lê um cursor
+ * @param {string} cursor - Cursor recebido
+ * @returns {Object} Conteúdo do cursor
+ * @throws {ValidationError} INVALID_CURSOR
+ */
+export const decodeCursor = cursor => {
+  const [data, signature, ...rest] = String(cursor).split('.');
+
+  if (!data || !signature || rest.length > 0) {
+    throw invalidCursor();
+  }
+
+  const expected = Buffer.from(sign(data));
+  const received = Buffer.from(signature);
+
+  if (
+    expected.length !== received.length ||
+    !crypto.timingSafeEqual(expected, received)
+  ) {
+    throw invalidCursor();
+  }
+
+  try {
+    return JSON.parse(Buffer.from(data, 'base64url').toString('utf8'));
+  } catch {
+    throw invalidCursor();
+  }
+};
+
+/**
+ * Lê a posição (createdAt, id) e a direção de um cursor
+ * @param {string} cursor - Cursor recebido
+ * @param {string} order - Ordenação da consulta ('desc' ou 'asc')
+ * @param {string} context - Hash dos filtros da consulta
+ * @returns {Object} { createdAt, id, direction }
+ * @throws {ValidationError} INVALID_CURSOR
+ */
+const readPosition = (cursor, order, context) => {
+  const payload = decodeCursor(cursor);
+  const createdAt = new Date(payload.c);
+
+  if (
+    payload.q !== context ||
+    payload.o !== order ||
+    !['next', 'prev'].includes(payload.d) ||
+    !Number.isInteger(payload.i) ||
+    Number.isNaN(createdAt.getTime())
+  ) {
+    throw invalidCursor();
+  }
+
+  return { createdAt, id: payload.i, direction: payload.d };
+};
+
+/**
+ * Busca uma página por cursor
+ * @param {Object} delegate - Model do Prisma (ex.: prisma.user)
+ * @param {Object} options - Opções
+ * @param {Object} [options.where] - Filtros
+ * @param {Object} [options.select] - Campos (id e createdAt são incluídos)
+ * @param {number} options.limit - Itens por página
+ * @param {string} [options.cursor] - Cursor recebido (ausente: 1ª página)
+ * @param {string} [options.order='desc'] - 'desc' (mais recentes primeiro)
+ *   ou 'asc'
+ * @param {*} [options.context] - Filtros da consulta, para amarrar o cursor
+ * @returns {Promise<Object>} { items, nextCursor, prevCursor } (cursores
+ *   null quando não há página naquela direção)
+ * @throws {ValidationError} INVALID_CURSOR
+ */
+export const paginateByCursor = async (
+  delegate,
+  { where = {}, select, limit, cursor, order = 'desc', context },
+) => {
+  const contextHash = hashContext(context);
+  const position = cursor ? readPosition(cursor, order, contextHash) : null;
+
+  // "prev" percorre no sentido inverso; a ordem é desfeita no fim
+  const forward = position?.direction !== 'prev';
+  const queryOrder = forward === (order === 'desc') ? 'desc' : 'asc';
+  const comparison = queryOrder === 'desc' ? 'lt' : 'gt';
+
+  const keyset = position && {
+    OR: [
+      { createdAt: { [comparison]: position.createdAt } },
+      { createdAt: position.createdAt, id: { [comparison]: position.id } },
+    ],
+  };
+
+  const rows = await delegate.findMany({
+    where: keyset ? { AND: [where, keyset] } : where,
+    select: select && { ...select, id: true, createdAt: true },
+    orderBy: [{ createdAt: queryOrder }, { id: queryOrder }],
+    take: limit + 1,
+  });
+
+  const hasMore = rows.length > limit;
+  const items = rows.slice(0, limit);
+
+  if (!forward) {
+    items.reverse();
+  }
+
+  const cursorFor = (item, direction) =>
+    encodeCursor({
+      c: item.createdAt.toISOString(),
+      i: item.id,
+      d: direction,
+      o: order,
+      q: contextHash,
+    });
+
+  const hasNext = forward ? hasMore : Boolean(position);
+  const hasPrev = forward ? Boolean(position) : hasMore;
+  const first = items[0];
+  const last = items[items.length - 1];
+
+  return {
+    items,
+    nextCursor: hasNext && last ? cursorFor(last, 'next') : null,
+    prevCursor: hasPrev && first ? cursorFor(first, 'prev') : null,
+  };
+};
+
+export default {
+  encodeCursor,
+  decodeCursor,
+  paginateByCursor,
+};
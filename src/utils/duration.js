@@ -0,0 +1,24 @@
+// src/utils/duration.js
+
+/**
+ * Converte uma duração no formato do JWT_EXPIRES_IN para segundos
+ * Aceita número de segundos ("3600") ou número + unidade ("15m", "1h", "7d")
+ *
+ * @param {string|number} duration - Duração a converter
+ * @returns {number} Duração em segundos
+ * @throws {Error} Se o formato for inválido
+ */
+export const parseDuration = duration => {
+  const match = /^(\d+)\s*([smhd]?)$/.exec(String(duration).trim());
+
+  if (!match) {
+    throw new Error(`Duração inválida: ${duration}`);
+  }
+
+  const units = { '': 1, s: 1, m: 60, h: 60 * 60, d: 24 * 60 * 60 };
+  return parseInt(match[1], 10) * units[match[2]];
+};
+
+export default {
+  parseDuration,
+};
@@ -0,0 +1,95 @@
+// src/utils/pagination.js
+
+/**
+ * Headers de paginação das listagens
+ *
+ * Por página: X-Total-Count, X-Page, X-Per-Page e X-Total-Pages (expostos
+ * no CORS) e Link (RFC 8288) com as páginas first, prev, next e last.
+ * Por cursor (ver utils/cursor.js): Link com first, prev e next.
+ * Os links repetem a URL da requisição, trocando apenas page ou cursor.
+ */
+
+/**
+ * URL absoluta da requisição com um parâmetro trocado
+ * @param {Object} req - Request do Express
+ * @param {string} name - Parâmetro (page ou cursor)
+ * @param {string|number|null} value - Novo valor; null remove o parâmetro
+ * @returns {string} URL
+ */
+const withParam = (req, name, value) => {
+  const url = new URL(req.originalUrl, `${req.protocol}://${req.get('host')}`);
+
+  if (value === null) {
+    url.searchParams.delete(name);
+  } else {
+    url.searchParams.set(name, value);
+  }
+
+  return url.href;
+};
+
+/**
+ * URL absoluta da requisição com outra página
+ * @param {Object} req - Request do Express
+ * @param {number} page - Página
+ * @returns {string} URL
+ */
+const pageUrl = (req, page) => withParam(req, 'page', page);
+
+/**
+ * Define os headers de paginação na resposta
+ * @param {Object} req - Request do Express
+ * @param {Object} res - Response do Express
+ * @param {Object} pagination - Paginação
+ * @param {number} pagination.page - Página atual (a partir de 1)
+ * @param {number} pagination.perPage - Itens por página
+ * @param {number} pagination.total - Total de itens
+ * @returns {number} Total de páginas
+ */
+export const setPaginationHeaders = (req, res, { page, perPage, total }) => {
+  const totalPages = Math.ceil(total / perPage);
+  const lastPage = Math.max(totalPages, 1);
+
+  const links = [`<${pageUrl(req, 1)}>; rel="first"`];
+
+  if (page > 1) {
+    links.push(`<${pageUrl(req, Math.min(page - 1, lastPage))}>; rel="prev"`);
+  }
+  if (page < totalPages) {
+    links.push(`<${pageUrl(req, page + 1)}>; rel="next"`);
+  }
+  links.push(`<${pageUrl(req, lastPage)}>; rel="last"`);
+
+  res.set({
+    'X-Total-Count': String(total),
+    'X-Page': String(page),
+    'X-Per-Page': String(perPage),
+    'X-Total-Pages': String(totalPages),
+    Link: links.join(', '),
+  });
+
+  return totalPages;
+};
+
+/**
+ * Define o header Link de uma listagem por cursor
+ * @param {Object} req - Request do Express
+ * @param {Object} res - Response do Express
+ * @param {Object} cursors - Cursores da página
+ * @param {string|null} cursors.nextCursor - Próxima página
+ * @param {string|null} cursors.prevCursor - Página anterior
+ */
+export const setCursorHeaders = (req, res, { nextCursor, prevCursor }) => {
+  const links = [`<${withParam(req, 'cursor', null)}>; rel="first"`];
+
+  if (prevCursor) {
+    links.push(`<${withParam(req, 'cursor', prevCursor)}>; rel="prev"`);
+  }
+  if (nextCursor) {
+    links.push(`<${withParam(req, 'cursor', nextCursor)}>; rel="next"`);
+  }
+
+  res.set('Link', links.join(', '));
+};
+
+export default { setPaginationHeaders, setCursorHeaders };
@@ -0,0 +1,73 @@
+// src/utils/password.js
+import bcrypt from 'bcrypt';
+
+/**
+ * Utilitários de senha (módulo único de credenciais)
+ *
+ * Toda senha gravada ou conferida pela aplicação passa por aqui, seja
+ * pela API v1, v2 ou pelo AuthService. Senhas são armazenadas apenas
+ * como hash bcrypt; o custo vem de BCRYPT_SALT_ROUNDS (padrão: 10).
+ */
+
+// Formato de um hash bcrypt: $2a$/$2b$/$2y$ + custo + 53 caracteres
+const BCRYPT_HASH_PATTERN = /^\$2[aby]\$\d{2}\$[./A-Za-z0-9]{53}$/;
+
+/**
+ * Custo atual do bcrypt
+ * Lido a cada chamada para que uma mudança no ambiente valha sem reinício
+ * dos módulos (ex: testes)
+ *
+ * @returns {number} Salt rounds configurado
+ */
+export const getSaltRounds = () =>
+  parseInt(process.env.BCRYPT_SALT_ROUNDS) || 10;
+
+/**
+ * Verifica se um valor armazenado já é um hash bcrypt
+ * @param {string} value - Valor da coluna senha
+ * @returns {boolean} True se for hash bcrypt
+ */
+export const isPasswordHash = value =>
+  typeof value === 'string' && BCRYPT_HASH_PATTERN.test(value);
+
+/**
+ * Gera o hash de uma senha
+ * @param {string} password - Senha em texto puro
+ * @returns {Promise<string>} Hash bcrypt
+ */
+export const hashPassword = password => bcrypt.hash(password, getSaltRounds());
+
+/**
+ * Confere uma senha com o hash armazenado
+ * Valores que não são hash bcrypt (senhas legadas em texto puro) nunca
+ * são aceitos: rode `npm run db:hash-passwords` para convertê-los.
+ *
+ * @param {string} password - Senha informada
+ * @param {string} hash - Hash armazenado
+ * @returns {Promise<boolean>} True se a senha confere
+ */
+export const verifyPassword = async (password, hash) => {
+  if (!isPasswordHash(hash)) {
+    return false;
+  }
+
+  return bcrypt.compare(password, hash);
+};
+
+/**
+ * Indica se o hash foi gerado com custo menor que o configurado
+ * (após aumentar BCRYPT_SALT_ROUNDS, o hash é refeito no próximo login)
+ *
+ * @param {string} hash - Hash armazenado
+ * @returns {boolean} True se o hash deve ser refeito
+ */
+export const needsRehash = hash =>
+  !isPasswordHash(hash) || bcrypt.getRounds(hash) < getSaltRounds();
+
+export default {
+  getSaltRounds,
+  isPasswordHash,
+  hashPassword,
+  verifyPassword,
+  needsRehash,
+};
@@ -0,0 +1,297 @@
+// src/utils/passwordPolicy.js
+import fs from 'fs';
+import { z } from 'zod';
+import prisma from '../config/database.js';
+import { ValidationError } from '../errors/AppError.js';
+import { hashPassword, verifyPassword } from './password.js';
+
+/**
+ * Política de senhas (módulo único)
+ *
+ * Toda senha escolhida por um usuário passa por aqui, seja pela API v1,
+ * v2, SCIM ou pelo AuthService:
+ * - Regras de formato (tamanho e classes de caracteres) e a lista de
+ *   senhas comuns/vazadas: validadas nos schemas Zod (passwordField)
+ * - Reuso das últimas senhas: conferido nos services antes da gravação
+ *   (assertPasswordNotReused), pois depende do banco
+ * - Validade máxima: conferida no login com senha local (isPasswordExpired)
+ *
+ * Configuração (lida a cada chamada):
+ *   PASSWORD_MIN_LENGTH="8"
+ *   PASSWORD_REQUIRE_LOWERCASE="true"
+ *   PASSWORD_REQUIRE_UPPERCASE="true"
+ *   PASSWORD_REQUIRE_DIGIT="true"
+ *   PASSWORD_REQUIRE_SYMBOL="false"
+ *   PASSWORD_REJECT_COMMON="true"     # lista em common-passwords.txt
+ *   PASSWORD_HISTORY_SIZE="5"         # 0 desativa a checagem de reuso
+ *   PASSWORD_MAX_AGE_DAYS="0"         # 0 = senhas não expiram
+ *
+ * Cada violação é um objeto { code, message } (ex.: PASSWORD_TOO_SHORT);
+ * nas respostas de erro ela aparece em details, com field.
+ */
+
+// Limite fixo: o bcrypt ignora o que passa de 72 bytes
+const MAX_LENGTH = 100;
+
+const COMMON_PASSWORDS_FILE = new URL('./common-passwords.txt', import.meta.url);
+
+let commonPasswords = null;
+
+/**
+ * Lê uma variável booleana do ambiente
+ * @param {string} name - Nome da variável
+ * @param {boolean} defaultValue - Valor quando não definida
+ * @returns {boolean} Valor
+ */
+const envFlag = (name, defaultValue) =>
+  process.env[name] === undefined
+    ? defaultValue
+    : process.env[name] === 'true';
+
+/**
+ * Lê um inteiro não negativo do ambiente
+ * @param {string} name - Nome da variável
+ * @param {number} defaultValue - Valor quando não definida ou inválida
+ * @returns {number} Valor
+ */
+const envInt = (name, defaultValue) => {
+  const value = parseInt(process.env[name]);
+  return Number.isNaN(value) || value < 0 ? defaultValue : value;
+};
+
+/**
+ * Retorna a política de senhas configurada
+ * @returns {Object} { minLength, maxLength, requireLowercase,
+ *   requireUppercase, requireDigit, requireSymbol, rejectCommon,
+ *   historySize, maxAgeDays }
+ */
+export const getPasswordPolicy = () => ({
+  minLength: Math.min(envInt('PASSWORD_MIN_LENGTH', 8), MAX_LENGTH),
+  maxLength: MAX_LENGTH,
+  requireLowercase: envFlag('PASSWORD_REQUIRE_LOWERCASE', true),
+  requireUppercase: envFlag('PASSWORD_REQUIRE_UPPERCASE', true),
+  requireDigit: envFlag('PASSWORD_REQUIRE_DIGIT', true),
+  requireSymbol: envFlag('PASSWORD_REQUIRE_SYMBOL', false),
+  rejectCommon: envFlag('PASSWORD_REJECT_COMMON', true),
+  historySize: envInt('PASSWORD_HISTORY_SIZE', 5),
+  maxAgeDays: envInt('PASSWORD_MAX_AGE_DAYS', 0),
+});
+
+/**
+ * Lista de senhas comuns (carregada uma vez, em minúsculas)
+ * @returns {Set<string>} Senhas
+ */
+const getCommonPasswords = () => {
+  if (!commonPasswords) {
+    commonPasswords = new Set(
+      fs
+        .readFileSync(COMMON_PASSWORDS_FILE, 'utf8')
+        .split('\n')
+        .map(line => line.trim().toLowerCase())
+        .filter(line => line && !line.startsWith('#')),
+    );
+  }
+
+  return commonPasswords;
+};
+
+/**
+ * Confere uma senha contra as regras de formato e a lista de senhas comuns
+ * @param {string} password - Senha em texto puro
+ * @param {Object} [policy] - Política (padrão: getPasswordPolicy())
+ * @returns {Array<Object>} Violações ({ code, message }); vazio se válida
+ */
+export const checkPassword = (password, policy = getPasswordPolicy()) => {
+  const violations = [];
+
+  if (password.length < policy.minLength) {
+    violations.push({
+      code: 'PASSWORD_TOO_SHORT',
+      message: `Senha deve ter no mínimo ${policy.minLength} caracteres`,
+    });
+  }
+
+  if (password.length > policy.maxLength) {
+    violations.push({
+      code: 'PASSWORD_TOO_LONG',
+      message: `Senha deve ter no máximo ${policy.maxLength} caracteres`,
+    });
+  }
+
+  if (policy.requireLowercase && !/[a-z]/.test(password)) {
+    violations.push({
+      code: 'PASSWORD_MISSING_LOWERCASE',
+      message: 'Senha deve conter pelo menos uma letra minúscula',
+    });
+  }
+
+  if (policy.requireUppercase && !/[A-Z]/.test(password)) {
+    violations.push({
+      code: 'PASSWORD_MISSING_UPPERCASE',
+      message: 'Senha deve conter pelo menos uma letra maiúscula',
+    });
+  }
+
+  if (policy.requireDigit && !/\d/.test(password)) {
+    violations.push({
+      code: 'PASSWORD_MISSING_DIGIT',
+      message: 'Senha deve conter pelo menos um número',
+    });
+  }
+
+  if (policy.requireSymbol && !/[^A-Za-z0-9]/.test(password)) {
+    violations.push({
+      code: 'PASSWORD_MISSING_SYMBOL',
+      message: 'Senha deve conter pelo menos um símbolo',
+    });
+  }
+
+  if (policy.rejectCommon && getCommonPasswords().has(password.toLowerCase())) {
+    violations.push({
+      code: 'PASSWORD_TOO_COMMON',
+      message: 'Senha muito comum ou encontrada em vazamentos; escolha outra',
+    });
+  }
+
+  return violations;
+};
+
+/**
+ * Campo Zod de senha com a política aplicada
+ * Cada violação vira uma issue com params.code (ex.: PASSWORD_TOO_SHORT).
+ *
+ * @param {Object} [messages] - Mensagens de tipo (required_error,
+ *   invalid_type_error)
+ * @returns {z.ZodEffects} Schema da senha
+ */
+export const passwordField = (messages = {}) =>
+  z.string(messages).superRefine((password, ctx) => {
+    for (const { code, message } of checkPassword(password)) {
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        message,
+        params: { code },
+      });
+    }
+  });
+
+/**
+ * Garante que a nova senha não é uma das últimas usadas pelo usuário
+ * Compara com a senha atual e com o histórico (PASSWORD_HISTORY_SIZE).
+ *
+ * @param {number} userId - ID do usuário
+ * @param {string} password - Nova senha em texto puro
+ * @param {string} [field] - Campo reportado nos detalhes do erro
+ * @throws {ValidationError} PASSWORD_REUSED
+ */
+export const assertPasswordNotReused = async (
+  userId,
+  password,
+  field = 'senha',
+) => {
+  const { historySize } = getPasswordPolicy();
+
+  if (historySize === 0) {
+    return;
+  }
+
+  const user = await prisma.user.findUnique({
+    where: { id: userId },
+    select: {
+      senha: true,
+      passwordHistory: {
+        orderBy: { id: 'desc' },
+        take: historySize,
+        select: { hash: true },
+      },
+    },
+  });
+
+  if (!user) {
+    return;
+  }
+
+  const hashes = new Set([
+    user.senha,
+    ...user.passwordHistory.map(entry => entry.hash),
+  ]);
+
+  for (const hash of hashes) {
+    if (await verifyPassword(password, hash)) {
+      throw new ValidationError('Senha não atende à política de senhas', [
+        {
+          field,
+          message: `Senha igual a uma das últimas ${historySize} senhas usadas`,
+          code: 'PASSWORD_REUSED',
+        },
+      ]);
+    }
+  }
+};
+
+/**
+ * Dados para gravar uma nova senha (create ou update do usuário)
+ * Gera o hash, marca a data da troca e registra o hash no histórico.
+ * Após a gravação, chame prunePasswordHistory.
+ *
+ * @param {string} password - Senha em texto puro
+ * @returns {Promise<Object>} { senha, passwordChangedAt, passwordHistory }
+ */
+export const passwordData = async password => {
+  const hash = await hashPassword(password);
+
+  return {
+    senha: hash,
+    passwordChangedAt: new Date(),
+    ...(getPasswordPolicy().historySize > 0 && {
+      passwordHistory: { create: { hash } },
+    }),
+  };
+};
+
+/**
+ * Remove do histórico as senhas além de PASSWORD_HISTORY_SIZE
+ * @param {number} userId - ID do usuário
+ */
+export const prunePasswordHistory = async userId => {
+  const { historySize } = getPasswordPolicy();
+
+  const stale = await prisma.passwordHistory.findMany({
+    where: { userId },
+    orderBy: { id: 'desc' },
+    skip: historySize,
+    select: { id: true },
+  });
+
+  if (stale.length > 0) {
+    await prisma.passwordHistory.deleteMany({
+      where: { id: { in: stale.map(entry => entry.id) } },
+    });
+  }
+};
+
+/**
+ * Indica se a senha do usuário passou da validade (PASSWORD_MAX_AGE_DAYS)
+ * @param {Object} user - Registro do usuário (com passwordChangedAt)
+ * @returns {boolean} True se expirada
+ */
+export const isPasswordExpired = user => {
+  const { maxAgeDays } = getPasswordPolicy();
+
+  if (maxAgeDays === 0 || !user.passwordChangedAt) {
+    return false;
+  }
+
+  const ageMs = Date.now() - new Date(user.passwordChangedAt).getTime();
+  return ageMs > maxAgeDays * 24 * 60 * 60 * 1000;
+};
+
+export default {
+  getPasswordPolicy,
+  checkPassword,
+  passwordField,
+  assertPasswordNotReused,
+  passwordData,
+  prunePasswordHistory,
+  isPasswordExpired,
+};
@@ -0,0 +1,117 @@
+// src/utils/search.js
+
+/**
+ * Busca textual sem acentos
+ *
+ * O banco compara textos minúsculos e sem acentos (unaccent, índice de
+ * trigramas); aqui ficam a mesma normalização para os termos da busca e o
+ * destaque dos trechos encontrados nos campos retornados.
+ */
+
+// Máximo de termos considerados em uma busca
+const MAX_SEARCH_TERMS = 10;
+
+/**
+ * Remove acentos e converte para minúsculas ("João" → "joao")
+ * @param {string} text - Texto
+ * @returns {string} Texto normalizado
+ */
+export const normalizeSearchText = text =>
+  text.normalize('NFD').replace(/\p{M}/gu, '').toLowerCase();
+
+/**
+ * Separa a busca em termos normalizados, sem repetições
+ * @param {string} query - Busca informada (ex.: "João  Silva")
+ * @returns {Array<string>} Termos (ex.: ['joao', 'silva'])
+ */
+export const searchTerms = query => [
+  ...new Set(normalizeSearchText(query).split(/\s+/).filter(Boolean)),
+].slice(0, MAX_SEARCH_TERMS);
+
+/**
+ * Escapa os curingas de LIKE (%, _ e \)
+ * @param {string} value - Valor literal
+ * @returns {string} Valor seguro para um padrão LIKE
+ */
+export const escapeLike = value => value.replace(/[\\%_]/g, '\\$&');
+
+/**
+ * Escapa HTML
+ * @param {string} text - Texto
+ * @returns {string} Texto escapado
+ */
+const escapeHtml = text =>
+  text.replace(
+    /[&<>"']/g,
+    char =>
+      ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[
+        char
+      ],
+  );
+
+/**
+ * Destaca os termos encontrados em um campo com <mark>, ignorando acentos
+ * e maiúsculas ("joao" destaca "<mark>João</mark>"). O restante do texto
+ * é escapado, então o resultado pode ser exibido como HTML.
+ *
+ * @param {string|null} value - Valor do campo
+ * @param {Array<string>} terms - Termos normalizados (searchTerms)
+ * @returns {string|null} Campo destacado ou null se nenhum termo aparece
+ */
+export const highlightMatches = (value, terms) => {
+  if (!value) {
+    return null;
+  }
+
+  // Texto normalizado e, para cada posição dele, o caractere original
+  const chars = Array.from(value.normalize('NFC'));
+  let normalized = '';
+  const origin = [];
+
+  chars.forEach((char, index) => {
+    const folded = normalizeSearchText(char);
+    normalized += folded;
+    origin.push(...Array(folded.length).fill(index));
+  });
+
+  const marked = new Array(chars.length).fill(false);
+
+  for (const term of terms) {
+    let start = normalized.indexOf(term);
+
+    while (start !== -1) {
+      for (let i = start; i < start + term.length; i++) {
+        marked[origin[i]] = true;
+      }
+      start = normalized.indexOf(term, start + 1);
+    }
+  }
+
+  if (!marked.includes(true)) {
+    return null;
+  }
+
+  let result = '';
+  let index = 0;
+
+  while (index < chars.length) {
+    const isMarked = marked[index];
+    let end = index;
+    while (end < chars.length && marked[end] === isMarked) {
+      end++;
+    }
+
+    const text = escapeHtml(chars.slice(index, end).join(''));
+    result += isMarked ? `<mark>${text}</mark>` : text;
+    index = end;
+  }
+
+  return result;
+};
+
+export default {
+  normalizeSearchText,
+  searchTerms,
+  escapeLike,
+  highlightMatches,
+};
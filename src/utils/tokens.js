@@ -0,0 +1,31 @@
+// src/utils/tokens.js
+import crypto from 'crypto';
+
+/**
+ * Utilitários para tokens opacos (refresh tokens, links enviados por email, etc.)
+ *
+ * Tokens opacos são strings aleatórias sem significado próprio.
+ * Apenas o hash SHA-256 é armazenado no banco: se o banco vazar,
+ * os tokens originais não podem ser reconstruídos.
+ */
+
+/**
+ * Gera um token aleatório seguro em base64url
+ * @param {number} bytes - Quantidade de bytes aleatórios (padrão: 48)
+ * @returns {string} Token em texto puro (entregar ao cliente apenas uma vez)
+ */
+export const generateOpaqueToken = (bytes = 48) =>
+  crypto.randomBytes(bytes).toString('base64url');
+
+/**
+ * Calcula o hash SHA-256 de um token opaco
+ * @param {string} token - Token em texto puro
+ * @returns {string} Hash em hexadecimal (o que é salvo no banco)
+ */
+export const hashToken = token =>
+  crypto.createHash('sha256').update(token).digest('hex');
+
+export default {
+  generateOpaqueToken,
+  hashToken,
+};
@@ -0,0 +1,186 @@
+// src/utils/totp.js
+import crypto from 'crypto';
+
+/**
+ * Utilitários para TOTP (RFC 6238), compatível com Google Authenticator,
+ * Authy, 1Password etc.
+ *
+ * O código é um HOTP (RFC 4226) calculado sobre o número de intervalos
+ * de 30 segundos desde a época Unix. O segredo é compartilhado com o
+ * aplicativo em base32 (RFC 4648), via QR code com a URI otpauth://.
+ */
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+export const TOTP_STEP_SECONDS = 30;
+export const TOTP_DIGITS = 6;
+
+/**
+ * Codifica bytes em base32 (sem padding)
+ * @param {Buffer} buffer - Bytes a codificar
+ * @returns {string} Texto em base32
+ */
+export const base32Encode = buffer => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+/**
+ * Decodifica texto base32 (ignora espaços, hífens e padding)
+ * @param {string} text - Texto em base32
+ * @returns {Buffer} Bytes decodificados
+ * @throws {Error} Se houver caracteres inválidos
+ */
+export const base32Decode = text => {
+  const clean = text.toUpperCase().replace(/[\s=-]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+
+    if (index === -1) {
+      throw new Error(`Caractere base32 inválido: ${char}`);
+    }
+
+    value = (value << 5) | index;
+    bits += 5;
+
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+/**
+ * Gera um segredo TOTP aleatório
+ * @param {number} bytes - Tamanho do segredo (padrão: 20 bytes = 160 bits)
+ * @returns {string} Segredo em base32
+ */
+export const generateTotpSecret = (bytes = 20) =>
+  base32Encode(crypto.randomBytes(bytes));
+
+/**
+ * Calcula o código HOTP para um contador
+ * @param {string} secret - Segredo em base32
+ * @param {number} counter - Contador (intervalo de tempo no TOTP)
+ * @returns {string} Código com TOTP_DIGITS dígitos
+ */
+export const generateHotp = (secret, counter) => {
+  const buffer = Buffer.alloc(8);
+  buffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto
+    .createHmac('sha1', base32Decode(secret))
+    .update(buffer)
+    .digest();
+
+  // Truncamento dinâmico (RFC 4226, seção 5.3)
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary =
+    ((hmac[offset] & 0x7f) << 24) |
+    (hmac[offset + 1] << 16) |
+    (hmac[offset + 2] << 8) |
+    hmac[offset + 3];
+
+  return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+};
+
+/**
+ * Retorna o intervalo de tempo (contador TOTP) de um instante
+ * @param {number} [timestamp] - Instante em milissegundos (padrão: agora)
+ * @returns {number} Contador TOTP
+ */
+export const getTotpStep = (timestamp = Date.now()) =>
+  Math.floor(timestamp / 1000 / TOTP_STEP_SECONDS);
+
+/**
+ * Calcula o código TOTP de um instante
+ * @param {string} secret - Segredo em base32
+ * @param {number} [timestamp] - Instante em milissegundos (padrão: agora)
+ * @returns {string} Código TOTP
+ */
+export const generateTotp = (secret, timestamp = Date.now()) =>
+  generateHotp(secret, getTotpStep(timestamp));
+
+/**
+ * Verifica um código TOTP
+ * Aceita os intervalos vizinhos para tolerar diferença de relógio.
+ *
+ * @param {string} secret - Segredo em base32
+ * @param {string} code - Código informado pelo usuário
+ * @param {Object} [options] - Opções
+ * @param {number} [options.window=1] - Intervalos aceitos antes/depois do atual
+ * @param {number} [options.timestamp] - Instante de referência (padrão: agora)
+ * @returns {number|null} Contador do código aceito ou null se inválido
+ */
+export const verifyTotp = (secret, code, { window = 1, timestamp = Date.now() } = {}) => {
+  if (!new RegExp(`^\\d{${TOTP_DIGITS}}$`).test(String(code))) {
+    return null;
+  }
+
+  const currentStep = getTotpStep(timestamp);
+
+  for (let step = currentStep - window; step <= currentStep + window; step++) {
+    const expected = generateHotp(secret, step);
+
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(String(code)))) {
+      return step;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Monta a URI otpauth:// usada nos QR codes dos aplicativos autenticadores
+ * @param {Object} params - Parâmetros
+ * @param {string} params.secret - Segredo em base32
+ * @param {string} params.account - Identificação da conta (ex: email)
+ * @param {string} params.issuer - Nome do serviço exibido no aplicativo
+ * @returns {string} URI otpauth://totp/...
+ */
+export const buildOtpauthUri = ({ secret, account, issuer }) => {
+  const label = encodeURIComponent(`${issuer}:${account}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_STEP_SECONDS),
+  });
+
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+export default {
+  base32Encode,
+  base32Decode,
+  generateTotpSecret,
+  generateHotp,
+  generateTotp,
+  getTotpStep,
+  verifyTotp,
+  buildOtpauthUri,
+};
@@ -0,0 +1,194 @@
+// tests/api-tokens.test.js
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import request from 'supertest';
+import app from '../src/server.js';
+import prisma from '../src/config/database.js';
+import { ADMIN, registerUser, loginToken } from './helpers.js';
+
+/**
+ * Testes de API Keys Pessoais
+ * GET/POST/DELETE /v2/auth/tokens e autenticação por "Bearer gp_..."
+ */
+
+describe('API Keys Pessoais', () => {
+  const email = 'apitokens-test@escola.com';
+  const adminEmail = 'apitokens-test-admin@escola.com';
+  let token;
+  let adminToken;
+  let userId;
+
+  const createKey = (authToken, body) =>
+    request(app)
+      .post('/v2/auth/tokens')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send(body);
+
+  beforeAll(async () => {
+    await prisma.user.deleteMany({
+      where: { email: { contains: 'apitokens-test' } },
+    });
+
+    userId = await registerUser(email);
+    await registerUser(adminEmail, ADMIN);
+
+    token = await loginToken(email);
+    adminToken = await loginToken(adminEmail);
+  });
+
+  afterAll(async () => {
+    await prisma.user.deleteMany({
+      where: { email: { contains: 'apitokens-test' } },
+    });
+    await prisma.$disconnect();
+  });
+
+  describe('Gerenciamento', () => {
+    it('cria uma key, exibe o valor uma vez e guarda apenas o hash', async () => {
+      const response = await createKey(token, {
+        nome: 'Script noturno',
+        escopos: ['users:read'],
+      }).expect(201);
+
+      const key = response.body.data;
+      expect(key.token).toMatch(/^gp_/);
+      expect(key.prefix).toBe(key.token.slice(0, 10));
+      expect(key.scopes).toEqual(['users:read']);
+
+      const stored = await prisma.apiToken.findUnique({ where: { id: key.id } });
+      expect(stored.tokenHash).not.toBe(key.token);
+
+      // Validade padrão de 90 dias
+      const days = (new Date(key.expiresAt) - Date.now()) / (24 * 60 * 60 * 1000);
+      expect(Math.round(days)).toBe(90);
+
+      const list = await request(app)
+        .get('/v2/auth/tokens')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      const listed = list.body.data.tokens.find(t => t.id === key.id);
+      expect(listed.name).toBe('Script noturno');
+      expect(listed).not.toHaveProperty('token');
+      expect(listed).not.toHaveProperty('tokenHash');
+    });
+
+    it('rejeita escopos desconhecidos', async () => {
+      await createKey(token, { nome: 'X', escopos: ['admin:all'] }).expect(400);
+      await createKey(token, { nome: 'X', escopos: [] }).expect(400);
+    });
+
+    it('revoga uma key própria e retorna 404 para keys de outros', async () => {
+      const key = (
+        await createKey(token, { nome: 'Temporária', escopos: ['users:read'] })
+      ).body.data;
+
+      await request(app)
+        .delete(`/v2/auth/tokens/${key.id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(404);
+
+      await request(app)
+        .delete(`/v2/auth/tokens/${key.id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      await request(app)
+        .get('/v2/auth/me')
+        .set('Authorization', `Bearer ${key.token}`)
+        .expect(401);
+    });
+
+    it('não permite gerenciar keys autenticado por API key', async () => {
+      const key = (
+        await createKey(token, { nome: 'Limitada', escopos: ['users:write'] })
+      ).body.data;
+
+      const response = await createKey(key.token, {
+        nome: 'Escalada',
+        escopos: ['users:write'],
+      }).expect(403);
+
+      expect(response.body.error.code).toBe('API_TOKEN_NOT_ALLOWED');
+    });
+  });
+
+  describe('Autenticação por API key', () => {
+    it('autentica em GET /v2/auth/me como o dono da key', async () => {
+      const key = (
+        await createKey(token, { nome: 'Whoami', escopos: ['users:read'] })
+      ).body.data;
+
+      const response = await request(app)
+        .get('/v2/auth/me')
+        .set('Authorization', `Bearer ${key.token}`)
+        .expect(200);
+
+      expect(response.body.data.user.email).toBe(email);
+
+      const stored = await prisma.apiToken.findUnique({ where: { id: key.id } });
+      expect(stored.lastUsedAt).not.toBeNull();
+    });
+
+    it('rejeita keys inválidas e expiradas', async () => {
+      await request(app)
+        .get('/v2/auth/me')
+        .set('Authorization', 'Bearer gp_inexistente')
+        .expect(401);
+
+      const key = (
+        await createKey(token, { nome: 'Expirada', escopos: ['users:read'] })
+      ).body.data;
+
+      await prisma.apiToken.update({
+        where: { id: key.id },
+        data: { expiresAt: new Date(Date.now() - 1000) },
+      });
+
+      await request(app)
+        .get('/v2/auth/me')
+        .set('Authorization', `Bearer ${key.token}`)
+        .expect(401);
+    });
+
+    it('exige o escopo da rota (users:write para alterar usuários)', async () => {
+      const readOnly = (
+        await createKey(token, { nome: 'Leitura', escopos: ['users:read'] })
+      ).body.data;
+      const writer = (
+        await createKey(token, { nome: 'Escrita', escopos: ['users:write'] })
+      ).body.data;
+
+      const denied = await request(app)
+        .put(`/v2/users/${userId}`)
+        .set('Authorization', `Bearer ${readOnly.token}`)
+        .send({ telefone: '11911111111' })
+        .expect(403);
+      expect(denied.body.error.code).toBe('INSUFFICIENT_SCOPE');
+
+      await request(app)
+        .put(`/v2/users/${userId}`)
+        .set('Authorization', `Bearer ${writer.token}`)
+        .send({ telefone: '11911111111' })
+        .expect(200);
+    });
+
+    it('mantém as regras de papel do dono da key', async () => {
+      const professorKey = (
+        await createKey(token, { nome: 'Prof', escopos: ['users:read'] })
+      ).body.data;
+      const adminKey = (
+        await createKey(adminToken, { nome: 'Admin', escopos: ['users:read'] })
+      ).body.data;
+
+      await request(app)
+        .get(`/v2/users/${userId}/sessions`)
+        .set('Authorization', `Bearer ${professorKey.token}`)
+        .expect(403);
+
+      await request(app)
+        .get(`/v2/users/${userId}/sessions`)
+        .set('Authorization', `Bearer ${adminKey.token}`)
+        .expect(200);
+    });
+  });
+});
@@ -49,6 +49,21 @@ describe('Auth Routes', () => {
       expect(response.body.data.user.senha).toBeUndefined();
     });
 
+    it('deve ignorar papel ADMIN no registro público', async () => {
+      const response = await request(app)
+        .post('/v2/auth/register')
+        .send({
+          nome: 'Usuário Tentando Admin',
+          email: 'test-auth-admin-escalation@escola.com',
+          senha: 'Senha123',
+          papel: 'ADMIN',
+        })
+        .expect(201);
+
+      expect(response.body.data.user.papel).toBe('PROFESSOR');
+      expect(response.body.data.user.tipo_usuario).toBe('professor');
+    });
+
     it('deve rejeitar registro com email duplicado', async () => {
       const existingUser = {
         nome: 'Usuário Duplicado',
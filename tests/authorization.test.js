@@ -25,19 +25,28 @@ describe('Autorização RBAC', () => {
       },
     });
 
-    // Criar usuário ADMIN
+    // Criar usuário ADMIN (registro público cria PROFESSOR; promover direto no banco)
     const adminResponse = await request(app)
       .post('/v2/auth/register')
       .send({
         nome: 'Admin RBAC Test',
         email: 'rbac-test-admin@escola.com',
         senha: 'Senha123',
-        papel: 'ADMIN',
       });
 
-    adminToken = adminResponse.body.data.token;
     adminUserId = adminResponse.body.data.user.id;
 
+    await prisma.user.update({
+      where: { id: adminUserId },
+      data: { papel: 'ADMIN', tipo_usuario: 'admin' },
+    });
+
+    const adminLogin = await request(app)
+      .post('/v2/auth/login')
+      .send({ email: 'rbac-test-admin@escola.com', senha: 'Senha123' });
+
+    adminToken = adminLogin.body.data.token;
+
     // Criar usuário PROFESSOR
     const professorResponse = await request(app)
       .post('/v2/auth/register')
@@ -51,6 +60,12 @@ describe('Autorização RBAC', () => {
     professorToken = professorResponse.body.data.token;
     professorUserId = professorResponse.body.data.user.id;
 
+    // Confirmar emails (ações de escrita exigem email verificado)
+    await prisma.user.updateMany({
+      where: { email: { contains: 'rbac-test' } },
+      data: { emailVerifiedAt: new Date() },
+    });
+
     console.log('Usuários de teste criados:', {
       admin: { id: adminUserId, token: adminToken ? '✅' : '❌' },
       professor: { id: professorUserId, token: professorToken ? '✅' : '❌' },
@@ -77,7 +92,7 @@ describe('Autorização RBAC', () => {
           primeiro_nome: 'Criado',
           sobrenome: 'PeloAdmin',
           email: `rbac-test-admin-created-${Date.now()}@escola.com`,
-          senha: 'senha123',
+          senha: 'Senha123',
           tipo_usuario: 'professor',
         })
         .expect(201);
@@ -107,7 +122,7 @@ describe('Autorização RBAC', () => {
           primeiro_nome: 'Tentativa',
           sobrenome: 'Professor',
           email: `rbac-test-prof-create-${Date.now()}@escola.com`,
-          senha: 'senha123',
+          senha: 'Senha123',
         })
         .expect(403);
 
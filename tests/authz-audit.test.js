@@ -0,0 +1,174 @@
+// tests/authz-audit.test.js
+import { describe, it, expect, beforeAll, afterAll, afterEach, vi } from 'vitest';
+import request from 'supertest';
+import app from '../src/server.js';
+import prisma from '../src/config/database.js';
+import { ADMIN, registerUser, loginToken, requestAs } from './helpers.js';
+import { securityEvents } from '../src/api/v2/services/authzAuditService.js';
+
+/**
+ * Testes da Auditoria de Autorização
+ * authz_audit_logs, X-Request-Id, alertas e GET /v2/admin/audit/*
+ */
+
+describe('Auditoria de Autorização', () => {
+  const adminEmail = 'authz-audit-test-admin@escola.com';
+  const email = 'authz-audit-test@escola.com';
+  let adminId;
+  let adminToken;
+  let userId;
+  let userToken;
+
+  const asAdmin = requestAs(() => adminToken);
+  const asUser = requestAs(() => userToken);
+
+  // As decisões são gravadas em segundo plano
+  const waitForDecisions = (where, count) =>
+    vi.waitFor(async () => {
+      const rows = await prisma.authzAuditLog.findMany({
+        where,
+        orderBy: { id: 'asc' },
+      });
+      expect(rows).toHaveLength(count);
+      return rows;
+    });
+
+  const cleanup = async () => {
+    const users = await prisma.user.findMany({
+      where: { email: { contains: 'authz-audit-test' } },
+      select: { id: true },
+    });
+    const ids = users.map(user => user.id);
+
+    await prisma.authzAuditLog.deleteMany({ where: { userId: { in: ids } } });
+    await prisma.securityAlert.deleteMany({ where: { userId: { in: ids } } });
+    await prisma.user.deleteMany({ where: { id: { in: ids } } });
+  };
+
+  beforeAll(async () => {
+    await cleanup();
+
+    adminId = await registerUser(adminEmail, ADMIN);
+    adminToken = await loginToken(adminEmail);
+
+    userId = await registerUser(email);
+    userToken = await loginToken(email);
+  });
+
+  afterEach(() => {
+    delete process.env.AUTHZ_DENIAL_ALERT_THRESHOLD;
+    securityEvents.removeAllListeners('alert');
+  });
+
+  afterAll(async () => {
+    await cleanup();
+    await prisma.$disconnect();
+  });
+
+  it('registra negações com usuário, papel, recurso, ação e request ID', async () => {
+    const response = await asUser('delete', `/v2/users/${adminId}`)
+      .set('X-Request-Id', 'req-authz-audit-1')
+      .expect(403);
+
+    expect(response.headers['x-request-id']).toBe('req-authz-audit-1');
+
+    const [entry] = await waitForDecisions({ requestId: 'req-authz-audit-1' }, 1);
+    expect(entry).toMatchObject({
+      userId,
+      role: 'PROFESSOR',
+      method: 'DELETE',
+      resource: `/v2/users/${adminId}`,
+      action: 'users.delete',
+      outcome: 'DENY',
+      reason: 'MISSING_PERMISSION',
+    });
+    expect(entry.ip).toBeTruthy();
+  });
+
+  it('registra acessos permitidos e gera request ID quando ausente', async () => {
+    const response = await asAdmin('get', `/v2/users/${userId}/sessions`).expect(200);
+
+    const requestId = response.headers['x-request-id'];
+    expect(requestId).toMatch(/^[0-9a-f-]{36}$/);
+
+    const [entry] = await waitForDecisions({ requestId }, 1);
+    expect(entry).toMatchObject({
+      userId: adminId,
+      role: 'ADMIN',
+      action: 'users.sessions',
+      outcome: 'ALLOW',
+      reason: 'SCOPE_ALL',
+    });
+
+    // O próprio usuário acessa o próprio recurso
+    const own = await asUser('put', `/v2/users/${userId}`)
+      .send({ telefone: '11987654321' })
+      .expect(200);
+    const [owner] = await waitForDecisions(
+      { requestId: own.headers['x-request-id'] },
+      1,
+    );
+    expect(owner).toMatchObject({ outcome: 'ALLOW', reason: 'OWNER' });
+  });
+
+  it('GET /v2/admin/audit/authz filtra por usuário, resultado e período', async () => {
+    const denied = await asAdmin(
+      'get',
+      `/v2/admin/audit/authz?userId=${userId}&outcome=deny`,
+    ).expect(200);
+
+    expect(denied.body.total).toBeGreaterThan(0);
+    expect(
+      denied.body.data.every(e => e.userId === userId && e.outcome === 'DENY'),
+    ).toBe(true);
+
+    const future = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+    const empty = await asAdmin(
+      'get',
+      `/v2/admin/audit/authz?userId=${userId}&from=${future}`,
+    ).expect(200);
+    expect(empty.body.data).toEqual([]);
+
+    const invalid = await asAdmin('get', '/v2/admin/audit/authz?outcome=MAYBE&to=ontem').expect(400);
+    expect(invalid.body.error.details.map(d => d.field).sort()).toEqual([
+      'outcome',
+      'to',
+    ]);
+
+    await asUser('get', '/v2/admin/audit/authz').expect(403);
+    await request(app).get('/v2/admin/audit/authz').expect(401);
+  });
+
+  it('negações repetidas da mesma conta geram um único alerta', async () => {
+    process.env.AUTHZ_DENIAL_ALERT_THRESHOLD = '3';
+
+    await prisma.authzAuditLog.deleteMany({ where: { userId } });
+
+    const listener = vi.fn();
+    securityEvents.on('alert', listener);
+
+    for (let i = 1; i <= 3; i++) {
+      await asUser('get', `/v2/users/${adminId}/sessions`).expect(403);
+      await waitForDecisions({ userId, outcome: 'DENY' }, i);
+    }
+
+    await vi.waitFor(() => expect(listener).toHaveBeenCalledTimes(1));
+
+    // Dentro da mesma janela, novas negações não repetem o alerta
+    await asUser('get', `/v2/users/${adminId}/sessions`).expect(403);
+    await waitForDecisions({ userId, outcome: 'DENY' }, 4);
+
+    const alerts = await prisma.securityAlert.findMany({ where: { userId } });
+    expect(alerts).toHaveLength(1);
+    expect(alerts[0]).toMatchObject({
+      type: 'REPEATED_AUTHZ_DENIALS',
+      details: expect.objectContaining({
+        denials: 3,
+        lastAction: 'users.sessions',
+      }),
+    });
+
+    const response = await asAdmin('get', `/v2/admin/audit/alerts?userId=${userId}`).expect(200);
+    expect(response.body.data.map(alert => alert.id)).toEqual([alerts[0].id]);
+  });
+});
@@ -0,0 +1,183 @@
+// tests/departments.test.js
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import prisma from '../src/config/database.js';
+import { ADMIN, registerUser, loginToken, requestAs } from './helpers.js';
+
+/**
+ * Testes de Departamentos e do papel COORDENADOR
+ * /v2/departments e a política dono/escopo/global (userAccessPolicy)
+ */
+
+describe('Departamentos e Coordenadores', () => {
+  const adminEmail = 'departments-test-admin@escola.com';
+  const coordinatorEmail = 'departments-test-coord@escola.com';
+  let adminToken;
+  let coordinatorToken;
+  let coordinatorId;
+  let professorId;
+  let otherProfessorId;
+  let peerCoordinatorId;
+  let departmentId;
+  let otherDepartmentId;
+
+  const asAdmin = requestAs(() => adminToken);
+  const asCoordinator = requestAs(() => coordinatorToken);
+
+  const cleanup = async () => {
+    await prisma.user.deleteMany({
+      where: { email: { contains: 'departments-test' } },
+    });
+    await prisma.department.deleteMany({
+      where: { name: { startsWith: 'Depto Teste' } },
+    });
+  };
+
+  beforeAll(async () => {
+    await cleanup();
+
+    await registerUser(adminEmail, ADMIN);
+    adminToken = await loginToken(adminEmail);
+
+    departmentId = (
+      await asAdmin('post', '/v2/departments')
+        .send({ name: 'Depto Teste Computação' })
+        .expect(201)
+    ).body.data.id;
+    otherDepartmentId = (
+      await asAdmin('post', '/v2/departments')
+        .send({ name: 'Depto Teste Direito' })
+        .expect(201)
+    ).body.data.id;
+
+    const coordinator = { papel: 'COORDENADOR', tipo_usuario: 'coordenador' };
+    coordinatorId = await registerUser(coordinatorEmail, {
+      ...coordinator,
+      departmentId,
+    });
+    peerCoordinatorId = await registerUser('departments-test-coord2@escola.com', {
+      ...coordinator,
+      departmentId,
+    });
+    professorId = await registerUser('departments-test-prof@escola.com', {
+      departmentId,
+    });
+    otherProfessorId = await registerUser('departments-test-prof2@escola.com', {
+      departmentId: otherDepartmentId,
+    });
+
+    coordinatorToken = await loginToken(coordinatorEmail);
+  });
+
+  afterAll(async () => {
+    await cleanup();
+    await prisma.$disconnect();
+  });
+
+  it('papel COORDENADOR vem semeado com permissões do departamento', async () => {
+    const { body } = await asAdmin('get', '/v2/roles').expect(200);
+    const coordinator = body.data.find(role => role.name === 'COORDENADOR');
+
+    expect(coordinator.system).toBe(true);
+    expect(coordinator.permissions).toEqual(
+      expect.arrayContaining([
+        'users.read:department',
+        'users.update:department',
+        'users.delete:department',
+        'exams.publish',
+      ]),
+    );
+
+    // Escopo de departamento não conta como permissão global
+    await asCoordinator('post', '/v2/departments').send({ name: 'Depto Teste X' }).expect(403);
+    await asCoordinator('get', '/v2/invites').expect(403);
+  });
+
+  it('coordenador lista apenas os usuários do próprio departamento', async () => {
+    const own = await asCoordinator('get', `/v2/departments/${departmentId}/users`).expect(200);
+    expect(own.body.data.map(user => user.id)).toEqual(
+      expect.arrayContaining([coordinatorId, professorId]),
+    );
+    expect(own.body.data.map(user => user.id)).not.toContain(otherProfessorId);
+
+    await asCoordinator('get', `/v2/departments/${otherDepartmentId}/users`).expect(403);
+
+    const all = await asAdmin('get', `/v2/departments/${otherDepartmentId}/users`).expect(200);
+    expect(all.body.data.map(user => user.id)).toEqual([otherProfessorId]);
+  });
+
+  it('coordenador edita apenas professores do próprio departamento', async () => {
+    const response = await asCoordinator('put', `/v2/users/${professorId}`)
+      .send({ telefone: '11987654321' })
+      .expect(200);
+    expect(response.body.data).toMatchObject({
+      telefone: '11987654321',
+      departmentId,
+    });
+
+    await asCoordinator('put', `/v2/users/${otherProfessorId}`).send({ telefone: '11987654321' }).expect(403);
+    await asCoordinator('put', `/v2/users/${peerCoordinatorId}`).send({ telefone: '11987654321' }).expect(403);
+
+    // Não move professores de departamento nem troca papel ou senha
+    await asCoordinator('put', `/v2/users/${professorId}`).send({ departamento_id: otherDepartmentId }).expect(403);
+    await asCoordinator('put', `/v2/users/${professorId}`).send({ tipo_usuario: 'admin' }).expect(403);
+    await asCoordinator('put', `/v2/users/${professorId}`).send({ senha: 'Nova12345' }).expect(403);
+  });
+
+  it('departments.manage move usuários entre departamentos', async () => {
+    await asAdmin('put', `/v2/users/${otherProfessorId}`).send({ departamento_id: 999999999 }).expect(404);
+
+    const moved = await asAdmin('put', `/v2/users/${otherProfessorId}`)
+      .send({ departamento_id: departmentId })
+      .expect(200);
+    expect(moved.body.data.departmentId).toBe(departmentId);
+
+    // Agora no departamento do coordenador
+    await asCoordinator('put', `/v2/users/${otherProfessorId}`).send({ telefone: '11912345678' }).expect(200);
+
+    const removed = await asAdmin('put', `/v2/users/${otherProfessorId}`)
+      .send({ departamento_id: null })
+      .expect(200);
+    expect(removed.body.data.departmentId).toBeNull();
+
+    await asCoordinator('put', `/v2/users/${otherProfessorId}`).send({ telefone: '11912345678' }).expect(403);
+  });
+
+  it('coordenador remove apenas professores do próprio departamento', async () => {
+    await asCoordinator('delete', `/v2/users/${otherProfessorId}`).expect(403);
+    await asCoordinator('delete', `/v2/users/${peerCoordinatorId}`).expect(403);
+    await asCoordinator('delete', `/v2/users/${professorId}`).expect(200);
+  });
+
+  it('tipo_usuario coordenador cria usuário com papel COORDENADOR', async () => {
+    const response = await asAdmin('post', '/v2/users')
+      .send({
+        primeiro_nome: 'Nova',
+        sobrenome: 'Coordenadora',
+        email: 'departments-test-nova@escola.com',
+        senha: 'Senha123',
+        tipo_usuario: 'coordenador',
+        departamento_id: otherDepartmentId,
+      })
+      .expect(201);
+
+    expect(response.body.data).toMatchObject({
+      tipo_usuario: 'coordenador',
+      departmentId: otherDepartmentId,
+    });
+
+    const user = await prisma.user.findUnique({
+      where: { id: response.body.data.id },
+    });
+    expect(user.papel).toBe('COORDENADOR');
+  });
+
+  it('remover o departamento deixa os membros sem departamento', async () => {
+    await asAdmin('delete', `/v2/departments/${otherDepartmentId}`).expect(200);
+    await asAdmin('get', `/v2/departments/${otherDepartmentId}`).expect(404);
+
+    const user = await prisma.user.findUnique({
+      where: { email: 'departments-test-nova@escola.com' },
+    });
+    expect(user.departmentId).toBeNull();
+  });
+});
@@ -0,0 +1,122 @@
+// tests/email-verification.test.js
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import request from 'supertest';
+import app from '../src/server.js';
+import prisma from '../src/config/database.js';
+
+/**
+ * Testes de Verificação de Email
+ * Usa o transporte "outbox" para ler os emails enviados
+ */
+
+describe('Verificação de Email', () => {
+  const email = 'verify-test@escola.com';
+  let token;
+  let userId;
+
+  /**
+   * Extrai o token de verificação do último email enviado
+   */
+  const lastVerificationToken = async () => {
+    const mensagem = await prisma.outboxEmail.findFirst({
+      where: { to: email },
+      orderBy: { id: 'desc' },
+    });
+
+    return /token=([\w-]+)/.exec(mensagem.text)[1];
+  };
+
+  beforeAll(async () => {
+    await prisma.user.deleteMany({
+      where: { email: { contains: 'verify-test' } },
+    });
+    await prisma.outboxEmail.deleteMany({ where: { to: email } });
+
+    const response = await request(app).post('/v2/auth/register').send({
+      nome: 'Usuário Verificação Teste',
+      email,
+      senha: 'Senha123',
+    });
+
+    token = response.body.data.token;
+    userId = response.body.data.user.id;
+  });
+
+  afterAll(async () => {
+    await prisma.user.deleteMany({
+      where: { email: { contains: 'verify-test' } },
+    });
+    await prisma.outboxEmail.deleteMany({ where: { to: email } });
+    await prisma.$disconnect();
+  });
+
+  it('registro deve criar conta não verificada e enviar email', async () => {
+    const user = await prisma.user.findUnique({ where: { id: userId } });
+    expect(user.emailVerifiedAt).toBeNull();
+
+    const enviados = await prisma.outboxEmail.count({ where: { to: email } });
+    expect(enviados).toBe(1);
+  });
+
+  it('usuário não verificado pode fazer login', async () => {
+    await request(app)
+      .post('/v2/auth/login')
+      .send({ email, senha: 'Senha123' })
+      .expect(200);
+  });
+
+  it('usuário não verificado recebe EMAIL_NOT_VERIFIED em rotas de escrita', async () => {
+    const response = await request(app)
+      .put(`/v2/users/${userId}`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ telefone: '11999999999' })
+      .expect(403);
+
+    expect(response.body.error.code).toBe('EMAIL_NOT_VERIFIED');
+  });
+
+  it('POST /v2/auth/resend-verification deve enviar novo link', async () => {
+    await request(app)
+      .post('/v2/auth/resend-verification')
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+
+    const enviados = await prisma.outboxEmail.count({ where: { to: email } });
+    expect(enviados).toBe(2);
+  });
+
+  it('GET /v2/auth/verify-email deve rejeitar token inválido', async () => {
+    const response = await request(app)
+      .get('/v2/auth/verify-email?token=token-invalido')
+      .expect(400);
+
+    expect(response.body.error.code).toBe('INVALID_TOKEN');
+  });
+
+  it('GET /v2/auth/verify-email deve confirmar o email', async () => {
+    const verificationToken = await lastVerificationToken();
+
+    const response = await request(app)
+      .get(`/v2/auth/verify-email?token=${verificationToken}`)
+      .expect(200);
+
+    expect(response.body.data.user.emailVerifiedAt).not.toBeNull();
+  });
+
+  it('após verificar, rotas de escrita devem ser liberadas', async () => {
+    await request(app)
+      .put(`/v2/users/${userId}`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ telefone: '11999999999' })
+      .expect(200);
+  });
+
+  it('reenvio deve falhar para email já verificado', async () => {
+    const response = await request(app)
+      .post('/v2/auth/resend-verification')
+      .set('Authorization', `Bearer ${token}`)
+      .expect(409);
+
+    expect(response.body.error.code).toBe('EMAIL_ALREADY_VERIFIED');
+  });
+});
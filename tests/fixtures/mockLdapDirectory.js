@@ -0,0 +1,87 @@
+// tests/fixtures/mockLdapDirectory.js
+import { InvalidCredentialsError } from 'ldapts';
+
+/**
+ * Diretório LDAP em memória para testes
+ *
+ * Substitui o servidor através de setLdapClientFactory(): cada conexão
+ * recebe um cliente com bind, search e unbind que operam sobre as
+ * entradas cadastradas. A busca entende filtros de igualdade simples,
+ * como "(mail=...)" ou "(uid=...)", com os valores escapados (RFC 4515).
+ *
+ * @param {Object[]} entries - Entradas ({ dn, password, ...atributos })
+ * @returns {Object} { createClient, setOnline, connections }
+ */
+export const createMockLdapDirectory = (entries = []) => {
+  const state = { online: true, connections: [] };
+
+  const unescape = value =>
+    value.replace(/\\([0-9a-f]{2})/gi, (_, hex) =>
+      String.fromCharCode(parseInt(hex, 16)),
+    );
+
+  const createClient = config => {
+    const connection = { config, binds: [], searches: [], unbound: false };
+    state.connections.push(connection);
+
+    const ensureOnline = () => {
+      if (!state.online) {
+        throw new Error(`connect ECONNREFUSED ${config.url}`);
+      }
+    };
+
+    return {
+      async bind(dn, password) {
+        ensureOnline();
+        connection.binds.push(dn);
+
+        const entry = entries.find(e => e.dn === dn);
+        if (!entry || !password || entry.password !== password) {
+          throw new InvalidCredentialsError('Invalid Credentials');
+        }
+      },
+
+      async search(base, options) {
+        ensureOnline();
+        connection.searches.push({ base, ...options });
+
+        const match = /^\((\w+)=(.*)\)$/.exec(options.filter);
+        if (!match) {
+          throw new Error(`Filtro não suportado pelo mock: ${options.filter}`);
+        }
+
+        const [, attribute, value] = match;
+        const expected = unescape(value).toLowerCase();
+
+        const searchEntries = entries
+          .filter(e => e.dn.endsWith(base))
+          .filter(e => String(e[attribute] ?? '').toLowerCase() === expected)
+          .map(e => {
+            const result = { dn: e.dn };
+            for (const name of options.attributes) {
+              if (e[name] !== undefined) {
+                result[name] = e[name];
+              }
+            }
+            return result;
+          });
+
+        return { searchEntries, searchReferences: [] };
+      },
+
+      async unbind() {
+        connection.unbound = true;
+      },
+    };
+  };
+
+  return {
+    createClient,
+    setOnline: online => {
+      state.online = online;
+    },
+    connections: state.connections,
+  };
+};
+
+export default createMockLdapDirectory;
@@ -0,0 +1,115 @@
+// tests/fixtures/mockOidcProvider.js
+import crypto from 'crypto';
+import express from 'express';
+import jwt from 'jsonwebtoken';
+
+/**
+ * Provedor OIDC local para testes
+ *
+ * Implementa discovery, authorize (aprova automaticamente com as claims
+ * configuradas), token (exige o code_verifier do PKCE) e JWKS.
+ *
+ * @param {Object} options - Opções
+ * @param {string} options.clientId - client_id aceito
+ * @param {string} options.clientSecret - client_secret aceito (Basic)
+ * @returns {Promise<Object>} { issuer, setClaims, close, requests }
+ */
+export const startMockOidcProvider = async ({ clientId, clientSecret }) => {
+  const app = express();
+  app.use(express.urlencoded({ extended: false }));
+
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', {
+    modulusLength: 2048,
+  });
+  const kid = 'mock-key-1';
+  const codes = new Map();
+  const requests = { authorize: [], token: [] };
+  let claims = {};
+  let issuer;
+
+  app.get('/.well-known/openid-configuration', (req, res) => {
+    res.json({
+      issuer,
+      authorization_endpoint: `${issuer}/authorize`,
+      token_endpoint: `${issuer}/token`,
+      jwks_uri: `${issuer}/jwks`,
+      response_types_supported: ['code'],
+      code_challenge_methods_supported: ['S256'],
+    });
+  });
+
+  app.get('/jwks', (req, res) => {
+    res.json({
+      keys: [{ ...publicKey.export({ format: 'jwk' }), kid, alg: 'RS256', use: 'sig' }],
+    });
+  });
+
+  app.get('/authorize', (req, res) => {
+    requests.authorize.push(req.query);
+
+    const redirect = new URL(req.query.redirect_uri);
+
+    if (req.query.client_id !== clientId || req.query.code_challenge_method !== 'S256') {
+      redirect.searchParams.set('error', 'invalid_request');
+      return res.redirect(302, redirect.toString());
+    }
+
+    const code = crypto.randomBytes(16).toString('hex');
+    codes.set(code, {
+      challenge: req.query.code_challenge,
+      nonce: req.query.nonce,
+      redirectUri: req.query.redirect_uri,
+    });
+
+    redirect.searchParams.set('code', code);
+    redirect.searchParams.set('state', req.query.state);
+    res.redirect(302, redirect.toString());
+  });
+
+  app.post('/token', (req, res) => {
+    requests.token.push(req.body);
+
+    const expected = `Basic ${Buffer.from(`${clientId}:${clientSecret}`).toString('base64')}`;
+    if (req.headers.authorization !== expected) {
+      return res.status(401).json({ error: 'invalid_client' });
+    }
+
+    const grant = codes.get(req.body.code);
+    codes.delete(req.body.code);
+
+    const challenge = crypto
+      .createHash('sha256')
+      .update(req.body.code_verifier || '')
+      .digest('base64url');
+
+    if (!grant || grant.challenge !== challenge || grant.redirectUri !== req.body.redirect_uri) {
+      return res.status(400).json({ error: 'invalid_grant' });
+    }
+
+    const idToken = jwt.sign({ ...claims, nonce: grant.nonce }, privateKey, {
+      algorithm: 'RS256',
+      keyid: kid,
+      issuer,
+      audience: clientId,
+      expiresIn: '5m',
+    });
+
+    res.json({ access_token: 'mock-access-token', token_type: 'Bearer', id_token: idToken });
+  });
+
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  issuer = `http://127.0.0.1:${server.address().port}`;
+
+  return {
+    issuer,
+    requests,
+    setClaims: value => {
+      claims = value;
+    },
+    close: () => new Promise(resolve => server.close(resolve)),
+  };
+};
+
+export default startMockOidcProvider;
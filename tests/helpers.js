@@ -0,0 +1,96 @@
+// tests/helpers.js
+import { expect, vi } from 'vitest';
+import request from 'supertest';
+import app from '../src/server.js';
+import prisma from '../src/config/database.js';
+
+/**
+ * Helpers compartilhados pelos testes
+ * Cadastro, login, recuperação de senha e requisições autenticadas na
+ * API v2
+ */
+
+// Senha usada pelos usuários cadastrados com registerUser
+export const TEST_PASSWORD = 'Senha123';
+
+// Campos gravados no banco para promover um usuário a ADMIN
+export const ADMIN = { papel: 'ADMIN', tipo_usuario: 'admin' };
+
+/**
+ * Cadastra um usuário por POST /v2/auth/register e confirma o email
+ * @param {string} email - Email do usuário
+ * @param {Object} [data] - Campos gravados direto no banco (ex.: ADMIN)
+ * @param {Object} [profile] - Campos do cadastro (ex.: primeiro_nome)
+ * @returns {Promise<number>} ID do usuário
+ */
+export const registerUser = async (email, data = {}, profile = {}) => {
+  const response = await request(app).post('/v2/auth/register').send({
+    primeiro_nome: 'Teste',
+    sobrenome: 'Usuário',
+    email,
+    senha: TEST_PASSWORD,
+    ...profile,
+  });
+
+  await prisma.user.update({
+    where: { email },
+    data: { emailVerifiedAt: new Date(), ...data },
+  });
+
+  return response.body.data.user.id;
+};
+
+/**
+ * Faz login por POST /v2/auth/login
+ * @param {string} email - Email do usuário
+ * @param {string} [senha] - Senha (padrão: TEST_PASSWORD)
+ * @returns {import('supertest').Test} Requisição (use .expect)
+ */
+export const login = (email, senha = TEST_PASSWORD) =>
+  request(app).post('/v2/auth/login').send({ email, senha });
+
+/**
+ * Faz login e retorna o access token
+ * @param {string} email - Email do usuário
+ * @returns {Promise<string>} Access token
+ */
+export const loginToken = async email =>
+  (await login(email).expect(200)).body.data.token;
+
+/**
+ * Solicita a redefinição de senha e extrai o token do email enviado
+ * O email é entregue pela fila depois da resposta: espera a nova
+ * mensagem no outbox.
+ *
+ * @param {string} email - Email da conta
+ * @returns {Promise<string>} Token de redefinição
+ */
+export const requestResetToken = async email => {
+  const sent = await prisma.outboxEmail.count({ where: { to: email } });
+
+  await request(app)
+    .post('/v2/auth/forgot-password')
+    .send({ email })
+    .expect(200);
+
+  const mensagem = await vi.waitFor(async () => {
+    const messages = await prisma.outboxEmail.findMany({
+      where: { to: email },
+      orderBy: { id: 'desc' },
+    });
+    expect(messages).toHaveLength(sent + 1);
+    return messages[0];
+  });
+
+  return /token=([\w-]+)/.exec(mensagem.text)[1];
+};
+
+/**
+ * Cria uma fábrica de requisições autenticadas
+ * O token é lido a cada requisição, então pode ser definido no beforeAll.
+ *
+ * @param {Function} getToken - Retorna o token (ex.: () => adminToken)
+ * @returns {Function} (method, path) => requisição com Authorization
+ */
+export const requestAs = getToken => (method, path) =>
+  request(app)[method](path).set('Authorization', `Bearer ${getToken()}`);
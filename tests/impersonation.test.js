@@ -0,0 +1,228 @@
+// tests/impersonation.test.js
+import { describe, it, expect, beforeAll, afterAll, vi } from 'vitest';
+import request from 'supertest';
+import app from '../src/server.js';
+import prisma from '../src/config/database.js';
+import { decodeToken } from '../src/config/jwt.js';
+import { ADMIN, registerUser, loginToken } from './helpers.js';
+
+/**
+ * Testes de Personificação (suporte)
+ * POST /v2/auth/impersonate/:userId e GET /v2/users/:id/impersonations
+ */
+
+describe('Personificação', () => {
+  const email = 'impersonation-test@escola.com';
+  const adminEmail = 'impersonation-test-admin@escola.com';
+  const otherAdminEmail = 'impersonation-test-admin2@escola.com';
+  let userId;
+  let adminId;
+  let otherAdminId;
+  let userToken;
+  let adminToken;
+  let supportId;
+
+  // Papéis criados no teste de permissões excedentes
+  const roleNames = ['IMP_TESTE_SUPORTE', 'IMP_TESTE_GESTAO', 'IMP_TESTE_LEITURA'];
+
+  const register = (primeiro_nome, userEmail, data = {}) =>
+    registerUser(userEmail, data, { primeiro_nome, sobrenome: 'Suporte' });
+
+  const impersonate = (token, id) =>
+    request(app)
+      .post(`/v2/auth/impersonate/${id}`)
+      .set('Authorization', `Bearer ${token}`);
+
+  beforeAll(async () => {
+    await prisma.user.deleteMany({
+      where: { email: { contains: 'impersonation-test' } },
+    });
+
+    userId = await register('Pedro', email);
+    userToken = await loginToken(email);
+
+    adminId = await register('Admin', adminEmail, ADMIN);
+    otherAdminId = await register('Outro', otherAdminEmail, ADMIN);
+
+    adminToken = await loginToken(adminEmail);
+  });
+
+  afterAll(async () => {
+    await prisma.impersonationLog.deleteMany({
+      where: { OR: [{ actorId: { in: [adminId, supportId] } }, { userId }] },
+    });
+    await prisma.user.deleteMany({
+      where: { email: { contains: 'impersonation-test' } },
+    });
+    await prisma.role.deleteMany({ where: { name: { in: roleNames } } });
+    await prisma.$disconnect();
+  });
+
+  it('emite token com o sub do usuário e o claim act do administrador', async () => {
+    const response = await impersonate(adminToken, userId).expect(200);
+
+    const { token, expiresAt, user } = response.body.data;
+    expect(user).toMatchObject({ id: userId, email });
+    expect(response.body.data).not.toHaveProperty('refreshToken');
+
+    const decoded = decodeToken(token);
+    expect(decoded.sub).toBe(userId);
+    expect(decoded.act).toEqual({ sub: adminId, email: adminEmail });
+    expect(new Date(expiresAt).getTime()).toBe(decoded.exp * 1000);
+    expect(decoded.exp - decoded.iat).toBeLessThanOrEqual(15 * 60);
+
+    const start = await prisma.impersonationLog.findFirst({
+      where: { tokenId: decoded.jti, action: 'START' },
+    });
+    expect(start).toMatchObject({ actorId: adminId, userId });
+  });
+
+  it('req.user expõe o usuário personificado e quem está agindo', async () => {
+    const { token } = (await impersonate(adminToken, userId).expect(200)).body.data;
+
+    const response = await request(app)
+      .get('/v2/auth/me')
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+
+    expect(response.body.data.user.email).toBe(email);
+    expect(response.body.data.impersonatedBy).toEqual({
+      id: adminId,
+      email: adminEmail,
+    });
+  });
+
+  it('bloqueia ações sensíveis da conta durante a personificação', async () => {
+    const { token } = (await impersonate(adminToken, userId).expect(200)).body.data;
+
+    const password = await request(app)
+      .post('/v2/auth/me/password')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ senhaAtual: 'Senha123', novaSenha: 'OutraSenha123' })
+      .expect(403);
+    expect(password.body.error.code).toBe('IMPERSONATION_NOT_ALLOWED');
+
+    await request(app)
+      .post('/v2/auth/logout-all')
+      .set('Authorization', `Bearer ${token}`)
+      .expect(403);
+
+    // A senha continua a mesma
+    await loginToken(email);
+  });
+
+  it('registra no log cada requisição feita com o token', async () => {
+    const { token } = (await impersonate(adminToken, userId).expect(200)).body.data;
+    const { jti } = decodeToken(token);
+
+    await request(app)
+      .get('/v2/auth/me')
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+
+    await request(app)
+      .post('/v2/auth/me/password')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ senhaAtual: 'Senha123', novaSenha: 'OutraSenha123' })
+      .expect(403);
+
+    // As entradas são gravadas quando a resposta termina
+    const entries = await vi.waitFor(async () => {
+      const rows = await prisma.impersonationLog.findMany({
+        where: { tokenId: jti, action: 'REQUEST' },
+        orderBy: { id: 'asc' },
+      });
+      expect(rows).toHaveLength(2);
+      return rows;
+    });
+
+    expect(entries[0]).toMatchObject({
+      actorId: adminId,
+      userId,
+      method: 'GET',
+      path: '/v2/auth/me',
+      statusCode: 200,
+    });
+    expect(entries[1]).toMatchObject({
+      method: 'POST',
+      path: '/v2/auth/me/password',
+      statusCode: 403,
+    });
+
+    const list = await request(app)
+      .get(`/v2/users/${userId}/impersonations`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(200);
+    expect(list.body.data.some(entry => entry.tokenId === jti)).toBe(true);
+  });
+
+  it('logout encerra a personificação antes do prazo', async () => {
+    const { token } = (await impersonate(adminToken, userId).expect(200)).body.data;
+
+    await request(app)
+      .post('/v2/auth/logout')
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+
+    await request(app)
+      .get('/v2/auth/me')
+      .set('Authorization', `Bearer ${token}`)
+      .expect(401);
+  });
+
+  it('recusa personificação aninhada, de administradores e de si mesmo', async () => {
+    const { token } = (await impersonate(adminToken, userId).expect(200)).body.data;
+
+    const nested = await impersonate(token, userId).expect(403);
+    expect(nested.body.error.code).toBe('IMPERSONATION_NOT_ALLOWED');
+
+    await impersonate(adminToken, otherAdminId).expect(403);
+    await impersonate(adminToken, adminId).expect(400);
+    await impersonate(adminToken, 999999999).expect(404);
+    await impersonate(adminToken, 'abc').expect(400);
+  });
+
+  it('recusa alvos com permissões que o ator não tem', async () => {
+    const asAdmin = (method, path) =>
+      request(app)[method](path).set('Authorization', `Bearer ${adminToken}`);
+
+    const [supportRole, managerRole, readerRole] = roleNames;
+    const roles = {
+      [supportRole]: ['users.impersonate', 'users.read'],
+      [managerRole]: ['users.read', 'roles.manage'],
+      [readerRole]: ['users.read'],
+    };
+
+    const ids = {};
+    for (const [name, permissions] of Object.entries(roles)) {
+      await asAdmin('post', '/v2/roles').send({ name, permissions }).expect(201);
+
+      const userEmail = `impersonation-test-${name.toLowerCase()}@escola.com`;
+      ids[name] = await register('Papel', userEmail);
+      await asAdmin('put', `/v2/users/${ids[name]}/role`)
+        .send({ papel: name })
+        .expect(200);
+    }
+
+    supportId = ids[supportRole];
+    const supportToken = await loginToken(
+      `impersonation-test-${supportRole.toLowerCase()}@escola.com`,
+    );
+
+    // roles.manage daria ao suporte o poder de alterar papéis
+    const denied = await impersonate(supportToken, ids[managerRole]).expect(403);
+    expect(denied.body.error.message).toContain('roles.manage');
+
+    await impersonate(supportToken, ids[readerRole]).expect(200);
+  });
+
+  it('exige papel ADMIN', async () => {
+    await impersonate(userToken, adminId).expect(403);
+    await request(app).post(`/v2/auth/impersonate/${userId}`).expect(401);
+
+    await request(app)
+      .get(`/v2/users/${userId}/impersonations`)
+      .set('Authorization', `Bearer ${userToken}`)
+      .expect(403);
+  });
+});
@@ -0,0 +1,248 @@
+// tests/invitations.test.js
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import request from 'supertest';
+import bcrypt from 'bcrypt';
+import app from '../src/server.js';
+import prisma from '../src/config/database.js';
+import { registerUser, loginToken } from './helpers.js';
+
+/**
+ * Testes de Convites
+ * Contas ADMIN só podem ser criadas por convite de outro ADMIN
+ */
+
+describe('Convites', () => {
+  const adminEmail = 'invite-test-admin@escola.com';
+  const professorEmail = 'invite-test-professor@escola.com';
+  const convidadoEmail = 'invite-test-convidado@escola.com';
+  let adminToken;
+  let professorToken;
+
+  /**
+   * Extrai o token do último convite enviado para o email
+   */
+  const lastInvitationToken = async to => {
+    const mensagem = await prisma.outboxEmail.findFirst({
+      where: { to },
+      orderBy: { id: 'desc' },
+    });
+
+    return /token=([\w-]+)/.exec(mensagem.text)[1];
+  };
+
+  const cleanup = async () => {
+    await prisma.invitation.deleteMany({
+      where: { email: { contains: 'invite-test' } },
+    });
+    await prisma.user.deleteMany({
+      where: { email: { contains: 'invite-test' } },
+    });
+    await prisma.outboxEmail.deleteMany({
+      where: { to: { contains: 'invite-test' } },
+    });
+    await prisma.role.deleteMany({ where: { name: 'INVITE_TESTE_RH' } });
+  };
+
+  beforeAll(async () => {
+    await cleanup();
+
+    await prisma.user.create({
+      data: {
+        nome: 'Admin Convites',
+        email: adminEmail,
+        senha: await bcrypt.hash('Senha123', 10),
+        papel: 'ADMIN',
+        tipo_usuario: 'admin',
+        emailVerifiedAt: new Date(),
+      },
+    });
+
+    const adminLogin = await request(app)
+      .post('/v2/auth/login')
+      .send({ email: adminEmail, senha: 'Senha123' });
+    adminToken = adminLogin.body.data.token;
+
+    const professorResponse = await request(app)
+      .post('/v2/auth/register')
+      .send({
+        nome: 'Professor Convites',
+        email: professorEmail,
+        senha: 'Senha123',
+      });
+    professorToken = professorResponse.body.data.token;
+
+    await prisma.user.update({
+      where: { email: professorEmail },
+      data: { emailVerifiedAt: new Date() },
+    });
+  });
+
+  afterAll(async () => {
+    await cleanup();
+    await prisma.$disconnect();
+  });
+
+  it('PROFESSOR não pode criar convites', async () => {
+    const response = await request(app)
+      .post('/v2/invites')
+      .set('Authorization', `Bearer ${professorToken}`)
+      .send({ email: convidadoEmail, papel: 'ADMIN' })
+      .expect(403);
+
+    expect(response.body.error.code).toBe('FORBIDDEN');
+  });
+
+  it('requer autenticação', async () => {
+    await request(app).get('/v2/invites').expect(401);
+  });
+
+  it('ADMIN pode convidar, listar e revogar', async () => {
+    const criado = await request(app)
+      .post('/v2/invites')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ email: convidadoEmail, papel: 'ADMIN' })
+      .expect(201);
+
+    expect(criado.body.data.email).toBe(convidadoEmail);
+    expect(criado.body.data.papel).toBe('ADMIN');
+    expect(criado.body.data).not.toHaveProperty('tokenHash');
+
+    const lista = await request(app)
+      .get('/v2/invites')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(200);
+
+    expect(lista.body.data.map(c => c.id)).toContain(criado.body.data.id);
+
+    const token = await lastInvitationToken(convidadoEmail);
+
+    await request(app)
+      .delete(`/v2/invites/${criado.body.data.id}`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(200);
+
+    // Convite revogado não pode ser aceito
+    const response = await request(app)
+      .post('/v2/auth/accept-invite')
+      .send({
+        token,
+        primeiro_nome: 'Maria',
+        sobrenome: 'Souza',
+        senha: 'Senha123',
+      })
+      .expect(400);
+
+    expect(response.body.error.code).toBe('INVALID_INVITATION');
+  });
+
+  it('aceita qualquer papel cadastrado e recusa papéis desconhecidos', async () => {
+    const coordenador = await request(app)
+      .post('/v2/invites')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({
+        email: 'invite-test-coordenador@escola.com',
+        papel: 'coordenador',
+      })
+      .expect(201);
+    expect(coordenador.body.data.papel).toBe('COORDENADOR');
+
+    const desconhecido = await request(app)
+      .post('/v2/invites')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ email: 'invite-test-coordenador@escola.com', papel: 'DIRETOR' })
+      .expect(400);
+    expect(desconhecido.body.error.details[0]).toMatchObject({
+      field: 'papel',
+      code: 'UNKNOWN_ROLE',
+    });
+    expect(desconhecido.body.error.details[0].message).toContain('COORDENADOR');
+  });
+
+  it('papéis além de PROFESSOR exigem roles.manage', async () => {
+    await request(app)
+      .post('/v2/roles')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ name: 'INVITE_TESTE_RH', permissions: ['invitations.manage'] })
+      .expect(201);
+
+    const rhEmail = 'invite-test-rh@escola.com';
+    await registerUser(rhEmail, {
+      papel: 'INVITE_TESTE_RH',
+      tipo_usuario: 'invite_teste_rh',
+    });
+    const rhToken = await loginToken(rhEmail);
+
+    for (const papel of ['ADMIN', 'COORDENADOR']) {
+      const response = await request(app)
+        .post('/v2/invites')
+        .set('Authorization', `Bearer ${rhToken}`)
+        .send({ email: 'invite-test-rh-convidado@escola.com', papel })
+        .expect(403);
+      expect(response.body.error.message).toContain('roles.manage');
+    }
+
+    const professor = await request(app)
+      .post('/v2/invites')
+      .set('Authorization', `Bearer ${rhToken}`)
+      .send({
+        email: 'invite-test-rh-convidado@escola.com',
+        papel: 'PROFESSOR',
+      })
+      .expect(201);
+    expect(professor.body.data.papel).toBe('PROFESSOR');
+  });
+
+  it('rejeita convite para email já cadastrado', async () => {
+    await request(app)
+      .post('/v2/invites')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ email: professorEmail, papel: 'ADMIN' })
+      .expect(409);
+  });
+
+  it('aceitar convite cria conta com o papel do convite', async () => {
+    await request(app)
+      .post('/v2/invites')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ email: convidadoEmail, papel: 'ADMIN' })
+      .expect(201);
+
+    const token = await lastInvitationToken(convidadoEmail);
+
+    const response = await request(app)
+      .post('/v2/auth/accept-invite')
+      .send({
+        token,
+        primeiro_nome: 'Maria',
+        sobrenome: 'Souza',
+        senha: 'Senha123',
+      })
+      .expect(201);
+
+    expect(response.body.data.user.email).toBe(convidadoEmail);
+    expect(response.body.data.user.papel).toBe('ADMIN');
+    expect(response.body.data.user.tipo_usuario).toBe('admin');
+    expect(response.body.data.user.emailVerifiedAt).not.toBeNull();
+    expect(response.body.data.token).toBeDefined();
+    expect(response.body.data.refreshToken).toBeDefined();
+
+    // Novo ADMIN já pode usar as rotas administrativas
+    await request(app)
+      .get('/v2/invites')
+      .set('Authorization', `Bearer ${response.body.data.token}`)
+      .expect(200);
+
+    // Convite é de uso único
+    const reuse = await request(app)
+      .post('/v2/auth/accept-invite')
+      .send({
+        token,
+        primeiro_nome: 'Outra',
+        sobrenome: 'Pessoa',
+        senha: 'Senha123',
+      })
+      .expect(400);
+
+    expect(reuse.body.error.code).toBe('INVALID_INVITATION');
+  });
+});
@@ -0,0 +1,233 @@
+// tests/jwt-keys.test.js
+import { describe, it, expect, beforeAll, afterAll, afterEach } from 'vitest';
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import jwt from 'jsonwebtoken';
+import request from 'supertest';
+import app from '../src/server.js';
+import prisma from '../src/config/database.js';
+import {
+  JWKS_MAX_AGE_SECONDS,
+  generateSigningKey,
+  setJwtKeys,
+} from '../src/config/jwtKeys.js';
+import { rotateJwtKeys } from '../scripts/rotate-jwt-keys.js';
+import { registerUser, loginToken } from './helpers.js';
+
+/**
+ * Testes de Assinatura Assimétrica dos JWTs
+ * RS256/ES256 com "kid", JWKS público, rotação e fallback HS256
+ */
+
+describe('Chaves de Assinatura JWT', () => {
+  const email = 'jwtkeys-test@escola.com';
+  const secret = process.env.JWT_SECRET;
+
+  const login = () => loginToken(email);
+
+  const me = token =>
+    request(app).get('/v2/auth/me').set('Authorization', `Bearer ${token}`);
+
+  beforeAll(async () => {
+    await prisma.user.deleteMany({
+      where: { email: { contains: 'jwtkeys-test' } },
+    });
+
+    await registerUser(email);
+  });
+
+  afterEach(() => {
+    setJwtKeys({ algorithm: 'HS256', secret });
+  });
+
+  afterAll(async () => {
+    await prisma.user.deleteMany({
+      where: { email: { contains: 'jwtkeys-test' } },
+    });
+    await prisma.$disconnect();
+  });
+
+  it('RS256: token leva o kid e é verificável com o JWKS público', async () => {
+    const key = generateSigningKey('RS256');
+    setJwtKeys({ algorithm: 'RS256', keys: [key] });
+
+    const token = await login();
+    const { header } = jwt.decode(token, { complete: true });
+    expect(header).toMatchObject({ alg: 'RS256', kid: key.kid });
+
+    const jwks = await request(app).get('/.well-known/jwks.json').expect(200);
+    const jwk = jwks.body.keys.find(k => k.kid === header.kid);
+    expect(jwk).toMatchObject({ kty: 'RSA', alg: 'RS256', use: 'sig' });
+    expect(jwk).not.toHaveProperty('d');
+
+    const publicKey = crypto.createPublicKey({ key: jwk, format: 'jwk' });
+    expect(jwt.verify(token, publicKey, { algorithms: ['RS256'] }).email).toBe(email);
+
+    await me(token).expect(200);
+  });
+
+  it('ES256 também é suportado', async () => {
+    const key = generateSigningKey('ES256');
+    setJwtKeys({ algorithm: 'ES256', keys: [key] });
+
+    const token = await login();
+    expect(jwt.decode(token, { complete: true }).header.alg).toBe('ES256');
+
+    await me(token).expect(200);
+  });
+
+  it('rotação: tokens da chave aposentada continuam válidos', async () => {
+    const oldKey = generateSigningKey('RS256');
+    setJwtKeys({ algorithm: 'RS256', keys: [oldKey] });
+    const oldToken = await login();
+
+    const newKey = generateSigningKey('RS256');
+    setJwtKeys({
+      algorithm: 'RS256',
+      keys: [{ ...oldKey, retiredAt: new Date().toISOString() }, newKey],
+    });
+
+    const newToken = await login();
+    expect(jwt.decode(newToken, { complete: true }).header.kid).toBe(newKey.kid);
+
+    await me(oldToken).expect(200);
+    await me(newToken).expect(200);
+
+    // Chave removida do conjunto: seus tokens deixam de valer
+    setJwtKeys({ algorithm: 'RS256', keys: [newKey] });
+    await me(oldToken).expect(401);
+  });
+
+  it('rotação: a nova chave é publicada antes de assinar', async () => {
+    const oldKey = generateSigningKey('RS256');
+    const switchAt = new Date(Date.now() + 60 * 60 * 1000);
+    const newKey = generateSigningKey('RS256', switchAt);
+    setJwtKeys({
+      algorithm: 'RS256',
+      keys: [{ ...oldKey, retiredAt: switchAt.toISOString() }, newKey],
+    });
+
+    const jwks = await request(app).get('/.well-known/jwks.json').expect(200);
+    expect(jwks.headers['cache-control']).toBe(
+      `public, max-age=${JWKS_MAX_AGE_SECONDS}`,
+    );
+    expect(jwks.body.keys.map(k => k.kid)).toEqual([oldKey.kid, newKey.kid]);
+
+    // Até a ativação, a chave anterior continua assinando
+    const token = await login();
+    expect(jwt.decode(token, { complete: true }).header.kid).toBe(oldKey.kid);
+
+    // Só chaves pendentes: nenhuma assina ainda
+    expect(() => setJwtKeys({ algorithm: 'RS256', keys: [newKey] })).toThrow(
+      /Nenhuma chave RS256 ativa/,
+    );
+  });
+
+  it('fallback HS256: tokens antigos valem enquanto JWT_SECRET estiver definido', async () => {
+    const hsToken = await login();
+    const key = generateSigningKey('RS256');
+
+    setJwtKeys({ algorithm: 'RS256', secret, keys: [key] });
+    await me(hsToken).expect(200);
+
+    setJwtKeys({ algorithm: 'RS256', keys: [key] });
+    await me(hsToken).expect(401);
+  });
+
+  it('recusa token HS256 forjado com o kid de uma chave RSA', async () => {
+    const key = generateSigningKey('RS256');
+    setJwtKeys({ algorithm: 'RS256', keys: [key] });
+
+    const jwk = (await request(app).get('/.well-known/jwks.json')).body.keys[0];
+    const publicPem = crypto
+      .createPublicKey({ key: jwk, format: 'jwk' })
+      .export({ type: 'spki', format: 'pem' });
+
+    const forged = jwt.sign(
+      { sub: 1, email, role: 'ADMIN' },
+      Buffer.from(publicPem),
+      {
+        algorithm: 'HS256',
+        keyid: key.kid,
+        issuer: 'api-gerador-provas',
+        audience: 'api-gerador-provas-client',
+      },
+    );
+
+    await me(forged).expect(401);
+  });
+
+  it('exige chave ativa para o algoritmo configurado', () => {
+    expect(() => setJwtKeys({ algorithm: 'RS256', keys: [] })).toThrow(
+      /Nenhuma chave RS256 ativa/,
+    );
+    expect(() => setJwtKeys({ algorithm: 'none', secret })).toThrow(
+      /JWT_ALGORITHM inválido/,
+    );
+  });
+
+  describe('npm run jwt:rotate-keys', () => {
+    let dir;
+
+    beforeAll(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'jwt-keys-'));
+    });
+
+    afterAll(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('cria a primeira chave, aposenta a anterior e remove as vencidas', () => {
+      const file = path.join(dir, 'keys.json');
+      const read = () => JSON.parse(fs.readFileSync(file, 'utf8')).keys;
+      const now = new Date();
+      const options = {
+        file,
+        alg: 'RS256',
+        retentionSeconds: 3600,
+        activationDelaySeconds: 900,
+        now,
+      };
+
+      const first = rotateJwtKeys(options);
+      expect(first).toMatchObject({ retired: 0, removed: 0 });
+      expect(first.created.activatesAt).toBe(now.toISOString());
+      expect(read()).toHaveLength(1);
+
+      const second = rotateJwtKeys(options);
+      expect(second).toMatchObject({ retired: 1, removed: 0 });
+
+      // A nova chave assina depois do atraso; a anterior, até lá
+      const switchAt = new Date(now.getTime() + 900 * 1000).toISOString();
+      const keys = read();
+      expect(keys).toHaveLength(2);
+      expect(keys.filter(k => !k.retiredAt)).toHaveLength(1);
+      expect(keys.find(k => !k.retiredAt)).toMatchObject({
+        kid: second.created.kid,
+        activatesAt: switchAt,
+      });
+      expect(keys.find(k => k.retiredAt).retiredAt).toBe(switchAt);
+
+      // O atraso precisa cobrir o cache do JWKS
+      expect(() =>
+        rotateJwtKeys({ ...options, activationDelaySeconds: 60 }),
+      ).toThrow(/JWT_KEY_ACTIVATION_DELAY/);
+
+      // Duas horas depois, a chave aposentada já não verifica nenhum token
+      const third = rotateJwtKeys({
+        ...options,
+        alg: 'ES256',
+        now: new Date(now.getTime() + 2 * 60 * 60 * 1000),
+      });
+      expect(third).toMatchObject({ retired: 1, removed: 1 });
+      expect(read().map(k => k.kid)).toEqual([
+        second.created.kid,
+        third.created.kid,
+      ]);
+
+      expect(fs.statSync(file).mode & 0o777).toBe(0o600);
+    });
+  });
+});
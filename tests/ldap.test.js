@@ -0,0 +1,181 @@
+// tests/ldap.test.js
+import {
+  describe,
+  it,
+  expect,
+  beforeAll,
+  afterAll,
+  beforeEach,
+} from 'vitest';
+import request from 'supertest';
+import app from '../src/server.js';
+import prisma from '../src/config/database.js';
+import { setLdapClientFactory } from '../src/config/ldap.js';
+import {
+  createMemoryStore,
+  databaseStore,
+  setRateLimitStore,
+} from '../src/config/rateLimit.js';
+import {
+  getAuthProviders,
+  setAuthProviders,
+} from '../src/api/v2/services/authProviderService.js';
+import { createMockLdapDirectory } from './fixtures/mockLdapDirectory.js';
+
+/**
+ * Testes da Cadeia de Provedores de Autenticação
+ * AUTH_PROVIDERS="local,ldap" contra um diretório LDAP em memória
+ */
+
+describe('Login com LDAP', () => {
+  const base = 'ou=professores,dc=campus,dc=edu,dc=br';
+  const serviceDN = 'cn=gerador-provas,ou=servicos,dc=campus,dc=edu,dc=br';
+
+  const directory = createMockLdapDirectory([
+    { dn: serviceDN, password: 'segredo-servico' },
+    {
+      dn: `uid=ana,${base}`,
+      password: 'SenhaDoDiretorio1',
+      mail: 'ldap-test-ana@campus.edu.br',
+      givenName: 'Ana',
+      sn: ['Souza Lima'],
+    },
+    {
+      dn: `uid=bruno,${base}`,
+      password: 'OutraSenha1',
+      mail: 'ldap-test-local@escola.com',
+      givenName: 'Bruno',
+      sn: 'Alves',
+    },
+  ]);
+
+  const login = (email, senha) =>
+    request(app).post('/v2/auth/login').send({ email, senha });
+
+  beforeAll(async () => {
+    await prisma.user.deleteMany({
+      where: { email: { contains: 'ldap-test' } },
+    });
+
+    await request(app).post('/v2/auth/register').send({
+      primeiro_nome: 'Bruno',
+      sobrenome: 'Alves',
+      email: 'ldap-test-local@escola.com',
+      senha: 'SenhaLocal1',
+    });
+
+    process.env.LDAP_URL = 'ldap://diretorio.test';
+    process.env.LDAP_BIND_DN = serviceDN;
+    process.env.LDAP_BIND_PASSWORD = 'segredo-servico';
+    process.env.LDAP_SEARCH_BASE = base;
+
+    setLdapClientFactory(directory.createClient);
+    setAuthProviders(['local', 'ldap']);
+  });
+
+  beforeEach(() => {
+    directory.setOnline(true);
+    setRateLimitStore(createMemoryStore());
+  });
+
+  afterAll(async () => {
+    setAuthProviders(['local']);
+    setLdapClientFactory(null);
+    setRateLimitStore(databaseStore);
+
+    for (const key of [
+      'LDAP_URL',
+      'LDAP_BIND_DN',
+      'LDAP_BIND_PASSWORD',
+      'LDAP_SEARCH_BASE',
+    ]) {
+      delete process.env[key];
+    }
+
+    await prisma.user.deleteMany({
+      where: { email: { contains: 'ldap-test' } },
+    });
+    await prisma.$disconnect();
+  });
+
+  it('provisiona o usuário no primeiro login com nome do diretório', async () => {
+    const response = await login('ldap-test-ana@campus.edu.br', 'SenhaDoDiretorio1');
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.token).toBeTruthy();
+    expect(response.body.data.refreshToken).toBeTruthy();
+    expect(response.body.data.user).toMatchObject({
+      email: 'ldap-test-ana@campus.edu.br',
+      primeiro_nome: 'Ana',
+      sobrenome: 'Souza Lima',
+      papel: 'PROFESSOR',
+    });
+    expect(response.body.data.user).not.toHaveProperty('senha');
+
+    // Busca com a conta de serviço e bind com o DN encontrado
+    const connection = directory.connections.at(-1);
+    expect(connection.binds).toEqual([serviceDN, `uid=ana,${base}`]);
+    expect(connection.searches[0]).toMatchObject({
+      base,
+      filter: '(mail=ldap-test-ana@campus.edu.br)',
+    });
+    expect(connection.unbound).toBe(true);
+
+    // Segundo login reutiliza a conta criada
+    const again = await login('ldap-test-ana@campus.edu.br', 'SenhaDoDiretorio1');
+    expect(again.status).toBe(200);
+    expect(again.body.data.user.id).toBe(response.body.data.user.id);
+
+    const count = await prisma.user.count({
+      where: { email: 'ldap-test-ana@campus.edu.br' },
+    });
+    expect(count).toBe(1);
+  });
+
+  it('recusa senha errada do diretório', async () => {
+    const response = await login('ldap-test-ana@campus.edu.br', 'SenhaErrada1');
+
+    expect(response.status).toBe(401);
+    expect(response.body.error.code).toBe('INVALID_CREDENTIALS');
+  });
+
+  it('percorre a cadeia: senha local e senha do diretório valem', async () => {
+    const connectionsBefore = directory.connections.length;
+
+    const local = await login('ldap-test-local@escola.com', 'SenhaLocal1');
+    expect(local.status).toBe(200);
+
+    // O provedor local autenticou: o diretório nem é consultado
+    expect(directory.connections.length).toBe(connectionsBefore);
+
+    const ldap = await login('ldap-test-local@escola.com', 'OutraSenha1');
+    expect(ldap.status).toBe(200);
+    expect(ldap.body.data.user.id).toBe(local.body.data.user.id);
+  });
+
+  it('email fora do diretório e sem conta local: 401', async () => {
+    const response = await login('ldap-test-ninguem@campus.edu.br', 'Senha123');
+
+    expect(response.status).toBe(401);
+    expect(directory.connections.at(-1).binds).toEqual([serviceDN]);
+  });
+
+  it('diretório fora do ar: 503 sem contar como falha de login', async () => {
+    directory.setOnline(false);
+
+    const response = await login('ldap-test-ana@campus.edu.br', 'SenhaDoDiretorio1');
+    expect(response.status).toBe(503);
+    expect(response.body.error.code).toBe('AUTH_PROVIDER_UNAVAILABLE');
+
+    // Usuários locais continuam entrando
+    await login('ldap-test-local@escola.com', 'SenhaLocal1').expect(200);
+  });
+
+  it('valida a lista de provedores', () => {
+    expect(getAuthProviders()).toEqual(['local', 'ldap']);
+    expect(() => setAuthProviders(['kerberos'])).toThrow(
+      /Provedor de autenticação inválido/,
+    );
+    expect(() => setAuthProviders([])).toThrow(/pelo menos um provedor/);
+  });
+});
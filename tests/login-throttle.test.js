@@ -0,0 +1,169 @@
+// tests/login-throttle.test.js
+import {
+  describe,
+  it,
+  expect,
+  beforeAll,
+  afterAll,
+  beforeEach,
+  afterEach,
+  vi,
+} from 'vitest';
+import request from 'supertest';
+import app from '../src/server.js';
+import prisma from '../src/config/database.js';
+import {
+  createMemoryStore,
+  databaseStore,
+  setRateLimitStore,
+} from '../src/config/rateLimit.js';
+import {
+  assertLoginAllowed,
+  registerLoginFailure,
+  lockoutDuration,
+} from '../src/api/v2/services/loginThrottleService.js';
+
+/**
+ * Testes de Bloqueio de Login
+ * Limites padrão: 5 falhas por conta, 20 por IP, bloqueio inicial de 60s
+ */
+
+describe('Bloqueio de Login', () => {
+  const email = 'throttle-test@escola.com';
+  const senha = 'Senha123';
+
+  const login = (loginEmail, loginSenha) =>
+    request(app)
+      .post('/v2/auth/login')
+      .send({ email: loginEmail, senha: loginSenha });
+
+  const failTimes = async (times, loginEmail = email) => {
+    for (let i = 0; i < times; i++) {
+      await login(loginEmail, 'SenhaErrada1').expect(401);
+    }
+  };
+
+  beforeAll(async () => {
+    await prisma.user.deleteMany({
+      where: { email: { contains: 'throttle-test' } },
+    });
+
+    await request(app).post('/v2/auth/register').send({
+      nome: 'Usuário Bloqueio Teste',
+      email,
+      senha,
+    });
+  });
+
+  beforeEach(() => {
+    setRateLimitStore(createMemoryStore());
+  });
+
+  afterAll(async () => {
+    await prisma.user.deleteMany({
+      where: { email: { contains: 'throttle-test' } },
+    });
+    await prisma.loginAttempt.deleteMany({
+      where: { key: { contains: 'throttle-test' } },
+    });
+    await prisma.$disconnect();
+  });
+
+  it('bloqueia a conta após 5 falhas e responde 429 com Retry-After', async () => {
+    await failTimes(5);
+
+    const response = await login(email, senha).expect(429);
+
+    expect(response.body.error.code).toBe('TOO_MANY_REQUESTS');
+    expect(response.headers['retry-after']).toBe('60');
+  });
+
+  it('bloqueia emails inexistentes da mesma forma', async () => {
+    await failTimes(5, 'throttle-test-inexistente@escola.com');
+
+    const response = await login('throttle-test-inexistente@escola.com', senha);
+    expect(response.status).toBe(429);
+  });
+
+  it('login bem-sucedido zera o contador da conta', async () => {
+    await failTimes(4);
+    await login(email, senha).expect(200);
+    await failTimes(4);
+
+    await login(email, senha).expect(200);
+  });
+
+  it('bloqueia o IP após 20 falhas em contas diferentes', async () => {
+    for (let i = 0; i < 20; i++) {
+      await failTimes(1, `throttle-test-ip-${i}@escola.com`);
+    }
+
+    await login(email, senha).expect(429);
+  });
+
+  it('funciona com o store em banco de dados', async () => {
+    setRateLimitStore(databaseStore);
+    await prisma.loginAttempt.deleteMany();
+
+    await failTimes(5);
+    await login(email, senha).expect(429);
+
+    const entry = await prisma.loginAttempt.findUnique({
+      where: { key: `account:${email}` },
+    });
+    expect(entry.failures).toBe(5);
+    expect(entry.lockedUntil).not.toBeNull();
+
+    await prisma.loginAttempt.deleteMany();
+  });
+
+  describe('backoff exponencial', () => {
+    beforeEach(() => {
+      vi.useFakeTimers({ toFake: ['Date'] });
+    });
+
+    afterEach(() => {
+      vi.useRealTimers();
+    });
+
+    it('dobra o bloqueio a cada nova falha até o máximo', () => {
+      expect(lockoutDuration(5, 5)).toBe(60);
+      expect(lockoutDuration(6, 5)).toBe(120);
+      expect(lockoutDuration(7, 5)).toBe(240);
+      expect(lockoutDuration(50, 5)).toBe(3600);
+    });
+
+    it('libera após o bloqueio e volta a bloquear por mais tempo', async () => {
+      const attempt = { email, ip: '203.0.113.10' };
+
+      for (let i = 0; i < 5; i++) {
+        await registerLoginFailure(attempt);
+      }
+      await expect(assertLoginAllowed(attempt)).rejects.toMatchObject({
+        statusCode: 429,
+        retryAfter: 60,
+      });
+
+      vi.setSystemTime(Date.now() + 61 * 1000);
+      await expect(assertLoginAllowed(attempt)).resolves.toBeUndefined();
+
+      await registerLoginFailure(attempt);
+      await expect(assertLoginAllowed(attempt)).rejects.toMatchObject({
+        retryAfter: 120,
+      });
+    });
+
+    it('zera o contador após a janela sem falhas', async () => {
+      const attempt = { email, ip: '203.0.113.11' };
+
+      for (let i = 0; i < 4; i++) {
+        await registerLoginFailure(attempt);
+      }
+
+      vi.setSystemTime(Date.now() + 16 * 60 * 1000);
+      await registerLoginFailure(attempt);
+
+      await expect(assertLoginAllowed(attempt)).resolves.toBeUndefined();
+    });
+  });
+});
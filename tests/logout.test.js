@@ -0,0 +1,145 @@
+// tests/logout.test.js
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import request from 'supertest';
+import app from '../src/server.js';
+import prisma from '../src/config/database.js';
+
+/**
+ * Testes de Logout e Revogação de Tokens
+ * Verifica que tokens revogados deixam de ser aceitos antes de expirar
+ */
+
+describe('Logout e Revogação', () => {
+  const credentials = {
+    email: 'logout-test@escola.com',
+    senha: 'Senha123',
+  };
+
+  beforeAll(async () => {
+    await prisma.user.deleteMany({
+      where: { email: { contains: 'logout-test' } },
+    });
+
+    await request(app)
+      .post('/v2/auth/register')
+      .send({ nome: 'Usuário Logout Teste', ...credentials });
+  });
+
+  afterAll(async () => {
+    await prisma.user.deleteMany({
+      where: { email: { contains: 'logout-test' } },
+    });
+    await prisma.$disconnect();
+  });
+
+  const login = async () => {
+    const response = await request(app)
+      .post('/v2/auth/login')
+      .send(credentials)
+      .expect(200);
+
+    return response.body.data;
+  };
+
+  it('token deve conter claim jti único', async () => {
+    const { token } = await login();
+    const payload = JSON.parse(
+      Buffer.from(token.split('.')[1], 'base64').toString(),
+    );
+
+    expect(payload.jti).toBeDefined();
+  });
+
+  describe('POST /v2/auth/logout', () => {
+    it('deve revogar o token atual', async () => {
+      const { token } = await login();
+
+      await request(app)
+        .post('/v2/auth/logout')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      const response = await request(app)
+        .get('/v2/auth/me')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(401);
+
+      expect(response.body.error.message).toContain('revogado');
+    });
+
+    it('não deve afetar outras sessões do usuário', async () => {
+      const sessaoA = await login();
+      const sessaoB = await login();
+
+      await request(app)
+        .post('/v2/auth/logout')
+        .set('Authorization', `Bearer ${sessaoA.token}`)
+        .expect(200);
+
+      await request(app)
+        .get('/v2/auth/me')
+        .set('Authorization', `Bearer ${sessaoB.token}`)
+        .expect(200);
+    });
+
+    it('deve revogar o refresh token enviado no corpo', async () => {
+      const { token, refreshToken } = await login();
+
+      await request(app)
+        .post('/v2/auth/logout')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ refreshToken })
+        .expect(200);
+
+      const response = await request(app)
+        .post('/v2/auth/refresh')
+        .send({ refreshToken })
+        .expect(401);
+
+      expect(response.body.error.code).toBe('REFRESH_TOKEN_REVOKED');
+    });
+
+    it('deve exigir autenticação', async () => {
+      await request(app).post('/v2/auth/logout').expect(401);
+    });
+  });
+
+  describe('POST /v2/auth/logout-all', () => {
+    it('deve revogar todos os tokens do usuário', async () => {
+      const sessaoA = await login();
+      const sessaoB = await login();
+
+      // Garante que a revogação ocorra em um segundo posterior ao "iat"
+      await new Promise(resolve => setTimeout(resolve, 1100));
+
+      await request(app)
+        .post('/v2/auth/logout-all')
+        .set('Authorization', `Bearer ${sessaoA.token}`)
+        .expect(200);
+
+      await request(app)
+        .get('/v2/auth/me')
+        .set('Authorization', `Bearer ${sessaoA.token}`)
+        .expect(401);
+
+      await request(app)
+        .get('/v2/auth/me')
+        .set('Authorization', `Bearer ${sessaoB.token}`)
+        .expect(401);
+
+      await request(app)
+        .post('/v2/auth/refresh')
+        .send({ refreshToken: sessaoB.refreshToken })
+        .expect(401);
+    });
+
+    it('deve aceitar tokens emitidos após o logout-all', async () => {
+      const { token } = await login();
+
+      await request(app)
+        .get('/v2/auth/me')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+    });
+  });
+});
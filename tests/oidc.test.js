@@ -0,0 +1,169 @@
+// tests/oidc.test.js
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import request from 'supertest';
+import app from '../src/server.js';
+import prisma from '../src/config/database.js';
+import { startMockOidcProvider } from './fixtures/mockOidcProvider.js';
+
+/**
+ * Testes de Login com Provedor de Identidade (OIDC)
+ * GET /v2/auth/oidc/:provider/login e /callback contra um IdP local
+ */
+
+describe('Login OIDC', () => {
+  const clientId = 'gerador-provas';
+  const clientSecret = 'segredo-do-cliente';
+  let idp;
+
+  /**
+   * Executa o fluxo completo: login → IdP → callback
+   * @returns {Promise<Object>} Resposta do callback
+   */
+  const loginFlow = async () => {
+    const start = await request(app).get('/v2/auth/oidc/institucional/login').expect(302);
+
+    const authorize = await fetch(start.headers.location, { redirect: 'manual' });
+    const callback = new URL(authorize.headers.get('location'));
+
+    return request(app).get(`${callback.pathname}${callback.search}`);
+  };
+
+  beforeAll(async () => {
+    await prisma.user.deleteMany({
+      where: { email: { contains: 'oidc-test' } },
+    });
+
+    idp = await startMockOidcProvider({ clientId, clientSecret });
+
+    process.env.OIDC_PROVIDERS = 'institucional';
+    process.env.OIDC_INSTITUCIONAL_ISSUER = idp.issuer;
+    process.env.OIDC_INSTITUCIONAL_CLIENT_ID = clientId;
+    process.env.OIDC_INSTITUCIONAL_CLIENT_SECRET = clientSecret;
+  });
+
+  afterAll(async () => {
+    delete process.env.OIDC_PROVIDERS;
+    await idp.close();
+    await prisma.user.deleteMany({
+      where: { email: { contains: 'oidc-test' } },
+    });
+    await prisma.$disconnect();
+  });
+
+  it('redireciona para o provedor com PKCE S256, state e nonce', async () => {
+    const response = await request(app)
+      .get('/v2/auth/oidc/institucional/login')
+      .expect(302);
+
+    const url = new URL(response.headers.location);
+    expect(url.origin).toBe(idp.issuer);
+    expect(url.searchParams.get('response_type')).toBe('code');
+    expect(url.searchParams.get('client_id')).toBe(clientId);
+    expect(url.searchParams.get('code_challenge_method')).toBe('S256');
+    expect(url.searchParams.get('code_challenge')).toMatch(/^[\w-]{43}$/);
+    expect(url.searchParams.get('state')).toBeTruthy();
+    expect(url.searchParams.get('nonce')).toBeTruthy();
+    expect(url.searchParams.get('redirect_uri')).toMatch(
+      /\/v2\/auth\/oidc\/institucional\/callback$/,
+    );
+  });
+
+  it('provisiona um PROFESSOR no primeiro login e emite os tokens', async () => {
+    idp.setClaims({
+      sub: 'idp-123',
+      email: 'OIDC-TEST-novo@escola.com',
+      email_verified: true,
+      given_name: 'Paula',
+      family_name: 'Reis',
+    });
+
+    const response = await loginFlow();
+    expect(response.status).toBe(200);
+
+    const { user, token, refreshToken } = response.body.data;
+    expect(token).toBeTruthy();
+    expect(refreshToken).toBeTruthy();
+    expect(user).toMatchObject({
+      email: 'oidc-test-novo@escola.com',
+      primeiro_nome: 'Paula',
+      sobrenome: 'Reis',
+      papel: 'PROFESSOR',
+    });
+    expect(user.emailVerifiedAt).not.toBeNull();
+    expect(user).not.toHaveProperty('senha');
+
+    await request(app)
+      .get('/v2/auth/me')
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+  });
+
+  it('encontra a conta existente pelo email', async () => {
+    const existing = await request(app).post('/v2/auth/register').send({
+      primeiro_nome: 'Carlos',
+      sobrenome: 'Melo',
+      email: 'oidc-test-existente@escola.com',
+      senha: 'Senha123',
+    });
+
+    idp.setClaims({
+      sub: 'idp-456',
+      email: 'oidc-test-existente@escola.com',
+      email_verified: true,
+    });
+
+    const response = await loginFlow();
+    expect(response.status).toBe(200);
+    expect(response.body.data.user.id).toBe(existing.body.data.user.id);
+
+    const count = await prisma.user.count({
+      where: { email: 'oidc-test-existente@escola.com' },
+    });
+    expect(count).toBe(1);
+  });
+
+  it('recusa email não verificado pelo provedor', async () => {
+    idp.setClaims({
+      sub: 'idp-789',
+      email: 'oidc-test-naoverificado@escola.com',
+      email_verified: false,
+    });
+
+    const response = await loginFlow();
+    expect(response.status).toBe(403);
+    expect(response.body.error.code).toBe('OIDC_EMAIL_NOT_VERIFIED');
+  });
+
+  it('state só pode ser usado uma vez', async () => {
+    idp.setClaims({
+      sub: 'idp-123',
+      email: 'oidc-test-novo@escola.com',
+      email_verified: true,
+    });
+
+    const start = await request(app).get('/v2/auth/oidc/institucional/login');
+    const authorize = await fetch(start.headers.location, { redirect: 'manual' });
+    const callback = new URL(authorize.headers.get('location'));
+    const path = `${callback.pathname}${callback.search}`;
+
+    await request(app).get(path).expect(200);
+
+    const replay = await request(app).get(path).expect(401);
+    expect(replay.body.error.code).toBe('OIDC_LOGIN_FAILED');
+  });
+
+  it('recusa state desconhecido e erros retornados pelo provedor', async () => {
+    await request(app)
+      .get('/v2/auth/oidc/institucional/callback?code=abc&state=forjado')
+      .expect(401);
+
+    const denied = await request(app)
+      .get('/v2/auth/oidc/institucional/callback?error=access_denied')
+      .expect(401);
+    expect(denied.body.error.message).toContain('access_denied');
+  });
+
+  it('retorna 404 para provedor não configurado', async () => {
+    await request(app).get('/v2/auth/oidc/desconhecido/login').expect(404);
+  });
+});
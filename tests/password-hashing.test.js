@@ -0,0 +1,137 @@
+// tests/password-hashing.test.js
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import request from 'supertest';
+import bcrypt from 'bcrypt';
+import app from '../src/server.js';
+import prisma from '../src/config/database.js';
+import { hashLegacyPasswords } from '../scripts/hash-legacy-passwords.js';
+import { isPasswordHash } from '../src/utils/password.js';
+import { ADMIN, registerUser, loginToken, requestAs } from './helpers.js';
+
+/**
+ * Testes do Módulo Único de Senhas
+ * Senhas gravadas por v1, v2 e AuthService usam o mesmo hash bcrypt
+ */
+
+describe('Hash de Senhas', () => {
+  const login = (email, senha) =>
+    request(app).post('/v2/auth/login').send({ email, senha });
+
+  const storedPassword = async email =>
+    (await prisma.user.findUnique({ where: { email } })).senha;
+
+  let managerToken;
+
+  // Escrita na v1 exige users.create / users.update
+  const asManager = requestAs(() => managerToken);
+
+  beforeAll(async () => {
+    await prisma.user.deleteMany({
+      where: { email: { contains: 'hashing-test' } },
+    });
+
+    await registerUser('hashing-test-manager@escola.com', ADMIN);
+    managerToken = await loginToken('hashing-test-manager@escola.com');
+  });
+
+  afterAll(async () => {
+    await prisma.user.deleteMany({
+      where: { email: { contains: 'hashing-test' } },
+    });
+    await prisma.$disconnect();
+  });
+
+  it('POST /v1/users grava hash e o usuário consegue fazer login', async () => {
+    const email = 'hashing-test-v1@escola.com';
+
+    await asManager('post', '/v1/users')
+      .send({ nome: 'Usuário V1', email, senha: 'Senha123' })
+      .expect(201);
+
+    expect(isPasswordHash(await storedPassword(email))).toBe(true);
+    await login(email, 'Senha123').expect(200);
+  });
+
+  it('PUT /v1/users/:id grava hash da nova senha', async () => {
+    const email = 'hashing-test-v1@escola.com';
+    const user = await prisma.user.findUnique({ where: { email } });
+
+    await asManager('put', `/v1/users/${user.id}`)
+      .send({ senha: 'NovaSenha456' })
+      .expect(200);
+
+    expect(isPasswordHash(await storedPassword(email))).toBe(true);
+    await login(email, 'NovaSenha456').expect(200);
+  });
+
+  it('POST /v2/users (ADMIN) grava hash e o usuário consegue fazer login', async () => {
+    const adminEmail = 'hashing-test-admin@escola.com';
+    await prisma.user.create({
+      data: {
+        nome: 'Admin Hash',
+        email: adminEmail,
+        senha: await bcrypt.hash('Senha123', 10),
+        papel: 'ADMIN',
+        tipo_usuario: 'admin',
+        emailVerifiedAt: new Date(),
+      },
+    });
+    const { token } = (await login(adminEmail, 'Senha123')).body.data;
+
+    const email = 'hashing-test-v2@escola.com';
+    await request(app)
+      .post('/v2/users')
+      .set('Authorization', `Bearer ${token}`)
+      .send({
+        primeiro_nome: 'Usuário',
+        sobrenome: 'V2',
+        email,
+        senha: 'Senha123',
+      })
+      .expect(201);
+
+    expect(isPasswordHash(await storedPassword(email))).toBe(true);
+    await login(email, 'Senha123').expect(200);
+  });
+
+  it('senha legada em texto puro não é aceita até a migração', async () => {
+    const email = 'hashing-test-legacy@escola.com';
+    await prisma.user.create({
+      data: { nome: 'Usuário Legado', email, senha: 'Senha123' },
+    });
+
+    await login(email, 'Senha123').expect(401);
+
+    const dryRun = await hashLegacyPasswords({ dryRun: true });
+    expect(dryRun.hashed).toBeGreaterThanOrEqual(1);
+    expect(await storedPassword(email)).toBe('Senha123');
+
+    await hashLegacyPasswords();
+
+    expect(isPasswordHash(await storedPassword(email))).toBe(true);
+    await login(email, 'Senha123').expect(200);
+
+    // Executar de novo não altera hashes existentes
+    const hash = await storedPassword(email);
+    const second = await hashLegacyPasswords();
+    expect(second.hashed).toBe(0);
+    expect(await storedPassword(email)).toBe(hash);
+  });
+
+  it('refaz o hash no login quando BCRYPT_SALT_ROUNDS aumenta', async () => {
+    const email = 'hashing-test-rehash@escola.com';
+    await prisma.user.create({
+      data: {
+        nome: 'Usuário Rehash',
+        email,
+        senha: await bcrypt.hash('Senha123', 4),
+      },
+    });
+
+    await login(email, 'Senha123').expect(200);
+
+    const hash = await storedPassword(email);
+    expect(bcrypt.getRounds(hash)).toBe(10);
+    expect(await bcrypt.compare('Senha123', hash)).toBe(true);
+  });
+});
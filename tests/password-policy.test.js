@@ -0,0 +1,223 @@
+// tests/password-policy.test.js
+import { describe, it, expect, beforeAll, afterAll, afterEach } from 'vitest';
+import request from 'supertest';
+import app from '../src/server.js';
+import prisma from '../src/config/database.js';
+import { checkPassword } from '../src/utils/passwordPolicy.js';
+import { requestResetToken } from './helpers.js';
+
+/**
+ * Testes da Política de Senhas
+ * Regras de formato, senhas comuns, reuso e validade máxima
+ */
+
+describe('Política de Senhas', () => {
+  const email = 'policy-test@escola.com';
+  const adminEmail = 'policy-test-admin@escola.com';
+
+  const codes = violations => violations.map(v => v.code);
+
+  const login = senha =>
+    request(app).post('/v2/auth/login').send({ email, senha });
+
+  beforeAll(async () => {
+    await prisma.user.deleteMany({
+      where: { email: { contains: 'policy-test' } },
+    });
+    await prisma.outboxEmail.deleteMany({ where: { to: email } });
+
+    await request(app)
+      .post('/v2/auth/register')
+      .send({ primeiro_nome: 'Paula', sobrenome: 'Souza', email, senha: 'Senha123' })
+      .expect(201);
+
+    await request(app)
+      .post('/v2/auth/register')
+      .send({ primeiro_nome: 'Admin', sobrenome: 'Souza', email: adminEmail, senha: 'Senha123' })
+      .expect(201);
+    await prisma.user.update({
+      where: { email: adminEmail },
+      data: { papel: 'ADMIN', tipo_usuario: 'admin', emailVerifiedAt: new Date() },
+    });
+  });
+
+  afterEach(() => {
+    delete process.env.PASSWORD_REQUIRE_SYMBOL;
+    delete process.env.PASSWORD_MIN_LENGTH;
+    delete process.env.PASSWORD_HISTORY_SIZE;
+    delete process.env.PASSWORD_MAX_AGE_DAYS;
+  });
+
+  afterAll(async () => {
+    await prisma.user.deleteMany({
+      where: { email: { contains: 'policy-test' } },
+    });
+    await prisma.outboxEmail.deleteMany({ where: { to: email } });
+    await prisma.$disconnect();
+  });
+
+  describe('checkPassword', () => {
+    it('retorna uma violação por regra', () => {
+      expect(codes(checkPassword('Senha123'))).toEqual([]);
+      expect(codes(checkPassword('abc'))).toEqual([
+        'PASSWORD_TOO_SHORT',
+        'PASSWORD_MISSING_UPPERCASE',
+        'PASSWORD_MISSING_DIGIT',
+      ]);
+      expect(codes(checkPassword('a'.repeat(101)))).toContain('PASSWORD_TOO_LONG');
+    });
+
+    it('recusa senhas comuns ignorando maiúsculas', () => {
+      expect(codes(checkPassword('Password123'))).toEqual(['PASSWORD_TOO_COMMON']);
+      expect(codes(checkPassword('QWERTY123'))).toContain('PASSWORD_TOO_COMMON');
+    });
+
+    it('segue a configuração do ambiente', () => {
+      process.env.PASSWORD_REQUIRE_SYMBOL = 'true';
+      process.env.PASSWORD_MIN_LENGTH = '12';
+
+      expect(codes(checkPassword('Senha123'))).toEqual([
+        'PASSWORD_TOO_SHORT',
+        'PASSWORD_MISSING_SYMBOL',
+      ]);
+      expect(checkPassword('Senha123!Longa')).toEqual([]);
+    });
+  });
+
+  describe('schemas', () => {
+    it('aplica a mesma política no registro, na v1 e na v2', async () => {
+      const register = await request(app)
+        .post('/v2/auth/register')
+        .send({
+          primeiro_nome: 'Comum',
+          sobrenome: 'Senha',
+          email: 'policy-test-comum@escola.com',
+          senha: 'Password123',
+        })
+        .expect(400);
+      expect(register.body.error.details).toEqual([
+        expect.objectContaining({
+          path: ['senha'],
+          params: { code: 'PASSWORD_TOO_COMMON' },
+        }),
+      ]);
+
+      const { token } = (
+        await request(app)
+          .post('/v2/auth/login')
+          .send({ email: adminEmail, senha: 'Senha123' })
+          .expect(200)
+      ).body.data;
+
+      const v1 = await request(app)
+        .post('/v1/users')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ nome: 'Curta', email: 'policy-test-v1@escola.com', senha: 'curta' })
+        .expect(400);
+      expect(v1.body.error.details).toEqual(
+        expect.arrayContaining([
+          expect.objectContaining({ field: 'senha', code: 'PASSWORD_TOO_SHORT' }),
+          expect.objectContaining({ field: 'senha', code: 'PASSWORD_MISSING_UPPERCASE' }),
+          expect.objectContaining({ field: 'senha', code: 'PASSWORD_MISSING_DIGIT' }),
+        ]),
+      );
+
+      // Antes a v2 aceitava qualquer senha com 6 caracteres
+      const v2 = await request(app)
+        .post('/v2/users')
+        .set('Authorization', `Bearer ${token}`)
+        .send({
+          primeiro_nome: 'Seis',
+          sobrenome: 'Letras',
+          email: 'policy-test-v2@escola.com',
+          senha: 'abcdef',
+        })
+        .expect(400);
+      expect(v2.body.error.details.map(d => d.code)).toContain('PASSWORD_TOO_COMMON');
+    });
+  });
+
+  describe('reuso de senhas', () => {
+    it('recusa voltar para uma das últimas senhas', async () => {
+      let { token } = (await login('Senha123').expect(200)).body.data;
+
+      ({ token } = (
+        await request(app)
+          .post('/v2/auth/me/password')
+          .set('Authorization', `Bearer ${token}`)
+          .send({ senhaAtual: 'Senha123', novaSenha: 'Primeira123' })
+          .expect(200)
+      ).body.data);
+
+      const response = await request(app)
+        .post('/v2/auth/me/password')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ senhaAtual: 'Primeira123', novaSenha: 'Senha123' })
+        .expect(400);
+
+      expect(response.body.error.code).toBe('VALIDATION_ERROR');
+      expect(response.body.error.details).toEqual([
+        expect.objectContaining({ field: 'novaSenha', code: 'PASSWORD_REUSED' }),
+      ]);
+    });
+
+    it('na redefinição, a senha recusada não consome o token', async () => {
+      const resetToken = await requestResetToken(email);
+
+      const reused = await request(app)
+        .post('/v2/auth/reset-password')
+        .send({ token: resetToken, senha: 'Senha123' })
+        .expect(400);
+      expect(reused.body.error.details[0].code).toBe('PASSWORD_REUSED');
+
+      await request(app)
+        .post('/v2/auth/reset-password')
+        .send({ token: resetToken, senha: 'Segunda123' })
+        .expect(200);
+
+      await login('Segunda123').expect(200);
+    });
+
+    it('mantém apenas PASSWORD_HISTORY_SIZE senhas no histórico', async () => {
+      process.env.PASSWORD_HISTORY_SIZE = '2';
+
+      await request(app)
+        .post('/v2/auth/reset-password')
+        .send({ token: await requestResetToken(email), senha: 'Terceira123' })
+        .expect(200);
+
+      const user = await prisma.user.findUnique({
+        where: { email },
+        include: { passwordHistory: true },
+      });
+      expect(user.passwordHistory).toHaveLength(2);
+
+      // Fora do histórico, a primeira senha volta a ser aceita
+      await request(app)
+        .post('/v2/auth/reset-password')
+        .send({ token: await requestResetToken(email), senha: 'Senha123' })
+        .expect(200);
+    });
+  });
+
+  describe('validade máxima', () => {
+    it('recusa login com senha vencida até a redefinição', async () => {
+      process.env.PASSWORD_MAX_AGE_DAYS = '90';
+
+      await prisma.user.update({
+        where: { email },
+        data: { passwordChangedAt: new Date(Date.now() - 91 * 24 * 60 * 60 * 1000) },
+      });
+
+      const expired = await login('Senha123').expect(403);
+      expect(expired.body.error.code).toBe('PASSWORD_EXPIRED');
+
+      await request(app)
+        .post('/v2/auth/reset-password')
+        .send({ token: await requestResetToken(email), senha: 'Renovada123' })
+        .expect(200);
+
+      await login('Renovada123').expect(200);
+    });
+  });
+});
@@ -0,0 +1,209 @@
+// tests/password-reset.test.js
+import { describe, it, expect, beforeAll, afterAll, vi } from 'vitest';
+import request from 'supertest';
+import app from '../src/server.js';
+import prisma from '../src/config/database.js';
+import { outboxTransport, setMailTransport } from '../src/config/mail.js';
+import { processMailJobs } from '../src/api/v2/services/mailQueueService.js';
+import { requestResetToken } from './helpers.js';
+
+/**
+ * Testes de Recuperação de Senha
+ * Usa o transporte "outbox" para ler os emails enviados
+ */
+
+describe('Recuperação de Senha', () => {
+  const email = 'reset-test@escola.com';
+
+  beforeAll(async () => {
+    await prisma.user.deleteMany({
+      where: { email: { contains: 'reset-test' } },
+    });
+    await prisma.outboxEmail.deleteMany({ where: { to: email } });
+
+    await request(app).post('/v2/auth/register').send({
+      nome: 'Usuário Reset Teste',
+      email,
+      senha: 'Senha123',
+    });
+  });
+
+  afterAll(async () => {
+    await prisma.user.deleteMany({
+      where: { email: { contains: 'reset-test' } },
+    });
+    await prisma.outboxEmail.deleteMany({ where: { to: email } });
+    await prisma.mailJob.deleteMany({
+      where: { to: { contains: 'reset-test' } },
+    });
+    await prisma.$disconnect();
+  });
+
+  describe('POST /v2/auth/forgot-password', () => {
+    it('deve enviar email com link de redefinição', async () => {
+      const token = await requestResetToken(email);
+
+      expect(token).toBeDefined();
+
+      // Apenas o hash do token é armazenado
+      const armazenado = await prisma.userToken.findFirst({
+        where: { user: { email }, usedAt: null },
+      });
+      expect(armazenado.tokenHash).not.toBe(token);
+    });
+
+    it('deve gravar o pedido na fila antes de responder', async () => {
+      await request(app)
+        .post('/v2/auth/forgot-password')
+        .send({ email: 'reset-test-fila@escola.com' })
+        .expect(200);
+
+      const jobs = await prisma.mailJob.findMany({
+        where: { to: 'reset-test-fila@escola.com' },
+      });
+      expect(jobs).toEqual([
+        expect.objectContaining({ type: 'PASSWORD_RESET' }),
+      ]);
+    });
+
+    it('deve responder igual para email inexistente', async () => {
+      const response = await request(app)
+        .post('/v2/auth/forgot-password')
+        .send({ email: 'reset-test-inexistente@escola.com' })
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+
+      const enviados = await prisma.outboxEmail.count({
+        where: { to: 'reset-test-inexistente@escola.com' },
+      });
+      expect(enviados).toBe(0);
+    });
+
+    it('deve responder igual quando o envio do email falha', async () => {
+      let tentativas = 0;
+      setMailTransport({
+        name: 'falha',
+        async send() {
+          tentativas++;
+          throw new Error('SMTP indisponível');
+        },
+      });
+
+      try {
+        const existente = await request(app)
+          .post('/v2/auth/forgot-password')
+          .send({ email })
+          .expect(200);
+        const inexistente = await request(app)
+          .post('/v2/auth/forgot-password')
+          .send({ email: 'reset-test-inexistente@escola.com' })
+          .expect(200);
+
+        expect(existente.body).toEqual(inexistente.body);
+
+        // A entrega acontece depois da resposta
+        await vi.waitFor(() => expect(tentativas).toBe(1));
+      } finally {
+        setMailTransport(outboxTransport);
+      }
+
+      // O pedido fica na fila e é entregue na próxima execução
+      const job = await vi.waitFor(async () => {
+        const pendente = await prisma.mailJob.findFirst({
+          where: { to: email, processedAt: null },
+        });
+        expect(pendente).toMatchObject({
+          attempts: 1,
+          lastError: 'SMTP indisponível',
+          lockedAt: null,
+        });
+        return pendente;
+      });
+
+      const enviados = await prisma.outboxEmail.count({ where: { to: email } });
+      await processMailJobs();
+
+      expect(
+        await prisma.mailJob.findUnique({ where: { id: job.id } }),
+      ).toMatchObject({ processedAt: expect.any(Date) });
+      expect(await prisma.outboxEmail.count({ where: { to: email } })).toBe(
+        enviados + 1,
+      );
+    });
+  });
+
+  describe('POST /v2/auth/reset-password', () => {
+    it('deve redefinir a senha e permitir login com a nova senha', async () => {
+      const token = await requestResetToken(email);
+
+      await request(app)
+        .post('/v2/auth/reset-password')
+        .send({ token, senha: 'NovaSenha123' })
+        .expect(200);
+
+      await request(app)
+        .post('/v2/auth/login')
+        .send({ email, senha: 'Senha123' })
+        .expect(401);
+
+      await request(app)
+        .post('/v2/auth/login')
+        .send({ email, senha: 'NovaSenha123' })
+        .expect(200);
+    });
+
+    it('não deve permitir reutilizar o token', async () => {
+      const token = await requestResetToken(email);
+
+      await request(app)
+        .post('/v2/auth/reset-password')
+        .send({ token, senha: 'OutraSenha123' })
+        .expect(200);
+
+      const response = await request(app)
+        .post('/v2/auth/reset-password')
+        .send({ token, senha: 'MaisUmaSenha123' })
+        .expect(400);
+
+      expect(response.body.error.code).toBe('INVALID_TOKEN');
+    });
+
+    it('deve invalidar token anterior ao solicitar um novo', async () => {
+      const primeiro = await requestResetToken(email);
+      await requestResetToken(email);
+
+      const response = await request(app)
+        .post('/v2/auth/reset-password')
+        .send({ token: primeiro, senha: 'Senha123Nova' })
+        .expect(400);
+
+      expect(response.body.error.code).toBe('INVALID_TOKEN');
+    });
+
+    it('deve rejeitar token expirado', async () => {
+      const token = await requestResetToken(email);
+
+      await prisma.userToken.updateMany({
+        where: { user: { email }, usedAt: null },
+        data: { expiresAt: new Date(Date.now() - 1000) },
+      });
+
+      await request(app)
+        .post('/v2/auth/reset-password')
+        .send({ token, senha: 'Senha123Nova' })
+        .expect(400);
+    });
+
+    it('deve aplicar as regras de senha', async () => {
+      const token = await requestResetToken(email);
+
+      const response = await request(app)
+        .post('/v2/auth/reset-password')
+        .send({ token, senha: 'fraca' })
+        .expect(400);
+
+      expect(response.body.error.code).toBe('VALIDATION_ERROR');
+    });
+  });
+});
@@ -0,0 +1,167 @@
+// tests/profile.test.js
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import request from 'supertest';
+import app from '../src/server.js';
+import prisma from '../src/config/database.js';
+
+/**
+ * Testes de Autoatendimento do Perfil
+ * PATCH /v2/auth/me e POST /v2/auth/me/password
+ */
+
+describe('Perfil do Usuário Autenticado', () => {
+  const email = 'profile-test@escola.com';
+  let token;
+  let refreshToken;
+  let userId;
+
+  beforeAll(async () => {
+    await prisma.user.deleteMany({
+      where: { email: { contains: 'profile-test' } },
+    });
+
+    const response = await request(app).post('/v2/auth/register').send({
+      primeiro_nome: 'Ana',
+      sobrenome: 'Lima',
+      email,
+      senha: 'Senha123',
+    });
+
+    userId = response.body.data.user.id;
+    refreshToken = response.body.data.refreshToken;
+
+    await prisma.user.update({
+      where: { id: userId },
+      data: { emailVerifiedAt: new Date() },
+    });
+
+    token = (
+      await request(app)
+        .post('/v2/auth/login')
+        .send({ email, senha: 'Senha123' })
+    ).body.data.token;
+  });
+
+  afterAll(async () => {
+    await prisma.user.deleteMany({
+      where: { email: { contains: 'profile-test' } },
+    });
+    await prisma.$disconnect();
+  });
+
+  describe('PATCH /v2/auth/me', () => {
+    it('atualiza campos de perfil e mantém "nome" sincronizado', async () => {
+      const response = await request(app)
+        .patch('/v2/auth/me')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ sobrenome: 'Souza', telefone: '(11) 98765-4321' })
+        .expect(200);
+
+      expect(response.body.data.user.sobrenome).toBe('Souza');
+      expect(response.body.data.user.nome).toBe('Ana Souza');
+      expect(response.body.data.user.telefone).toBe('(11) 98765-4321');
+      expect(response.body.data.user.senha).toBeUndefined();
+    });
+
+    it.each([
+      { papel: 'ADMIN' },
+      { tipo_usuario: 'admin' },
+      { senha: 'OutraSenha1' },
+      { email: 'profile-test-outro@escola.com' },
+    ])('rejeita campo não permitido: %o', async body => {
+      const response = await request(app)
+        .patch('/v2/auth/me')
+        .set('Authorization', `Bearer ${token}`)
+        .send(body)
+        .expect(400);
+
+      expect(response.body.error.code).toBe('VALIDATION_ERROR');
+
+      const user = await prisma.user.findUnique({ where: { id: userId } });
+      expect(user.papel).toBe('PROFESSOR');
+      expect(user.email).toBe(email);
+    });
+
+    it('rejeita corpo vazio', async () => {
+      await request(app)
+        .patch('/v2/auth/me')
+        .set('Authorization', `Bearer ${token}`)
+        .send({})
+        .expect(400);
+    });
+
+    it('requer autenticação', async () => {
+      await request(app).patch('/v2/auth/me').send({ sobrenome: 'X' }).expect(401);
+    });
+  });
+
+  describe('PUT /v2/users/:id', () => {
+    it('não permite ao próprio usuário alterar tipo_usuario ou senha', async () => {
+      const response = await request(app)
+        .put(`/v2/users/${userId}`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ tipo_usuario: 'admin' })
+        .expect(403);
+
+      expect(response.body.error.code).toBe('FORBIDDEN');
+    });
+  });
+
+  describe('POST /v2/auth/me/password', () => {
+    it('rejeita senha atual incorreta', async () => {
+      const response = await request(app)
+        .post('/v2/auth/me/password')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ senhaAtual: 'Errada123', novaSenha: 'NovaSenha456' })
+        .expect(400);
+
+      expect(response.body.error.code).toBe('INVALID_CURRENT_PASSWORD');
+    });
+
+    it('rejeita nova senha fraca', async () => {
+      const response = await request(app)
+        .post('/v2/auth/me/password')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ senhaAtual: 'Senha123', novaSenha: 'fraca' })
+        .expect(400);
+
+      expect(response.body.error.code).toBe('VALIDATION_ERROR');
+    });
+
+    it('troca a senha, encerra as outras sessões e retorna tokens novos', async () => {
+      const response = await request(app)
+        .post('/v2/auth/me/password')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ senhaAtual: 'Senha123', novaSenha: 'NovaSenha456' })
+        .expect(200);
+
+      const { token: newToken } = response.body.data;
+      expect(response.body.data.refreshToken).toBeDefined();
+
+      // Senha armazenada com hash bcrypt
+      const user = await prisma.user.findUnique({ where: { id: userId } });
+      expect(user.senha).toMatch(/^\$2[aby]\$/);
+
+      // Sessões anteriores foram encerradas
+      await request(app)
+        .get('/v2/auth/me')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(401);
+      await request(app)
+        .post('/v2/auth/refresh')
+        .send({ refreshToken })
+        .expect(401);
+
+      // A sessão atual continua com os novos tokens
+      await request(app)
+        .get('/v2/auth/me')
+        .set('Authorization', `Bearer ${newToken}`)
+        .expect(200);
+
+      await request(app)
+        .post('/v2/auth/login')
+        .send({ email, senha: 'NovaSenha456' })
+        .expect(200);
+    });
+  });
+});
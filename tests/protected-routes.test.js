@@ -35,6 +35,12 @@ describe("Rotas Protegidas - Autenticação JWT", () => {
     validToken = registerResponse.body.data.token;
     testUserId = registerResponse.body.data.user.id;
 
+    // Confirmar email (ações de escrita exigem email verificado)
+    await prisma.user.update({
+      where: { id: testUserId },
+      data: { emailVerifiedAt: new Date() },
+    });
+
     console.log("Token obtido para testes:", validToken ? "✅" : "❌");
   });
 
@@ -97,7 +103,7 @@ describe("Rotas Protegidas - Autenticação JWT", () => {
           primeiro_nome: "Teste",
           sobrenome: "Sem Token",
           email: "semtoken@escola.com",
-          senha: "senha123",
+          senha: "Senha123",
         })
         .expect(401);
 
@@ -148,7 +154,7 @@ describe("Rotas Protegidas - Autenticação JWT", () => {
           primeiro_nome: "Teste",
           sobrenome: "Token Invalido",
           email: "tokeninvalido@escola.com",
-          senha: "senha123",
+          senha: "Senha123",
         })
         .expect(401);
 
@@ -163,7 +169,7 @@ describe("Rotas Protegidas - Autenticação JWT", () => {
           primeiro_nome: "Teste",
           sobrenome: "Sem Bearer",
           email: "sembearer@escola.com",
-          senha: "senha123",
+          senha: "Senha123",
         })
         .expect(401);
 
@@ -182,7 +188,7 @@ describe("Rotas Protegidas - Autenticação JWT", () => {
           primeiro_nome: "Teste",
           sobrenome: "Token Expirado",
           email: "expirado@escola.com",
-          senha: "senha123",
+          senha: "Senha123",
         })
         .expect(401);
 
@@ -203,7 +209,7 @@ describe("Rotas Protegidas - Autenticação JWT", () => {
           primeiro_nome: "Novo",
           sobrenome: "Usuario",
           email: `protected-test-new-${Date.now()}@escola.com`,
-          senha: "senha123",
+          senha: "Senha123",
           tipo_usuario: "professor",
         })
         .expect(201);
@@ -0,0 +1,115 @@
+// tests/refresh-token.test.js
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import request from 'supertest';
+import app from '../src/server.js';
+import prisma from '../src/config/database.js';
+
+/**
+ * Testes de Refresh Token
+ * Verifica emissão, rotação e detecção de reuso
+ */
+
+describe('Refresh Tokens', () => {
+  const credentials = {
+    email: 'refresh-test@escola.com',
+    senha: 'Senha123',
+  };
+
+  beforeAll(async () => {
+    await prisma.user.deleteMany({
+      where: { email: { contains: 'refresh-test' } },
+    });
+
+    await request(app)
+      .post('/v2/auth/register')
+      .send({ nome: 'Usuário Refresh Teste', ...credentials });
+  });
+
+  afterAll(async () => {
+    await prisma.user.deleteMany({
+      where: { email: { contains: 'refresh-test' } },
+    });
+    await prisma.$disconnect();
+  });
+
+  const login = async () => {
+    const response = await request(app)
+      .post('/v2/auth/login')
+      .send(credentials)
+      .expect(200);
+
+    return response.body.data;
+  };
+
+  it('login deve retornar access token e refresh token', async () => {
+    const { token, refreshToken } = await login();
+
+    expect(token).toBeDefined();
+    expect(refreshToken).toBeDefined();
+    expect(refreshToken).not.toBe(token);
+  });
+
+  it('deve trocar refresh token por um novo par de tokens', async () => {
+    const { refreshToken } = await login();
+
+    const response = await request(app)
+      .post('/v2/auth/refresh')
+      .send({ refreshToken })
+      .expect(200);
+
+    expect(response.body.success).toBe(true);
+    expect(response.body.data.token).toBeDefined();
+    expect(response.body.data.refreshToken).toBeDefined();
+    expect(response.body.data.refreshToken).not.toBe(refreshToken);
+
+    // Novo access token deve funcionar em rota protegida
+    await request(app)
+      .get('/v2/auth/me')
+      .set('Authorization', `Bearer ${response.body.data.token}`)
+      .expect(200);
+  });
+
+  it('deve revogar a família inteira ao reutilizar um refresh token', async () => {
+    const { refreshToken } = await login();
+
+    // Primeira rotação (legítima)
+    const rotated = await request(app)
+      .post('/v2/auth/refresh')
+      .send({ refreshToken })
+      .expect(200);
+
+    // Replay do token antigo
+    const replay = await request(app)
+      .post('/v2/auth/refresh')
+      .send({ refreshToken })
+      .expect(401);
+
+    expect(replay.body.error.code).toBe('REFRESH_TOKEN_REUSED');
+
+    // O token emitido na rotação também deve ter sido revogado
+    const afterReplay = await request(app)
+      .post('/v2/auth/refresh')
+      .send({ refreshToken: rotated.body.data.refreshToken })
+      .expect(401);
+
+    expect(afterReplay.body.error.code).toBe('REFRESH_TOKEN_REVOKED');
+  });
+
+  it('deve rejeitar refresh token inexistente', async () => {
+    const response = await request(app)
+      .post('/v2/auth/refresh')
+      .send({ refreshToken: 'token-que-nao-existe' })
+      .expect(401);
+
+    expect(response.body.error.code).toBe('INVALID_REFRESH_TOKEN');
+  });
+
+  it('deve rejeitar requisição sem refresh token', async () => {
+    const response = await request(app)
+      .post('/v2/auth/refresh')
+      .send({})
+      .expect(400);
+
+    expect(response.body.error.code).toBe('VALIDATION_ERROR');
+  });
+});
@@ -0,0 +1,222 @@
+// tests/roles.test.js
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import request from 'supertest';
+import app from '../src/server.js';
+import prisma from '../src/config/database.js';
+import { ADMIN, registerUser, login, loginToken, requestAs } from './helpers.js';
+
+/**
+ * Testes de Papéis e Permissões (RBAC)
+ * /v2/roles, PUT /v2/users/:id/role e requirePermission
+ */
+
+describe('Papéis e Permissões', () => {
+  const adminEmail = 'roles-test-admin@escola.com';
+  const email = 'roles-test@escola.com';
+  let adminToken;
+  let userId;
+  let roleId;
+
+  const asAdmin = requestAs(() => adminToken);
+
+  beforeAll(async () => {
+    await prisma.user.deleteMany({
+      where: { email: { contains: 'roles-test' } },
+    });
+    await prisma.role.deleteMany({
+      where: { name: { in: ['SECRETARIA', 'SECRETARIA_GERAL'] } },
+    });
+
+    await registerUser(adminEmail, ADMIN);
+    adminToken = await loginToken(adminEmail);
+
+    userId = await registerUser(email);
+  });
+
+  afterAll(async () => {
+    await prisma.user.deleteMany({
+      where: { email: { contains: 'roles-test' } },
+    });
+    await prisma.role.deleteMany({
+      where: { name: { in: ['SECRETARIA', 'SECRETARIA_GERAL'] } },
+    });
+    await prisma.$disconnect();
+  });
+
+  it('papéis ADMIN e PROFESSOR vêm semeados com permissões', async () => {
+    const response = await asAdmin('get', '/v2/roles').expect(200);
+
+    const admin = response.body.data.find(role => role.name === 'ADMIN');
+    const professor = response.body.data.find(role => role.name === 'PROFESSOR');
+
+    expect(admin.system).toBe(true);
+    expect(admin.permissions).toEqual(
+      expect.arrayContaining(['users.delete', 'roles.manage', 'exams.publish']),
+    );
+    expect(professor.permissions).toContain('exams.publish');
+    expect(professor.permissions).not.toContain('users.delete');
+
+    const permissions = await asAdmin('get', '/v2/roles/permissions').expect(200);
+    expect(permissions.body.data.map(p => p.key)).toContain('users.delete');
+  });
+
+  it('exige a permissão roles.manage', async () => {
+    const token = await loginToken(email);
+
+    const response = await request(app)
+      .get('/v2/roles')
+      .set('Authorization', `Bearer ${token}`)
+      .expect(403);
+
+    expect(response.body.error.message).toContain('roles.manage');
+  });
+
+  it('cria papel com permissões do catálogo', async () => {
+    const unknown = await asAdmin('post', '/v2/roles')
+      .send({ name: 'secretaria', permissions: ['users.read', 'exams.delete'] })
+      .expect(400);
+    expect(unknown.body.error.details).toEqual([
+      expect.objectContaining({ code: 'UNKNOWN_PERMISSION' }),
+    ]);
+
+    const response = await asAdmin('post', '/v2/roles')
+      .send({
+        name: 'secretaria',
+        description: 'Secretaria acadêmica',
+        permissions: ['users.read', 'invitations.manage'],
+      })
+      .expect(201);
+
+    roleId = response.body.data.id;
+    expect(response.body.data).toMatchObject({
+      name: 'SECRETARIA',
+      system: false,
+      permissions: ['invitations.manage', 'users.read'],
+      users: 0,
+    });
+
+    await asAdmin('post', '/v2/roles').send({ name: 'SECRETARIA' }).expect(409);
+  });
+
+  it('o papel atribuído define o acesso do usuário', async () => {
+    await asAdmin('put', `/v2/users/${userId}/role`)
+      .send({ papel: 'INEXISTENTE' })
+      .expect(404);
+
+    const assigned = await asAdmin('put', `/v2/users/${userId}/role`)
+      .send({ papel: 'secretaria' })
+      .expect(200);
+    expect(assigned.body.data).toMatchObject({
+      papel: 'SECRETARIA',
+      tipo_usuario: 'secretaria',
+    });
+
+    const token = await loginToken(email);
+    const victimId = await registerUser('roles-test-removido@escola.com');
+
+    await request(app)
+      .get('/v2/invites')
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+
+    await request(app)
+      .delete(`/v2/users/${victimId}`)
+      .set('Authorization', `Bearer ${token}`)
+      .expect(403);
+
+    // Alterações no papel valem na hora (o cache é limpo)
+    await asAdmin('patch', `/v2/roles/${roleId}`)
+      .send({ permissions: ['users.read', 'users.delete'] })
+      .expect(200);
+
+    await request(app)
+      .delete(`/v2/users/${victimId}`)
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+
+    await request(app)
+      .get('/v2/invites')
+      .set('Authorization', `Bearer ${token}`)
+      .expect(403);
+  });
+
+  it('PUT /v2/users/:id com novo papel ou nova senha encerra as sessões', async () => {
+    const outroEmail = 'roles-test-sessoes@escola.com';
+    const outroId = await registerUser(outroEmail);
+
+    const expectRevoked = async ({ token, refreshToken }) => {
+      await request(app)
+        .get('/v2/auth/me')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(401);
+      await request(app)
+        .post('/v2/auth/refresh')
+        .send({ refreshToken })
+        .expect(401);
+    };
+
+    let session = (await login(outroEmail).expect(200)).body.data;
+    await asAdmin('put', `/v2/users/${outroId}`)
+      .send({ tipo_usuario: 'admin' })
+      .expect(200);
+    await expectRevoked(session);
+
+    // Sem mudança de papel as sessões continuam
+    session = (await login(outroEmail).expect(200)).body.data;
+    await asAdmin('put', `/v2/users/${outroId}`)
+      .send({ tipo_usuario: 'admin', telefone: '11999990000' })
+      .expect(200);
+    await request(app)
+      .get('/v2/auth/me')
+      .set('Authorization', `Bearer ${session.token}`)
+      .expect(200);
+
+    await asAdmin('put', `/v2/users/${outroId}`)
+      .send({ senha: 'NovaSenha123' })
+      .expect(200);
+    await expectRevoked(session);
+    await login(outroEmail, 'NovaSenha123').expect(200);
+  });
+
+  it('renomear o papel acompanha os usuários', async () => {
+    await asAdmin('patch', `/v2/roles/${roleId}`)
+      .send({ name: 'secretaria_geral' })
+      .expect(200);
+
+    const user = await prisma.user.findUnique({ where: { id: userId } });
+    expect(user).toMatchObject({
+      papel: 'SECRETARIA_GERAL',
+      tipo_usuario: 'secretaria_geral',
+    });
+  });
+
+  it('protege papéis de sistema e papéis em uso', async () => {
+    const { body } = await asAdmin('get', '/v2/roles').expect(200);
+    const admin = body.data.find(role => role.name === 'ADMIN');
+    const professor = body.data.find(role => role.name === 'PROFESSOR');
+
+    await asAdmin('patch', `/v2/roles/${admin.id}`)
+      .send({ permissions: [] })
+      .expect(400);
+    await asAdmin('patch', `/v2/roles/${professor.id}`)
+      .send({ name: 'DOCENTE' })
+      .expect(400);
+    await asAdmin('delete', `/v2/roles/${professor.id}`).expect(400);
+
+    await asAdmin('delete', `/v2/roles/${roleId}`).expect(409);
+
+    const token = await loginToken(email);
+
+    await asAdmin('put', `/v2/users/${userId}/role`)
+      .send({ papel: 'PROFESSOR' })
+      .expect(200);
+
+    // O token com o papel antigo deixa de valer na hora
+    await request(app)
+      .get('/v2/auth/me')
+      .set('Authorization', `Bearer ${token}`)
+      .expect(401);
+    await asAdmin('delete', `/v2/roles/${roleId}`).expect(200);
+    await asAdmin('get', `/v2/roles/${roleId}`).expect(404);
+  });
+});
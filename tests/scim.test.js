@@ -0,0 +1,301 @@
+// tests/scim.test.js
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import request from 'supertest';
+import app from '../src/server.js';
+import prisma from '../src/config/database.js';
+
+/**
+ * Testes da API SCIM 2.0
+ * /scim/v2/Users autenticado com SCIM_BEARER_TOKEN
+ */
+
+describe('SCIM /scim/v2/Users', () => {
+  const token = 'scim-token-de-teste';
+  const errorSchema = 'urn:ietf:params:scim:api:messages:2.0:Error';
+  const patchSchema = 'urn:ietf:params:scim:api:messages:2.0:PatchOp';
+
+  const scim = (method, path) =>
+    request(app)[method](`/scim/v2${path}`)
+      .set('Authorization', `Bearer ${token}`)
+      .set('Content-Type', 'application/scim+json');
+
+  const newUser = (email, overrides = {}) => ({
+    schemas: ['urn:ietf:params:scim:schemas:core:2.0:User'],
+    userName: email,
+    name: { givenName: 'Helena', familyName: 'Costa' },
+    emails: [{ value: email, type: 'work', primary: true }],
+    phoneNumbers: [{ value: '+55 (11) 91234-5678', type: 'work' }],
+    userType: 'professor',
+    active: true,
+    ...overrides,
+  });
+
+  beforeAll(async () => {
+    process.env.SCIM_BEARER_TOKEN = token;
+    await prisma.user.deleteMany({
+      where: { email: { contains: 'scim-test' } },
+    });
+  });
+
+  afterAll(async () => {
+    delete process.env.SCIM_BEARER_TOKEN;
+    await prisma.user.deleteMany({
+      where: { email: { contains: 'scim-test' } },
+    });
+    await prisma.$disconnect();
+  });
+
+  it('exige o bearer token do SCIM e responde no formato SCIM', async () => {
+    const missing = await request(app).get('/scim/v2/Users').expect(401);
+    expect(missing.headers['content-type']).toContain('application/scim+json');
+    expect(missing.body).toMatchObject({ schemas: [errorSchema], status: '401' });
+
+    await request(app)
+      .get('/scim/v2/Users')
+      .set('Authorization', 'Bearer outro-token')
+      .expect(401);
+
+    // JWTs da v2 não valem no SCIM
+    const login = await request(app).post('/v2/auth/register').send({
+      primeiro_nome: 'Jwt',
+      sobrenome: 'Teste',
+      email: 'scim-test-jwt@escola.com',
+      senha: 'Senha123',
+    });
+    await request(app)
+      .get('/scim/v2/Users')
+      .set('Authorization', `Bearer ${login.body.data.token}`)
+      .expect(401);
+  });
+
+  it('POST cria o usuário mapeando os atributos', async () => {
+    const response = await scim('post', '/Users')
+      .send(newUser('scim-test-helena@escola.com'))
+      .expect(201);
+
+    expect(response.headers['content-type']).toContain('application/scim+json');
+    expect(response.headers.location).toMatch(/\/scim\/v2\/Users\/\d+$/);
+    expect(response.body).toMatchObject({
+      userName: 'scim-test-helena@escola.com',
+      name: { givenName: 'Helena', familyName: 'Costa' },
+      phoneNumbers: [{ value: '11912345678' }],
+      userType: 'professor',
+      active: true,
+      meta: { resourceType: 'User' },
+    });
+
+    const user = await prisma.user.findUnique({
+      where: { id: Number(response.body.id) },
+    });
+    expect(user).toMatchObject({
+      primeiro_nome: 'Helena',
+      sobrenome: 'Costa',
+      nome: 'Helena Costa',
+      email: 'scim-test-helena@escola.com',
+      telefone: '11912345678',
+      tipo_usuario: 'professor',
+      papel: 'PROFESSOR',
+    });
+  });
+
+  it('POST com email existente: 409 uniqueness', async () => {
+    const response = await scim('post', '/Users')
+      .send(newUser('scim-test-helena@escola.com'))
+      .expect(409);
+
+    expect(response.body).toMatchObject({
+      schemas: [errorSchema],
+      status: '409',
+      scimType: 'uniqueness',
+    });
+  });
+
+  it('POST com dados inválidos: 400 invalidValue', async () => {
+    const response = await scim('post', '/Users')
+      .send(newUser('scim-test-invalido@escola.com', { userType: 'diretor' }))
+      .expect(400);
+
+    expect(response.body.scimType).toBe('invalidValue');
+    expect(response.body.detail).toContain('professor, coordenador ou admin');
+  });
+
+  it('GET lista com filtro e paginação', async () => {
+    await scim('post', '/Users')
+      .send(newUser('scim-test-rafael@escola.com', {
+        name: { givenName: 'Rafael', familyName: 'Nunes' },
+      }))
+      .expect(201);
+
+    const byUserName = await scim(
+      'get',
+      `/Users?filter=${encodeURIComponent('userName eq "SCIM-TEST-helena@escola.com"')}`,
+    ).expect(200);
+
+    expect(byUserName.body).toMatchObject({
+      schemas: ['urn:ietf:params:scim:api:messages:2.0:ListResponse'],
+      totalResults: 1,
+      startIndex: 1,
+      itemsPerPage: 1,
+    });
+    expect(byUserName.body.Resources[0].userName).toBe(
+      'scim-test-helena@escola.com',
+    );
+
+    const filter = encodeURIComponent(
+      'userName sw "scim-test-" and (name.givenName eq "Rafael" or name.givenName eq "Helena")',
+    );
+    const page = await scim('get', `/Users?filter=${filter}&count=1&startIndex=2`).expect(200);
+
+    expect(page.body.totalResults).toBe(2);
+    expect(page.body.itemsPerPage).toBe(1);
+    expect(page.body.startIndex).toBe(2);
+  });
+
+  it('GET com filtro inválido: 400 invalidFilter', async () => {
+    const response = await scim(
+      'get',
+      `/Users?filter=${encodeURIComponent('senha eq "x"')}`,
+    ).expect(400);
+
+    expect(response.body).toMatchObject({
+      schemas: [errorSchema],
+      status: '400',
+      scimType: 'invalidFilter',
+    });
+  });
+
+  it('GET, PUT e PATCH de um usuário', async () => {
+    const created = await scim('post', '/Users')
+      .send(newUser('scim-test-marta@escola.com'))
+      .expect(201);
+    const id = created.body.id;
+
+    await scim('get', `/Users/${id}`).expect(200);
+
+    // PUT substitui: telefone ausente é apagado
+    const replaced = await scim('put', `/Users/${id}`)
+      .send({
+        userName: 'scim-test-marta@escola.com',
+        name: { givenName: 'Marta', familyName: 'Silveira' },
+      })
+      .expect(200);
+    expect(replaced.body.name).toMatchObject({
+      givenName: 'Marta',
+      familyName: 'Silveira',
+    });
+    expect(replaced.body.phoneNumbers).toEqual([]);
+
+    // PATCH com path e sem path (formato usado por Azure AD / Okta)
+    const patched = await scim('patch', `/Users/${id}`)
+      .send({
+        schemas: [patchSchema],
+        Operations: [
+          { op: 'Replace', path: 'name.familyName', value: 'Andrade' },
+          { op: 'add', path: 'phoneNumbers[type eq "work"].value', value: '1133334444' },
+          { op: 'replace', value: { userType: 'admin', active: true } },
+        ],
+      })
+      .expect(200);
+
+    expect(patched.body).toMatchObject({
+      name: { givenName: 'Marta', familyName: 'Andrade' },
+      phoneNumbers: [{ value: '1133334444' }],
+      userType: 'admin',
+    });
+
+    const user = await prisma.user.findUnique({ where: { id: Number(id) } });
+    expect(user).toMatchObject({ nome: 'Marta Andrade', papel: 'ADMIN' });
+  });
+
+  it('alterar userType ou password encerra as sessões do usuário', async () => {
+    const email = 'scim-test-sessoes@escola.com';
+    const created = await scim('post', '/Users')
+      .send(newUser(email, { password: 'Senha123' }))
+      .expect(201);
+    await prisma.user.update({
+      where: { email },
+      data: { emailVerifiedAt: new Date() },
+    });
+
+    const login = async senha =>
+      (await request(app).post('/v2/auth/login').send({ email, senha }).expect(200))
+        .body.data.token;
+    const me = token =>
+      request(app).get('/v2/auth/me').set('Authorization', `Bearer ${token}`);
+
+    let token = await login('Senha123');
+    await scim('patch', `/Users/${created.body.id}`)
+      .send({
+        schemas: [patchSchema],
+        Operations: [{ op: 'replace', path: 'userType', value: 'admin' }],
+      })
+      .expect(200);
+    await me(token).expect(401);
+
+    token = await login('Senha123');
+    await scim('put', `/Users/${created.body.id}`)
+      .send(newUser(email, { userType: 'admin', password: 'NovaSenha123' }))
+      .expect(200);
+    await me(token).expect(401);
+    await login('NovaSenha123');
+  });
+
+  it('PATCH recusa atributos desconhecidos e desativa com active=false', async () => {
+    const created = await scim('post', '/Users')
+      .send(newUser('scim-test-patch@escola.com'))
+      .expect(201);
+
+    const unknown = await scim('patch', `/Users/${created.body.id}`)
+      .send({
+        schemas: [patchSchema],
+        Operations: [{ op: 'replace', path: 'nickName', value: 'x' }],
+      })
+      .expect(400);
+    expect(unknown.body.scimType).toBe('invalidPath');
+
+    const deactivate = await scim('patch', `/Users/${created.body.id}`)
+      .send({
+        schemas: [patchSchema],
+        Operations: [{ op: 'replace', path: 'active', value: 'False' }],
+      })
+      .expect(200);
+    expect(deactivate.body.active).toBe(false);
+
+    const user = await prisma.user.findUnique({
+      where: { id: Number(created.body.id) },
+    });
+    expect(user.status).toBe('DEACTIVATED');
+
+    const reactivate = await scim('patch', `/Users/${created.body.id}`)
+      .send({
+        schemas: [patchSchema],
+        Operations: [{ op: 'replace', value: { active: true } }],
+      })
+      .expect(200);
+    expect(reactivate.body.active).toBe(true);
+  });
+
+  it('DELETE remove o usuário e 404 segue o formato SCIM', async () => {
+    const created = await scim('post', '/Users')
+      .send(newUser('scim-test-saida@escola.com'))
+      .expect(201);
+
+    await scim('delete', `/Users/${created.body.id}`).expect(204);
+
+    const gone = await scim('get', `/Users/${created.body.id}`).expect(404);
+    expect(gone.body).toMatchObject({ schemas: [errorSchema], status: '404' });
+
+    await scim('get', '/Users/abc').expect(404);
+    await scim('delete', `/Users/${created.body.id}`).expect(404);
+  });
+
+  it('GET /ServiceProviderConfig descreve os recursos suportados', async () => {
+    const response = await scim('get', '/ServiceProviderConfig').expect(200);
+
+    expect(response.body).toMatchObject({
+      patch: { supported: true },
+      filter: { supported: true, maxResults: 200 },
+      bulk: { supported: false },
+    });
+  });
+});
@@ -0,0 +1,245 @@
+// tests/sessions.test.js
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import request from 'supertest';
+import app from '../src/server.js';
+import prisma from '../src/config/database.js';
+
+/**
+ * Testes de Sessões por Dispositivo
+ * GET/DELETE /v2/auth/sessions e /v2/users/:id/sessions
+ */
+
+describe('Sessões por Dispositivo', () => {
+  const email = 'sessions-test@escola.com';
+  const adminEmail = 'sessions-test-admin@escola.com';
+  let userId;
+  let adminToken;
+
+  const login = (userAgent, credentials = { email, senha: 'Senha123' }) =>
+    request(app)
+      .post('/v2/auth/login')
+      .set('User-Agent', userAgent)
+      .send(credentials)
+      .expect(200);
+
+  beforeAll(async () => {
+    await prisma.user.deleteMany({
+      where: { email: { contains: 'sessions-test' } },
+    });
+
+    const response = await request(app).post('/v2/auth/register').send({
+      primeiro_nome: 'Sara',
+      sobrenome: 'Costa',
+      email,
+      senha: 'Senha123',
+    });
+    userId = response.body.data.user.id;
+
+    await request(app).post('/v2/auth/register').send({
+      primeiro_nome: 'Admin',
+      sobrenome: 'Sessões',
+      email: adminEmail,
+      senha: 'Senha123',
+    });
+
+    await prisma.user.update({
+      where: { email: adminEmail },
+      data: { papel: 'ADMIN', tipo_usuario: 'admin', emailVerifiedAt: new Date() },
+    });
+
+    adminToken = (
+      await login('AdminBrowser/1.0', { email: adminEmail, senha: 'Senha123' })
+    ).body.data.token;
+  });
+
+  afterAll(async () => {
+    await prisma.user.deleteMany({
+      where: { email: { contains: 'sessions-test' } },
+    });
+    await prisma.$disconnect();
+  });
+
+  describe('GET /v2/auth/sessions', () => {
+    it('lista uma sessão por login com user agent e marca a atual', async () => {
+      const laptop = (await login('Laptop/1.0')).body.data;
+      await login('Phone/2.0');
+
+      const response = await request(app)
+        .get('/v2/auth/sessions')
+        .set('Authorization', `Bearer ${laptop.token}`)
+        .expect(200);
+
+      const { sessions } = response.body.data;
+      const agents = sessions.map(s => s.userAgent);
+
+      expect(agents).toEqual(expect.arrayContaining(['Laptop/1.0', 'Phone/2.0']));
+      expect(sessions[0]).toHaveProperty('ip');
+      expect(sessions[0]).toHaveProperty('createdAt');
+      expect(sessions[0]).toHaveProperty('lastSeenAt');
+
+      const current = sessions.filter(s => s.current);
+      expect(current).toHaveLength(1);
+      expect(current[0].userAgent).toBe('Laptop/1.0');
+    });
+
+    it('mantém a sessão ao renovar os tokens', async () => {
+      const { refreshToken } = (await login('Tablet/3.0')).body.data;
+
+      const refreshed = await request(app)
+        .post('/v2/auth/refresh')
+        .send({ refreshToken })
+        .expect(200);
+
+      const response = await request(app)
+        .get('/v2/auth/sessions')
+        .set('Authorization', `Bearer ${refreshed.body.data.token}`)
+        .expect(200);
+
+      const current = response.body.data.sessions.find(s => s.current);
+      expect(current.userAgent).toBe('Tablet/3.0');
+    });
+
+    it('exige autenticação', async () => {
+      await request(app).get('/v2/auth/sessions').expect(401);
+    });
+  });
+
+  describe('DELETE /v2/auth/sessions/:id', () => {
+    it('revoga a sessão: access e refresh tokens deixam de valer', async () => {
+      const keeper = (await login('Keeper/1.0')).body.data;
+      const victim = (await login('Victim/1.0')).body.data;
+
+      const list = await request(app)
+        .get('/v2/auth/sessions')
+        .set('Authorization', `Bearer ${keeper.token}`)
+        .expect(200);
+      const target = list.body.data.sessions.find(s => s.userAgent === 'Victim/1.0');
+
+      await request(app)
+        .delete(`/v2/auth/sessions/${target.id}`)
+        .set('Authorization', `Bearer ${keeper.token}`)
+        .expect(200);
+
+      const rejected = await request(app)
+        .get('/v2/auth/me')
+        .set('Authorization', `Bearer ${victim.token}`)
+        .expect(401);
+      expect(rejected.body.error.message).toMatch(/Sessão encerrada/);
+
+      await request(app)
+        .post('/v2/auth/refresh')
+        .send({ refreshToken: victim.refreshToken })
+        .expect(401);
+
+      // A sessão que revogou continua ativa
+      await request(app)
+        .get('/v2/auth/me')
+        .set('Authorization', `Bearer ${keeper.token}`)
+        .expect(200);
+
+      const after = await request(app)
+        .get('/v2/auth/sessions')
+        .set('Authorization', `Bearer ${keeper.token}`)
+        .expect(200);
+      expect(after.body.data.sessions.map(s => s.id)).not.toContain(target.id);
+    });
+
+    it('retorna 404 para sessão de outro usuário', async () => {
+      const { token } = (await login('Own/1.0')).body.data;
+
+      const adminSessions = await prisma.session.findMany({
+        where: { user: { email: adminEmail }, revokedAt: null },
+      });
+
+      await request(app)
+        .delete(`/v2/auth/sessions/${adminSessions[0].id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(404);
+
+      await request(app)
+        .get('/v2/auth/me')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+    });
+
+    it('retorna 400 para ID inválido', async () => {
+      const { token } = (await login('Own/1.0')).body.data;
+
+      await request(app)
+        .delete('/v2/auth/sessions/nao-e-uuid')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(400);
+    });
+
+    it('logout encerra a sessão atual', async () => {
+      const { token } = (await login('Logout/1.0')).body.data;
+
+      await request(app)
+        .post('/v2/auth/logout')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      const sessions = await prisma.session.findMany({
+        where: { userId, userAgent: 'Logout/1.0' },
+      });
+      expect(sessions[0].revokedAt).not.toBeNull();
+    });
+  });
+
+  describe('Administração de sessões de outros usuários', () => {
+    it('ADMIN lista e revoga sessões de qualquer usuário', async () => {
+      const { token } = (await login('Managed/1.0')).body.data;
+
+      const list = await request(app)
+        .get(`/v2/users/${userId}/sessions`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      const target = list.body.data.find(s => s.userAgent === 'Managed/1.0');
+      expect(target).toBeDefined();
+
+      await request(app)
+        .delete(`/v2/users/${userId}/sessions/${target.id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      await request(app)
+        .get('/v2/auth/me')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(401);
+    });
+
+    it('usuário comum não acessa sessões de outros (403)', async () => {
+      const { token } = (await login('Curious/1.0')).body.data;
+      const admin = await prisma.user.findUnique({ where: { email: adminEmail } });
+
+      await request(app)
+        .get(`/v2/users/${admin.id}/sessions`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(403);
+    });
+
+    it('retorna 404 para usuário inexistente', async () => {
+      await request(app)
+        .get('/v2/users/999999/sessions')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(404);
+    });
+  });
+
+  describe('logout-all', () => {
+    it('encerra todas as sessões do usuário', async () => {
+      const { token } = (await login('All/1.0')).body.data;
+
+      await request(app)
+        .post('/v2/auth/logout-all')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      const active = await prisma.session.count({
+        where: { userId, revokedAt: null },
+      });
+      expect(active).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,266 @@
+// tests/two-factor.test.js
+import { describe, it, expect, beforeAll, afterAll, afterEach } from 'vitest';
+import request from 'supertest';
+import jwt from 'jsonwebtoken';
+import app from '../src/server.js';
+import prisma from '../src/config/database.js';
+import { generateTotp } from '../src/utils/totp.js';
+
+/**
+ * Testes de Autenticação em Dois Fatores (TOTP)
+ */
+
+describe('Autenticação em Dois Fatores', () => {
+  const email = 'twofactor-test@escola.com';
+  const adminEmail = 'twofactor-test-admin@escola.com';
+  const senha = 'Senha123';
+  let token;
+  let secret;
+  let backupCodes;
+
+  const login = loginEmail =>
+    request(app).post('/v2/auth/login').send({ email: loginEmail, senha });
+
+  beforeAll(async () => {
+    await prisma.user.deleteMany({
+      where: { email: { contains: 'twofactor-test' } },
+    });
+
+    for (const userEmail of [email, adminEmail]) {
+      await request(app).post('/v2/auth/register').send({
+        nome: 'Usuário 2FA Teste',
+        email: userEmail,
+        senha,
+      });
+    }
+
+    await prisma.user.updateMany({
+      where: { email: { contains: 'twofactor-test' } },
+      data: { emailVerifiedAt: new Date() },
+    });
+    await prisma.user.update({
+      where: { email: adminEmail },
+      data: { papel: 'ADMIN', tipo_usuario: 'admin' },
+    });
+
+    token = (await login(email)).body.data.token;
+  });
+
+  afterEach(() => {
+    delete process.env.REQUIRE_2FA_FOR_ADMINS;
+  });
+
+  afterAll(async () => {
+    await prisma.user.deleteMany({
+      where: { email: { contains: 'twofactor-test' } },
+    });
+    await prisma.$disconnect();
+  });
+
+  it('setup retorna o segredo e a URI otpauth', async () => {
+    const response = await request(app)
+      .post('/v2/auth/2fa/setup')
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+
+    secret = response.body.data.secret;
+
+    expect(secret).toMatch(/^[A-Z2-7]{32}$/);
+    expect(response.body.data.otpauthUrl).toMatch(
+      /^otpauth:\/\/totp\/.+\?secret=[A-Z2-7]+&issuer=/,
+    );
+  });
+
+  it('setup ainda não ativa o 2FA', async () => {
+    const response = await login(email).expect(200);
+    expect(response.body.data.token).toBeDefined();
+  });
+
+  it('verify rejeita código inválido', async () => {
+    const response = await request(app)
+      .post('/v2/auth/2fa/verify')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ code: generateTotp(secret) === '000000' ? '111111' : '000000' })
+      .expect(401);
+
+    expect(response.body.error.code).toBe('INVALID_TWO_FACTOR_CODE');
+  });
+
+  it('verify ativa o 2FA e retorna códigos de recuperação', async () => {
+    const response = await request(app)
+      .post('/v2/auth/2fa/verify')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ code: generateTotp(secret) })
+      .expect(200);
+
+    backupCodes = response.body.data.backupCodes;
+
+    expect(backupCodes).toHaveLength(10);
+    expect(backupCodes[0]).toMatch(/^[A-Z0-9]{5}-[A-Z0-9]{5}$/);
+    expect(jwt.decode(response.body.data.token).mfa).toBe(true);
+  });
+
+  it('setup é recusado com 2FA ativo', async () => {
+    const response = await request(app)
+      .post('/v2/auth/2fa/setup')
+      .set('Authorization', `Bearer ${token}`)
+      .expect(409);
+
+    expect(response.body.error.code).toBe('TWO_FACTOR_ALREADY_ENABLED');
+  });
+
+  it('login retorna desafio em vez do access token', async () => {
+    const response = await login(email).expect(200);
+
+    expect(response.body.data.twoFactorRequired).toBe(true);
+    expect(response.body.data.challengeToken).toBeDefined();
+    expect(response.body.data.token).toBeUndefined();
+    expect(response.body.data.refreshToken).toBeUndefined();
+
+    // O desafio não serve como access token
+    await request(app)
+      .get('/v2/auth/me')
+      .set('Authorization', `Bearer ${response.body.data.challengeToken}`)
+      .expect(401);
+  });
+
+  it('conclui o login com código TOTP e recusa reuso do mesmo código', async () => {
+    const { challengeToken } = (await login(email)).body.data;
+    const code = generateTotp(secret, Date.now() + 30 * 1000);
+
+    const response = await request(app)
+      .post('/v2/auth/2fa/login')
+      .send({ challengeToken, code })
+      .expect(200);
+
+    expect(response.body.data.user.email).toBe(email);
+    expect(jwt.decode(response.body.data.token).mfa).toBe(true);
+
+    // Refresh mantém o segundo fator
+    const refreshed = await request(app)
+      .post('/v2/auth/refresh')
+      .send({ refreshToken: response.body.data.refreshToken })
+      .expect(200);
+    expect(jwt.decode(refreshed.body.data.token).mfa).toBe(true);
+
+    const replay = await request(app)
+      .post('/v2/auth/2fa/login')
+      .send({ challengeToken, code })
+      .expect(401);
+    expect(replay.body.error.code).toBe('INVALID_TWO_FACTOR_CODE');
+  });
+
+  it('aceita código de recuperação apenas uma vez', async () => {
+    const { challengeToken } = (await login(email)).body.data;
+    const code = backupCodes[0].toLowerCase();
+
+    await request(app)
+      .post('/v2/auth/2fa/login')
+      .send({ challengeToken, code })
+      .expect(200);
+
+    await request(app)
+      .post('/v2/auth/2fa/login')
+      .send({ challengeToken, code })
+      .expect(401);
+  });
+
+  it('rejeita desafio inválido', async () => {
+    const response = await request(app)
+      .post('/v2/auth/2fa/login')
+      .send({ challengeToken: token, code: backupCodes[1] })
+      .expect(401);
+
+    expect(response.body.error.code).toBe('INVALID_CHALLENGE_TOKEN');
+  });
+
+  it('gera novos códigos de recuperação', async () => {
+    const response = await request(app)
+      .post('/v2/auth/2fa/backup-codes')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ code: backupCodes[1] })
+      .expect(200);
+
+    const { challengeToken } = (await login(email)).body.data;
+
+    // Códigos antigos deixam de valer
+    await request(app)
+      .post('/v2/auth/2fa/login')
+      .send({ challengeToken, code: backupCodes[2] })
+      .expect(401);
+
+    backupCodes = response.body.data.backupCodes;
+  });
+
+  it('disable desativa o 2FA', async () => {
+    await request(app)
+      .post('/v2/auth/2fa/disable')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ code: backupCodes[0] })
+      .expect(200);
+
+    const response = await login(email).expect(200);
+    expect(response.body.data.token).toBeDefined();
+  });
+
+  describe('REQUIRE_2FA_FOR_ADMINS', () => {
+    it('ADMIN sem 2FA é bloqueado em ações administrativas', async () => {
+      process.env.REQUIRE_2FA_FOR_ADMINS = 'true';
+
+      const loginResponse = await login(adminEmail).expect(200);
+      expect(loginResponse.body.data.twoFactorSetupRequired).toBe(true);
+
+      const response = await request(app)
+        .get('/v2/invites')
+        .set('Authorization', `Bearer ${loginResponse.body.data.token}`)
+        .expect(403);
+
+      expect(response.body.error.code).toBe('TWO_FACTOR_REQUIRED');
+
+      // Inclusive ao alterar o próprio usuário
+      const admin = await prisma.user.findUnique({ where: { email: adminEmail } });
+      const own = await request(app)
+        .put(`/v2/users/${admin.id}`)
+        .set('Authorization', `Bearer ${loginResponse.body.data.token}`)
+        .send({ telefone: '11987654321' })
+        .expect(403);
+
+      expect(own.body.error.code).toBe('TWO_FACTOR_REQUIRED');
+    });
+
+    it('ADMIN pode ativar o 2FA e então agir', async () => {
+      process.env.REQUIRE_2FA_FOR_ADMINS = 'true';
+
+      const { token: adminToken } = (await login(adminEmail)).body.data;
+
+      const setup = await request(app)
+        .post('/v2/auth/2fa/setup')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      const verify = await request(app)
+        .post('/v2/auth/2fa/verify')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ code: generateTotp(setup.body.data.secret) })
+        .expect(200);
+
+      await request(app)
+        .get('/v2/invites')
+        .set('Authorization', `Bearer ${verify.body.data.token}`)
+        .expect(200);
+    });
+
+    it('sem a política, ADMIN age sem 2FA', async () => {
+      await prisma.twoFactorAuth.deleteMany({
+        where: { user: { email: adminEmail } },
+      });
+
+      const { token: adminToken } = (await login(adminEmail)).body.data;
+
+      await request(app)
+        .get('/v2/invites')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+    });
+  });
+});
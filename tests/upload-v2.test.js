@@ -34,7 +34,7 @@ describe('Upload de Arquivos - API v2', () => {
         .field('primeiro_nome', 'Carlos')
         .field('sobrenome', 'Silva')
         .field('email', `carlos.v2.${Date.now()}@teste.com`)
-        .field('senha', 'senha123')
+        .field('senha', 'Senha123')
         .field('tipo_usuario', 'professor')
         .field('telefone', '11987654321')
         .attach('foto', testImagePath);
@@ -54,7 +54,7 @@ describe('Upload de Arquivos - API v2', () => {
         .field('primeiro_nome', 'Ana')
         .field('sobrenome', 'Costa')
         .field('email', `ana.v2.${Date.now()}@teste.com`)
-        .field('senha', 'senha123')
+        .field('senha', 'Senha123')
         .field('tipo_usuario', 'admin');
 
       expect(response.status).toBe(201);
@@ -67,7 +67,7 @@ describe('Upload de Arquivos - API v2', () => {
         .field('primeiro_nome', 'Admin')
         .field('sobrenome', 'User')
         .field('email', `admin.v2.${Date.now()}@teste.com`)
-        .field('senha', 'senha123')
+        .field('senha', 'Senha123')
         .field('tipo_usuario', 'admin')
         .attach('foto', testImagePath);
 
@@ -85,7 +85,7 @@ describe('Upload de Arquivos - API v2', () => {
         .field('primeiro_nome', 'Pedro')
         .field('sobrenome', 'Santos')
         .field('email', `pedro.compat.${Date.now()}@teste.com`)
-        .field('senha', 'senha123')
+        .field('senha', 'Senha123')
         .field('tipo_usuario', 'professor')
         .attach('foto', testImagePath);
 
@@ -108,7 +108,7 @@ describe('Upload de Arquivos - API v2', () => {
     //     .post('/v1/users')
     //     .field('nome', 'Maria Silva')
     //     .field('email', `maria.compat.${Date.now()}@teste.com`)
-    //     .field('senha', 'senha123')
+    //     .field('senha', 'Senha123')
     //     .field('papel', 'ADMIN')
     //     .attach('foto', testImagePath);
 
@@ -132,7 +132,7 @@ describe('Upload de Arquivos - API v2', () => {
         // primeiro_nome ausente
         .field('sobrenome', 'Silva')
         .field('email', `teste.v2.${Date.now()}@teste.com`)
-        .field('senha', 'senha123')
+        .field('senha', 'Senha123')
         .attach('foto', testImagePath);
 
       expect(response.status).toBe(400);
@@ -148,7 +148,7 @@ describe('Upload de Arquivos - API v2', () => {
         .field('primeiro_nome', 'João')
         // sobrenome ausente
         .field('email', `teste.v2.${Date.now()}@teste.com`)
-        .field('senha', 'senha123')
+        .field('senha', 'Senha123')
         .attach('foto', testImagePath);
 
       expect(response.status).toBe(400);
@@ -164,7 +164,7 @@ describe('Upload de Arquivos - API v2', () => {
         .field('primeiro_nome', 'Teste')
         .field('sobrenome', 'Telefone')
         .field('email', `teste.v2.${Date.now()}@teste.com`)
-        .field('senha', 'senha123')
+        .field('senha', 'Senha123')
         .field('telefone', '123') // Inválido
         .attach('foto', testImagePath);
 
@@ -0,0 +1,180 @@
+// tests/users-list.test.js
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import request from 'supertest';
+import app from '../src/server.js';
+import prisma from '../src/config/database.js';
+
+/**
+ * Testes da listagem de usuários v2
+ * GET /v2/users com paginação (página ou cursor), ordenação e filtros
+ */
+
+describe('GET /v2/users (paginação e filtros)', () => {
+  const domain = 'lista-teste.com';
+
+  const list = query => request(app).get(`/v2/users?email_domain=${domain}&${query}`);
+
+  const emails = response => response.body.data.map(user => user.email);
+
+  beforeAll(async () => {
+    await prisma.user.deleteMany({
+      where: { email: { endsWith: `@${domain}` } },
+    });
+
+    // 5 usuários, um por dia a partir de 01/03/2026
+    await prisma.user.createMany({
+      data: ['ana', 'bruno', 'carla', 'davi', 'elisa'].map((nome, i) => ({
+        nome,
+        primeiro_nome: nome,
+        sobrenome: 'Lista',
+        email: `${nome}@${domain}`,
+        senha: 'hash',
+        papel: i === 4 ? 'ADMIN' : 'PROFESSOR',
+        tipo_usuario: i === 4 ? 'admin' : 'professor',
+        createdAt: new Date(Date.UTC(2026, 2, 1 + i, 12)),
+      })),
+    });
+  });
+
+  afterAll(async () => {
+    await prisma.user.deleteMany({
+      where: { email: { endsWith: `@${domain}` } },
+    });
+    await prisma.$disconnect();
+  });
+
+  it('pagina com headers X-* e Link', async () => {
+    const response = await list('per_page=2&page=2').expect(200);
+
+    expect(emails(response)).toEqual([`carla@${domain}`, `bruno@${domain}`]);
+    expect(response.body.total).toBe(5);
+    expect(response.headers).toMatchObject({
+      'x-total-count': '5',
+      'x-page': '2',
+      'x-per-page': '2',
+      'x-total-pages': '3',
+    });
+
+    const links = Object.fromEntries(
+      response.headers.link.split(', ').map(link => {
+        const [, url, rel] = /^<(.+)>; rel="(\w+)"$/.exec(link);
+        return [rel, new URL(url)];
+      }),
+    );
+    expect(Object.keys(links)).toEqual(['first', 'prev', 'next', 'last']);
+    expect(links.next.pathname).toBe('/v2/users');
+    expect(links.next.searchParams.get('page')).toBe('3');
+    expect(links.next.searchParams.get('per_page')).toBe('2');
+    expect(links.next.searchParams.get('email_domain')).toBe(domain);
+    expect(links.last.searchParams.get('page')).toBe('3');
+
+    const last = await list('per_page=2&page=3').expect(200);
+    expect(emails(last)).toEqual([`ana@${domain}`]);
+    expect(last.headers.link).not.toContain('rel="next"');
+  });
+
+  it('ordena por campos informados em sort', async () => {
+    const response = await list('sort=tipo_usuario,-primeiro_nome').expect(200);
+
+    expect(emails(response)).toEqual([
+      `elisa@${domain}`,
+      `davi@${domain}`,
+      `carla@${domain}`,
+      `bruno@${domain}`,
+      `ana@${domain}`,
+    ]);
+
+    const byCreation = await list('sort=createdAt&per_page=1').expect(200);
+    expect(emails(byCreation)).toEqual([`ana@${domain}`]);
+  });
+
+  it('filtra por tipo_usuario e período de criação', async () => {
+    const admins = await list('tipo_usuario=ADMIN').expect(200);
+    expect(emails(admins)).toEqual([`elisa@${domain}`]);
+
+    // Data sem horário em created_to inclui o dia inteiro
+    const period = await list('created_from=2026-03-02&created_to=2026-03-03').expect(200);
+    expect(emails(period)).toEqual([`carla@${domain}`, `bruno@${domain}`]);
+    expect(period.headers['x-total-count']).toBe('2');
+  });
+
+  it('valida os parâmetros', async () => {
+    const response = await list('page=0&per_page=500&sort=senha&created_from=ontem').expect(400);
+
+    expect(response.body.error.details.map(d => d.field).sort()).toEqual([
+      'created_from',
+      'page',
+      'per_page',
+      'sort',
+    ]);
+
+    await list('created_from=2026-03-05&created_to=2026-03-01').expect(400);
+    await list('sort=email,-email').expect(400);
+  });
+
+  describe('cursor', () => {
+    const follow = (cursor, query = 'limit=2') =>
+      list(`${query}&cursor=${encodeURIComponent(cursor)}`);
+
+    it('percorre as páginas com next_cursor e prev_cursor', async () => {
+      const first = await list('limit=2').expect(200);
+      expect(emails(first)).toEqual([`elisa@${domain}`, `davi@${domain}`]);
+      expect(first.body.prev_cursor).toBeNull();
+      expect(first.body).not.toHaveProperty('total');
+      expect(first.headers.link).toContain('rel="next"');
+
+      const second = await follow(first.body.next_cursor).expect(200);
+      expect(emails(second)).toEqual([`carla@${domain}`, `bruno@${domain}`]);
+
+      const next = /<([^>]+)>; rel="next"/.exec(second.headers.link)[1];
+      expect(new URL(next).searchParams.get('cursor')).toBe(second.body.next_cursor);
+
+      const back = await follow(second.body.prev_cursor).expect(200);
+      expect(emails(back)).toEqual([`elisa@${domain}`, `davi@${domain}`]);
+      expect(back.body.prev_cursor).toBeNull();
+
+      const last = await follow(second.body.next_cursor).expect(200);
+      expect(emails(last)).toEqual([`ana@${domain}`]);
+      expect(last.body.next_cursor).toBeNull();
+      expect(last.headers.link).not.toContain('rel="next"');
+    });
+
+    it('usuários criados durante a leitura não deslocam as páginas', async () => {
+      const first = await list('limit=2&sort=createdAt').expect(200);
+      expect(emails(first)).toEqual([`ana@${domain}`, `bruno@${domain}`]);
+
+      await prisma.user.create({
+        data: {
+          nome: 'aaron',
+          primeiro_nome: 'aaron',
+          sobrenome: 'Lista',
+          email: `aaron@${domain}`,
+          senha: 'hash',
+          createdAt: new Date(Date.UTC(2026, 1, 1)),
+        },
+      });
+
+      const second = await follow(first.body.next_cursor, 'limit=2&sort=createdAt').expect(200);
+      expect(emails(second)).toEqual([`carla@${domain}`, `davi@${domain}`]);
+
+      await prisma.user.delete({ where: { email: `aaron@${domain}` } });
+    });
+
+    it('recusa cursores adulterados ou de outra consulta', async () => {
+      const { next_cursor: cursor } = (await list('limit=1').expect(200)).body;
+
+      const [data, signature] = cursor.split('.');
+      const payload = JSON.parse(Buffer.from(data, 'base64url').toString());
+      const forged = Buffer.from(JSON.stringify({ ...payload, i: 1 })).toString('base64url');
+
+      const tampered = await follow(`${forged}.${signature}`, 'limit=1').expect(400);
+      expect(tampered.body.error.details[0].code).toBe('INVALID_CURSOR');
+
+      await follow(cursor, 'limit=1&tipo_usuario=admin').expect(400);
+      await follow(cursor, 'limit=1&sort=createdAt').expect(400);
+
+      await list('limit=2&page=2').expect(400);
+      await list('limit=2&sort=email').expect(400);
+    });
+  });
+});
@@ -0,0 +1,104 @@
+// tests/users-search.test.js
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import request from 'supertest';
+import app from '../src/server.js';
+import prisma from '../src/config/database.js';
+
+/**
+ * Testes da busca de usuários v2
+ * GET /v2/users?q= sem acentos, com rank e highlight
+ */
+
+describe('GET /v2/users?q= (busca)', () => {
+  const domain = 'busca-teste.com';
+
+  const search = query => request(app).get(`/v2/users?email_domain=${domain}&${query}`);
+
+  const emails = response => response.body.data.map(user => user.email);
+
+  beforeAll(async () => {
+    await prisma.user.deleteMany({
+      where: { email: { endsWith: `@${domain}` } },
+    });
+
+    await prisma.user.createMany({
+      data: [
+        ['João', 'da Silva', 'jsilva'],
+        ['Joaquim', 'Conceição', 'joaquim'],
+        ['Maria', 'Joana Souza', 'maria'],
+        ['Ângela', 'Lima', 'angela'],
+      ].map(([primeiro_nome, sobrenome, login]) => ({
+        nome: `${primeiro_nome} ${sobrenome}`,
+        primeiro_nome,
+        sobrenome,
+        email: `${login}@${domain}`,
+        senha: 'hash',
+      })),
+    });
+  });
+
+  afterAll(async () => {
+    await prisma.user.deleteMany({
+      where: { email: { endsWith: `@${domain}` } },
+    });
+    await prisma.$disconnect();
+  });
+
+  it('encontra nomes parciais ignorando acentos e maiúsculas', async () => {
+    const joao = await search('q=joao').expect(200);
+    expect(emails(joao)).toEqual([`jsilva@${domain}`]);
+    expect(joao.body.total).toBe(1);
+
+    const angela = await search('q=ANGEL').expect(200);
+    expect(emails(angela)).toEqual([`angela@${domain}`]);
+
+    // Todos os termos precisam aparecer
+    const both = await search('q=jo%20conceicao').expect(200);
+    expect(emails(both)).toEqual([`joaquim@${domain}`]);
+
+    const none = await search('q=inexistente').expect(200);
+    expect(none.body.data).toEqual([]);
+    expect(none.headers['x-total-count']).toBe('0');
+  });
+
+  it('ordena pela relevância e destaca os campos encontrados', async () => {
+    const response = await search('q=joa').expect(200);
+
+    // Palavras mais próximas do termo primeiro: João, Joana, Joaquim
+    expect(emails(response)).toEqual([
+      `jsilva@${domain}`,
+      `maria@${domain}`,
+      `joaquim@${domain}`,
+    ]);
+
+    const ranks = response.body.data.map(user => user.rank);
+    expect(ranks).toEqual([...ranks].sort((a, b) => b - a));
+
+    expect(response.body.data[0].highlight).toEqual({
+      primeiro_nome: '<mark>Joã</mark>o',
+    });
+    expect(response.body.data[1].highlight).toEqual({
+      sobrenome: '<mark>Joa</mark>na Souza',
+    });
+    expect(response.body.data[2].highlight).toEqual({
+      primeiro_nome: '<mark>Joa</mark>quim',
+      email: `<mark>joa</mark>quim@${domain}`,
+    });
+
+    const byEmail = await search('q=joa&sort=email&per_page=1&page=2').expect(200);
+    expect(emails(byEmail)).toEqual([`jsilva@${domain}`]);
+    expect(byEmail.headers['x-total-count']).toBe('3');
+  });
+
+  it('valida q e a combinação com cursor e sort', async () => {
+    const short = await search('q=a').expect(400);
+    expect(short.body.error.details[0].field).toBe('q');
+
+    await search('q=joao&limit=10').expect(400);
+    await search('sort=-rank').expect(400);
+
+    // Curingas de LIKE são tratados como texto
+    const wildcard = await search('q=%25%25').expect(200);
+    expect(wildcard.body.data).toEqual([]);
+  });
+});
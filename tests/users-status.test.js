@@ -0,0 +1,117 @@
+// tests/users-status.test.js
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import request from 'supertest';
+import app from '../src/server.js';
+import prisma from '../src/config/database.js';
+import { ADMIN, registerUser, login, loginToken, requestAs } from './helpers.js';
+
+/**
+ * Testes da situação da conta
+ * POST /v2/users/:id/suspend e /reactivate, login e tokens de contas suspensas
+ */
+
+describe('Suspensão de contas', () => {
+  const adminEmail = 'users-status-test-admin@escola.com';
+  const email = 'users-status-test@escola.com';
+  let adminToken;
+  let adminId;
+  let userId;
+
+  const profile = { primeiro_nome: 'Sara', sobrenome: 'Situação' };
+
+  const asAdmin = requestAs(() => adminToken);
+
+  beforeAll(async () => {
+    await prisma.user.deleteMany({
+      where: { email: { contains: 'users-status-test' } },
+    });
+
+    adminId = await registerUser(adminEmail, ADMIN, profile);
+    adminToken = await loginToken(adminEmail);
+
+    userId = await registerUser(email, {}, profile);
+  });
+
+  afterAll(async () => {
+    await prisma.user.deleteMany({
+      where: { email: { contains: 'users-status-test' } },
+    });
+    await prisma.$disconnect();
+  });
+
+  it('suspende a conta e recusa login e tokens já emitidos', async () => {
+    const userToken = await loginToken(email);
+
+    const response = await asAdmin('post', `/v2/users/${userId}/suspend`)
+      .send({ motivo: 'Licença para doutorado' })
+      .expect(200);
+
+    expect(response.body.data).toMatchObject({
+      id: userId,
+      status: 'SUSPENDED',
+      statusReason: 'Licença para doutorado',
+      statusChangedById: adminId,
+    });
+    expect(response.body.data.statusChangedAt).toBeTruthy();
+
+    const denied = await login(email).expect(403);
+    expect(denied.body.error.code).toBe('ACCOUNT_SUSPENDED');
+
+    const me = await request(app)
+      .get('/v2/auth/me')
+      .set('Authorization', `Bearer ${userToken}`)
+      .expect(403);
+    expect(me.body.error.code).toBe('ACCOUNT_SUSPENDED');
+
+    // A conta continua visível, com a situação
+    const user = await request(app).get(`/v2/users/${userId}`).expect(200);
+    expect(user.body.data.status).toBe('SUSPENDED');
+  });
+
+  it('valida o motivo e as transições', async () => {
+    const missing = await asAdmin('post', `/v2/users/${userId}/suspend`)
+      .send({})
+      .expect(400);
+    expect(missing.body.error.details[0].field).toBe('motivo');
+
+    const again = await asAdmin('post', `/v2/users/${userId}/suspend`)
+      .send({ motivo: 'De novo' })
+      .expect(409);
+    expect(again.body.error.code).toBe('INVALID_STATUS_TRANSITION');
+
+    const self = await asAdmin('post', `/v2/users/${adminId}/suspend`)
+      .send({ motivo: 'Teste' })
+      .expect(400);
+    expect(self.body.error.code).toBe('INVALID_SUSPENSION');
+
+    await asAdmin('post', '/v2/users/999999999/suspend')
+      .send({ motivo: 'Teste' })
+      .expect(404);
+  });
+
+  it('exige a permissão users.suspend', async () => {
+    const professorEmail = 'users-status-test-prof@escola.com';
+    const professorId = await registerUser(professorEmail, {}, profile);
+    const professorToken = await loginToken(professorEmail);
+
+    await request(app)
+      .post(`/v2/users/${userId}/reactivate`)
+      .set('Authorization', `Bearer ${professorToken}`)
+      .expect(403);
+
+    await request(app)
+      .post(`/v2/users/${professorId}/suspend`)
+      .send({ motivo: 'Sem permissão' })
+      .expect(401);
+  });
+
+  it('reativa a conta e libera o login', async () => {
+    const response = await asAdmin('post', `/v2/users/${userId}/reactivate`).expect(200);
+    expect(response.body.data).toMatchObject({ status: 'ACTIVE', statusReason: null });
+
+    await login(email).expect(200);
+
+    const again = await asAdmin('post', `/v2/users/${userId}/reactivate`).expect(409);
+    expect(again.body.error.code).toBe('INVALID_STATUS_TRANSITION');
+  });
+});
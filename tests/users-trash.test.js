@@ -0,0 +1,133 @@
+// tests/users-trash.test.js
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import request from 'supertest';
+import app from '../src/server.js';
+import prisma from '../src/config/database.js';
+import { ADMIN, registerUser, login, loginToken, requestAs } from './helpers.js';
+import { purgeDeletedUsers } from '../src/api/v2/services/userTrashService.js';
+
+/**
+ * Testes da Lixeira de Usuários
+ * Exclusão lógica, GET /v2/users/trash, restauração e exclusão definitiva
+ */
+
+describe('Lixeira de Usuários', () => {
+  const adminEmail = 'users-trash-test-admin@escola.com';
+  const email = 'users-trash-test@escola.com';
+  let adminToken;
+  let userId;
+
+  const profile = { primeiro_nome: 'Lia', sobrenome: 'Lixeira' };
+
+  const asAdmin = requestAs(() => adminToken);
+
+  const cleanup = () =>
+    prisma.user.deleteMany({
+      where: {
+        OR: [
+          { email: { contains: 'users-trash-test' } },
+          { deletedEmail: { contains: 'users-trash-test' } },
+        ],
+      },
+    });
+
+  beforeAll(async () => {
+    await cleanup();
+
+    await registerUser(adminEmail, ADMIN, profile);
+    adminToken = await loginToken(adminEmail);
+
+    userId = await registerUser(email, {}, profile);
+  });
+
+  afterAll(async () => {
+    await cleanup();
+    await prisma.$disconnect();
+  });
+
+  it('DELETE move o usuário para a lixeira e o esconde das consultas', async () => {
+    const userToken = await loginToken(email);
+
+    await asAdmin('delete', `/v2/users/${userId}`).expect(200);
+
+    await request(app).get(`/v2/users/${userId}`).expect(404);
+    await asAdmin('put', `/v2/users/${userId}`).send({ telefone: '11987654321' }).expect(404);
+    await asAdmin('delete', `/v2/users/${userId}`).expect(404);
+
+    const list = await request(app).get('/v2/users?email_domain=escola.com&per_page=100').expect(200);
+    expect(list.body.data.map(user => user.id)).not.toContain(userId);
+
+    const search = await request(app).get('/v2/users?q=lixeira').expect(200);
+    expect(search.body.data.map(user => user.id)).not.toContain(userId);
+
+    // A linha continua no banco, sem login e com as sessões revogadas
+    const row = await prisma.user.findUnique({ where: { id: userId } });
+    expect(row.deletedAt).toBeInstanceOf(Date);
+    expect(row.deletedEmail).toBe(email);
+
+    await login(email).expect(401);
+    await request(app).get('/v2/auth/me').set('Authorization', `Bearer ${userToken}`).expect(401);
+  });
+
+  it('GET /v2/users/trash lista os removidos com a data da exclusão definitiva', async () => {
+    const response = await asAdmin('get', '/v2/users/trash?per_page=100').expect(200);
+
+    expect(response.body.retention_days).toBe(30);
+    expect(response.headers['x-total-count']).toBe(String(response.body.total));
+
+    const entry = response.body.data.find(user => user.id === userId);
+    expect(entry).toMatchObject({ email, primeiro_nome: 'Lia' });
+
+    const purgeIn = new Date(entry.purgeAt) - new Date(entry.deletedAt);
+    expect(purgeIn).toBe(30 * 24 * 60 * 60 * 1000);
+
+    const professorEmail = 'users-trash-test-prof@escola.com';
+    await registerUser(professorEmail, {}, profile);
+    const professorToken = await loginToken(professorEmail);
+    await request(app).get('/v2/users/trash').set('Authorization', `Bearer ${professorToken}`).expect(403);
+  });
+
+  it('o email fica livre e a restauração recusa conflitos', async () => {
+    // Novo cadastro com o email do usuário removido
+    const newId = await registerUser(email, {}, profile);
+    expect(newId).not.toBe(userId);
+
+    const conflict = await asAdmin('post', `/v2/users/${userId}/restore`).expect(409);
+    expect(conflict.body.error.message).toContain(email);
+
+    await asAdmin('delete', `/v2/users/${newId}`).expect(200);
+
+    const restored = await asAdmin('post', `/v2/users/${userId}/restore`).expect(200);
+    expect(restored.body.data).toMatchObject({ id: userId, email });
+
+    await request(app).get(`/v2/users/${userId}`).expect(200);
+    await login(email).expect(200);
+
+    // Só usuários na lixeira podem ser restaurados
+    await asAdmin('post', `/v2/users/${userId}/restore`).expect(404);
+  });
+
+  it('exclui definitivamente após o prazo de retenção', async () => {
+    await asAdmin('delete', `/v2/users/${userId}`).expect(200);
+
+    const now = new Date();
+    const expired = new Date(now.getTime() - 31 * 24 * 60 * 60 * 1000);
+    await prisma.user.update({
+      where: { id: userId },
+      data: { deletedAt: expired },
+    });
+
+    const dryRun = await purgeDeletedUsers({ dryRun: true, now });
+    expect(dryRun.purged).toBeGreaterThanOrEqual(1);
+    expect(await prisma.user.findUnique({ where: { id: userId } })).not.toBeNull();
+
+    await purgeDeletedUsers({ now });
+    expect(await prisma.user.findUnique({ where: { id: userId } })).toBeNull();
+
+    // Removidos dentro do prazo continuam na lixeira
+    const recent = await prisma.user.count({
+      where: { deletedEmail: email, deletedAt: { not: null } },
+    });
+    expect(recent).toBe(1);
+  });
+});
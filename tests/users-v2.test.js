@@ -2,6 +2,7 @@
 import { describe, it, expect } from 'vitest';
 import request from 'supertest';
 import app from '../src/server.js';
+import { ADMIN, registerUser, loginToken } from './helpers.js';
 
 /**
  * Testes de Integração - User API v2
@@ -15,7 +16,7 @@ describe('User API v2 - Novos Campos e Formatos', () => {
         primeiro_nome: 'Carlos',
         sobrenome: 'Oliveira',
         email: `carlos.v2.${Date.now()}@teste.com`,
-        senha: 'senha123',
+        senha: 'Senha123',
         tipo_usuario: 'professor',
       };
 
@@ -33,7 +34,7 @@ describe('User API v2 - Novos Campos e Formatos', () => {
         primeiro_nome: 'Ana',
         sobrenome: 'Costa',
         email: `ana.v2.${Date.now()}@teste.com`,
-        senha: 'senha123',
+        senha: 'Senha123',
         telefone: '11987654321',
       };
 
@@ -48,7 +49,7 @@ describe('User API v2 - Novos Campos e Formatos', () => {
         primeiro_nome: 'Admin',
         sobrenome: 'User',
         email: `admin.v2.${Date.now()}@teste.com`,
-        senha: 'senha123',
+        senha: 'Senha123',
         tipo_usuario: 'admin',
       };
 
@@ -64,7 +65,7 @@ describe('User API v2 - Novos Campos e Formatos', () => {
       const usuarioInvalido = {
         sobrenome: 'Silva',
         email: `teste${Date.now()}@teste.com`,
-        senha: 'senha123',
+        senha: 'Senha123',
       };
 
       const response = await request(app)
@@ -83,7 +84,7 @@ describe('User API v2 - Novos Campos e Formatos', () => {
       const usuarioInvalido = {
         primeiro_nome: 'João',
         email: `teste${Date.now()}@teste.com`,
-        senha: 'senha123',
+        senha: 'Senha123',
       };
 
       const response = await request(app)
@@ -102,7 +103,7 @@ describe('User API v2 - Novos Campos e Formatos', () => {
         primeiro_nome: 'Teste',
         sobrenome: 'Telefone',
         email: `teste${Date.now()}@teste.com`,
-        senha: 'senha123',
+        senha: 'Senha123',
         telefone: '123', // Muito curto
       };
 
@@ -122,7 +123,7 @@ describe('User API v2 - Novos Campos e Formatos', () => {
         primeiro_nome: 'Teste',
         sobrenome: 'Tipo',
         email: `teste${Date.now()}@teste.com`,
-        senha: 'senha123',
+        senha: 'Senha123',
         tipo_usuario: 'PROFESSOR', // Uppercase não é aceito na v2
       };
 
@@ -147,7 +148,7 @@ describe('User API v2 - Novos Campos e Formatos', () => {
           primeiro_nome: 'Teste',
           sobrenome: 'Listagem',
           email: `listagem.v2.${Date.now()}@teste.com`,
-          senha: 'senha123',
+          senha: 'Senha123',
         });
 
       const response = await request(app).get('/v2/users');
@@ -174,7 +175,7 @@ describe('User API v2 - Novos Campos e Formatos', () => {
         primeiro_nome: 'Pedro',
         sobrenome: 'Almeida',
         email: `pedro.compat.${Date.now()}@teste.com`,
-        senha: 'senha123',
+        senha: 'Senha123',
         tipo_usuario: 'admin',
       };
 
@@ -196,12 +197,17 @@ describe('User API v2 - Novos Campos e Formatos', () => {
       const usuarioV1 = {
         nome: 'Lucia Ferreira',
         email: `lucia.compat.${Date.now()}@teste.com`,
-        senha: 'senha123',
-        papel: 'PROFESSOR',
+        senha: 'Senha123',
       };
 
+      // POST /v1/users exige a permissão users.create
+      const adminEmail = `admin.compat.${Date.now()}@teste.com`;
+      await registerUser(adminEmail, ADMIN);
+      const token = await loginToken(adminEmail);
+
       const createResponse = await request(app)
         .post('/v1/users')
+        .set('Authorization', `Bearer ${token}`)
         .send(usuarioV1);
       const userId = createResponse.body.data.id;
 
@@ -1,7 +1,8 @@
 // tests/v1/users.test.js
-import { describe, it, expect } from 'vitest';
+import { describe, it, expect, beforeAll } from 'vitest';
 import request from 'supertest';
 import app from '../src/server.js';
+import { ADMIN, registerUser, loginToken, requestAs } from './helpers.js';
 
 /**
  * Testes de Integração - User API (com Validação e Error Handling)
@@ -10,6 +11,16 @@ import app from '../src/server.js';
 
 describe('User API - Endpoints com Validação', () => {
   let createdUserId; // Para armazenar ID de usuário criado nos testes
+  let adminId;
+  let adminToken;
+
+  // POST, PUT e DELETE exigem users.create / users.update / users.delete
+  const asAdmin = requestAs(() => adminToken);
+
+  beforeAll(async () => {
+    adminId = await registerUser('users-v1-test-admin@escola.com', ADMIN);
+    adminToken = await loginToken('users-v1-test-admin@escola.com');
+  });
 
   describe('GET /v1/users', () => {
     it('deve retornar lista de usuários com status 200', async () => {
@@ -40,12 +51,11 @@ describe('User API - Endpoints com Validação', () => {
   describe('GET /v1/users/:id', () => {
     it('deve retornar usuário específico com status 200', async () => {
       // Cria um usuário para o teste
-      const novoUsuario = await request(app)
-        .post('/v1/users')
+      const novoUsuario = await asAdmin('post', '/v1/users')
         .send({
           nome: 'Usuario GetById Test',
           email: `getbyid${Date.now()}@escola.com`,
-          senha: 'senha123',
+          senha: 'Senha123',
         });
 
       const userId = novoUsuario.body.data.id;
@@ -91,11 +101,11 @@ describe('User API - Endpoints com Validação', () => {
       const novoUsuario = {
         nome: 'Prof. Teste Completo',
         email: `teste${Date.now()}@escola.com`,
-        senha: 'senha123',
+        senha: 'Senha123',
         papel: 'PROFESSOR',
       };
 
-      const response = await request(app).post('/v1/users').send(novoUsuario);
+      const response = await asAdmin('post', '/v1/users').send(novoUsuario);
 
       expect(response.status).toBe(201);
       expect(response.body).toHaveProperty('success', true);
@@ -112,10 +122,10 @@ describe('User API - Endpoints com Validação', () => {
       const novoUsuario = {
         nome: '  Prof. Com Espaços  ',
         email: `MAIUSCULO${Date.now()}@ESCOLA.COM`,
-        senha: 'senha123',
+        senha: 'Senha123',
       };
 
-      const response = await request(app).post('/v1/users').send(novoUsuario);
+      const response = await asAdmin('post', '/v1/users').send(novoUsuario);
 
       expect(response.status).toBe(201);
       expect(response.body.data.nome).toBe('Prof. Com Espaços'); // trimmed
@@ -128,11 +138,10 @@ describe('User API - Endpoints com Validação', () => {
     it('deve retornar 400 quando nome estiver ausente', async () => {
       const usuarioInvalido = {
         email: `teste${Date.now()}@escola.com`,
-        senha: 'senha123',
+        senha: 'Senha123',
       };
 
-      const response = await request(app)
-        .post('/v1/users')
+      const response = await asAdmin('post', '/v1/users')
         .send(usuarioInvalido);
 
       expect(response.status).toBe(400);
@@ -149,11 +158,10 @@ describe('User API - Endpoints com Validação', () => {
       const usuarioInvalido = {
         nome: 'Jo', // Menos de 3 caracteres
         email: `teste${Date.now()}@escola.com`,
-        senha: 'senha123',
+        senha: 'Senha123',
       };
 
-      const response = await request(app)
-        .post('/v1/users')
+      const response = await asAdmin('post', '/v1/users')
         .send(usuarioInvalido);
 
       expect(response.status).toBe(400);
@@ -168,11 +176,10 @@ describe('User API - Endpoints com Validação', () => {
       const usuarioInvalido = {
         nome: 'Teste',
         email: 'emailsemarroba', // Sem @
-        senha: 'senha123',
+        senha: 'Senha123',
       };
 
-      const response = await request(app)
-        .post('/v1/users')
+      const response = await asAdmin('post', '/v1/users')
         .send(usuarioInvalido);
 
       expect(response.status).toBe(400);
@@ -188,11 +195,10 @@ describe('User API - Endpoints com Validação', () => {
       const usuarioInvalido = {
         nome: 'Teste',
         email: `teste${Date.now()}@escola.com`,
-        senha: '123', // Menos de 6 caracteres
+        senha: '123', // Menos de 8 caracteres
       };
 
-      const response = await request(app)
-        .post('/v1/users')
+      const response = await asAdmin('post', '/v1/users')
         .send(usuarioInvalido);
 
       expect(response.status).toBe(400);
@@ -200,27 +206,39 @@ describe('User API - Endpoints com Validação', () => {
       const senhaError = response.body.error.details.find(
         d => d.field === 'senha',
       );
-      expect(senhaError.message).toContain('pelo menos 6 caracteres');
+      expect(senhaError.message).toContain('no mínimo 8 caracteres');
+      expect(senhaError.code).toBe('PASSWORD_TOO_SHORT');
     });
 
-    it('deve retornar 400 quando papel for inválido', async () => {
-      const usuarioInvalido = {
-        nome: 'Teste',
-        email: `teste${Date.now()}@escola.com`,
-        senha: 'senha123',
-        papel: 'HACKER', // Papel inválido
+    it('deve ignorar papel e criar o usuário como PROFESSOR', async () => {
+      const response = await asAdmin('post', '/v1/users').send({
+        nome: 'Teste Papel',
+        email: `papel${Date.now()}@escola.com`,
+        senha: 'Senha123',
+        papel: 'ADMIN', // Papéis elevados só por convite
+      });
+
+      expect(response.status).toBe(201);
+      expect(response.body.data.papel).toBe('PROFESSOR');
+    });
+
+    it('deve exigir autenticação e a permissão users.create', async () => {
+      const usuario = {
+        nome: 'Sem Token',
+        email: `semtoken${Date.now()}@escola.com`,
+        senha: 'Senha123',
       };
 
-      const response = await request(app)
-        .post('/v1/users')
-        .send(usuarioInvalido);
+      await request(app).post('/v1/users').send(usuario).expect(401);
 
-      expect(response.status).toBe(400);
-      expect(response.body.error).toHaveProperty('code', 'VALIDATION_ERROR');
-      const papelError = response.body.error.details.find(
-        d => d.field === 'papel',
-      );
-      expect(papelError).toBeDefined();
+      await registerUser('users-v1-test-prof@escola.com');
+      const professorToken = await loginToken('users-v1-test-prof@escola.com');
+
+      await request(app)
+        .post('/v1/users')
+        .set('Authorization', `Bearer ${professorToken}`)
+        .send(usuario)
+        .expect(403);
     });
 
     it('deve retornar 400 com múltiplos erros de validação', async () => {
@@ -230,31 +248,32 @@ describe('User API - Endpoints com Validação', () => {
         senha: '123', // Muito curta
       };
 
-      const response = await request(app)
-        .post('/v1/users')
+      const response = await asAdmin('post', '/v1/users')
         .send(usuarioInvalido);
 
       expect(response.status).toBe(400);
       expect(response.body.error).toHaveProperty('code', 'VALIDATION_ERROR');
       expect(response.body.error.details).toBeDefined();
-      expect(response.body.error.details.length).toBe(3); // 3 erros
+      // 3 campos com erro (a senha pode violar mais de uma regra)
+      const fields = new Set(response.body.error.details.map(d => d.field));
+      expect([...fields].sort()).toEqual(['email', 'nome', 'senha']);
     });
 
     it('deve retornar 409 ao criar usuário com email duplicado', async () => {
       const email = `duplicado${Date.now()}@escola.com`;
 
       // Cria primeiro usuário
-      await request(app).post('/v1/users').send({
+      await asAdmin('post', '/v1/users').send({
         nome: 'Primeiro',
         email: email,
-        senha: 'senha123',
+        senha: 'Senha123',
       });
 
       // Tenta criar segundo com mesmo email
-      const response = await request(app).post('/v1/users').send({
+      const response = await asAdmin('post', '/v1/users').send({
         nome: 'Segundo',
         email: email,
-        senha: 'senha123',
+        senha: 'Senha123',
       });
 
       expect(response.status).toBe(409);
@@ -266,11 +285,11 @@ describe('User API - Endpoints com Validação', () => {
       const novoUsuario = {
         nome: 'Usuario com Foto',
         email: `foto${Date.now()}@escola.com`,
-        senha: 'senha123',
+        senha: 'Senha123',
         foto: 'https://example.com/foto.jpg',
       };
 
-      const response = await request(app).post('/v1/users').send(novoUsuario);
+      const response = await asAdmin('post', '/v1/users').send(novoUsuario);
 
       expect(response.status).toBe(201);
       expect(response.body.data.foto).toBe(novoUsuario.foto);
@@ -280,12 +299,11 @@ describe('User API - Endpoints com Validação', () => {
       const usuarioInvalido = {
         nome: 'Teste',
         email: `teste${Date.now()}@escola.com`,
-        senha: 'senha123',
+        senha: 'Senha123',
         foto: 'nao-e-uma-url', // URL inválida
       };
 
-      const response = await request(app)
-        .post('/v1/users')
+      const response = await asAdmin('post', '/v1/users')
         .send(usuarioInvalido);
 
       expect(response.status).toBe(400);
@@ -300,18 +318,17 @@ describe('User API - Endpoints com Validação', () => {
   describe('PUT /v1/users/:id - Validações', () => {
     it('deve atualizar usuário com dados válidos', async () => {
       // Cria usuário para atualizar
-      const novoUsuario = await request(app)
-        .post('/v1/users')
+      const novoUsuario = await asAdmin('post', '/v1/users')
         .send({
           nome: 'Usuario Original',
           email: `original${Date.now()}@escola.com`,
-          senha: 'senha123',
+          senha: 'Senha123',
         });
 
       const userId = novoUsuario.body.data.id;
 
       // Atualiza
-      const response = await request(app).put(`/v1/users/${userId}`).send({
+      const response = await asAdmin('put', `/v1/users/${userId}`).send({
         nome: 'Usuario Atualizado',
       });
 
@@ -323,18 +340,17 @@ describe('User API - Endpoints com Validação', () => {
 
     it('deve retornar 400 quando nenhum campo for fornecido', async () => {
       // Cria usuário
-      const novoUsuario = await request(app)
-        .post('/v1/users')
+      const novoUsuario = await asAdmin('post', '/v1/users')
         .send({
           nome: 'Usuario Teste',
           email: `teste${Date.now()}@escola.com`,
-          senha: 'senha123',
+          senha: 'Senha123',
         });
 
       const userId = novoUsuario.body.data.id;
 
       // Tenta atualizar sem dados
-      const response = await request(app).put(`/v1/users/${userId}`).send({});
+      const response = await asAdmin('put', `/v1/users/${userId}`).send({});
 
       expect(response.status).toBe(400);
       expect(response.body.error).toHaveProperty('code', 'VALIDATION_ERROR');
@@ -344,7 +360,7 @@ describe('User API - Endpoints com Validação', () => {
     });
 
     it('deve retornar 404 ao atualizar usuário inexistente', async () => {
-      const response = await request(app).put('/v1/users/99999').send({
+      const response = await asAdmin('put', '/v1/users/99999').send({
         nome: 'Teste',
       });
 
@@ -354,25 +370,22 @@ describe('User API - Endpoints com Validação', () => {
 
     it('deve retornar 409 ao tentar usar email já existente', async () => {
       // Cria dois usuários
-      const usuario1 = await request(app)
-        .post('/v1/users')
+      const usuario1 = await asAdmin('post', '/v1/users')
         .send({
           nome: 'Usuario 1',
           email: `user1${Date.now()}@escola.com`,
-          senha: 'senha123',
+          senha: 'Senha123',
         });
 
-      const usuario2 = await request(app)
-        .post('/v1/users')
+      const usuario2 = await asAdmin('post', '/v1/users')
         .send({
           nome: 'Usuario 2',
           email: `user2${Date.now()}@escola.com`,
-          senha: 'senha123',
+          senha: 'Senha123',
         });
 
       // Tenta atualizar usuario2 com email do usuario1
-      const response = await request(app)
-        .put(`/v1/users/${usuario2.body.data.id}`)
+      const response = await asAdmin('put', `/v1/users/${usuario2.body.data.id}`)
         .send({
           email: usuario1.body.data.email,
         });
@@ -382,20 +395,33 @@ describe('User API - Endpoints com Validação', () => {
       expect(response.body.error.message).toContain('já está em uso');
     });
 
+    it('deve exigir autenticação e recusar papel', async () => {
+      await request(app)
+        .put(`/v1/users/${adminId}`)
+        .send({ senha: 'Invasor123' })
+        .expect(401);
+
+      // papel não é mais aceito pela v1
+      const response = await asAdmin('put', `/v1/users/${adminId}`).send({
+        papel: 'ADMIN',
+      });
+      expect(response.status).toBe(400);
+      expect(response.body.error).toHaveProperty('code', 'VALIDATION_ERROR');
+    });
+
     it('deve retornar 400 para validações de campos no update', async () => {
       // Cria usuário
-      const novoUsuario = await request(app)
-        .post('/v1/users')
+      const novoUsuario = await asAdmin('post', '/v1/users')
         .send({
           nome: 'Usuario Teste',
           email: `teste${Date.now()}@escola.com`,
-          senha: 'senha123',
+          senha: 'Senha123',
         });
 
       const userId = novoUsuario.body.data.id;
 
       // Tenta atualizar com dados inválidos
-      const response = await request(app).put(`/v1/users/${userId}`).send({
+      const response = await asAdmin('put', `/v1/users/${userId}`).send({
         nome: 'Jo', // Muito curto
         email: 'invalido', // Sem @
       });
@@ -409,18 +435,17 @@ describe('User API - Endpoints com Validação', () => {
   describe('DELETE /v1/users/:id - Validações', () => {
     it('deve deletar usuário existente', async () => {
       // Cria usuário para deletar
-      const novoUsuario = await request(app)
-        .post('/v1/users')
+      const novoUsuario = await asAdmin('post', '/v1/users')
         .send({
           nome: 'Usuario Para Deletar',
           email: `deletar${Date.now()}@escola.com`,
-          senha: 'senha123',
+          senha: 'Senha123',
         });
 
       const userId = novoUsuario.body.data.id;
 
       // Deleta
-      const response = await request(app).delete(`/v1/users/${userId}`);
+      const response = await asAdmin('delete', `/v1/users/${userId}`);
 
       expect(response.status).toBe(200);
       expect(response.body).toHaveProperty('success', true);
@@ -431,15 +456,37 @@ describe('User API - Endpoints com Validação', () => {
       expect(busca.status).toBe(404);
     });
 
+    it('deve exigir autenticação e a permissão users.delete', async () => {
+      const usuario = await asAdmin('post', '/v1/users').send({
+        nome: 'Usuario Protegido',
+        email: `protegido${Date.now()}@escola.com`,
+        senha: 'Senha123',
+      });
+      const userId = usuario.body.data.id;
+
+      await request(app).delete(`/v1/users/${userId}`).expect(401);
+
+      await registerUser('users-v1-test-prof-delete@escola.com');
+      const professorToken = await loginToken('users-v1-test-prof-delete@escola.com');
+
+      await request(app)
+        .delete(`/v1/users/${userId}`)
+        .set('Authorization', `Bearer ${professorToken}`)
+        .expect(403);
+
+      // Continua ativo
+      await request(app).get(`/v1/users/${userId}`).expect(200);
+    });
+
     it('deve retornar 404 ao deletar usuário inexistente', async () => {
-      const response = await request(app).delete('/v1/users/99999');
+      const response = await asAdmin('delete', '/v1/users/99999');
 
       expect(response.status).toBe(404);
       expect(response.body.error).toHaveProperty('code', 'NOT_FOUND');
     });
 
     it('deve retornar 400 para ID inválido no delete', async () => {
-      const response = await request(app).delete('/v1/users/abc');
+      const response = await asAdmin('delete', '/v1/users/abc');
 
       expect(response.status).toBe(400);
       expect(response.body.error).toHaveProperty('code', 'VALIDATION_ERROR');
@@ -459,7 +506,7 @@ describe('User API - Endpoints com Validação', () => {
     });
 
     it('deve incluir detalhes em erros de validação', async () => {
-      const response = await request(app).post('/v1/users').send({
+      const response = await asAdmin('post', '/v1/users').send({
         nome: 'Jo',
         email: 'invalido',
       });